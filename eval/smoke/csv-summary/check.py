@@ -0,0 +1,13 @@
+# total.txt 必须是 amount 列的合计, 允许 0.01 的误差
+import sys
+
+try:
+    value = float(open("total.txt").read().strip())
+except Exception as error:
+    print("total.txt is missing or not a number: %s" % error)
+    sys.exit(1)
+
+if abs(value - 99.75) > 0.01:
+    print("expected 99.75, got %s" % value)
+    sys.exit(1)
+print("ok")
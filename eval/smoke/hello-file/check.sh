@@ -0,0 +1,5 @@
+#!/bin/sh
+# hello.txt 的内容必须完全一致 (忽略结尾换行)
+test -f hello.txt || { echo "hello.txt not found"; exit 1; }
+test "$(cat hello.txt)" = "Hello, Lemon!" || { echo "unexpected content: $(cat hello.txt)"; exit 1; }
+echo "ok"
@@ -54,6 +54,16 @@ export default {
   },
   //主界面
   lemon: {
+    approval: {
+      title: "Genehmigung erforderlich",
+      approved: "Genehmigt",
+      rejected: "Abgelehnt",
+      timeout: "Zeitüberschreitung",
+      cancelled: "Abgebrochen",
+      approve: "Genehmigen",
+      reject: "Ablehnen",
+      commentPlaceholder: "Optionaler Kommentar für den Agenten",
+    },
     // 首页
     welcome: {
       greeting: "Hallo",
@@ -263,6 +273,11 @@ export default {
       typeNetwork: "Netzwerk",
       typeEmbed: "Einbetten",
       typeReasoning: "Argumentation",
+      toolCallMode: "Tool-Aufrufmodus",
+      toolCallModeXml: "XML (Prompt)",
+      toolCallModeNative: "Natives Function Calling",
+      contextWindow: "Kontextfenster",
+      contextWindowPlaceholder: "Tokens, z. B. 128000 (Speicherbudget des Agenten)",
       typeTool: "Werkzeug",
       addProvider: "Anbieter hinzufügen",
       confirm: "Bestätigen",
@@ -392,6 +407,8 @@ export default {
       apiKey: "API-Schlüssel",
       apiAddress: "API-Adresse",
       tavilyName: "Tavily (Schlüssel)",
+      metaName: "Meta-Suche (alle konfigurierten Anbieter)",
+      metaTips: "Fragt alle konfigurierten Suchanbieter ab, entfernt doppelte Links und sortiert die zusammengeführten Ergebnisse neu.",
       baiduName: "Baidu (kostenlos)",
       bingName: "Bing (kostenlos)",
       saveBlacklistSuccess: "Blacklist erfolgreich gespeichert",
@@ -423,7 +440,64 @@ export default {
       argsPlaceholder: "arg1\narg2",
       env: "Umgebungsvariablen",
       envPlaceholder: "KEY1=VALUE1\nKEY2=VALUE2",
-      mcpServer: "MCP-Server"
+      mcpServer: "MCP-Server",
+      headers: "HTTP-Header",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "Verweisen Sie mit {ref} auf verschlüsselte Secrets, statt Tokens einzufügen.",
+      auth: {
+        title: "Authentifizierung",
+        none: "Keine",
+        oauth: "OAuth 2.1",
+        scope: "Scope",
+        clientId: "Client-ID",
+        clientSecret: "Client-Secret",
+        clientOptional: "Optional, wird bei leerem Feld dynamisch registriert",
+        authorize: "Autorisieren",
+        revoke: "Tokens entfernen",
+        authorized: "Autorisiert",
+        notAuthorized: "Nicht autorisiert",
+        expiresAt: "läuft ab",
+        authorizeStarted: "Schließen Sie die Autorisierung im geöffneten Fenster ab",
+        authorizeFailed: "Autorisierung fehlgeschlagen, speichern Sie die Servereinstellungen und versuchen Sie es erneut"
+      },
+      secrets: {
+        manage: "Secrets",
+        title: "Secrets",
+        description: "Secrets werden verschlüsselt gespeichert und nie wieder angezeigt. Verwenden Sie {ref} in URL, Argumenten, Umgebungsvariablen und Headern von MCP-Servern.",
+        reference: "Verweis",
+        namePlaceholder: "Name, z. B. GITHUB_TOKEN",
+        valuePlaceholder: "Wert",
+        deleteConfirm: "Dieses Secret löschen? Server, die darauf verweisen, können sich nicht mehr verbinden.",
+        invalidName: "Der Name darf nur Buchstaben, Ziffern, _ . und - enthalten",
+        valueRequired: "Wert ist erforderlich",
+        saveSuccess: "Secret gespeichert",
+        saveFailed: "Secret konnte nicht gespeichert werden"
+      },
+      health: {
+        title: "Serverzustand",
+        refresh: "Aktualisieren",
+        status: "Status",
+        lastPing: "Letzter Ping",
+        restarts: "Neustarts",
+        nextRestart: "nächster Neustart",
+        lastError: "Letzter Fehler",
+        restart: "Neu starten",
+        restartSuccess: "Server neu gestartet",
+        restartFailed: "Neustart des Servers fehlgeschlagen",
+        tool: "Tool",
+        calls: "Aufrufe",
+        errorRate: "Fehlerrate",
+        avgLatency: "Ø Latenz (ms)",
+        maxLatency: "Max. Latenz (ms)",
+        noToolCalls: "Noch keine Tool-Aufrufe",
+        statuses: {
+          idle: "Nicht gestartet",
+          healthy: "Gesund",
+          unhealthy: "Gestört",
+          failed: "Ausgefallen",
+          stopped: "Gestoppt"
+        }
+      }
     },
     experience: {
       title: "Erfahrungsbibliothek",
@@ -251,6 +251,16 @@ export default {
   },
   //主界面
   lemon: {
+    approval: {
+      title: "Approval required",
+      approved: "Approved",
+      rejected: "Rejected",
+      timeout: "Timed out",
+      cancelled: "Cancelled",
+      approve: "Approve",
+      reject: "Reject",
+      commentPlaceholder: "Optional comment for the agent",
+    },
     // 首页
     welcome: {
       greeting: "Hello",
@@ -512,6 +522,11 @@ export default {
       typeNetwork: "Network",
       typeEmbed: "Embed",
       typeReasoning: "Reasoning",
+      toolCallMode: "Tool Call Mode",
+      toolCallModeXml: "XML (prompt)",
+      toolCallModeNative: "Native function calling",
+      contextWindow: "Context window",
+      contextWindowPlaceholder: "Tokens, e.g. 128000 (agent memory budget)",
       typeTool: "Tool",
       addProvider: "Add provider",
       confirm: "Confirm",
@@ -650,6 +665,8 @@ export default {
       apiKey: "API key",
       apiAddress: "API address",
       tavilyName: "Tavily (key)",
+      metaName: "Meta search (all configured providers)",
+      metaTips: "Queries every search provider you have configured, removes duplicate links and reranks the merged results.",
       baiduName: "Baidu (free)",
       bingName: "Bing (free)",
       couldswayName: "Cloudsway (key)",
@@ -714,7 +731,64 @@ export default {
       updateSuccess: "Server updated successfully",
       updateFailed: "Failed to update server",
       deleteSuccess: "Server deleted successfully",
-      deleteFailed: "Failed to delete server"
+      deleteFailed: "Failed to delete server",
+      headers: "HTTP headers",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "Reference encrypted secrets as {ref} instead of pasting tokens.",
+      auth: {
+        title: "Authentication",
+        none: "None",
+        oauth: "OAuth 2.1",
+        scope: "Scope",
+        clientId: "Client ID",
+        clientSecret: "Client secret",
+        clientOptional: "Optional, registered dynamically when empty",
+        authorize: "Authorize",
+        revoke: "Remove tokens",
+        authorized: "Authorized",
+        notAuthorized: "Not authorized",
+        expiresAt: "expires",
+        authorizeStarted: "Complete the authorization in the opened window",
+        authorizeFailed: "Authorization failed, save the server settings and try again"
+      },
+      secrets: {
+        manage: "Secrets",
+        title: "Secrets",
+        description: "Secrets are stored encrypted and never shown again. Use {ref} in the URL, arguments, environment variables and headers of MCP servers.",
+        reference: "Reference",
+        namePlaceholder: "Name, e.g. GITHUB_TOKEN",
+        valuePlaceholder: "Value",
+        deleteConfirm: "Delete this secret? Servers referencing it will fail to connect.",
+        invalidName: "Only letters, digits, _ . and - are allowed in the name",
+        valueRequired: "Value is required",
+        saveSuccess: "Secret saved",
+        saveFailed: "Failed to save secret"
+      },
+      health: {
+        title: "Server health",
+        refresh: "Refresh",
+        status: "Status",
+        lastPing: "Last ping",
+        restarts: "Restarts",
+        nextRestart: "next restart",
+        lastError: "Last error",
+        restart: "Restart",
+        restartSuccess: "Server restarted",
+        restartFailed: "Failed to restart server",
+        tool: "Tool",
+        calls: "Calls",
+        errorRate: "Error rate",
+        avgLatency: "Avg latency (ms)",
+        maxLatency: "Max latency (ms)",
+        noToolCalls: "No tool calls yet",
+        statuses: {
+          idle: "Not started",
+          healthy: "Healthy",
+          unhealthy: "Unhealthy",
+          failed: "Down",
+          stopped: "Stopped"
+        }
+      }
     },
     experience: {
       title: "Experience library",
@@ -54,6 +54,16 @@ export default {
   },
   //主界面
   lemon: {
+    approval: {
+      title: "Se requiere aprobación",
+      approved: "Aprobado",
+      rejected: "Rechazado",
+      timeout: "Tiempo agotado",
+      cancelled: "Cancelada",
+      approve: "Aprobar",
+      reject: "Rechazar",
+      commentPlaceholder: "Comentario opcional para el agente",
+    },
     // 首页
     welcome: {
       greeting: "Hola",
@@ -263,6 +273,11 @@ export default {
       typeNetwork: "Red",
       typeEmbed: "Incrustación",
       typeReasoning: "Razonamiento",
+      toolCallMode: "Modo de llamada a herramientas",
+      toolCallModeXml: "XML (prompt)",
+      toolCallModeNative: "Llamada a funciones nativa",
+      contextWindow: "Ventana de contexto",
+      contextWindowPlaceholder: "Tokens, p. ej. 128000 (presupuesto de memoria del agente)",
       typeTool: "Herramienta",
       addProvider: "Añadir proveedor",
       confirm: "Confirmar",
@@ -392,6 +407,8 @@ export default {
       apiKey: "Clave API",
       apiAddress: "Dirección API",
       tavilyName: "Tavily (Clave)",
+      metaName: "Metabúsqueda (todos los proveedores configurados)",
+      metaTips: "Consulta todos los proveedores de búsqueda configurados, elimina los enlaces duplicados y reordena los resultados combinados.",
       baiduName: "Baidu (Gratis)",
       bingName: "Bing (Gratis)",
       saveBlacklistSuccess: "Lista negra guardada con éxito",
@@ -423,7 +440,64 @@ export default {
       argsPlaceholder: "arg1\narg2",
       env: "Variables de entorno",
       envPlaceholder: "KEY1=VALOR1\nKEY2=VALOR2",
-      mcpServer: "Servidor MCP"
+      mcpServer: "Servidor MCP",
+      headers: "Cabeceras HTTP",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "Referencie secretos cifrados con {ref} en lugar de pegar tokens.",
+      auth: {
+        title: "Autenticación",
+        none: "Ninguna",
+        oauth: "OAuth 2.1",
+        scope: "Scope",
+        clientId: "ID de cliente",
+        clientSecret: "Secreto de cliente",
+        clientOptional: "Opcional, se registra dinámicamente si está vacío",
+        authorize: "Autorizar",
+        revoke: "Eliminar tokens",
+        authorized: "Autorizado",
+        notAuthorized: "No autorizado",
+        expiresAt: "caduca",
+        authorizeStarted: "Complete la autorización en la ventana abierta",
+        authorizeFailed: "La autorización falló, guarde la configuración del servidor e inténtelo de nuevo"
+      },
+      secrets: {
+        manage: "Secretos",
+        title: "Secretos",
+        description: "Los secretos se guardan cifrados y no se vuelven a mostrar. Use {ref} en la URL, argumentos, variables de entorno y cabeceras de los servidores MCP.",
+        reference: "Referencia",
+        namePlaceholder: "Nombre, p. ej. GITHUB_TOKEN",
+        valuePlaceholder: "Valor",
+        deleteConfirm: "¿Eliminar este secreto? Los servidores que lo usan no podrán conectarse.",
+        invalidName: "El nombre solo puede contener letras, dígitos, _ . y -",
+        valueRequired: "El valor es obligatorio",
+        saveSuccess: "Secreto guardado",
+        saveFailed: "No se pudo guardar el secreto"
+      },
+      health: {
+        title: "Estado de los servidores",
+        refresh: "Actualizar",
+        status: "Estado",
+        lastPing: "Último ping",
+        restarts: "Reinicios",
+        nextRestart: "próximo reinicio",
+        lastError: "Último error",
+        restart: "Reiniciar",
+        restartSuccess: "Servidor reiniciado",
+        restartFailed: "No se pudo reiniciar el servidor",
+        tool: "Herramienta",
+        calls: "Llamadas",
+        errorRate: "Tasa de error",
+        avgLatency: "Latencia media (ms)",
+        maxLatency: "Latencia máx. (ms)",
+        noToolCalls: "Aún no hay llamadas a herramientas",
+        statuses: {
+          idle: "Sin iniciar",
+          healthy: "Correcto",
+          unhealthy: "Con fallos",
+          failed: "Caído",
+          stopped: "Detenido"
+        }
+      }
     },
     experience: {
       title: "Biblioteca de experiencias",
@@ -54,6 +54,16 @@ export default {
   },
   //主界面
   lemon: {
+    approval: {
+      title: "Approbation requise",
+      approved: "Approuvé",
+      rejected: "Refusé",
+      timeout: "Délai expiré",
+      cancelled: "Annulée",
+      approve: "Approuver",
+      reject: "Refuser",
+      commentPlaceholder: "Commentaire facultatif pour l'agent",
+    },
     // 首页
     welcome: {
       greeting: "Bonjour",
@@ -263,6 +273,11 @@ export default {
       typeNetwork: "Réseau",
       typeEmbed: "Intégration",
       typeReasoning: "Raisonnement",
+      toolCallMode: "Mode d'appel des outils",
+      toolCallModeXml: "XML (prompt)",
+      toolCallModeNative: "Appel de fonctions natif",
+      contextWindow: "Fenêtre de contexte",
+      contextWindowPlaceholder: "Tokens, par ex. 128000 (budget mémoire de l'agent)",
       typeTool: "Outil",
       addProvider: "Ajouter un fournisseur",
       confirm: "Confirmer",
@@ -392,6 +407,8 @@ export default {
       apiKey: "Clé API",
       apiAddress: "Adresse API",
       tavilyName: "Tavily (Clé)",
+      metaName: "Méta-recherche (tous les fournisseurs configurés)",
+      metaTips: "Interroge tous les fournisseurs de recherche configurés, supprime les liens en double et reclasse les résultats fusionnés.",
       baiduName: "Baidu (Gratuit)",
       bingName: "Bing (Gratuit)",
       saveBlacklistSuccess: "Liste noire enregistrée avec succès",
@@ -423,7 +440,64 @@ export default {
       argsPlaceholder: "arg1\narg2",
       env: "Variables d'environnement",
       envPlaceholder: "CLÉ1=VALEUR1\nCLÉ2=VALEUR2",
-      mcpServer: "Serveur MCP"
+      mcpServer: "Serveur MCP",
+      headers: "En-têtes HTTP",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "Référencez des secrets chiffrés avec {ref} au lieu de coller des jetons.",
+      auth: {
+        title: "Authentification",
+        none: "Aucune",
+        oauth: "OAuth 2.1",
+        scope: "Scope",
+        clientId: "ID client",
+        clientSecret: "Secret client",
+        clientOptional: "Facultatif, enregistré dynamiquement si vide",
+        authorize: "Autoriser",
+        revoke: "Supprimer les jetons",
+        authorized: "Autorisé",
+        notAuthorized: "Non autorisé",
+        expiresAt: "expire",
+        authorizeStarted: "Terminez l'autorisation dans la fenêtre ouverte",
+        authorizeFailed: "Échec de l'autorisation, enregistrez les paramètres du serveur et réessayez"
+      },
+      secrets: {
+        manage: "Secrets",
+        title: "Secrets",
+        description: "Les secrets sont stockés chiffrés et ne sont plus jamais affichés. Utilisez {ref} dans l'URL, les arguments, les variables d'environnement et les en-têtes des serveurs MCP.",
+        reference: "Référence",
+        namePlaceholder: "Nom, par ex. GITHUB_TOKEN",
+        valuePlaceholder: "Valeur",
+        deleteConfirm: "Supprimer ce secret ? Les serveurs qui y font référence ne pourront plus se connecter.",
+        invalidName: "Le nom ne peut contenir que des lettres, chiffres, _ . et -",
+        valueRequired: "La valeur est obligatoire",
+        saveSuccess: "Secret enregistré",
+        saveFailed: "Échec de l'enregistrement du secret"
+      },
+      health: {
+        title: "État des serveurs",
+        refresh: "Actualiser",
+        status: "Statut",
+        lastPing: "Dernier ping",
+        restarts: "Redémarrages",
+        nextRestart: "prochain redémarrage",
+        lastError: "Dernière erreur",
+        restart: "Redémarrer",
+        restartSuccess: "Serveur redémarré",
+        restartFailed: "Échec du redémarrage du serveur",
+        tool: "Outil",
+        calls: "Appels",
+        errorRate: "Taux d'erreur",
+        avgLatency: "Latence moy. (ms)",
+        maxLatency: "Latence max. (ms)",
+        noToolCalls: "Aucun appel d'outil pour le moment",
+        statuses: {
+          idle: "Non démarré",
+          healthy: "Opérationnel",
+          unhealthy: "Dégradé",
+          failed: "Hors service",
+          stopped: "Arrêté"
+        }
+      }
     },
     experience: {
       title: "Bibliothèque d'expériences",
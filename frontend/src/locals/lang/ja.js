@@ -54,6 +54,16 @@ export default {
   },
   // メイン画面
   lemon: {
+    approval: {
+      title: "承認が必要です",
+      approved: "承認済み",
+      rejected: "拒否済み",
+      timeout: "タイムアウト",
+      cancelled: "キャンセル済み",
+      approve: "承認",
+      reject: "拒否",
+      commentPlaceholder: "エージェントへのコメント (任意)",
+    },
     // ホーム
     welcome: {
       greeting: "こんにちは",
@@ -263,6 +273,11 @@ export default {
       typeNetwork: "ネットワーク",
       typeEmbed: "埋め込み",
       typeReasoning: "推論",
+      toolCallMode: "ツール呼び出しモード",
+      toolCallModeXml: "XML (プロンプト)",
+      toolCallModeNative: "ネイティブ関数呼び出し",
+      contextWindow: "コンテキストウィンドウ",
+      contextWindowPlaceholder: "トークン数 (例: 128000、エージェントのメモリ予算)",
       typeTool: "ツール",
       addProvider: "プロバイダを追加",
       confirm: "確認",
@@ -392,6 +407,8 @@ export default {
       apiKey: "APIキー",
       apiAddress: "APIアドレス",
       tavilyName: "Tavily（キー）",
+      metaName: "メタ検索（設定済みのすべてのプロバイダー）",
+      metaTips: "設定済みのすべての検索プロバイダーに問い合わせ、重複リンクを除外して統合結果を並べ替えます。",
       baiduName: "百度（無料）",
       bingName: "Bing（無料）",
       saveBlacklistSuccess: "ブラックリストを保存しました",
@@ -423,7 +440,64 @@ export default {
       argsPlaceholder: "arg1\narg2",
       env: "環境変数",
       envPlaceholder: "KEY1=VALUE1\nKEY2=VALUE2",
-      mcpServer: "MCPサーバー"
+      mcpServer: "MCPサーバー",
+      headers: "HTTP ヘッダー",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "トークンを直接入力せず、暗号化されたシークレットを {ref} で参照してください。",
+      auth: {
+        title: "認証",
+        none: "なし",
+        oauth: "OAuth 2.1",
+        scope: "スコープ",
+        clientId: "クライアント ID",
+        clientSecret: "クライアントシークレット",
+        clientOptional: "任意、空の場合は動的に登録されます",
+        authorize: "認可",
+        revoke: "トークンを削除",
+        authorized: "認可済み",
+        notAuthorized: "未認可",
+        expiresAt: "有効期限",
+        authorizeStarted: "開いたウィンドウで認可を完了してください",
+        authorizeFailed: "認可に失敗しました。サーバー設定を保存してから再試行してください"
+      },
+      secrets: {
+        manage: "シークレット",
+        title: "シークレット",
+        description: "シークレットは暗号化して保存され、再表示されません。MCP サーバーの URL、引数、環境変数、ヘッダーで {ref} として使用します。",
+        reference: "参照",
+        namePlaceholder: "名前 (例: GITHUB_TOKEN)",
+        valuePlaceholder: "値",
+        deleteConfirm: "このシークレットを削除しますか? 参照しているサーバーは接続できなくなります。",
+        invalidName: "名前には英数字、_ . - のみ使用できます",
+        valueRequired: "値を入力してください",
+        saveSuccess: "シークレットを保存しました",
+        saveFailed: "シークレットの保存に失敗しました"
+      },
+      health: {
+        title: "サーバーの稼働状況",
+        refresh: "更新",
+        status: "ステータス",
+        lastPing: "最終 ping",
+        restarts: "再起動回数",
+        nextRestart: "次回再起動",
+        lastError: "最新のエラー",
+        restart: "再起動",
+        restartSuccess: "サーバーを再起動しました",
+        restartFailed: "サーバーの再起動に失敗しました",
+        tool: "ツール",
+        calls: "呼び出し回数",
+        errorRate: "エラー率",
+        avgLatency: "平均レイテンシ (ms)",
+        maxLatency: "最大レイテンシ (ms)",
+        noToolCalls: "ツール呼び出しはまだありません",
+        statuses: {
+          idle: "未起動",
+          healthy: "正常",
+          unhealthy: "異常",
+          failed: "停止中",
+          stopped: "停止"
+        }
+      }
     },
     experience: {
       title: "経験ライブラリ",
@@ -54,6 +54,16 @@ export default {
   },
   // 메인 화면
   lemon: {
+    approval: {
+      title: "승인 필요",
+      approved: "승인됨",
+      rejected: "거부됨",
+      timeout: "시간 초과",
+      cancelled: "취소됨",
+      approve: "승인",
+      reject: "거부",
+      commentPlaceholder: "에이전트에 대한 선택적 메모",
+    },
     // 홈
     welcome: {
       greeting: "안녕하세요",
@@ -263,6 +273,11 @@ export default {
       typeNetwork: "네트워크",
       typeEmbed: "임베딩",
       typeReasoning: "추론",
+      toolCallMode: "도구 호출 모드",
+      toolCallModeXml: "XML (프롬프트)",
+      toolCallModeNative: "네이티브 함수 호출",
+      contextWindow: "컨텍스트 윈도우",
+      contextWindowPlaceholder: "토큰 수 (예: 128000, 에이전트 메모리 예산)",
       typeTool: "도구",
       addProvider: "제공자 추가",
       confirm: "확인",
@@ -392,6 +407,8 @@ export default {
       apiKey: "API 키",
       apiAddress: "API 주소",
       tavilyName: "Tavily(키)",
+      metaName: "메타 검색(설정된 모든 제공업체)",
+      metaTips: "설정된 모든 검색 제공업체에 질의하고 중복 링크를 제거한 뒤 병합된 결과를 다시 정렬합니다.",
       baiduName: "바이두(무료)",
       bingName: "Bing(무료)",
       saveBlacklistSuccess: "블랙리스트 저장 성공",
@@ -423,7 +440,64 @@ export default {
       argsPlaceholder: "arg1\narg2",
       env: "환경 변수",
       envPlaceholder: "KEY1=VALUE1\nKEY2=VALUE2",
-      mcpServer: "MCP 서버"
+      mcpServer: "MCP 서버",
+      headers: "HTTP 헤더",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "토큰을 직접 입력하지 말고 암호화된 시크릿을 {ref} 형식으로 참조하세요.",
+      auth: {
+        title: "인증",
+        none: "없음",
+        oauth: "OAuth 2.1",
+        scope: "범위",
+        clientId: "클라이언트 ID",
+        clientSecret: "클라이언트 시크릿",
+        clientOptional: "선택 사항, 비워 두면 동적으로 등록됩니다",
+        authorize: "인증하기",
+        revoke: "토큰 삭제",
+        authorized: "인증됨",
+        notAuthorized: "인증되지 않음",
+        expiresAt: "만료",
+        authorizeStarted: "열린 창에서 인증을 완료하세요",
+        authorizeFailed: "인증 실패, 서버 설정을 저장한 후 다시 시도하세요"
+      },
+      secrets: {
+        manage: "시크릿",
+        title: "시크릿",
+        description: "시크릿은 암호화되어 저장되며 다시 표시되지 않습니다. MCP 서버의 URL, 인수, 환경 변수, 헤더에서 {ref} 형식으로 사용하세요.",
+        reference: "참조",
+        namePlaceholder: "이름 (예: GITHUB_TOKEN)",
+        valuePlaceholder: "값",
+        deleteConfirm: "이 시크릿을 삭제하시겠습니까? 참조하는 서버는 연결할 수 없게 됩니다.",
+        invalidName: "이름에는 영문자, 숫자, _ . - 만 사용할 수 있습니다",
+        valueRequired: "값을 입력하세요",
+        saveSuccess: "시크릿이 저장되었습니다",
+        saveFailed: "시크릿 저장 실패"
+      },
+      health: {
+        title: "서버 상태",
+        refresh: "새로고침",
+        status: "상태",
+        lastPing: "마지막 ping",
+        restarts: "재시작 횟수",
+        nextRestart: "다음 재시작",
+        lastError: "최근 오류",
+        restart: "재시작",
+        restartSuccess: "서버가 재시작되었습니다",
+        restartFailed: "서버 재시작 실패",
+        tool: "도구",
+        calls: "호출 수",
+        errorRate: "오류율",
+        avgLatency: "평균 지연 (ms)",
+        maxLatency: "최대 지연 (ms)",
+        noToolCalls: "아직 도구 호출이 없습니다",
+        statuses: {
+          idle: "시작 안 됨",
+          healthy: "정상",
+          unhealthy: "비정상",
+          failed: "중단됨",
+          stopped: "정지됨"
+        }
+      }
     },
     experience: {
       title: "경험 라이브러리",
@@ -54,6 +54,16 @@ export default {
   },
   // Interface Principal
   lemon: {
+    approval: {
+      title: "Aprovação necessária",
+      approved: "Aprovado",
+      rejected: "Rejeitado",
+      timeout: "Tempo esgotado",
+      cancelled: "Cancelada",
+      approve: "Aprovar",
+      reject: "Rejeitar",
+      commentPlaceholder: "Comentário opcional para o agente",
+    },
     // Página Inicial
     welcome: {
       greeting: "Olá",
@@ -263,6 +273,11 @@ selectCheckModel: "Por favor, selecione o modelo de verificação",
       typeNetwork: "Rede",
       typeEmbed: "Incorporação",
       typeReasoning: "Raciocínio",
+      toolCallMode: "Modo de chamada de ferramentas",
+      toolCallModeXml: "XML (prompt)",
+      toolCallModeNative: "Chamada de função nativa",
+      contextWindow: "Janela de contexto",
+      contextWindowPlaceholder: "Tokens, ex. 128000 (orçamento de memória do agente)",
       typeTool: "Ferramenta",
       addProvider: "Adicionar provedor",
       confirm: "Confirmar",
@@ -392,6 +407,8 @@ selectCheckModel: "Por favor, selecione o modelo de verificação",
       apiKey: "Chave API",
       apiAddress: "Endereço API",
       tavilyName: "Tavily (chave)",
+      metaName: "Metabusca (todos os provedores configurados)",
+      metaTips: "Consulta todos os provedores de pesquisa configurados, remove links duplicados e reordena os resultados combinados.",
       baiduName: "Baidu (grátis)",
       bingName: "Bing (grátis)",
       saveBlacklistSuccess: "Lista negra salva com sucesso",
@@ -423,7 +440,64 @@ selectCheckModel: "Por favor, selecione o modelo de verificação",
       argsPlaceholder: "arg1\narg2",
       env: "Variáveis de ambiente",
       envPlaceholder: "KEY1=VALUE1\nKEY2=VALUE2",
-      mcpServer: "Servidor MCP"
+      mcpServer: "Servidor MCP",
+      headers: "Cabeçalhos HTTP",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "Referencie segredos criptografados com {ref} em vez de colar tokens.",
+      auth: {
+        title: "Autenticação",
+        none: "Nenhuma",
+        oauth: "OAuth 2.1",
+        scope: "Scope",
+        clientId: "ID do cliente",
+        clientSecret: "Segredo do cliente",
+        clientOptional: "Opcional, registrado dinamicamente se vazio",
+        authorize: "Autorizar",
+        revoke: "Remover tokens",
+        authorized: "Autorizado",
+        notAuthorized: "Não autorizado",
+        expiresAt: "expira",
+        authorizeStarted: "Conclua a autorização na janela aberta",
+        authorizeFailed: "Falha na autorização, salve as configurações do servidor e tente novamente"
+      },
+      secrets: {
+        manage: "Segredos",
+        title: "Segredos",
+        description: "Os segredos são armazenados criptografados e nunca mais exibidos. Use {ref} na URL, argumentos, variáveis de ambiente e cabeçalhos dos servidores MCP.",
+        reference: "Referência",
+        namePlaceholder: "Nome, ex. GITHUB_TOKEN",
+        valuePlaceholder: "Valor",
+        deleteConfirm: "Excluir este segredo? Servidores que o referenciam não conseguirão se conectar.",
+        invalidName: "O nome só pode conter letras, dígitos, _ . e -",
+        valueRequired: "O valor é obrigatório",
+        saveSuccess: "Segredo salvo",
+        saveFailed: "Falha ao salvar o segredo"
+      },
+      health: {
+        title: "Saúde dos servidores",
+        refresh: "Atualizar",
+        status: "Status",
+        lastPing: "Último ping",
+        restarts: "Reinícios",
+        nextRestart: "próximo reinício",
+        lastError: "Último erro",
+        restart: "Reiniciar",
+        restartSuccess: "Servidor reiniciado",
+        restartFailed: "Falha ao reiniciar o servidor",
+        tool: "Ferramenta",
+        calls: "Chamadas",
+        errorRate: "Taxa de erro",
+        avgLatency: "Latência média (ms)",
+        maxLatency: "Latência máx. (ms)",
+        noToolCalls: "Nenhuma chamada de ferramenta ainda",
+        statuses: {
+          idle: "Não iniciado",
+          healthy: "Saudável",
+          unhealthy: "Instável",
+          failed: "Fora do ar",
+          stopped: "Parado"
+        }
+      }
     },
     experience: {
       title: "Biblioteca de experiências",
@@ -54,6 +54,16 @@ export default {
   },
   // Ana Arayüz
   lemon: {
+    approval: {
+      title: "Onay gerekli",
+      approved: "Onaylandı",
+      rejected: "Reddedildi",
+      timeout: "Zaman aşımı",
+      cancelled: "İptal edildi",
+      approve: "Onayla",
+      reject: "Reddet",
+      commentPlaceholder: "Ajan için isteğe bağlı not",
+    },
     // Ana Sayfa
     welcome: {
       greeting: "Merhaba",
@@ -263,6 +273,11 @@ selectCheckModel: "Lütfen kontrol modelini seçin",
       typeNetwork: "Ağ",
       typeEmbed: "Gömme",
       typeReasoning: "Muhakeme",
+      toolCallMode: "Araç çağırma modu",
+      toolCallModeXml: "XML (istem)",
+      toolCallModeNative: "Yerel fonksiyon çağrısı",
+      contextWindow: "Bağlam penceresi",
+      contextWindowPlaceholder: "Token sayısı, ör. 128000 (ajan bellek bütçesi)",
 it: "Araç",
       addProvider: "Sağlayıcı Ekle",
       confirm: "Onayla",
@@ -392,6 +407,8 @@ it: "Araç",
       apiKey: "API Anahtarı",
       apiAddress: "API Adresi",
       tavilyName: "Tavily (anahtar)",
+      metaName: "Meta arama (yapılandırılmış tüm sağlayıcılar)",
+      metaTips: "Yapılandırdığınız tüm arama sağlayıcılarını sorgular, yinelenen bağlantıları kaldırır ve birleştirilen sonuçları yeniden sıralar.",
       baiduName: "Baidu (ücretsiz)",
       bingName: "Bing (ücretsiz)",
       saveBlacklistSuccess: "Kara liste başarıyla kaydedildi",
@@ -423,7 +440,64 @@ it: "Araç",
       argsPlaceholder: "arg1\narg2",
       env: "Çevre Değişkenleri",
       envPlaceholder: "KEY1=VALUE1\nKEY2=VALUE2",
-      mcpServer: "MCP Sunucusu"
+      mcpServer: "MCP Sunucusu",
+      headers: "HTTP başlıkları",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "Belirteçleri yapıştırmak yerine şifreli gizli anahtarlara {ref} ile başvurun.",
+      auth: {
+        title: "Kimlik doğrulama",
+        none: "Yok",
+        oauth: "OAuth 2.1",
+        scope: "Kapsam",
+        clientId: "İstemci kimliği",
+        clientSecret: "İstemci gizli anahtarı",
+        clientOptional: "İsteğe bağlı, boşsa dinamik olarak kaydedilir",
+        authorize: "Yetkilendir",
+        revoke: "Belirteçleri kaldır",
+        authorized: "Yetkilendirildi",
+        notAuthorized: "Yetkilendirilmedi",
+        expiresAt: "sona erer",
+        authorizeStarted: "Açılan pencerede yetkilendirmeyi tamamlayın",
+        authorizeFailed: "Yetkilendirme başarısız, sunucu ayarlarını kaydedip tekrar deneyin"
+      },
+      secrets: {
+        manage: "Gizli anahtarlar",
+        title: "Gizli anahtarlar",
+        description: "Gizli anahtarlar şifreli saklanır ve bir daha gösterilmez. MCP sunucularının URL, argüman, ortam değişkeni ve başlıklarında {ref} olarak kullanın.",
+        reference: "Başvuru",
+        namePlaceholder: "Ad, ör. GITHUB_TOKEN",
+        valuePlaceholder: "Değer",
+        deleteConfirm: "Bu gizli anahtar silinsin mi? Ona başvuran sunucular bağlanamayacak.",
+        invalidName: "Ad yalnızca harf, rakam, _ . ve - içerebilir",
+        valueRequired: "Değer gerekli",
+        saveSuccess: "Gizli anahtar kaydedildi",
+        saveFailed: "Gizli anahtar kaydedilemedi"
+      },
+      health: {
+        title: "Sunucu durumu",
+        refresh: "Yenile",
+        status: "Durum",
+        lastPing: "Son ping",
+        restarts: "Yeniden başlatmalar",
+        nextRestart: "sonraki yeniden başlatma",
+        lastError: "Son hata",
+        restart: "Yeniden başlat",
+        restartSuccess: "Sunucu yeniden başlatıldı",
+        restartFailed: "Sunucu yeniden başlatılamadı",
+        tool: "Araç",
+        calls: "Çağrılar",
+        errorRate: "Hata oranı",
+        avgLatency: "Ort. gecikme (ms)",
+        maxLatency: "Maks. gecikme (ms)",
+        noToolCalls: "Henüz araç çağrısı yok",
+        statuses: {
+          idle: "Başlatılmadı",
+          healthy: "Sağlıklı",
+          unhealthy: "Sorunlu",
+          failed: "Çalışmıyor",
+          stopped: "Durduruldu"
+        }
+      }
     },
     experience: {
       title: "Deneyim Kütüphanesi",
@@ -54,6 +54,16 @@ export default {
   },
   // 主介面
   lemon: {
+    approval: {
+      title: "需要審批",
+      approved: "已批准",
+      rejected: "已拒絕",
+      timeout: "已逾時",
+      cancelled: "已取消",
+      approve: "批准",
+      reject: "拒絕",
+      commentPlaceholder: "給智能體的備註 (可選)",
+    },
     // 首頁
     welcome: {
       greeting: "你好",
@@ -263,6 +273,11 @@ export default {
       typeNetwork: "網路",
       typeEmbed: "嵌入",
       typeReasoning: "推理",
+      toolCallMode: "工具調用模式",
+      toolCallModeXml: "XML (提示詞)",
+      toolCallModeNative: "原生函數調用",
+      contextWindow: "上下文視窗",
+      contextWindowPlaceholder: "Token 數, 例如 128000 (Agent 記憶預算)",
       typeTool: "工具",
       addProvider: "新增提供商",
       confirm: "確認",
@@ -392,6 +407,8 @@ export default {
       apiKey: "API 密鑰",
       apiAddress: "API 地址",
       tavilyName: "Tavily（密鑰）",
+      metaName: "聚合搜尋（全部已設定的服務商）",
+      metaTips: "同時查詢所有已設定的搜尋服務商，依連結去重並對合併後的結果重新排序。",
       baiduName: "百度（免費）",
       bingName: "必應（免費）",
       saveBlacklistSuccess: "黑名單儲存成功",
@@ -423,7 +440,64 @@ export default {
       argsPlaceholder: "arg1\narg2",
       env: "環境變數",
       envPlaceholder: "KEY1=VALUE1\nKEY2=VALUE2",
-      mcpServer: "MCP 伺服器"
+      mcpServer: "MCP 伺服器",
+      headers: "HTTP 請求標頭",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "使用 {ref} 引用加密儲存的密鑰, 不要直接填寫權杖。",
+      auth: {
+        title: "驗證方式",
+        none: "無",
+        oauth: "OAuth 2.1",
+        scope: "Scope",
+        clientId: "Client ID",
+        clientSecret: "Client Secret",
+        clientOptional: "選填, 留空時自動註冊",
+        authorize: "授權",
+        revoke: "清除權杖",
+        authorized: "已授權",
+        notAuthorized: "未授權",
+        expiresAt: "到期時間",
+        authorizeStarted: "請在開啟的視窗中完成授權",
+        authorizeFailed: "授權失敗, 請儲存伺服器設定後重試"
+      },
+      secrets: {
+        manage: "密鑰",
+        title: "密鑰管理",
+        description: "密鑰加密儲存, 儲存後不再顯示。在 MCP 服務的 URL、參數、環境變數和請求標頭中使用 {ref} 引用。",
+        reference: "引用",
+        namePlaceholder: "名稱, 例如 GITHUB_TOKEN",
+        valuePlaceholder: "值",
+        deleteConfirm: "確定刪除此密鑰? 引用它的服務將無法連線。",
+        invalidName: "名稱只能包含字母、數字、_ . 和 -",
+        valueRequired: "請輸入值",
+        saveSuccess: "密鑰已儲存",
+        saveFailed: "儲存密鑰失敗"
+      },
+      health: {
+        title: "服務健康狀態",
+        refresh: "重新整理",
+        status: "狀態",
+        lastPing: "最近 ping",
+        restarts: "重啟次數",
+        nextRestart: "下次重啟",
+        lastError: "最近錯誤",
+        restart: "重啟",
+        restartSuccess: "服務已重啟",
+        restartFailed: "重啟服務失敗",
+        tool: "工具",
+        calls: "呼叫次數",
+        errorRate: "錯誤率",
+        avgLatency: "平均延遲 (ms)",
+        maxLatency: "最大延遲 (ms)",
+        noToolCalls: "尚無工具呼叫",
+        statuses: {
+          idle: "未啟動",
+          healthy: "正常",
+          unhealthy: "異常",
+          failed: "已停止回應",
+          stopped: "已停止"
+        }
+      }
     },
     experience: {
       title: "經驗庫",
@@ -252,6 +252,16 @@ export default {
   },
   //主界面
   lemon: {
+    approval: {
+      title: "需要审批",
+      approved: "已批准",
+      rejected: "已拒绝",
+      timeout: "已超时",
+      cancelled: "已取消",
+      approve: "批准",
+      reject: "拒绝",
+      commentPlaceholder: "给智能体的备注 (可选)",
+    },
     // 首页
     welcome: {
       greeting: "你好",
@@ -513,6 +523,11 @@ export default {
       typeNetwork: "网络",
       typeEmbed: "嵌入",
       typeReasoning: "推理",
+      toolCallMode: "工具调用模式",
+      toolCallModeXml: "XML (提示词)",
+      toolCallModeNative: "原生函数调用",
+      contextWindow: "上下文窗口",
+      contextWindowPlaceholder: "Token 数, 例如 128000 (Agent 记忆预算)",
       typeTool: "工具",
       addProvider: "添加提供商",
       confirm: "确认",
@@ -651,6 +666,8 @@ export default {
       apiKey: "API密钥",
       apiAddress: "API地址",
       tavilyName: "Tavily（密钥）",
+      metaName: "聚合搜索（全部已配置的服务商）",
+      metaTips: "同时查询所有已配置的搜索服务商，按链接去重并对合并后的结果重新排序。",
       baiduName: "百度（免费）",
       bingName: "必应（免费）",
       couldswayName: "Cloudsway（密钥）",
@@ -718,6 +735,63 @@ export default {
       updateFailed: "更新服务器失败",
       deleteSuccess: "服务器删除成功",
       deleteFailed: "删除服务器失败",
+      headers: "HTTP 请求头",
+      headersPlaceholder: "Authorization=Bearer {ref}",
+      secretHint: "使用 {ref} 引用加密保存的密钥, 不要直接填写令牌。",
+      auth: {
+        title: "认证方式",
+        none: "无",
+        oauth: "OAuth 2.1",
+        scope: "Scope",
+        clientId: "Client ID",
+        clientSecret: "Client Secret",
+        clientOptional: "可选, 留空时自动注册",
+        authorize: "授权",
+        revoke: "清除令牌",
+        authorized: "已授权",
+        notAuthorized: "未授权",
+        expiresAt: "过期时间",
+        authorizeStarted: "请在打开的窗口中完成授权",
+        authorizeFailed: "授权失败, 请保存服务器设置后重试"
+      },
+      secrets: {
+        manage: "密钥",
+        title: "密钥管理",
+        description: "密钥加密保存, 保存后不再显示。在 MCP 服务的 URL、参数、环境变量和请求头中使用 {ref} 引用。",
+        reference: "引用",
+        namePlaceholder: "名称, 例如 GITHUB_TOKEN",
+        valuePlaceholder: "值",
+        deleteConfirm: "确定删除该密钥? 引用它的服务将无法连接。",
+        invalidName: "名称只能包含字母、数字、_ . 和 -",
+        valueRequired: "请输入值",
+        saveSuccess: "密钥已保存",
+        saveFailed: "保存密钥失败"
+      },
+      health: {
+        title: "服务健康状态",
+        refresh: "刷新",
+        status: "状态",
+        lastPing: "最近 ping",
+        restarts: "重启次数",
+        nextRestart: "下次重启",
+        lastError: "最近错误",
+        restart: "重启",
+        restartSuccess: "服务已重启",
+        restartFailed: "重启服务失败",
+        tool: "工具",
+        calls: "调用次数",
+        errorRate: "错误率",
+        avgLatency: "平均延迟 (ms)",
+        maxLatency: "最大延迟 (ms)",
+        noToolCalls: "暂无工具调用",
+        statuses: {
+          idle: "未启动",
+          healthy: "正常",
+          unhealthy: "异常",
+          failed: "已停止响应",
+          stopped: "已停止"
+        }
+      }
     },
     experience: {
       title: "经验库",
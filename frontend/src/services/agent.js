@@ -33,6 +33,15 @@ const service = {
   delete(id){
     return http.del(`${uri}/${id}`);
   },
+  //审批高风险操作 decision: approve | reject
+  decideApproval(conversation_id, approval_id, decision, comment = ''){
+    return http.post(`${uri}/approval`, {
+      conversation_id: conversation_id,
+      approval_id: approval_id,
+      decision: decision,
+      comment: comment
+    });
+  },
   generate(question,conversation_id,is_public){
     return http.post(`${uri}/generate`, {
       question: question,
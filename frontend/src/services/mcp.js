@@ -8,6 +8,26 @@ const service = {
   activate_servers(){
     const uri = `/api/mcp_server/active`;
     return http.get(uri);
+  },
+  status(){
+    const uri = `/api/mcp_server/status`;
+    return http.get(uri);
+  },
+  restart(id){
+    const uri = `/api/mcp_server/${id}/restart`;
+    return http.post(uri);
+  },
+  oauthStatus(id){
+    const uri = `/api/mcp_server/${id}/oauth`;
+    return http.get(uri);
+  },
+  authorize(id){
+    const uri = `/api/mcp_server/${id}/oauth/authorize`;
+    return http.post(uri);
+  },
+  revoke(id){
+    const uri = `/api/mcp_server/${id}/oauth`;
+    return http.del(uri);
   }
 };
 
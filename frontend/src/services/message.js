@@ -45,6 +45,8 @@ function handleMessage(message, messages) {
             return
         case "task":
             return updateTask(message, messages);
+        case "approval_request":
+            return handleApprovalRequest(message, messages);
 
         default:
             // 默认也执行更新任务
@@ -87,6 +89,16 @@ function handleStop(message, messages) {
     })
     return
 }
+// 审批请求: 同一 uuid 的后续消息 (approved / rejected) 替换原消息
+function handleApprovalRequest(message, messages) {
+    const index = messages.findIndex(item => item.uuid && item.uuid === message.uuid);
+    if (index !== -1) {
+        messages[index] = message;
+        return;
+    }
+    messages.push(message);
+}
+
 function handleFinishSummaryAddId(message, messages) {
     let fileList = message.meta.json;
     for (let i = 0; i < fileList.length; i++) {
@@ -182,7 +194,9 @@ function updateTask(message, messages) {
             plan.meta.json[task_index].actions = actions;
         }
         //只有任务成功了 才执行下一个task 如果失败了 则不执行下一个task
-        if (status === 'success' || status === 'completed') {
+        //声明了依赖的计划会并行执行, 由后端推送每个任务的 running 状态
+        const parallel = plan.meta.json.some(task => Array.isArray(task.depends_on));
+        if (!parallel && (status === 'success' || status === 'completed')) {
             //找到下一个task
             if (plan.meta.json[task_index + 1]) {
                 plan.meta.json[task_index + 1].status = 'running';
@@ -22,6 +22,11 @@ const service = {
         const response = await http.put(url, config)
         return response.data || {}
     },
+    async getSearchProviders() {
+        const url = "/api/search_provider_setting/providers"
+        const response = await http.get(url)
+        return response || []
+    },
     async checkSearchProvider(config) {
         const url = "/api/search_provider_setting/check_search_provider"
         const response = await http.post(url, config)
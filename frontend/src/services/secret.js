@@ -0,0 +1,18 @@
+import http from "@/utils/http.js";
+
+const service = {
+  list(){
+    const uri = `/api/secret`;
+    return http.get(uri);
+  },
+  save(name, value, description = ""){
+    const uri = `/api/secret`;
+    return http.post(uri, { name, value, description });
+  },
+  remove(name){
+    const uri = `/api/secret/${encodeURIComponent(name)}`;
+    return http.del(uri);
+  }
+};
+
+export default service;
@@ -14,6 +14,16 @@ const { write_code } = require('@src/runtime/utils/tools');
 const { v4: uuidv4 } = require("uuid");
 const path = require('path')
 const { getDirpath } = require('@src/utils/electron');
+const { resolveAgentToolPolicy } = require('@src/tools/registry');
+const { resolveApprovalPolicy, cancelApprovals } = require('@src/agent/approval/index');
+const { resolveBudget, startBudgetRun, endBudgetRun } = require('@src/agent/budget/index');
+const { saveCheckpoint, endCheckpointRun, loadLatestCheckpoint, restoreCheckpoint } = require('@src/agent/checkpoint/index');
+const { initWorkspaceRepo, commitTask } = require('@src/agent/git/index');
+const { resolveTaskConcurrency, hasDeclaredDependencies, resolveReadyTasks } = require('@src/agent/scheduler/index');
+const { scheduleLongTermMemoryExtraction } = require('@src/agent/memory/long-term');
+const { runResearch } = require('@src/agent/research/index');
+const mcp_client = require('@src/mcp/client');
+const { isSamplingEnabled } = require('@src/mcp/sampling');
 
 const LocalRuntime = require("@src/runtime/LocalRuntime")
 const DockerRuntime = require("@src/runtime/DockerRuntime");
@@ -31,6 +41,12 @@ const { retrieveAndFormatPreviousSummary } = require('./conversationHistoryUtils
 const { getAllFilesRecursively, getFilesMetadata, ensureDirectoryExists } = require('./fileUtils');
 const { createFilesVersion } = require('@src/utils/versionManager');
 
+// code-act 循环中按任务变化的 context 字段, 并行执行时不在任务之间共享
+const TASK_LOCAL_CONTEXT_KEYS = [
+  'task', 'task_id', 'current_task_id', 'memory', 'depth', 'reflection', 'retryCount',
+  'last_thinking', 'last_finish_status', 'last_terminal_failure', 'prompt_mode', '_errorFeedbackState',
+];
+
 class AgenticAgent {
   constructor(context = {}) {
     this.logs = [];
@@ -75,8 +91,8 @@ class AgenticAgent {
     return path.join(WORKSPACE_DIR, dir_name);
   }
 
-  // 初始化设置和自动回复
-  async _initialSetupAndAutoReply() {
+  // 连接运行时并确保工作目录存在
+  async _prepareRuntime() {
     const dockerRuntimeTypes = ['docker', 'e2b', 'local-docker'];
     if (dockerRuntimeTypes.includes(RUNTIME_TYPE)) {
       await this.context.runtime.connect_container()
@@ -84,6 +100,11 @@ class AgenticAgent {
     // 使用外部函数确保目录存在
     const conversationDirPath = await this._getConversationDirPath();
     await ensureDirectoryExists(conversationDirPath);
+  }
+
+  // 初始化设置和自动回复
+  async _initialSetupAndAutoReply() {
+    await this._prepareRuntime();
 
     // 生成静态文件访问地址（使用统一的 static.lemonai.ai 域名）
     if (RUNTIME_TYPE === 'docker' || RUNTIME_TYPE === 'e2b') {
@@ -107,9 +128,30 @@ class AgenticAgent {
   // 执行任务循环
   async _executeTasks() {
     console.log('====== start execute ======');
+    // Agent 工具开关 (enabled_tools / disabled_tools), 作用于 prompt / 校验 / native tools
+    this.context.tool_policy = await resolveAgentToolPolicy(this.context.agent_id);
+    // 高风险 action 审批策略 (Agent.approval_policy / approval-policy.json)
+    this.context.approval_policy = await resolveApprovalPolicy(this.context.agent_id);
+    // token / 费用 / 时长预算 (BUDGET_* < Agent.budget < Conversation.budget)
+    startBudgetRun(this.context.conversation_id);
+    this.context.budget = await resolveBudget(this.context);
+    // 工作区 git 仓库, 每个任务完成后提交一次
+    await initWorkspaceRepo(this.context);
     await this.run_loop();
   }
 
+  // 运行结束 (完成 / 失败 / 停止): 释放按会话保存的运行状态
+  _endRun() {
+    endCheckpointRun(this.context.conversation_id);
+    endBudgetRun(this.context.conversation_id);
+    // sampling 开启时 MCP 工具调用使用会话自己的连接
+    if (isSamplingEnabled()) {
+      mcp_client.closeConversationSessions(this.context.conversation_id).catch(error => {
+        console.error('[AgenticAgent] Failed to close MCP sessions:', error.message);
+      });
+    }
+  }
+
   // 生成最终输出
   async _generateFinalOutput() {
     const tasks = this.taskManager.getTasks();
@@ -170,6 +212,46 @@ class AgenticAgent {
     await this._generateFinalOutput();
   }
 
+  /**
+   * 从最近的检查点恢复 (进程崩溃 / 重启后)
+   * - 恢复任务计划与状态、未完成任务的记忆、工作区文件
+   * - 没有检查点时退化为 continue()
+   */
+  async resume() {
+    const checkpoint = await loadLatestCheckpoint(this.context.conversation_id);
+    if (!checkpoint) {
+      global.logging(this.context, 'AgenticAgent.resume', 'No checkpoint found, fallback to continue.');
+      await this._prepareRuntime();
+      return this.continue();
+    }
+
+    try {
+      await this._prepareRuntime();
+      const restored = await restoreCheckpoint(checkpoint, this.context);
+      const conversation = await Conversation.findOne({ where: { conversation_id: this.context.conversation_id } });
+      this.setGoal(conversation.dataValues.content);
+      const tasks = this.taskManager.getTasks();
+      this.context.tasks = tasks;
+      global.logging(this.context, 'AgenticAgent.resume', restored);
+      await this._publishMessage({ action_type: 'continue', status: 'success', content: 'Resuming from checkpoint...', json: tasks });
+      if (this.is_stop) return;
+
+      await this._executeTasks();
+      if (this.is_stop) return;
+
+      const finalResult = await this._generateFinalOutput();
+      await Conversation.update({ status: 'done' }, { where: { conversation_id: this.context.conversation_id } });
+      scheduleLongTermMemoryExtraction(this.context.conversation_id, this.context);
+      return finalResult;
+    } catch (error) {
+      await Conversation.update({ status: 'failed' }, { where: { conversation_id: this.context.conversation_id } });
+      global.logging(this.context, 'AgenticAgent.resume', 'error', error);
+      throw error;
+    } finally {
+      this._endRun();
+    }
+  }
+
   async run(goal = '') {
     this.setGoal(goal);
 
@@ -184,21 +266,32 @@ class AgenticAgent {
 
       if (this.is_stop) return;
 
-      await this._performPlanning();
-      if (this.is_stop) return;
+      let finalResult;
+      if (this.context.mode === 'research') {
+        // 深度研究: 子问题 -> 搜索 / 阅读 -> 带引用的报告
+        finalResult = await runResearch(this);
+        if (this.is_stop) return;
+      } else {
+        await this._performPlanning();
+        if (this.is_stop) return;
 
-      await this._executeTasks();
-      if (this.is_stop) return;
+        await this._executeTasks();
+        if (this.is_stop) return;
 
-      const finalResult = await this._generateFinalOutput();
+        finalResult = await this._generateFinalOutput();
+      }
 
       await Conversation.update({ status: 'done' }, { where: { conversation_id: this.context.conversation_id } });
+      // 后台提取长期记忆 (偏好 / 环境 / 项目), 供之后的对话规划使用
+      scheduleLongTermMemoryExtraction(this.context.conversation_id, this.context);
 
       return finalResult;
     } catch (error) {
       await Conversation.update({ status: 'failed' }, { where: { conversation_id: this.context.conversation_id } });
       global.logging(this.context, 'AgenticAgent.run', 'error', error);
       throw error;
+    } finally {
+      this._endRun();
     }
   }
 
@@ -214,6 +307,7 @@ class AgenticAgent {
       const options = {
         conversation_id: this.context.conversation_id,
         agent_id: this.context.agent_id,
+        user_id: this.context.user_id,
         planning_mode,
         files,
         previousResult,
@@ -223,6 +317,7 @@ class AgenticAgent {
       await this.taskManager.setTasks(plannedTasks);
       const tasks = this.taskManager.getTasks();
       this.context.tasks = tasks;
+      await saveCheckpoint(this.context, { action_type: 'plan' });
       await this._publishMessage({ action_type: 'plan', status: 'success', content: '', json: tasks });
 
       console.log('====== planning completed ======');
@@ -267,6 +362,7 @@ class AgenticAgent {
   async handle_task_status(task, status, details = {}) {
     const manager = this.taskManager;
     await manager.updateTaskStatus(task.id, status, details);
+    await saveCheckpoint(this.context, { task_id: task.id, action_type: `task_${status}` });
     this.logs.push({ timestamp: new Date(), message: `Executing task ${task.id}: ${task.requirement}` });
 
     await this._publishMessage({
@@ -309,12 +405,74 @@ class AgenticAgent {
         uuid,
         meta_content: todo_md
       });
+      await commitTask(this.context, task);
     }
   }
 
+  /**
+   * 执行单个任务 (一个 code-act 循环)
+   * @returns {Promise<'next'|'stop'>} stop: 任务失败或等待用户输入, 停止后续任务
+   */
+  async _runTask(task, context = this.context) {
+    const loggerKey = 'AgenticAgent.run_loop';
+    context.task = task;
+    try {
+      const result = await completeCodeAct(task, context);
+      global.logging(this.context, loggerKey, result);
+      task.memorized = result.memorized || '';
+      if (result.status === 'failure') {
+        await this.handle_task_status(task, 'failed', {
+          content: result.comments,
+          memorized: result.memorized || '',
+          comments: result.comments,
+        });
+        if (result.comments == "Insufficient credits balance") {
+          await Conversation.update({ status: 'stop' }, { where: { conversation_id: this.context.conversation_id } });
+        } else {
+          await Conversation.update({ status: 'failed' }, { where: { conversation_id: this.context.conversation_id } });
+        }
+        await this.stop();
+        return 'stop';
+      }
+
+      // 等待用户反馈输入, 暂停任务
+      if (result.status === 'pause_for_user_input') {
+        await this.handle_task_status(task, 'pause_for_user_input', {
+          content: result.params.question || '',
+          memorized: result.memorized || '',
+          params: result.params || {}
+        });
+        await this.stop(false);
+        return 'stop';
+      }
+      if (result.status === 'revise_plan') {
+        await this.handle_task_status(task, 'revise_plan', {
+          content: result.content || '',
+          memorized: result.memorized || '',
+          params: result.params || {}
+        });
+        return 'next';
+      }
+      await this.handle_task_status(task, 'completed', {
+        content: result.content,
+        memorized: result.memorized || ''
+      });
+    } catch (error) {
+      await this.handle_task_status(task, 'failed', { error: error.message });
+      global.logging(this.context, loggerKey, error);
+      global.safeExit && await global.safeExit(0);
+    }
+    return 'next';
+  }
+
   async run_loop() {
     const loggerKey = 'AgenticAgent.run_loop';
     const manager = this.taskManager;
+    // 回放时顺序执行, 模型调用的顺序与录制一致
+    const concurrency = this.context.replay ? 1 : resolveTaskConcurrency();
+    if (concurrency > 1 && hasDeclaredDependencies(manager.getTasks())) {
+      return this._run_parallel(concurrency);
+    }
     while (true) {
       const task = await manager.resolvePendingTask();
       if (!task) {
@@ -322,58 +480,71 @@ class AgenticAgent {
         return;
       }
       global.logging(this.context, loggerKey, task);
-      this.context.task = task;
-      try {
-        const result = await completeCodeAct(task, this.context);
-        global.logging(this.context, loggerKey, result);
-        task.memorized = result.memorized || '';
-        if (result.status === 'failure') {
-          await this.handle_task_status(task, 'failed', {
-            content: result.comments,
-            memorized: result.memorized || '',
-            comments: result.comments,
-          });
-          if (result.comments == "Insufficient credits balance") {
-            await Conversation.update({ status: 'stop' }, { where: { conversation_id: this.context.conversation_id } });
-          } else {
-            await Conversation.update({ status: 'failed' }, { where: { conversation_id: this.context.conversation_id } });
-          }
-          await this.stop();
-          return;
-        }
+      const state = await this._runTask(task);
+      if (state === 'stop') return;
+    }
+  }
 
-        // 等待用户反馈输入, 暂停任务
-        if (result.status === 'pause_for_user_input') {
-          await this.handle_task_status(task, 'pause_for_user_input', {
-            content: result.params.question || '',
-            memorized: result.memorized || '',
-            params: result.params || {}
-          });
-          await this.stop(false);
-          return;
-        }
-        if (result.status === 'revise_plan') {
-          await this.handle_task_status(task, 'revise_plan', {
-            content: result.content || '',
-            memorized: result.memorized || '',
-            params: result.params || {}
-          });
-          continue;
-        }
-        await this.handle_task_status(task, 'completed', {
-          content: result.content,
-          memorized: result.memorized || ''
-        });
-      } catch (error) {
-        await this.handle_task_status(task, 'failed', { error: error.message });
-        global.logging(this.context, loggerKey, error);
-        global.safeExit && await global.safeExit(0);
+  // 并行任务使用独立的 context: 记忆 / 重试计数 / 反思等按任务隔离, runtime / task_manager / 策略等共享
+  _createTaskContext(task) {
+    if (!this.context.generate_files) {
+      this.context.generate_files = [];
+    }
+    const context = { ...this.context };
+    for (const key of TASK_LOCAL_CONTEXT_KEYS) {
+      delete context[key];
+    }
+    context.task = task;
+    return context;
+  }
+
+  // 顶层任务及其子任务 (revise_plan decompose) 在同一个执行通道中顺序执行
+  async _runLane(task) {
+    const manager = this.taskManager;
+    const context = this._createTaskContext(task);
+    let current = await manager.resolvePendingTask([task]);
+    while (current && !this.is_stop) {
+      await this._publishMessage({ action_type: 'task', status: 'running', content: '', json: { status: 'running' }, task_id: current.id });
+      const state = await this._runTask(current, context);
+      if (state === 'stop') return state;
+      // revise_plan overwrite 替换了任务列表, 交给调度器重新选择
+      if (manager.getTaskById(task.id) !== task) return 'next';
+      current = await manager.resolvePendingTask([task]);
+    }
+    return 'next';
+  }
+
+  /**
+   * 按依赖关系并行执行任务, 依赖全部完成的任务在独立的 code-act 循环中执行
+   * @param {number} concurrency
+   */
+  async _run_parallel(concurrency) {
+    const loggerKey = 'AgenticAgent.run_parallel';
+    const manager = this.taskManager;
+    const running = new Map();
+    while (!this.is_stop) {
+      const ready = resolveReadyTasks(manager.getTasks(), new Set(running.keys()));
+      for (const task of ready) {
+        if (running.size >= concurrency) break;
+        global.logging(this.context, loggerKey, task);
+        running.set(task.id, this._runLane(task).then(state => ({ id: task.id, state })));
+      }
+      if (running.size === 0) {
+        global.logging(this.context, loggerKey, '====== no task ======');
+        return;
       }
+      const { id, state } = await Promise.race(running.values());
+      running.delete(id);
+      if (state === 'stop') break;
     }
+    // 已经开始的任务执行完成后再返回
+    await Promise.allSettled(running.values());
   }
 
   async stop(publish = true) {
     this.is_stop = true;
+    // 释放等待中的审批请求, 任务以暂停状态结束
+    await cancelApprovals(this.context.conversation_id);
     if (publish) {
       await this._publishMessage({ action_type: 'stop', status: 'success' });
     }
@@ -21,6 +21,7 @@ class TaskManager {
       requirement: task.requirement,
       status: task.status,
       parent_id: task.parent_id,
+      depends_on: task.depends_on || null,
     }));
     await Task.bulkCreate(tasksToSave);
   }
@@ -34,20 +35,74 @@ class TaskManager {
       item.status = item.status || 'pending';
       return item
     })
+    // 规划结果中的依赖为任务下标, 转换为任务ID
+    for (const item of this.tasks) {
+      if (!Array.isArray(item.depends_on)) continue;
+      item.depends_on = item.depends_on
+        .map(dep => typeof dep === 'number' ? (this.tasks[dep] && this.tasks[dep].id) : dep)
+        .filter(dep => dep && dep !== item.id);
+    }
 
     const tasksToSave = this.tasks.map(task => ({
       conversation_id: this.conversation_id,
       task_id: task.id,
       requirement: task.requirement,
       status: task.status,
+      depends_on: task.depends_on || null,
     }));
     sync && await Task.bulkCreate(tasksToSave);
   }
 
+  /**
+   * 在任务列表末尾追加任务 (深度研究的追问)
+   * @param {Array<Object>} tasks
+   * @returns {Promise<Array<Object>>} 追加的任务
+   */
+  async appendTasks(tasks = []) {
+    const prefix = (Date.now() / 1000).toFixed(0);
+    let index = this.tasks.length + 1;
+    const appended = tasks.map(item => {
+      item.requirement = item.description || item.requirement;
+      item.id = item.id || `${prefix}_000${index++}`;
+      item.status = item.status || 'pending';
+      return item;
+    });
+    this.tasks.push(...appended);
+    await this.bulkCreate(appended);
+    return appended;
+  }
+
   getTasks() {
     return this.tasks || [];
   }
 
+  /**
+   * 用检查点中的任务树覆盖当前任务 (内存 + Task 表)
+   * @param {Array<Object>} tasks
+   */
+  async restoreTasks(tasks = []) {
+    const rows = [];
+    const flatten = (list = [], parent_id = null) => {
+      for (const task of list) {
+        rows.push({
+          conversation_id: this.conversation_id,
+          task_id: task.id,
+          requirement: task.requirement || '',
+          status: task.status || 'pending',
+          memorized: task.memorized || null,
+          parent_id: task.parent_id || parent_id,
+          depends_on: task.depends_on || null,
+        });
+        flatten(task.children, task.id);
+      }
+    };
+    flatten(tasks);
+
+    await Task.destroy({ where: { conversation_id: this.conversation_id } });
+    await Task.bulkCreate(rows);
+    this.tasks = tasks;
+  }
+
   async loadTasks() {
     if (!this.conversation_id) {
       console.error("Error: Cannot load tasks without a conversation_id.");
@@ -78,6 +133,7 @@ class TaskManager {
           result: dataValues.result,
           memorized: dataValues.memorized,
           parent_id: dataValues.parent_id,
+          depends_on: dataValues.depends_on || undefined,
           children: []
         };
         taskMap.set(dataValues.task_id, value);
@@ -226,7 +282,11 @@ class TaskManager {
     }
   }
 
-  async resolvePendingTask() {
+  /**
+   * 第一个待执行的任务 (深度优先, 有子任务时返回子任务)
+   * @param {Array<Object>} [tasks] 查找范围, 默认为全部任务
+   */
+  async resolvePendingTask(tasks = this.getTasks()) {
     const getFirstPendingTask = (tasks = []) => {
       for (const task of tasks) {
         if (task.status !== 'pending' && task.status !== 'revise_plan' && task.status !== 'pause_for_user_input') {
@@ -244,7 +304,6 @@ class TaskManager {
       return null;
     };
 
-    const tasks = this.getTasks();
     return getFirstPendingTask(tasks);
   }
 
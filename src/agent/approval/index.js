@@ -0,0 +1,198 @@
+require('module-alias/register');
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require("uuid");
+
+const Message = require('@src/utils/message');
+const { ApprovalRequiredError } = require('@src/utils/errors');
+const { normalizeApprovalPolicy, evaluateApprovalPolicy, resolveCommandLine } = require('./policy');
+
+// 全局默认策略文件 (与 mcp-local.json 相同的放置方式), Agent.approval_policy 优先
+const policyFilepath = process.env.APPROVAL_POLICY_FILE || path.resolve(__dirname, '../../../approval-policy.json');
+
+// 等待中的审批请求: approval_id => { conversation_id, request, message, resolve, reject, timer }
+const pending = new Map();
+
+const PREVIEW_MAX_CHARS = 4000;
+
+const loadPolicyFile = () => {
+  try {
+    if (!fs.existsSync(policyFilepath)) return null;
+    return JSON.parse(fs.readFileSync(policyFilepath, 'utf-8'));
+  } catch (error) {
+    console.error('[approval] Failed to read approval policy file:', error.message);
+    return null;
+  }
+};
+
+/**
+ * 读取审批策略: Agent.approval_policy > approval-policy.json
+ * @param {number|string} agent_id
+ */
+const resolveApprovalPolicy = async (agent_id) => {
+  let raw = null;
+  if (agent_id) {
+    try {
+      const Agent = require('@src/models/Agent');
+      const agent = await Agent.findOne({ where: { id: agent_id } });
+      raw = agent && agent.dataValues.approval_policy;
+    } catch (error) {
+      console.error('[approval] Failed to load agent approval policy:', error.message);
+    }
+  }
+  return normalizeApprovalPolicy(raw || loadPolicyFile());
+};
+
+const truncate = (value) => {
+  const s = typeof value === 'string' ? value : JSON.stringify(value === undefined ? '' : value);
+  return s.length > PREVIEW_MAX_CHARS ? `${s.slice(0, PREVIEW_MAX_CHARS)}\n...[truncated ${s.length - PREVIEW_MAX_CHARS} chars]` : s;
+};
+
+// 展示给用户的 action 摘要
+const buildActionPreview = (action) => {
+  const params = action.params || {};
+  if (action.type === 'terminal_run') {
+    return { command: resolveCommandLine(params), cwd: params.cwd || '' };
+  }
+  return {
+    path: params.origin_path || params.path || '',
+    content: truncate(params.content !== undefined ? params.content : (params.diff !== undefined ? params.diff : params.code_block)),
+  };
+};
+
+const publish = async (context, msg) => {
+  try {
+    if (typeof context.onTokenStream === 'function') context.onTokenStream(msg);
+  } catch (error) {
+    console.error('[approval] Failed to stream approval message:', error.message);
+  }
+  try {
+    await Message.saveToDB(msg, context.conversation_id);
+  } catch (error) {
+    // saveToDB already logs
+  }
+};
+
+/**
+ * 保存并推送审批请求的最终状态, 前端据此隐藏审批按钮
+ * @param {Object} item pending 中的审批请求
+ * @param {'approved'|'rejected'|'timeout'|'cancelled'} status
+ * @param {string} [comment]
+ */
+const publishResult = async (item, status, comment = '') => {
+  const request = { ...item.request, status, comment };
+  const msg = { ...item.msg, status: status === 'approved' ? 'success' : 'failure', timestamp: new Date().valueOf(), meta: { ...item.msg.meta, json: request } };
+  await publish(item.context, msg);
+  return request;
+};
+
+/**
+ * 发送审批请求并等待用户决定
+ * @returns {Promise<{ approved: boolean, comment: string }>}
+ */
+const requestApproval = async ({ action, context, task_id, reason, timeout_ms }) => {
+  const approval_id = uuidv4();
+  const request = {
+    approval_id,
+    action_type: action.type,
+    preview: buildActionPreview(action),
+    reason,
+    timeout_ms,
+    status: 'pending',
+  };
+  const msg = Message.format({
+    uuid: approval_id,
+    status: 'running',
+    content: reason,
+    action_type: 'approval_request',
+    task_id,
+    // @ts-ignore
+    json: request,
+  });
+
+  const decision = new Promise((resolve, reject) => {
+    const timer = setTimeout(async () => {
+      const item = pending.get(approval_id);
+      pending.delete(approval_id);
+      if (item) await publishResult(item, 'timeout');
+      reject(new ApprovalRequiredError(`Approval timed out: ${reason}`, request));
+    }, timeout_ms);
+    pending.set(approval_id, { conversation_id: context.conversation_id, context, request, msg, resolve, reject, timer });
+  });
+
+  await publish(context, msg);
+  return decision;
+};
+
+/**
+ * 用户对审批请求做出决定
+ * @param {string} approval_id
+ * @param {{ approved: boolean, comment?: string, conversation_id?: string }} decision
+ * @returns {Promise<boolean>} 是否找到对应的审批请求
+ */
+const resolveApproval = async (approval_id, { approved, comment = '', conversation_id } = {}) => {
+  const item = pending.get(approval_id);
+  if (!item) return false;
+  if (conversation_id && item.conversation_id !== conversation_id) return false;
+  pending.delete(approval_id);
+  clearTimeout(item.timer);
+
+  await publishResult(item, approved ? 'approved' : 'rejected', comment);
+  item.resolve({ approved: !!approved, comment });
+  return true;
+};
+
+/**
+ * 当前会话等待中的审批请求
+ * @param {string} conversation_id
+ */
+const listPendingApprovals = (conversation_id) => {
+  const list = [];
+  for (const item of pending.values()) {
+    if (!conversation_id || item.conversation_id === conversation_id) list.push(item.request);
+  }
+  return list;
+};
+
+/**
+ * 取消会话中所有等待中的审批 (任务停止时), 等待方收到 ApprovalRequiredError
+ * @param {string} conversation_id
+ */
+const cancelApprovals = async (conversation_id, reason = 'Task stopped while waiting for approval') => {
+  for (const [approval_id, item] of Array.from(pending.entries())) {
+    if (item.conversation_id !== conversation_id) continue;
+    pending.delete(approval_id);
+    clearTimeout(item.timer);
+    await publishResult(item, 'cancelled');
+    item.reject(new ApprovalRequiredError(reason, item.request));
+  }
+};
+
+/**
+ * code-act 执行 action 前调用
+ * - 不需要审批: { approved: true }
+ * - 用户拒绝: { approved: false, comment }
+ * - 超时 / 任务停止: 抛出 ApprovalRequiredError (isPauseRequiredError), 任务暂停
+ * @param {{ type: string, params: Object }} action
+ * @param {Object} context
+ * @param {string} task_id
+ */
+const ensureActionApproved = async (action, context = {}, task_id) => {
+  if (context.approval_policy === undefined) {
+    context.approval_policy = await resolveApprovalPolicy(context.agent_id);
+  }
+  const { required, reason } = evaluateApprovalPolicy(action, context.approval_policy);
+  if (!required) return { approved: true, comment: '' };
+  return requestApproval({ action, context, task_id, reason, timeout_ms: context.approval_policy.timeout_ms });
+};
+
+module.exports = exports = {
+  resolveApprovalPolicy,
+  requestApproval,
+  ensureActionApproved,
+  resolveApproval,
+  listPendingApprovals,
+  cancelApprovals,
+};
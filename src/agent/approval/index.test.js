@@ -0,0 +1,48 @@
+require('module-alias/register');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const Message = require('@src/utils/message');
+const { requestApproval, resolveApproval, cancelApprovals } = require('./index');
+
+const action = { type: 'terminal_run', params: { command: 'rm -rf build' } };
+
+// 推送的审批消息
+const createContext = (conversation_id) => {
+  const published = [];
+  return { published, context: { conversation_id, onTokenStream: msg => published.push(msg) } };
+};
+
+const statusOf = (msg) => msg.meta.json.status;
+
+describe('approval requests', () => {
+  beforeEach(() => sinon.stub(Message, 'saveToDB').resolves());
+  afterEach(() => sinon.restore());
+
+  it('should publish the decision of the user', async () => {
+    const { published, context } = createContext('c1');
+    const decision = requestApproval({ action, context, task_id: 't1', reason: 'dangerous command', timeout_ms: 60000 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await resolveApproval(published[0].uuid, { approved: true })).to.equal(true);
+    expect(await decision).to.deep.equal({ approved: true, comment: '' });
+    expect(published.map(statusOf)).to.deep.equal(['pending', 'approved']);
+  });
+
+  it('should publish and save a timeout status', async () => {
+    const { published, context } = createContext('c2');
+    const error = await requestApproval({ action, context, task_id: 't1', reason: 'dangerous command', timeout_ms: 10 }).catch(err => err);
+    expect(error.message).to.contain('Approval timed out');
+    expect(published.map(statusOf)).to.deep.equal(['pending', 'timeout']);
+    expect(published[1].status).to.equal('failure');
+    expect(Message.saveToDB.lastCall.args[0].meta.json.status).to.equal('timeout');
+  });
+
+  it('should publish a cancelled status when the task stops', async () => {
+    const { published, context } = createContext('c3');
+    const decision = requestApproval({ action, context, task_id: 't1', reason: 'dangerous command', timeout_ms: 60000 }).catch(err => err);
+    await new Promise(resolve => setImmediate(resolve));
+    await cancelApprovals('c3');
+    expect((await decision).message).to.contain('Task stopped');
+    expect(published.map(statusOf)).to.deep.equal(['pending', 'cancelled']);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * 高风险 action 审批策略 (human-in-the-loop)
+ *
+ * 策略格式 (Agent.approval_policy 或项目根目录 approval-policy.json):
+ * {
+ *   "enabled": true,
+ *   "timeout_ms": 600000,
+ *   "rules": [
+ *     { "tools": ["terminal_run"], "command_pattern": "\\b(rm|curl)\\b|pip\\s+install", "description": "dangerous command" },
+ *     { "tools": ["write_code", "patch_code"], "allowed_paths": ["src/"], "description": "write outside src/" },
+ *     { "tools": ["terminal_run"] }
+ *   ]
+ * }
+ *
+ * - rules 之间为 OR 关系, 任意一条命中即需要审批
+ * - 单条 rule 内的条件为 AND 关系, 没有条件时该工具的每次调用都需要审批
+ *   - command_pattern: 正则, 匹配 terminal_run 的 "command args"
+ *   - path_pattern: 正则, 匹配写入路径 (相对 Conversation 工作目录)
+ *   - allowed_paths: 路径前缀白名单, 写入路径不在任何前缀下时命中
+ */
+const path = require('path');
+
+// 需要审批的 action 类型 (rule 未指定 tools 时的默认值)
+const RISKY_ACTIONS = ['terminal_run', 'write_code', 'patch_code', 'replace_code_block', 'write_file'];
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+};
+
+const compilePattern = (pattern) => {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    console.error(`[approval/policy] Invalid pattern "${pattern}":`, error.message);
+    return null;
+  }
+};
+
+/**
+ * 规范化策略, 无效配置视为关闭
+ * @param {Object} raw
+ * @returns {{ enabled: boolean, timeout_ms: number, rules: Array<Object> }}
+ */
+const normalizeApprovalPolicy = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return { enabled: false, timeout_ms: DEFAULT_TIMEOUT_MS, rules: [] };
+  }
+  const rules = (Array.isArray(raw.rules) ? raw.rules : []).filter(rule => rule && typeof rule === 'object').map(rule => {
+    const tools = toList(rule.tools || rule.tool);
+    return {
+      tools: tools.length > 0 ? tools : RISKY_ACTIONS,
+      command_pattern: compilePattern(rule.command_pattern),
+      path_pattern: compilePattern(rule.path_pattern),
+      allowed_paths: toList(rule.allowed_paths),
+      description: rule.description ? String(rule.description) : '',
+    };
+  });
+  const timeout = Number(raw.timeout_ms);
+  return {
+    enabled: raw.enabled !== false && rules.length > 0,
+    timeout_ms: Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_TIMEOUT_MS,
+    rules,
+  };
+};
+
+const resolveCommandLine = (params = {}) => {
+  const command = params.origin_command || [params.command, params.args].filter(item => item !== undefined && item !== null && String(item).trim()).join(' ');
+  return String(command || '').trim();
+};
+
+const normalizeActionPath = (value) => {
+  const raw = String(value || '').trim().replace(/\\/g, '/');
+  if (!raw) return '';
+  return path.posix.normalize(raw).replace(/^\.\//, '');
+};
+
+const isInsidePrefix = (filepath, prefix) => {
+  const normalizedPrefix = normalizeActionPath(prefix).replace(/\/+$/, '');
+  if (!normalizedPrefix || normalizedPrefix === '.') return !filepath.startsWith('../') && !filepath.startsWith('/');
+  return filepath === normalizedPrefix || filepath.startsWith(`${normalizedPrefix}/`);
+};
+
+const matchRule = (rule, action) => {
+  const { type, params = {} } = action;
+  if (!rule.tools.includes(type)) return false;
+
+  if (rule.command_pattern) {
+    if (type !== 'terminal_run') return false;
+    if (!rule.command_pattern.test(resolveCommandLine(params))) return false;
+  }
+
+  const filepath = normalizeActionPath(params.origin_path || params.path);
+  if (rule.path_pattern) {
+    if (!filepath || !rule.path_pattern.test(filepath)) return false;
+  }
+  if (rule.allowed_paths.length > 0) {
+    if (!filepath) return false;
+    if (rule.allowed_paths.some(prefix => isInsidePrefix(filepath, prefix))) return false;
+  }
+  return true;
+};
+
+const describeAction = (action) => {
+  const params = action.params || {};
+  if (action.type === 'terminal_run') return `terminal_run: ${resolveCommandLine(params)}`;
+  return `${action.type}: ${normalizeActionPath(params.origin_path || params.path)}`;
+};
+
+/**
+ * 判断 action 是否需要审批
+ * @param {{ type: string, params: Object }} action
+ * @param {ReturnType<normalizeApprovalPolicy>} policy
+ * @returns {{ required: boolean, reason: string }}
+ */
+const evaluateApprovalPolicy = (action, policy) => {
+  if (!action || !policy || !policy.enabled) return { required: false, reason: '' };
+  for (const rule of policy.rules) {
+    if (!matchRule(rule, action)) continue;
+    const detail = describeAction(action);
+    return {
+      required: true,
+      reason: rule.description ? `${rule.description} (${detail})` : `Approval required for ${detail}`,
+    };
+  }
+  return { required: false, reason: '' };
+};
+
+module.exports = exports = {
+  RISKY_ACTIONS,
+  normalizeApprovalPolicy,
+  evaluateApprovalPolicy,
+  resolveCommandLine,
+};
@@ -0,0 +1,32 @@
+const { expect } = require('chai');
+const { normalizeApprovalPolicy, evaluateApprovalPolicy } = require('./policy');
+
+describe('evaluateApprovalPolicy', () => {
+  const policy = normalizeApprovalPolicy({
+    rules: [
+      { tools: ['terminal_run'], command_pattern: '\\b(rm|curl)\\b|pip\\s+install', description: 'dangerous command' },
+      { tools: ['write_code', 'patch_code'], allowed_paths: ['src/'] },
+    ],
+  });
+
+  it('should be disabled without rules', () => {
+    expect(normalizeApprovalPolicy({ rules: [] }).enabled).to.equal(false);
+    expect(evaluateApprovalPolicy({ type: 'terminal_run', params: { command: 'rm' } }, normalizeApprovalPolicy(null)).required).to.equal(false);
+  });
+
+  it('should require approval for matching commands', () => {
+    const result = evaluateApprovalPolicy({ type: 'terminal_run', params: { command: 'pip', args: 'install requests' } }, policy);
+    expect(result.required).to.equal(true);
+    expect(result.reason).to.contain('dangerous command');
+  });
+
+  it('should not require approval for other commands', () => {
+    expect(evaluateApprovalPolicy({ type: 'terminal_run', params: { command: 'ls', args: '-la' } }, policy).required).to.equal(false);
+  });
+
+  it('should require approval when writing outside allowed paths', () => {
+    expect(evaluateApprovalPolicy({ type: 'write_code', params: { path: 'src/app.js' } }, policy).required).to.equal(false);
+    expect(evaluateApprovalPolicy({ type: 'write_code', params: { path: 'README.md' } }, policy).required).to.equal(true);
+    expect(evaluateApprovalPolicy({ type: 'patch_code', params: { path: 'src/../package.json' } }, policy).required).to.equal(true);
+  });
+});
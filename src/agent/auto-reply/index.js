@@ -32,7 +32,7 @@ const auto_reply_server = async (goal, conversation_id) => {
 const auto_reply_local = async (goal, conversation_id) => {
   // Call the model to get a response in English based on the goal
   const prompt = await resolveAutoReplyPrompt(goal);
-  const auto_reply = await call(prompt, conversation_id);
+  const auto_reply = await call(prompt, conversation_id, 'assistant', { temperature: 0, purpose: 'auto-reply' });
 
   return auto_reply
 }
@@ -0,0 +1,276 @@
+/**
+ * 预算控制 (token / 费用 / 时长), 按会话和任务两级
+ *
+ * - utils/llm.js 每次调用后 recordUsage 记录任务用量, 会话用量累计在 Conversation.input_tokens / output_tokens / cost
+ * - code-act 每次调用 LLM 前 enforceBudget, 预算耗尽时按 on_exceed 降级 (见 ./policy.js)
+ * - 降级状态只在本次运行内有效, 每次 run / continue / resume 重新开始
+ */
+const { v4: uuidv4 } = require("uuid");
+
+const Conversation = require('@src/models/Conversation');
+const Message = require('@src/utils/message');
+const { getCustomModel } = require('@src/utils/default_model');
+const { normalizeBudget, hasLimits, calcCost, evaluateLimits, describeExceeded } = require('./policy');
+
+// 环境变量中的默认预算
+const resolveDefaultBudget = () => ({
+  max_tokens: process.env.BUDGET_MAX_TOKENS,
+  max_cost: process.env.BUDGET_MAX_COST,
+  max_duration_minutes: process.env.BUDGET_MAX_DURATION_MINUTES,
+  task: {
+    max_tokens: process.env.BUDGET_TASK_MAX_TOKENS,
+    max_cost: process.env.BUDGET_TASK_MAX_COST,
+    max_duration_minutes: process.env.BUDGET_TASK_MAX_DURATION_MINUTES,
+  },
+  on_exceed: process.env.BUDGET_ON_EXCEED,
+  fallback_model: process.env.BUDGET_FALLBACK_MODEL,
+});
+
+const createScopeState = () => ({ extension: 1, cursor: 0, finalizing: false });
+
+// conversation_id => { started_at, scope, model, tasks: Map<task_id, { tokens, cost, scope }> }
+const states = new Map();
+
+const getState = (conversation_id) => {
+  if (!states.has(conversation_id)) {
+    states.set(conversation_id, { started_at: Date.now(), scope: createScopeState(), model: null, tasks: new Map() });
+  }
+  return states.get(conversation_id);
+};
+
+const getTaskState = (conversation_id, task_id) => {
+  const state = getState(conversation_id);
+  const key = String(task_id);
+  if (!state.tasks.has(key)) {
+    state.tasks.set(key, { tokens: 0, cost: 0, scope: createScopeState() });
+  }
+  return state.tasks.get(key);
+};
+
+/**
+ * 开始一次运行: 重置时长与降级状态
+ * @param {string} conversation_id
+ */
+const startBudgetRun = (conversation_id) => {
+  states.delete(conversation_id);
+  getState(conversation_id);
+};
+
+/**
+ * 运行结束: 释放会话的预算状态 (用量已累计在 Conversation 中)
+ * @param {string} conversation_id
+ */
+const endBudgetRun = (conversation_id) => {
+  states.delete(conversation_id);
+};
+
+/**
+ * 读取预算: BUDGET_* < Agent.budget < Conversation.budget
+ * @param {{ agent_id?: number|string, conversation_id: string }} context
+ */
+const resolveBudget = async ({ agent_id, conversation_id } = {}) => {
+  let agentBudget = null;
+  let conversationBudget = null;
+  try {
+    if (agent_id) {
+      const Agent = require('@src/models/Agent');
+      const agent = await Agent.findOne({ where: { id: agent_id } });
+      agentBudget = agent && agent.dataValues.budget;
+    }
+    if (conversation_id) {
+      const conversation = await Conversation.findOne({ where: { conversation_id } });
+      conversationBudget = conversation && conversation.dataValues.budget;
+    }
+  } catch (error) {
+    console.error('[budget] Failed to load budget settings:', error.message);
+  }
+  return normalizeBudget(resolveDefaultBudget(), agentBudget, conversationBudget);
+};
+
+/**
+ * 记录一次 LLM 调用的用量, 返回本次费用
+ * @param {{ conversation_id: string, task_id?: string, input_tokens: number, output_tokens: number, model_info?: Object }} usage
+ * @returns {number}
+ */
+const recordUsage = ({ conversation_id, task_id, input_tokens = 0, output_tokens = 0, model_info = {} }) => {
+  const cost = calcCost(model_info || {}, input_tokens, output_tokens);
+  // 只记录运行中的会话, 运行结束后的调用 (例如长期记忆提取) 不再创建状态
+  if (states.has(conversation_id) && task_id !== undefined && task_id !== null && task_id !== '') {
+    const taskState = getTaskState(conversation_id, task_id);
+    taskState.tokens += input_tokens + output_tokens;
+    taskState.cost += cost;
+  }
+  return cost;
+};
+
+/**
+ * downgrade 之后使用的模型 (utils/llm.js 优先使用)
+ * @param {string} conversation_id
+ */
+const getModelOverride = (conversation_id) => {
+  const state = states.get(conversation_id);
+  return state ? state.model : null;
+};
+
+const publish = async (context, { content, task_id, json }) => {
+  const msg = Message.format({
+    uuid: uuidv4(),
+    status: 'success',
+    content,
+    action_type: 'budget',
+    task_id,
+    // @ts-ignore
+    json,
+  });
+  try {
+    if (typeof context.onTokenStream === 'function') context.onTokenStream(msg);
+    await Message.saveToDB(msg, context.conversation_id);
+  } catch (error) {
+    console.error('[budget] Failed to publish budget message:', error.message);
+  }
+};
+
+const applyStrategy = async (strategy, { context, budget, scope, task_id, description, ratio }) => {
+  const state = getState(context.conversation_id);
+  // 放宽到当前用量之上 grace_ratio
+  const extend = () => {
+    scope.extension = Math.max(scope.extension, ratio) * (1 + budget.grace_ratio);
+  };
+  switch (strategy) {
+    case 'downgrade': {
+      if (!budget.fallback_model || state.model) return false;
+      const model_info = await getCustomModel(budget.fallback_model);
+      if (!model_info) {
+        console.warn(`[budget] Fallback model ${budget.fallback_model} not found`);
+        return false;
+      }
+      state.model = model_info;
+      extend();
+      await publish(context, { content: `Budget exceeded (${description}), switched to ${budget.fallback_model}`, task_id, json: { strategy, description, model: budget.fallback_model } });
+      return true;
+    }
+    case 'approval': {
+      const { requestApproval, resolveApprovalPolicy } = require('@src/agent/approval/index');
+      if (context.approval_policy === undefined) {
+        context.approval_policy = await resolveApprovalPolicy(context.agent_id);
+      }
+      // 超时 / 任务停止时抛出 ApprovalRequiredError, 由 code-act 暂停任务
+      const { approved } = await requestApproval({
+        action: { type: 'budget', params: { content: `Budget exceeded: ${description}. Approve to continue with ${Math.round(budget.grace_ratio * 100)}% more budget.` } },
+        context,
+        task_id,
+        reason: `Budget exceeded: ${description}`,
+        timeout_ms: context.approval_policy.timeout_ms,
+      });
+      if (!approved) return false;
+      extend();
+      return true;
+    }
+    case 'summarize': {
+      scope.finalizing = true;
+      await context.memory.addMessage(
+        'developer',
+        `Budget exhausted (${description}). Stop working on the task now: output <finish> with status SUCCESS if the goal is already met, otherwise FAILED, ` +
+        'and a message summarizing what was done, the produced files and what remains. Do not call any other tool.'
+      );
+      await publish(context, { content: `Budget exhausted (${description}), asking the agent to summarize`, task_id, json: { strategy, description } });
+      return true;
+    }
+    default:
+      return false;
+  }
+};
+
+// 本次运行的预算 (缓存在 context 上), 没有会话或未设置任何上限时返回 null
+const loadBudget = async (context) => {
+  if (!context.conversation_id) return null;
+  if (context.budget === undefined) {
+    context.budget = await resolveBudget(context);
+  }
+  const budget = context.budget;
+  return hasLimits(budget.conversation) || hasLimits(budget.task) ? budget : null;
+};
+
+// 会话预算优先, 其次任务预算
+const collectChecks = async (context, budget, task_id, task_started_at) => {
+  const state = getState(context.conversation_id);
+  const taskState = getTaskState(context.conversation_id, task_id);
+  const now = Date.now();
+
+  let conversationUsage = { tokens: 0, cost: 0 };
+  if (hasLimits(budget.conversation)) {
+    const conversation = await Conversation.findOne({ where: { conversation_id: context.conversation_id } });
+    if (conversation) {
+      conversationUsage = {
+        tokens: (conversation.dataValues.input_tokens || 0) + (conversation.dataValues.output_tokens || 0),
+        cost: Number(conversation.dataValues.cost) || 0,
+      };
+    }
+  }
+
+  return [
+    { name: 'conversation', scope: state.scope, limits: budget.conversation, usage: { ...conversationUsage, duration_ms: now - state.started_at } },
+    { name: 'task', scope: taskState.scope, limits: budget.task, usage: { tokens: taskState.tokens, cost: taskState.cost, duration_ms: now - task_started_at } },
+  ];
+};
+
+/**
+ * code-act 每次调用 LLM 前检查预算
+ * @param {Object} context
+ * @param {string} task_id
+ * @param {number} task_started_at
+ * @returns {Promise<{ status: 'ok' } | { status: 'stop', comments: string }>}
+ */
+const enforceBudget = async (context = {}, task_id, task_started_at = Date.now()) => {
+  const budget = await loadBudget(context);
+  if (!budget) return { status: 'ok' };
+
+  for (const { name, scope, limits, usage } of await collectChecks(context, budget, task_id, task_started_at)) {
+    const exceeded = evaluateLimits(limits, usage, scope.extension);
+    if (exceeded.length === 0) continue;
+    const description = describeExceeded(name, exceeded);
+    const ratio = Math.max(...exceeded.map(item => item.used / item.limit)) * scope.extension;
+    // summarize 之后仍超出: 结束任务
+    if (scope.finalizing) {
+      return { status: 'stop', comments: `Budget exhausted: ${description}` };
+    }
+    while (scope.cursor < budget.on_exceed.length) {
+      const strategy = budget.on_exceed[scope.cursor++];
+      console.log(`[budget] ${description}, applying ${strategy}`);
+      if (await applyStrategy(strategy, { context, budget, scope, task_id, description, ratio })) {
+        return { status: 'ok' };
+      }
+    }
+    return { status: 'stop', comments: `Budget exhausted: ${description}` };
+  }
+  return { status: 'ok' };
+};
+
+/**
+ * 只检查预算是否耗尽, 不执行降级策略 (深度研究等非 code-act 的循环使用)
+ * @param {Object} context
+ * @param {string} task_id
+ * @param {number} task_started_at
+ * @returns {Promise<{ status: 'ok' } | { status: 'stop', comments: string }>}
+ */
+const checkBudget = async (context = {}, task_id, task_started_at = Date.now()) => {
+  const budget = await loadBudget(context);
+  if (!budget) return { status: 'ok' };
+  for (const { name, scope, limits, usage } of await collectChecks(context, budget, task_id, task_started_at)) {
+    const exceeded = evaluateLimits(limits, usage, scope.extension);
+    if (exceeded.length > 0) {
+      return { status: 'stop', comments: `Budget exhausted: ${describeExceeded(name, exceeded)}` };
+    }
+  }
+  return { status: 'ok' };
+};
+
+module.exports = exports = {
+  resolveBudget,
+  startBudgetRun,
+  endBudgetRun,
+  recordUsage,
+  getModelOverride,
+  enforceBudget,
+  checkBudget,
+};
@@ -0,0 +1,120 @@
+/**
+ * 预算策略 (纯函数, 不依赖数据库)
+ *
+ * 配置格式 (BUDGET_* 环境变量 < Agent.budget < Conversation.budget, 按字段覆盖):
+ * {
+ *   "max_tokens": 2000000,              // 会话累计 token (输入 + 输出)
+ *   "max_cost": 5,                      // 会话累计费用 (Model.input_price / output_price, 每 1M tokens)
+ *   "max_duration_minutes": 60,         // 单次运行的时长
+ *   "task": { "max_tokens": 300000, "max_cost": 1, "max_duration_minutes": 15 },
+ *   "on_exceed": ["downgrade", "approval", "summarize"],
+ *   "fallback_model": "gpt-4o-mini",    // downgrade 使用的 Model.model_id
+ *   "grace_ratio": 0.2                  // downgrade / approval 后放宽的额度比例
+ * }
+ *
+ * 预算耗尽时按 on_exceed 顺序依次降级, 每种方式只使用一次:
+ * - downgrade: 切换到 fallback_model, 并放宽额度
+ * - approval: 请求用户批准追加额度, 拒绝时进入下一种方式
+ * - summarize: 要求模型立即 finish 并总结进度 (最后一次调用)
+ * 全部用完后任务以 failure 结束
+ */
+const STRATEGIES = ['downgrade', 'approval', 'summarize'];
+const DEFAULT_ON_EXCEED = ['summarize'];
+const DEFAULT_GRACE_RATIO = 0.2;
+
+const toLimit = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+const normalizeLimits = (raw = {}) => ({
+  max_tokens: toLimit(raw.max_tokens),
+  max_cost: toLimit(raw.max_cost),
+  max_duration_ms: toLimit(raw.max_duration_minutes) ? toLimit(raw.max_duration_minutes) * 60 * 1000 : null,
+});
+
+const normalizeStrategies = (value) => {
+  const list = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item || '').trim())
+    .filter(item => STRATEGIES.includes(item));
+  return list.length > 0 ? Array.from(new Set(list)) : DEFAULT_ON_EXCEED.slice();
+};
+
+/**
+ * 合并多层预算配置, 后面的覆盖前面的 (空值不覆盖)
+ * @param {...Object} layers
+ */
+const normalizeBudget = (...layers) => {
+  const merged = { task: {} };
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+    for (const [key, value] of Object.entries(layer)) {
+      if (value === undefined || value === null || value === '') continue;
+      if (key === 'task' && typeof value === 'object') {
+        for (const [k, v] of Object.entries(value)) {
+          if (v !== undefined && v !== null && v !== '') merged.task[k] = v;
+        }
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+  const grace = Number(merged.grace_ratio);
+  return {
+    conversation: normalizeLimits(merged),
+    task: normalizeLimits(merged.task),
+    on_exceed: normalizeStrategies(merged.on_exceed),
+    fallback_model: merged.fallback_model ? String(merged.fallback_model) : '',
+    grace_ratio: Number.isFinite(grace) && grace > 0 ? grace : DEFAULT_GRACE_RATIO,
+  };
+};
+
+const hasLimits = (limits = {}) => !!(limits.max_tokens || limits.max_cost || limits.max_duration_ms);
+
+/**
+ * 按模型价格 (每 1M tokens) 计算费用, 未配置价格时为 0
+ * @param {{ input_price?: number|string, output_price?: number|string }} price
+ */
+const calcCost = (price = {}, input_tokens = 0, output_tokens = 0) => {
+  const input = Number(price.input_price) || 0;
+  const output = Number(price.output_price) || 0;
+  return (input_tokens * input + output_tokens * output) / 1e6;
+};
+
+/**
+ * @param {{ max_tokens: number|null, max_cost: number|null, max_duration_ms: number|null }} limits
+ * @param {{ tokens?: number, cost?: number, duration_ms?: number }} usage
+ * @param {number} [extension] 放宽倍数
+ * @returns {Array<{ kind: 'tokens'|'cost'|'time', used: number, limit: number }>}
+ */
+const evaluateLimits = (limits = {}, usage = {}, extension = 1) => {
+  const exceeded = [];
+  const check = (kind, limit, used = 0) => {
+    if (!limit) return;
+    const effective = limit * extension;
+    if (used >= effective) exceeded.push({ kind, used, limit: effective });
+  };
+  check('tokens', limits.max_tokens, usage.tokens);
+  check('cost', limits.max_cost, usage.cost);
+  check('time', limits.max_duration_ms, usage.duration_ms);
+  return exceeded;
+};
+
+const formatValue = (kind, value) => {
+  if (kind === 'cost') return Number(value).toFixed(4);
+  if (kind === 'time') return `${Math.round(value / 1000)}s`;
+  return String(Math.round(value));
+};
+
+const describeExceeded = (scope, exceeded = []) => exceeded
+  .map(item => `${scope} ${item.kind} ${formatValue(item.kind, item.used)} / ${formatValue(item.kind, item.limit)}`)
+  .join(', ');
+
+module.exports = exports = {
+  STRATEGIES,
+  normalizeBudget,
+  hasLimits,
+  calcCost,
+  evaluateLimits,
+  describeExceeded,
+};
@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+
+const { normalizeBudget, hasLimits, calcCost, evaluateLimits, describeExceeded } = require('./policy');
+
+describe('normalizeBudget', () => {
+  it('should have no limits by default', () => {
+    const budget = normalizeBudget();
+    expect(hasLimits(budget.conversation)).to.equal(false);
+    expect(hasLimits(budget.task)).to.equal(false);
+    expect(budget.on_exceed).to.deep.equal(['summarize']);
+  });
+
+  it('should let later layers override earlier ones field by field', () => {
+    const env = { max_tokens: '1000', max_cost: '', task: { max_tokens: '100' }, on_exceed: 'downgrade,summarize' };
+    const agent = { max_cost: 2, task: { max_duration_minutes: 5 }, fallback_model: 'mini' };
+    const conversation = { max_tokens: 5000, on_exceed: ['approval', 'unknown'] };
+    const budget = normalizeBudget(env, agent, conversation);
+    expect(budget.conversation).to.deep.equal({ max_tokens: 5000, max_cost: 2, max_duration_ms: null });
+    expect(budget.task).to.deep.equal({ max_tokens: 100, max_cost: null, max_duration_ms: 5 * 60 * 1000 });
+    expect(budget.on_exceed).to.deep.equal(['approval']);
+    expect(budget.fallback_model).to.equal('mini');
+    expect(budget.grace_ratio).to.equal(0.2);
+  });
+});
+
+describe('evaluateLimits', () => {
+  it('should compute cost from per-1M-token prices', () => {
+    expect(calcCost({ input_price: 2, output_price: '8' }, 500000, 250000)).to.equal(3);
+    expect(calcCost({}, 1000, 1000)).to.equal(0);
+  });
+
+  it('should report exceeded limits, honouring extensions', () => {
+    const limits = { max_tokens: 1000, max_cost: 1, max_duration_ms: 60000 };
+    const exceeded = evaluateLimits(limits, { tokens: 1200, cost: 0.5, duration_ms: 61000 });
+    expect(exceeded.map(item => item.kind)).to.deep.equal(['tokens', 'time']);
+    expect(describeExceeded('task', exceeded)).to.equal('task tokens 1200 / 1000, task time 61s / 60s');
+    expect(evaluateLimits(limits, { tokens: 1200, cost: 0.5, duration_ms: 61000 }, 1.5)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,183 @@
+require('module-alias/register');
+require('dotenv').config();
+
+/**
+ * Agent 执行检查点
+ *
+ * 每个 action 之后记录: 任务计划 (含状态) / 当前任务 / 未完成任务的 LocalMemory / 工作区快照
+ * 进程崩溃或重启后, POST /api/agent/resume 从最近的检查点恢复并继续执行
+ * 并行任务的检查点按会话串行写入
+ */
+const path = require('path');
+
+const Checkpoint = require('@src/models/Checkpoint');
+const LocalMemory = require('@src/agent/memory/LocalMemory');
+const { getDirpath } = require('@src/utils/electron');
+const { resolveConversationDir } = require('@src/runtime/runtime.util');
+const { snapshotWorkspace, restoreWorkspace, collectGarbage } = require('./snapshot');
+
+const ENABLE_CHECKPOINT = process.env.ENABLE_CHECKPOINT || 'ON';
+// 每个会话保留的检查点数量
+const CHECKPOINT_KEEP = parseInt(process.env.CHECKPOINT_KEEP || '20', 10) || 20;
+const CHECKPOINT_MAX_FILE_SIZE = parseInt(process.env.CHECKPOINT_MAX_FILE_SIZE || '', 10) || undefined;
+
+const cache_dir = getDirpath('Caches/checkpoint');
+
+const resolveBlobDir = (conversation_id) => path.resolve(cache_dir, conversation_id.slice(0, 6), 'blobs');
+
+const clone = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+// conversation_id => { seq, manifest, queue }
+const states = new Map();
+
+const getState = (conversation_id) => {
+  if (!states.has(conversation_id)) {
+    states.set(conversation_id, { seq: undefined, manifest: {}, queue: Promise.resolve() });
+  }
+  return states.get(conversation_id);
+};
+
+// 未完成任务 (含子任务) 的记忆, 并行执行时可能有多个
+const collectMemories = async (conversation_id, tasks = []) => {
+  const memories = {};
+  const visit = async (list = []) => {
+    for (const task of list) {
+      if (task.status !== 'completed' && task.status !== 'failed') {
+        const memory = new LocalMemory({ memory_dir: conversation_id.slice(0, 6), key: task.id });
+        const messages = await memory.getMessages();
+        if (messages.length > 0) memories[task.id] = messages;
+      }
+      await visit(task.children);
+    }
+  };
+  await visit(tasks);
+  return memories;
+};
+
+/**
+ * 最近的检查点
+ * @param {string} conversation_id
+ */
+const loadLatestCheckpoint = async (conversation_id) => {
+  const checkpoint = await Checkpoint.findOne({
+    where: { conversation_id },
+    order: [['seq', 'DESC']]
+  });
+  return checkpoint ? checkpoint.dataValues : null;
+};
+
+const pruneCheckpoints = async (conversation_id) => {
+  const rows = await Checkpoint.findAll({
+    where: { conversation_id },
+    attributes: ['id', 'workspace'],
+    order: [['seq', 'DESC']]
+  });
+  if (rows.length <= CHECKPOINT_KEEP) return;
+  const expired = rows.slice(CHECKPOINT_KEEP).map(row => row.id);
+  await Checkpoint.destroy({ where: { id: expired } });
+  collectGarbage(resolveBlobDir(conversation_id), rows.slice(0, CHECKPOINT_KEEP).map(row => row.workspace));
+};
+
+const writeCheckpoint = async (context, options, state) => {
+  const { conversation_id } = context;
+  if (state.seq === undefined) {
+    const latest = await loadLatestCheckpoint(conversation_id);
+    state.seq = latest ? latest.seq : 0;
+    state.manifest = latest && latest.workspace ? latest.workspace.files : {};
+  }
+
+  const tasks = context.task_manager ? context.task_manager.getTasks() : (context.tasks || []);
+  const memory = await collectMemories(conversation_id, tasks);
+  const workspace = snapshotWorkspace(resolveConversationDir(context), resolveBlobDir(conversation_id), {
+    previous: state.manifest,
+    max_file_size: CHECKPOINT_MAX_FILE_SIZE,
+  });
+
+  state.seq += 1;
+  state.manifest = workspace.files;
+  const checkpoint = await Checkpoint.create({
+    conversation_id,
+    seq: state.seq,
+    task_id: options.task_id || context.current_task_id || null,
+    action_type: options.action_type || '',
+    tasks: clone(tasks),
+    memory: clone(memory),
+    workspace,
+  });
+  await pruneCheckpoints(conversation_id);
+  return checkpoint;
+};
+
+/**
+ * 记录检查点 (best-effort, 失败不影响任务执行)
+ * @param {Object} context AgenticAgent context
+ * @param {{ task_id?: string, action_type?: string }} [options]
+ */
+const saveCheckpoint = async (context = {}, options = {}) => {
+  if (ENABLE_CHECKPOINT !== 'ON' || !context.conversation_id) return null;
+  // 子 Agent (delegate_agent) 的执行属于父任务的一个 action, 由父任务记录检查点
+  if (context.delegation) return null;
+  const state = getState(context.conversation_id);
+  const run = state.queue.then(() => writeCheckpoint(context, options, state));
+  state.queue = run.catch(() => null);
+  try {
+    return await run;
+  } catch (error) {
+    console.error('[checkpoint] Failed to save checkpoint:', error.message);
+    return null;
+  }
+};
+
+/**
+ * 运行结束: 等待排队中的检查点写完后释放会话状态
+ * @param {string} conversation_id
+ */
+const endCheckpointRun = (conversation_id) => {
+  const state = states.get(conversation_id);
+  if (!state) return;
+  const queue = state.queue;
+  queue.then(() => {
+    // 期间又写入了检查点 (新的运行已经开始) 时保留
+    if (states.get(conversation_id) === state && state.queue === queue) states.delete(conversation_id);
+  });
+};
+
+/**
+ * 从检查点恢复任务计划 / 任务记忆 / 工作区
+ * @param {Object} checkpoint loadLatestCheckpoint 的返回值
+ * @param {Object} context AgenticAgent context (需要 task_manager)
+ */
+const restoreCheckpoint = async (checkpoint, context = {}) => {
+  const { conversation_id } = context;
+  const tasks = checkpoint.tasks || [];
+  if (context.task_manager) {
+    await context.task_manager.restoreTasks(tasks);
+  }
+
+  for (const [task_id, messages] of Object.entries(checkpoint.memory || {})) {
+    const memory = new LocalMemory({ memory_dir: conversation_id.slice(0, 6), key: task_id });
+    await memory._saveMemory(messages || []);
+  }
+
+  const workspace = restoreWorkspace(resolveConversationDir(context), resolveBlobDir(conversation_id), checkpoint.workspace || { files: {} });
+  if (workspace.missing.length > 0) {
+    console.warn(`[checkpoint] ${workspace.missing.length} files could not be restored:`, workspace.missing);
+  }
+
+  const state = getState(conversation_id);
+  state.seq = checkpoint.seq;
+  state.manifest = (checkpoint.workspace && checkpoint.workspace.files) || {};
+  return {
+    seq: checkpoint.seq,
+    task_id: checkpoint.task_id,
+    restored_files: workspace.restored,
+    missing_files: workspace.missing,
+  };
+};
+
+module.exports = exports = {
+  saveCheckpoint,
+  endCheckpointRun,
+  loadLatestCheckpoint,
+  restoreCheckpoint,
+};
@@ -0,0 +1,163 @@
+/**
+ * 工作区快照 (content-addressed)
+ *
+ * - 文件内容按 sha1 存储在 blob 目录中, 相同内容只保存一份
+ * - manifest: { [relative_path]: { hash, size, mtime_ms } }
+ * - 与上一份 manifest 的 size/mtime 一致时复用 hash, 避免每个 action 都重新读取整个工作区
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 依赖 / 缓存目录不进入快照, 可由 runtime 重新生成
+const IGNORED_DIRS = new Set(['node_modules', '.git', '__pycache__', '.venv', 'venv', '.cache']);
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const hashFile = (filepath) => {
+  return crypto.createHash('sha1').update(fs.readFileSync(filepath)).digest('hex');
+};
+
+const toPosix = (value) => value.split(path.sep).join('/');
+
+const walk = (root, dir = root, files = []) => {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+  for (const ent of entries) {
+    const filepath = path.join(dir, ent.name);
+    if (ent.isDirectory()) {
+      if (IGNORED_DIRS.has(ent.name)) continue;
+      walk(root, filepath, files);
+    } else if (ent.isFile()) {
+      files.push(filepath);
+    }
+  }
+  return files;
+};
+
+/**
+ * 为工作区生成快照, 新内容写入 blob_dir
+ * @param {string} workspace_dir
+ * @param {string} blob_dir
+ * @param {Object} [options]
+ * @param {Object} [options.previous] 上一份 manifest
+ * @param {number} [options.max_file_size] 超过该大小的文件只记录, 不保存内容
+ * @returns {{ files: Object, skipped: string[] }}
+ */
+const snapshotWorkspace = (workspace_dir, blob_dir, options = {}) => {
+  const previous = options.previous || {};
+  const max_file_size = options.max_file_size || DEFAULT_MAX_FILE_SIZE;
+  const files = {};
+  const skipped = [];
+  if (!workspace_dir || !fs.existsSync(workspace_dir)) return { files, skipped };
+  fs.mkdirSync(blob_dir, { recursive: true });
+
+  for (const filepath of walk(workspace_dir)) {
+    const rel = toPosix(path.relative(workspace_dir, filepath));
+    let stat;
+    try {
+      stat = fs.statSync(filepath);
+    } catch (error) {
+      continue;
+    }
+    if (stat.size > max_file_size) {
+      skipped.push(rel);
+      continue;
+    }
+    const prev = previous[rel];
+    const unchanged = prev && prev.size === stat.size && prev.mtime_ms === stat.mtimeMs
+      && fs.existsSync(path.join(blob_dir, prev.hash));
+    let hash = unchanged ? prev.hash : '';
+    if (!hash) {
+      try {
+        hash = hashFile(filepath);
+      } catch (error) {
+        // 文件在遍历过程中被删除 / 无权限
+        continue;
+      }
+      const blob = path.join(blob_dir, hash);
+      if (!fs.existsSync(blob)) fs.copyFileSync(filepath, blob);
+    }
+    files[rel] = { hash, size: stat.size, mtime_ms: stat.mtimeMs };
+  }
+  return { files, skipped };
+};
+
+/**
+ * 将工作区恢复到快照状态
+ * - 缺失或内容不同的文件从 blob 恢复
+ * - 快照之后新建的文件保留 (不删除用户文件), 在 extra 中返回
+ * @param {string} workspace_dir
+ * @param {string} blob_dir
+ * @param {{ files: Object, skipped?: string[] }} snapshot
+ * @returns {{ restored: string[], missing: string[], extra: string[] }}
+ */
+const restoreWorkspace = (workspace_dir, blob_dir, snapshot = { files: {} }) => {
+  const restored = [];
+  const missing = [];
+  const files = snapshot.files || {};
+  fs.mkdirSync(workspace_dir, { recursive: true });
+
+  for (const [rel, item] of Object.entries(files)) {
+    const target = path.resolve(workspace_dir, rel);
+    // manifest 中的路径必须位于工作区内
+    if (!target.startsWith(path.resolve(workspace_dir) + path.sep)) continue;
+    const blob = path.join(blob_dir, item.hash);
+    if (!fs.existsSync(blob)) {
+      missing.push(rel);
+      continue;
+    }
+    let same = false;
+    try {
+      same = fs.statSync(target).size === item.size && hashFile(target) === item.hash;
+    } catch (error) {
+      same = false;
+    }
+    if (same) continue;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(blob, target);
+    restored.push(rel);
+  }
+
+  const known = new Set([...Object.keys(files), ...(snapshot.skipped || [])]);
+  const extra = walk(workspace_dir)
+    .map(filepath => toPosix(path.relative(workspace_dir, filepath)))
+    .filter(rel => !known.has(rel));
+  return { restored, missing, extra };
+};
+
+/**
+ * 删除不再被任何快照引用的 blob
+ * @param {string} blob_dir
+ * @param {Array<{ files: Object }>} snapshots 仍保留的快照
+ * @returns {number} 删除数量
+ */
+const collectGarbage = (blob_dir, snapshots = []) => {
+  if (!fs.existsSync(blob_dir)) return 0;
+  const referenced = new Set();
+  for (const snapshot of snapshots) {
+    for (const item of Object.values((snapshot && snapshot.files) || {})) {
+      referenced.add(item.hash);
+    }
+  }
+  let removed = 0;
+  for (const name of fs.readdirSync(blob_dir)) {
+    if (referenced.has(name)) continue;
+    try {
+      fs.unlinkSync(path.join(blob_dir, name));
+      removed++;
+    } catch (error) {
+      // ignore
+    }
+  }
+  return removed;
+};
+
+module.exports = exports = {
+  snapshotWorkspace,
+  restoreWorkspace,
+  collectGarbage,
+};
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { snapshotWorkspace, restoreWorkspace, collectGarbage } = require('./snapshot');
+
+describe('checkpoint/snapshot', () => {
+  let root;
+  let workspace;
+  let blobs;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+    workspace = path.join(root, 'workspace');
+    blobs = path.join(root, 'blobs');
+    fs.mkdirSync(path.join(workspace, 'src'), { recursive: true });
+    fs.mkdirSync(path.join(workspace, 'node_modules', 'pkg'), { recursive: true });
+    fs.writeFileSync(path.join(workspace, 'todo.md'), '# todo');
+    fs.writeFileSync(path.join(workspace, 'src', 'a.js'), 'console.log(1)');
+    fs.writeFileSync(path.join(workspace, 'node_modules', 'pkg', 'index.js'), 'ignored');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores file contents by hash and skips ignored directories', () => {
+    const snapshot = snapshotWorkspace(workspace, blobs);
+    expect(Object.keys(snapshot.files).sort()).to.deep.equal(['src/a.js', 'todo.md']);
+    expect(fs.readdirSync(blobs)).to.have.length(2);
+  });
+
+  it('records oversized files without storing them', () => {
+    fs.writeFileSync(path.join(workspace, 'big.bin'), Buffer.alloc(64));
+    const snapshot = snapshotWorkspace(workspace, blobs, { max_file_size: 32 });
+    expect(snapshot.skipped).to.deep.equal(['big.bin']);
+    expect(snapshot.files).to.not.have.property('big.bin');
+  });
+
+  it('restores modified and deleted files and keeps newer files', () => {
+    const snapshot = snapshotWorkspace(workspace, blobs);
+    fs.writeFileSync(path.join(workspace, 'src', 'a.js'), 'broken');
+    fs.unlinkSync(path.join(workspace, 'todo.md'));
+    fs.writeFileSync(path.join(workspace, 'new.txt'), 'new');
+
+    const result = restoreWorkspace(workspace, blobs, snapshot);
+    expect(result.restored.sort()).to.deep.equal(['src/a.js', 'todo.md']);
+    expect(result.extra).to.include('new.txt');
+    expect(fs.readFileSync(path.join(workspace, 'src', 'a.js'), 'utf-8')).to.equal('console.log(1)');
+    expect(fs.readFileSync(path.join(workspace, 'todo.md'), 'utf-8')).to.equal('# todo');
+  });
+
+  it('removes blobs no longer referenced by any snapshot', () => {
+    const first = snapshotWorkspace(workspace, blobs);
+    fs.writeFileSync(path.join(workspace, 'src', 'a.js'), 'console.log(2)');
+    const second = snapshotWorkspace(workspace, blobs, { previous: first.files });
+    expect(fs.readdirSync(blobs)).to.have.length(3);
+    expect(collectGarbage(blobs, [second])).to.equal(1);
+    expect(fs.readdirSync(blobs)).to.have.length(2);
+  });
+});
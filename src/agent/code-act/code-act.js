@@ -1,7 +1,11 @@
 const thinking = require("./thinking");
 
 const LocalMemory = require("@src/agent/memory/LocalMemory");
-const { isPauseRequiredError } = require("@src/utils/errors");
+const { isPauseRequiredError, isApprovalRequiredError } = require("@src/utils/errors");
+const { ensureActionApproved } = require("@src/agent/approval/index");
+const { saveCheckpoint } = require("@src/agent/checkpoint/index");
+const { withFileLock } = require("@src/agent/scheduler/file-lock");
+const { enforceBudget } = require("@src/agent/budget/index");
 
 // Reflection module
 const reflection = require("@src/agent/reflection/index");
@@ -12,7 +16,7 @@ const MAX_RETRY_TIMES = 10;
 const MAX_TOTAL_RETRIES = 0;
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-const { resolveActions, resolveActionsFromLLMOutput } = require("@src/xml/index");
+const { resolveActions, resolveActionsFromLLMOutput, convertToolCallToXml } = require("@src/xml/index");
 
 const { finish_action, retryHandle } = require("./code-act.common");
 
@@ -71,25 +75,8 @@ function buildInvalidOutputPreview(text, maxChars = 8000) {
 
 // Detect unsupported non-XML tool call formats (often emitted by some models)
 // so we can give a targeted correction message instead of a generic "could not resolve action".
-const LEMON_XML_TOOL_TYPES = new Set([
-  'finish',
-  'patch_code',
-  'write_code',
-  'replace_code_block',
-  'write_file',
-  'read_file',
-  'revise_plan',
-  'terminal_run',
-  'web_search',
-  'read_url',
-  'browser',
-  'mcp_tool',
-  'evaluation',
-  'document_query',
-  'document_upload',
-  'patch_complete',
-  'information',
-]);
+// Supported tool names come from the tool registry (core actions + builtin + plugin tools).
+const toolRegistry = require("@src/tools/registry");
 
 function extractNonXmlToolName(invalidText) {
   const s = asTrimmedString(invalidText);
@@ -110,7 +97,7 @@ function isUnsupportedNonXmlToolCall(invalidText) {
   const toolName = extractNonXmlToolName(invalidText);
   if (!toolName) return false;
   // If the tool name is not a Lemon AI XML tool, treat it as unsupported.
-  return !LEMON_XML_TOOL_TYPES.has(toolName);
+  return !toolRegistry.isKnownActionType(toolName);
 }
 
 function buildUnsupportedToolCorrectionMessage(toolName) {
@@ -275,7 +262,9 @@ function serializeActionToXml(action) {
     return `<read_file><path>${xmlEscapeText(p.path || "")}</path></read_file>`;
   }
   if (type === "read_url") {
-    return `<read_url><url>${xmlEscapeText(p.url || "")}</url></read_url>`;
+    const offset = p.offset !== undefined ? `<offset>${xmlEscapeText(p.offset)}</offset>` : "";
+    const length = p.length !== undefined ? `<length>${xmlEscapeText(p.length)}</length>` : "";
+    return `<read_url><url>${xmlEscapeText(p.url || "")}</url>${offset}${length}</read_url>`;
   }
   if (type === "web_search") {
     const n = p.num_results !== undefined ? `<num_results>${xmlEscapeText(p.num_results)}</num_results>` : "";
@@ -287,6 +276,12 @@ function serializeActionToXml(action) {
     return `<mcp_tool><name>${xmlEscapeText(p.name || "")}</name>${args}</mcp_tool>`;
   }
 
+  // Registry tools (e.g. plugin tools): generic serialization from params
+  if (toolRegistry.isKnownActionType(type)) {
+    const xml = convertToolCallToXml(type, p);
+    if (xml) return xml;
+  }
+
   // Unknown tool: keep something that won't crash XML parsing on re-read
   return `<evaluation><status>failure</status><comments>${wrapCData(
     `Invalid tool call: unknown action type "${type}".`
@@ -530,49 +525,18 @@ function isPlainObject(v) {
  *
  * IMPORTANT:
  * - Do NOT depend on task.tools (it can be empty/undefined even when runtime has tools).
- * - If the registry cannot be loaded, we fall back to permissive behavior (no type gating)
- *   and rely on per-tool arg validation below.
+ * - Per-agent enable/disable lists are applied separately (see validateActionArgs).
  */
 function getAllowedActionTypesFromRegistry() {
-  const set = new Set();
+  const set = new Set(toolRegistry.getActionTypes());
 
   // Always allow these control actions
   set.add("parse_error");
   set.add("pause_for_user_input");
   set.add("revise_plan");
   set.add("finish");
-  // Best-effort: load tool registry (same module the runtime uses).
-  // Depending on packaging, the registry may live at different paths.
-  const candidates = [
-    "@src/tools/index.js",
-    "@src/tools/index",
-    "../../tools/index.js",
-    "../../tools/index",
-  ];
-
-
-  for (const modPath of candidates) {
-    try {
-      // eslint-disable-next-line import/no-dynamic-require, global-require
-      const reg = require(modPath);
-      if (reg && typeof reg === "object") {
-        // Common shapes:
-        //  - { toolName: ToolClassOrFactory, ... }
-        //  - { tools: { toolName: ..., ... } }
-        const obj = reg.tools && typeof reg.tools === "object" ? reg.tools : reg;
-        for (const name of Object.keys(obj)) {
-          if (typeof name === "string" && name.trim()) set.add(name.trim());
-        }
-        // If we successfully loaded, stop.
-        break;
-      }
-    } catch (e) {
-      // ignore and try next
-    }
-  }
 
   return set;
-
 }
 
 
@@ -587,7 +551,7 @@ function getAllowedActionTypesFromRegistry() {
  *   - add a developer correction message (without the invalid XML)
  *   - retry inference
  */
-function validateActionArgs(action) {
+function validateActionArgs(action, context = {}) {
   if (!action || typeof action !== "object") {
     return { ok: false, error_message: "Invalid action object." };
   }
@@ -605,6 +569,14 @@ function validateActionArgs(action) {
     };
   }
 
+  // Per-agent tool policy (Agent.enabled_tools / Agent.disabled_tools)
+  if (!toolRegistry.isToolAllowed(type, context.tool_policy)) {
+    return {
+      ok: false,
+      error_message: `Tool "${type}" is disabled for this agent. Use only the tools listed in the prompt.`,
+    };
+  }
+
   // Control actions accepted as-is (handled elsewhere)
   if (
     type === "parse_error" ||
@@ -641,6 +613,19 @@ function validateActionArgs(action) {
       if (!urlRegex.test(p.url.trim())) {
         return { ok: false, error_message: "Invalid tool call: read_url <url> must start with http:// or https://." };
       }
+      // Optional: offset (integer >= 0) / length (positive integer), paged reads of long documents
+      if (p.offset !== undefined && p.offset !== "") {
+        const n = Number(p.offset);
+        if (!Number.isInteger(n) || n < 0) {
+          return { ok: false, error_message: "Invalid tool call: read_url <offset> must be a non-negative integer." };
+        }
+      }
+      if (p.length !== undefined && p.length !== "") {
+        const n = Number(p.length);
+        if (!Number.isInteger(n) || n <= 0) {
+          return { ok: false, error_message: "Invalid tool call: read_url <length> must be a positive integer." };
+        }
+      }
       return { ok: true };
     }
 
@@ -709,9 +694,19 @@ function validateActionArgs(action) {
       return { ok: true };
     }
 
-    default:
-      // Allowed but not explicitly validated here (future tools). Keep permissive if the task allows it.
+    default: {
+      // Registry tools without a dedicated branch (e.g. plugin tools): check JSON schema required fields only.
+      const tool = toolRegistry.getTool(type);
+      const required = tool && tool.params && Array.isArray(tool.params.required) ? tool.params.required : [];
+      const missing = required.filter((key) => p[key] === undefined || p[key] === null || p[key] === "");
+      if (missing.length > 0) {
+        return {
+          ok: false,
+          error_message: `Invalid tool call: ${type} requires ${missing.map((key) => `<${key}>`).join(", ")}.`,
+        };
+      }
       return { ok: true };
+    }
   }
 }
 
@@ -745,7 +740,7 @@ const completeCodeAct = async (task = {}, context = {}) => {
 
   // Initialize memory and runtime
   const memory_dir = context.conversation_id.slice(0, 6);
-  const memory = new LocalMemory({ memory_dir: memory_dir, key: task_id });
+  const memory = new LocalMemory({ memory_dir: memory_dir, key: task_id, conversation_id: context.conversation_id });
   context.memory = memory;
   memory._loadMemory();
   // @ts-ignore
@@ -820,16 +815,43 @@ const completeCodeAct = async (task = {}, context = {}) => {
     return { purged: 0 };
   };
 
+  // context.stats 在并行任务的 context 之间共享 (评测统计重试次数)
+  const countRetry = () => {
+    if (context.stats) context.stats.retries = (context.stats.retries || 0) + 1;
+  };
+
   const handleRetry = async () => {
     retryCount++;
     totalRetryAttempts++;
+    countRetry();
     context.retryCount = retryCount;
     await delay(500);
   }
 
+  // Durable checkpoint marker: set after each executed action, flushed at the start of the next round
+  // (after the action result has been recorded in memory).
+  let pendingCheckpoint = "task_start";
+  // Task-level wall-clock budget starts here.
+  const taskStartedAt = Date.now();
+
   // Main execution loop
   while (true) {
     try {
+      // 0. Checkpoint (plan / current task / memory / workspace) for POST /api/agent/resume
+      if (pendingCheckpoint) {
+        await saveCheckpoint(context, { task_id: task.id, action_type: pendingCheckpoint });
+        pendingCheckpoint = "";
+      }
+
+      // 0.5 Budget (tokens / cost / time): may switch model, ask for approval or force a final summary
+      const budgetCheck = await enforceBudget(context, task.id, taskStartedAt);
+      if (budgetCheck.status === "stop") {
+        return {
+          status: "failure",
+          comments: budgetCheck.comments,
+        };
+      }
+
       // 1. LLM thinking
       await maybeRevalidateErrorFeedback(context, task.id);
       context.depth = depth || 1;
@@ -979,7 +1001,7 @@ const completeCodeAct = async (task = {}, context = {}) => {
         // For multi-action outputs, we do NOT force a full retry on a single invalid action:
         // we convert it into an evaluation failure and keep processing remaining actions.
         if (action && action.type && action.type !== "parse_error") {
-          const v = validateActionArgs(action);
+          const v = validateActionArgs(action, context);
           if (!v.ok) {
             const msg =
               (v.error_message || "Invalid tool call. Please output ONLY valid XML tool calls with required arguments.") +
@@ -1091,8 +1113,26 @@ const completeCodeAct = async (task = {}, context = {}) => {
           continue;
         }
 
-        // 5. Execute action
-        const action_result = await context.runtime.execute_action(action, context, task.id);
+        // 4.5 Human-in-the-loop approval (terminal_run / write_code / patch_code ... per policy).
+        // Timeout or stop throws ApprovalRequiredError, handled below as a task pause.
+        const approval = await ensureActionApproved(action, context, task.id);
+        if (!approval.approved) {
+          const comment = asTrimmedString(approval.comment);
+          const msg =
+            `The user REJECTED this ${action.type} action; it was NOT executed.` +
+            (comment ? `\nUser comment: ${comment}` : "") +
+            "\nDo not retry the same action. Choose a different approach or ask the user.";
+          try {
+            await memory.addMessage("user", sanitizeToolReturnForLLM(msg));
+          } catch (e) {
+            // ignore
+          }
+          continue;
+        }
+
+        // 5. Execute action (file-level lock: parallel tasks share the conversation workspace)
+        const action_result = await withFileLock(context.conversation_id, action, () => context.runtime.execute_action(action, context, task.id));
+        pendingCheckpoint = action.type;
         if (!context.generate_files) {
           context.generate_files = [];
         }
@@ -1240,6 +1280,7 @@ const completeCodeAct = async (task = {}, context = {}) => {
           }
           retryCount++;
           totalRetryAttempts++;
+          countRetry();
 
           context.reflection = sanitizedComments;
           try {
@@ -1344,6 +1385,14 @@ const completeCodeAct = async (task = {}, context = {}) => {
       // 8. Exception handling
       console.error("An error occurred:", error);
 
+      // 等待用户审批 (超时 / 任务停止): 以 pause_for_user_input 暂停任务, 之后可继续
+      if (isApprovalRequiredError(error)) {
+        return {
+          status: "pause_for_user_input",
+          params: { question: error.message, approval: error.approval || {} }
+        };
+      }
+
       // 检查是否为需要暂停的错误类型: 积分不足 | LLM 调用失败
       if (isPauseRequiredError(error)) {
         return {
@@ -1363,6 +1412,7 @@ const completeCodeAct = async (task = {}, context = {}) => {
       }
       retryCount++;
       totalRetryAttempts++;
+      countRetry();
 	  // NOTE: Retry counters are intentionally kept silent to avoid confusing log analysis.
       //if (maxTotalRetries > 0) {
       //  console.log(`Retrying (${retryCount}/${maxRetries}). Total attempts: ${totalRetryAttempts}/${maxTotalRetries}...`);
@@ -5,6 +5,7 @@ const resolveThinkingPrompt = require("./thinking.prompt");
 const resolveThinking = require("@src/utils/thinking");
 const { getDefaultModel } = require('@src/utils/default_model')
 const { normalizeLLMToolOutputToXML } = require('@src/xml');
+const { resolveNativeTools, toolCallsToXml } = require('@src/utils/function.call');
 
 const call = require("@src/utils/llm");
 const THINKING_MODEL_TYPE = 'reasoning';
@@ -129,7 +130,7 @@ const thinking = async (requirement, context = {}) => {
     let content = await thinking_server(requirement, context)
     return content
   }
-  let content = await thinking_local(requirement, context)
+  let content = await thinking_local(requirement, context, model_info)
   return content
 }
 
@@ -174,8 +175,22 @@ const thinking_server = async (requirement, context = {}) => {
   return outputNormalized;
 }
 
-const thinking_local = async (requirement, context = {}) => {
+/**
+ * Native function calling: merge structured tool_calls into the text output as canonical XML,
+ * so memory / pruning / action resolution keep a single (XML) representation.
+ */
+const mergeNativeToolCalls = (output, tool_calls = []) => {
+  if (!Array.isArray(tool_calls) || tool_calls.length === 0) return output;
+  const xml = toolCallsToXml(tool_calls);
+  if (!xml) return output;
+  const text = (typeof output === 'string') ? output.trim() : '';
+  return text ? `${text}\n${xml}` : xml;
+};
+
+const thinking_local = async (requirement, context = {}, model_info = {}) => {
   const { memory, retryCount } = context;
+  // xml (default): tools described in prompt, XML parsed from text; native: OpenAI-style function calling
+  context.tool_call_mode = (model_info && model_info.tool_call_mode === 'native') ? 'native' : 'xml';
   // console.log('memory', memory);
   const summarize = false;
   const messages = await memory.getMessages(summarize);
@@ -205,11 +220,17 @@ const thinking_local = async (requirement, context = {}) => {
     messages: withPromptAsMessage0(messages, prompt),
     ...(task_id ? { task_id } : {}),
   };
+  // Native function calling mode (per model setting): send tools schema and collect tool_calls.
+  let native_tool_calls = [];
+  if (context.tool_call_mode === 'native') {
+    options.tools = resolveNativeTools({ mcp: !!context.has_mcp_tools, mcp_resources: !!context.has_mcp_resources, tool_policy: context.tool_policy });
+    options.on_tool_calls = (tool_calls) => { native_tool_calls = tool_calls; };
+  }
   // IMPORTANT: prompt must be provided ONLY via options.messages[0] to avoid double-injection.
   const content = await call('', context.conversation_id, THINKING_MODEL_TYPE, options);
   global.logging(context, 'thinking_reasoning', content);
 
-  const output = extractOutput(content, context);
+  const output = mergeNativeToolCalls(extractOutput(content, context), native_tool_calls);
   const outputNormalized = normalizeAssistantOutputForMemory(output);
   maybeExtractFinishStatus(outputNormalized, context);
   await memory.addMessage('assistant', outputNormalized);
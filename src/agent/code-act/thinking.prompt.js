@@ -127,7 +127,7 @@ async function listConversationFilesForPrompt(context, { maxDepth = 2, maxFiles
 const { describeLocalMemory, loadConversationMemory, describeUploadFiles, describeSystem } = require("./thinking.util");
 
 const resolveServers = require("@src/mcp/server.js");
-const { resolveMcpServerPrompt } = require("@src/mcp/prompt.js");
+const { resolveMcpServerPrompt, resolveMcpResourcePrompt } = require("@src/mcp/prompt.js");
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 const { resolveThinkingKnowledge } = require("@src/knowledge/index");
 
@@ -168,16 +168,24 @@ const resolveThinkingPrompt = async (requirement = '', context = {}) => {
   const reflection = sanitizeToolReturnForLLM(rawReflection);
 
   const memory = await describeLocalMemory(context);
-  const tools = await resolveToolPrompt(); // system tools
+  const tools = await resolveToolPrompt({ tool_call_mode: context.tool_call_mode, tool_policy: context.tool_policy }); // system tools
   const servers = await resolveServers(context);
   const mcpToolsPrompt = await resolveMcpServerPrompt(servers); // mcp server tools
+  // native function calling 模式下据此决定是否暴露 mcp_tool
+  context.has_mcp_tools = !!mcpToolsPrompt;
+  const mcpResourcesPrompt = await resolveMcpResourcePrompt(servers); // mcp server resources
+  context.has_mcp_resources = !!mcpResourcesPrompt;
   // console.log("mcpToolsPrompt", mcpToolsPrompt);
   const uploadFileDescription = describeUploadFiles(context.files || []);
   const previousResult = await loadConversationMemory(context.conversation_id);
   const app_ports = JSON.stringify([context.runtime.app_port_1, context.runtime.app_port_2])
   const system = describeSystem();
   const knowledge = await resolveThinkingKnowledge(context);
-  const role_header = await resolveRoleHeader(context);
+  let role_header = await resolveRoleHeader(context);
+  // delegate_agent: 子 Agent 的角色 (Agent.describe)
+  if (context.agent_role) {
+    role_header = `${role_header}\n\n${context.agent_role}`;
+  }
   const root_task_goal = resolveRootTaskGoal(context);
   const workspace_files = await listConversationFilesForPrompt(context);
 
@@ -191,7 +199,7 @@ const resolveThinkingPrompt = async (requirement = '', context = {}) => {
     requirement, // 当前需求
     reflection, // 反馈信息
     best_practices_knowledge: knowledge,
-    tools: tools + '\n' + mcpToolsPrompt, // 工具列表
+    tools: tools + '\n' + mcpToolsPrompt + mcpResourcesPrompt, // 工具列表
     role_header, // Prompt header (build vs codecorrector)
 	workspace_files, // Conversation workspace file list (updated each inference)
   }
@@ -0,0 +1,132 @@
+require('module-alias/register');
+require('dotenv').config();
+
+/**
+ * 子 Agent 委派 (delegate_agent 工具)
+ *
+ * 父 Agent 的 code-act 循环把子目标交给另一个已保存的 Agent:
+ * - 子 Agent 使用自己的角色 (describe)、知识库 (agent_id)、MCP 服务和工具开关
+ * - 在父会话中执行 (conversation_id 相同): token 统计、LLM 日志、消息都计入父会话
+ * - 子 Agent 以独立的任务ID执行单个 code-act 循环, 记忆与父任务隔离
+ * - finish 的结果作为工具结果返回给父 Agent
+ */
+const { Op } = require('sequelize');
+
+const Agent = require('@src/models/Agent');
+const TaskManager = require('@src/agent/TaskManager');
+const { resolveAgentToolPolicy } = require('@src/tools/registry');
+
+// 委派层级上限 (orchestrator -> expert -> expert)
+const DELEGATE_MAX_DEPTH = parseInt(process.env.DELEGATE_MAX_DEPTH || '2', 10) || 2;
+// 找不到 Agent 时返回给模型的候选数量
+const MAX_LISTED_AGENTS = 20;
+
+// 当前用户可以委派的 Agent: 自己的或公开的
+const availableAgentsWhere = (user_id) => ({
+  deleted_at: null,
+  [Op.or]: [{ user_id }, { is_public: true }],
+});
+
+const findAgent = async (agent, user_id) => {
+  const value = String(agent === undefined || agent === null ? '' : agent).trim();
+  if (!value) return null;
+  const where = availableAgentsWhere(user_id);
+  if (/^\d+$/.test(value)) {
+    const found = await Agent.findOne({ where: { ...where, id: Number(value) } });
+    if (found) return found;
+  }
+  return Agent.findOne({ where: { ...where, name: value } });
+};
+
+const describeAvailableAgents = async (user_id, exclude = []) => {
+  const agents = await Agent.findAll({
+    where: availableAgentsWhere(user_id),
+    attributes: ['id', 'name', 'describe'],
+    order: [['id', 'DESC']],
+    limit: MAX_LISTED_AGENTS,
+  });
+  return agents
+    .filter(item => !exclude.includes(item.id))
+    .map(item => `- ${item.id}: ${item.name}${item.describe ? ` — ${String(item.describe).slice(0, 200)}` : ''}`)
+    .join('\n');
+};
+
+const failure = (content) => ({ status: 'failure', content });
+
+/**
+ * 在父会话中运行子 Agent
+ * @param {{ agent: string|number, goal: string, context?: string }} params
+ * @param {Object} parent 父 code-act context
+ * @returns {Promise<{ status: 'success'|'failure', content: string, agent?: Object }>}
+ */
+const delegateToAgent = async (params = {}, parent = {}) => {
+  const goal = String(params.goal || '').trim();
+  if (!goal) return failure('delegate_agent requires a non-empty goal.');
+
+  const delegation = parent.delegation || { depth: 0, chain: parent.agent_id ? [Number(parent.agent_id)] : [] };
+  if (delegation.depth >= DELEGATE_MAX_DEPTH) {
+    return failure(`Delegation depth limit (${DELEGATE_MAX_DEPTH}) reached. Complete this goal yourself.`);
+  }
+
+  const agent = await findAgent(params.agent, parent.user_id);
+  if (!agent) {
+    const list = await describeAvailableAgents(parent.user_id, delegation.chain);
+    return failure(`Agent "${params.agent}" not found. Available agents (id: name — description):\n${list || '(none)'}`);
+  }
+  if (delegation.chain.includes(agent.id)) {
+    return failure(`Agent ${agent.id} (${agent.name}) is already part of this delegation chain; delegating to it would loop.`);
+  }
+
+  const parent_task_id = parent.task_id || (parent.task && parent.task.id) || 'task';
+  const index = (parent.delegation_count = (parent.delegation_count || 0) + 1);
+  const requirement = params.context ? `${goal}\n\n[Context from the delegating agent]\n${params.context}` : goal;
+  const task = { id: `${parent_task_id}_delegate_${index}`, requirement, status: 'pending' };
+
+  // 子任务列表只保存在内存中, 不写入父会话的 Task 表
+  const task_manager = new TaskManager('task_log.md', parent.conversation_id);
+  await task_manager.setTasks([task], false);
+
+  const context = {
+    onTokenStream: parent.onTokenStream,
+    conversation_id: parent.conversation_id,
+    user_id: parent.user_id,
+    runtime: parent.runtime,
+    files: parent.files,
+    staticUrl: parent.staticUrl,
+    generate_files: parent.generate_files,
+    max_retry_times: parent.max_retry_times,
+    // 人工审批属于会话级约束, 沿用父 Agent 的策略
+    approval_policy: parent.approval_policy,
+    agent_id: agent.id,
+    agent_role: `You are acting as the agent "${agent.name}"${agent.describe ? `: ${agent.describe}` : ''}.`,
+    mcp_server_ids: agent.mcp_server_ids || [],
+    tool_policy: await resolveAgentToolPolicy(agent.id),
+    goal: requirement,
+    task_manager,
+    tasks: task_manager.getTasks(),
+    delegation: {
+      depth: delegation.depth + 1,
+      chain: [...delegation.chain, agent.id],
+      parent_task_id,
+    },
+  };
+
+  // code-act -> tools -> delegate 之间存在循环依赖, 延迟加载
+  const completeCodeAct = require('@src/agent/code-act/index');
+  const result = await completeCodeAct(task, context);
+  const summary = result.content || result.comments || '';
+  const meta = { agent: { id: agent.id, name: agent.name }, task_id: task.id };
+
+  if (result.status === 'success') {
+    return { status: 'success', content: `Agent "${agent.name}" completed the delegated goal.\n${summary}`, ...meta };
+  }
+  if (result.status === 'pause_for_user_input') {
+    const question = (result.params && result.params.question) || summary;
+    return { status: 'failure', content: `Agent "${agent.name}" needs user input: ${question}`, ...meta };
+  }
+  return { status: 'failure', content: `Agent "${agent.name}" failed the delegated goal.\n${summary}`, ...meta };
+};
+
+module.exports = exports = {
+  delegateToAgent,
+};
@@ -0,0 +1,47 @@
+require('module-alias/register');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const Agent = require('@src/models/Agent');
+const { delegateToAgent } = require('@src/agent/delegate/index');
+
+const agent = (id, name) => ({ id, name, describe: `${name} agent`, mcp_server_ids: [] });
+
+describe('delegateToAgent', () => {
+  afterEach(() => sinon.restore());
+
+  it('should refuse to delegate beyond the depth limit', async () => {
+    const findOne = sinon.stub(Agent, 'findOne').resolves(agent(3, 'writer'));
+    const result = await delegateToAgent({ agent: 'writer', goal: 'write a report' }, {
+      user_id: 1,
+      delegation: { depth: 2, chain: [1, 2] },
+    });
+    expect(result.status).to.equal('failure');
+    expect(result.content).to.equal('Delegation depth limit (2) reached. Complete this goal yourself.');
+    expect(findOne.called).to.equal(false);
+  });
+
+  it('should refuse to delegate to an agent already in the chain', async () => {
+    sinon.stub(Agent, 'findOne').resolves(agent(1, 'orchestrator'));
+    const nested = await delegateToAgent({ agent: '1', goal: 'plan again' }, {
+      user_id: 1,
+      delegation: { depth: 1, chain: [1, 2] },
+    });
+    expect(nested.content).to.equal('Agent 1 (orchestrator) is already part of this delegation chain; delegating to it would loop.');
+
+    // 顶层 Agent 委派给自己
+    const self = await delegateToAgent({ agent: 'orchestrator', goal: 'plan again' }, { user_id: 1, agent_id: '1' });
+    expect(self.status).to.equal('failure');
+    expect(self.content).to.contain('already part of this delegation chain');
+  });
+
+  it('should list delegable agents outside the chain when the agent is not found', async () => {
+    sinon.stub(Agent, 'findOne').resolves(null);
+    sinon.stub(Agent, 'findAll').resolves([agent(2, 'coder'), agent(1, 'orchestrator')]);
+    const result = await delegateToAgent({ agent: 'designer', goal: 'draw a logo' }, { user_id: 1, agent_id: 1 });
+    expect(result).to.deep.equal({
+      status: 'failure',
+      content: 'Agent "designer" not found. Available agents (id: name — description):\n- 2: coder — coder agent',
+    });
+  });
+});
@@ -32,7 +32,7 @@ const generate_title_server = async (question, conversation_id) => {
 
 const generate_title_local = async (question, conversation_id) => {
     const prompt = await resolveGenerateTitlePrompt(question);
-    const content = await call(prompt, conversation_id);
+    const content = await call(prompt, conversation_id, 'assistant', { temperature: 0, purpose: 'generate-title' });
     // handle thinking model result
     if (content && content.startsWith('<think>')) {
         const { thinking: _, content: title } = resolveThinking(content);
@@ -0,0 +1,245 @@
+/**
+ * 会话工作区的 git 版本记录
+ *
+ * - 工作区 (WORKSPACE_DIR/Conversation_xxxxxx) 在第一次运行时初始化为 git 仓库, step 0 为初始提交
+ * - 每个任务完成后提交一次, 提交信息为任务 requirement (Task-Id 写在正文)
+ * - 提供提交列表 / 任意两个 step 的 diff / 回滚到指定 step (回滚本身也是一次提交, 历史不丢失)
+ * - 依赖宿主机上的 git 命令, 没有安装时只打印一次警告
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { resolveConversationDir } = require('@src/runtime/runtime.util');
+const { DEFAULT_IGNORES } = require('@src/workspace/files');
+const { LOG_FORMAT, formatCommitMessage, parseLog, parseNumstat } = require('./parse');
+
+const ENABLE_WORKSPACE_GIT = process.env.ENABLE_WORKSPACE_GIT || 'ON';
+const GIT_TIMEOUT_MS = 30 * 1000;
+const DIFF_MAX_CHARS = 200 * 1000;
+
+// 依赖 / 缓存目录不提交
+const EXCLUDES = DEFAULT_IGNORES.filter(rule => rule !== '.git/');
+
+const IDENTITY = ['-c', 'user.name=LemonAI', '-c', 'user.email=agent@lemonai.cc', '-c', 'commit.gpgsign=false'];
+
+let gitMissing = false;
+
+// 工作区目录 => 串行队列, 并行任务的提交不能同时操作 index
+const queues = new Map();
+
+const git = (cwd, args) => new Promise((resolve, reject) => {
+  execFile('git', [...IDENTITY, ...args], { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 20 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      if (error.code === 'ENOENT') gitMissing = true;
+      error.message = (stderr || error.message || '').toString().trim();
+      return reject(error);
+    }
+    resolve(stdout.toString());
+  });
+});
+
+const enqueue = (dir, fn) => {
+  const previous = queues.get(dir) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => null);
+  queues.set(dir, tail);
+  tail.then(() => {
+    if (queues.get(dir) === tail) queues.delete(dir);
+  });
+  return run;
+};
+
+const isEnabled = () => ENABLE_WORKSPACE_GIT === 'ON' && !gitMissing;
+
+// mount 导入的工作区是指向原项目的链接, 不在用户自己的仓库中自动提交
+const isLinkedWorkspace = (dir) => {
+  try {
+    return fs.lstatSync(dir).isSymbolicLink();
+  } catch (error) {
+    return false;
+  }
+};
+
+const ensureRepo = async (dir) => {
+  if (fs.existsSync(path.join(dir, '.git'))) return;
+  fs.mkdirSync(dir, { recursive: true });
+  await git(dir, ['init', '-q']);
+  fs.writeFileSync(path.join(dir, '.git', 'info', 'exclude'), EXCLUDES.join('\n') + '\n');
+  await git(dir, ['add', '-A']);
+  await git(dir, ['commit', '-q', '--allow-empty', '-m', 'Initialize workspace']);
+};
+
+const addAndCommit = async (dir, subject, body) => {
+  await git(dir, ['add', '-A']);
+  const status = await git(dir, ['status', '--porcelain']);
+  if (!status.trim()) return null;
+  const args = ['commit', '-q', '-m', subject];
+  if (body) args.push('-m', body);
+  await git(dir, args);
+  return (await git(dir, ['rev-parse', 'HEAD'])).trim();
+};
+
+/**
+ * 初始化会话工作区仓库 (best-effort)
+ * @param {{ conversation_id: string, user_id?: number|string }} context
+ */
+const initWorkspaceRepo = async (context = {}) => {
+  if (!isEnabled() || !context.conversation_id) return false;
+  const dir = resolveConversationDir(context);
+  if (isLinkedWorkspace(dir)) return false;
+  try {
+    await enqueue(dir, () => ensureRepo(dir));
+    return true;
+  } catch (error) {
+    console.error(`[git] Failed to initialize workspace repo${gitMissing ? ', git is not installed' : ''}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * 任务完成后提交工作区的全部改动, 没有改动时不提交 (best-effort)
+ * 并行执行时, 同时运行的其它任务的改动也会包含在这次提交中
+ * @param {Object} context AgenticAgent context
+ * @param {{ id: string, requirement: string }} task
+ * @returns {Promise<string|null>} commit sha
+ */
+const commitTask = async (context = {}, task = {}) => {
+  // 子 Agent 的改动属于父任务, 由父任务提交
+  if (!isEnabled() || !context.conversation_id || context.delegation) return null;
+  const dir = resolveConversationDir(context);
+  if (isLinkedWorkspace(dir)) return null;
+  const { subject, body } = formatCommitMessage(task);
+  try {
+    const sha = await enqueue(dir, async () => {
+      await ensureRepo(dir);
+      return addAndCommit(dir, subject, body);
+    });
+    if (sha) console.log(`[git] Task ${task.id} committed ${sha.slice(0, 7)}`);
+    return sha;
+  } catch (error) {
+    console.error(`[git] Failed to commit task ${task.id}:`, error.message);
+    return null;
+  }
+};
+
+const assertRepo = (dir) => {
+  if (!fs.existsSync(path.join(dir, '.git'))) {
+    throw new Error('Workspace has no version history yet');
+  }
+};
+
+/**
+ * @param {{ conversation_id: string, user_id?: number|string }} options
+ */
+const listCommits = async (options) => {
+  const dir = resolveConversationDir(options);
+  assertRepo(dir);
+  const commits = parseLog(await git(dir, ['log', '--reverse', `--format=${LOG_FORMAT}`]));
+  for (const commit of commits) {
+    const stat = parseNumstat(await git(dir, ['show', '--numstat', '--format=', commit.sha]));
+    commit.files = stat.length;
+    commit.additions = stat.reduce((sum, item) => sum + (item.additions || 0), 0);
+    commit.deletions = stat.reduce((sum, item) => sum + (item.deletions || 0), 0);
+  }
+  return commits;
+};
+
+// step 序号或 sha => 提交
+const resolveStep = (commits, value) => {
+  const text = String(value).trim();
+  const commit = /^\d+$/.test(text) && Number(text) < commits.length
+    ? commits[Number(text)]
+    : commits.find(item => text.length >= 4 && item.sha.startsWith(text));
+  if (!commit) throw new Error(`Step ${value} does not exist`);
+  return commit;
+};
+
+/**
+ * 两个 step 之间的 diff, 默认 to 为最新提交, from 为 to 的上一步
+ * @param {{ conversation_id: string, user_id?: number|string, from?: number|string, to?: number|string, path?: string }} options
+ */
+const diffSteps = async (options) => {
+  const dir = resolveConversationDir(options);
+  assertRepo(dir);
+  const commits = parseLog(await git(dir, ['log', '--reverse', `--format=${LOG_FORMAT}`]));
+  const to = resolveStep(commits, options.to === undefined || options.to === '' ? commits.length - 1 : options.to);
+  const from = resolveStep(commits, options.from === undefined || options.from === '' ? Math.max(to.step - 1, 0) : options.from);
+  const pathspec = options.path ? ['--', options.path] : [];
+  const files = parseNumstat(await git(dir, ['diff', '--numstat', from.sha, to.sha, ...pathspec]));
+  let patch = await git(dir, ['diff', from.sha, to.sha, ...pathspec]);
+  const truncated = patch.length > DIFF_MAX_CHARS;
+  if (truncated) patch = patch.slice(0, DIFF_MAX_CHARS);
+  return { from: from.step, to: to.step, files, patch, truncated };
+};
+
+/**
+ * 将工作区恢复到指定 step, 并提交为新的一步; 未提交的改动先单独提交, 可以再回滚回来
+ * @param {{ conversation_id: string, user_id?: number|string, step: number|string }} options
+ */
+const rollbackToStep = async (options) => {
+  const dir = resolveConversationDir(options);
+  assertRepo(dir);
+  return enqueue(dir, async () => {
+    const commits = parseLog(await git(dir, ['log', '--reverse', `--format=${LOG_FORMAT}`]));
+    const target = resolveStep(commits, options.step);
+    await addAndCommit(dir, 'Save uncommitted changes before rollback', '');
+    await git(dir, ['read-tree', '-u', '--reset', target.sha]);
+    const sha = await addAndCommit(dir, `Rollback to step ${target.step}: ${target.message}`, `Rollback-To: ${target.sha}`);
+    const latest = parseLog(await git(dir, ['log', '--reverse', `--format=${LOG_FORMAT}`]));
+    return { rollback_to: target.step, sha, step: latest.length - 1 };
+  });
+};
+
+/**
+ * 将工作区的提交历史写入 git bundle (会话导出), 没有仓库时返回 false
+ * @param {{ conversation_id: string, user_id?: number|string }} context
+ * @param {string} filepath
+ */
+const bundleWorkspace = async (context, filepath) => {
+  const dir = resolveConversationDir(context);
+  if (gitMissing || isLinkedWorkspace(dir) || !fs.existsSync(path.join(dir, '.git'))) return false;
+  try {
+    await enqueue(dir, () => git(dir, ['bundle', 'create', '-q', filepath, '--all']));
+    return true;
+  } catch (error) {
+    console.error('[git] Failed to bundle workspace:', error.message);
+    return false;
+  }
+};
+
+/**
+ * 从 git bundle (会话恢复) 或其它会话的工作区 (会话回放) 克隆提交历史, 工作区目录必须不存在
+ * @param {{ conversation_id: string, user_id?: number|string }} context
+ * @param {string} source bundle 文件或工作区目录
+ * @param {string} [ref] 检出的提交, 默认为最新提交
+ * @returns {Promise<boolean>}
+ */
+const cloneWorkspace = async (context, source, ref) => {
+  if (!isEnabled()) return false;
+  const dir = resolveConversationDir(context);
+  try {
+    await enqueue(dir, async () => {
+      fs.mkdirSync(path.dirname(dir), { recursive: true });
+      await git(path.dirname(dir), ['clone', '-q', source, dir]);
+      await git(dir, ['remote', 'remove', 'origin']);
+      if (ref) await git(dir, ['reset', '-q', '--hard', ref]);
+      fs.writeFileSync(path.join(dir, '.git', 'info', 'exclude'), EXCLUDES.join('\n') + '\n');
+    });
+    return true;
+  } catch (error) {
+    console.error('[git] Failed to clone workspace history:', error.message);
+    fs.rmSync(dir, { recursive: true, force: true });
+    return false;
+  }
+};
+
+module.exports = exports = {
+  initWorkspaceRepo,
+  commitTask,
+  listCommits,
+  diffSteps,
+  rollbackToStep,
+  bundleWorkspace,
+  cloneWorkspace,
+};
@@ -0,0 +1,68 @@
+/**
+ * git 输出解析 / 提交信息生成 (纯函数)
+ */
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+// git log --format, 与 parseLog 对应
+const LOG_FORMAT = ['%H', '%h', '%aI', '%s', '%b'].join('%x1f') + '%x1e';
+
+const SUBJECT_MAX_LENGTH = 72;
+
+/**
+ * 任务完成的提交信息: 第一行 (去掉 markdown 标记) 作为标题, 完整的 requirement 作为正文
+ * @param {{ id?: string, requirement?: string }} task
+ * @returns {{ subject: string, body: string }}
+ */
+const formatCommitMessage = (task = {}) => {
+  const requirement = String(task.requirement || '').trim();
+  const firstLine = requirement.split(/\r?\n/).map(line => line.replace(/^[#>*\-\s]+/, '').replace(/<[^>]+>/g, '').trim()).find(Boolean) || `Task ${task.id || ''}`.trim();
+  const subject = firstLine.length > SUBJECT_MAX_LENGTH ? firstLine.slice(0, SUBJECT_MAX_LENGTH - 3) + '...' : firstLine;
+  const lines = [];
+  if (requirement && requirement !== subject) lines.push(requirement, '');
+  if (task.id) lines.push(`Task-Id: ${task.id}`);
+  return { subject, body: lines.join('\n').trim() };
+};
+
+/**
+ * 解析 git log --reverse --format=LOG_FORMAT 的输出, step 从 0 (初始提交) 开始
+ * @param {string} output
+ * @returns {Array<{ step: number, sha: string, short_sha: string, date: string, message: string, task_id: string|null }>}
+ */
+const parseLog = (output = '') => {
+  return String(output)
+    .split(RECORD)
+    .map(record => record.replace(/^\n+/, ''))
+    .filter(Boolean)
+    .map((record, step) => {
+      const [sha, short_sha, date, message, body = ''] = record.split(FIELD);
+      const match = body.match(/^Task-Id:\s*(\S+)\s*$/m);
+      return { step, sha, short_sha, date, message, task_id: match ? match[1] : null };
+    });
+};
+
+/**
+ * 解析 git diff --numstat 的输出 (二进制文件的增删行数为 null)
+ * @param {string} output
+ * @returns {Array<{ path: string, additions: number|null, deletions: number|null }>}
+ */
+const parseNumstat = (output = '') => {
+  return String(output)
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const [additions, deletions, ...rest] = line.split('\t');
+      return {
+        path: rest.join('\t'),
+        additions: additions === '-' ? null : Number(additions),
+        deletions: deletions === '-' ? null : Number(deletions),
+      };
+    });
+};
+
+module.exports = exports = {
+  LOG_FORMAT,
+  formatCommitMessage,
+  parseLog,
+  parseNumstat,
+};
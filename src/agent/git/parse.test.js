@@ -0,0 +1,38 @@
+const { expect } = require('chai');
+
+const { formatCommitMessage, parseLog, parseNumstat } = require('./parse');
+
+describe('workspace git parse', () => {
+  it('uses the first requirement line as the commit subject', () => {
+    const { subject, body } = formatCommitMessage({
+      id: '1700000000_0001',
+      requirement: '### Build the landing page\n<goal>Create index.html</goal>',
+    });
+    expect(subject).to.equal('Build the landing page');
+    expect(body).to.include('<goal>Create index.html</goal>');
+    expect(body).to.match(/Task-Id: 1700000000_0001$/);
+
+    const long = formatCommitMessage({ id: 't', requirement: 'x'.repeat(100) });
+    expect(long.subject).to.have.length(72);
+  });
+
+  it('parses git log records into steps', () => {
+    const output = [
+      ['a1', 'a1', '2025-01-01T00:00:00+00:00', 'Initialize workspace', ''].join('\x1f') + '\x1e',
+      '\n' + ['b2', 'b2', '2025-01-01T00:01:00+00:00', 'Write hello', 'details\n\nTask-Id: t1\n'].join('\x1f') + '\x1e',
+      '\n',
+    ].join('');
+    const commits = parseLog(output);
+    expect(commits.map(item => [item.step, item.message, item.task_id])).to.deep.equal([
+      [0, 'Initialize workspace', null],
+      [1, 'Write hello', 't1'],
+    ]);
+  });
+
+  it('parses numstat including binary files', () => {
+    expect(parseNumstat('3\t1\tsrc/a.js\n-\t-\tlogo.png\n')).to.deep.equal([
+      { path: 'src/a.js', additions: 3, deletions: 1 },
+      { path: 'logo.png', additions: null, deletions: null },
+    ]);
+  });
+});
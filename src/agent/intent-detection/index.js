@@ -31,7 +31,7 @@ const detect_intent_server = async (question, conversation_id, messagesContext =
 
 const detect_intent_local = async (question, conversation_id, messagesContext = []) => {
     const prompt = await resolveIntentDetectionPrompt(question, messagesContext);
-    const content = await call(prompt, conversation_id, '', { response_format: 'json' });
+    const content = await call(prompt, conversation_id, '', { response_format: 'json', purpose: 'intent-detection' });
     
     console.log('Intent detection content type:', typeof content);
     console.log('Intent detection content value:', content);
@@ -14,10 +14,9 @@ const TERMINAL_RUN_ID_MARKER_RE = /\[terminal_run_id:([^\]\s]+)\]/g;
 // Semantics: keep N latest occurrences TOTAL (history + incoming), per toolCallKey group.
 const PRUNE_KEEP_OCCURRENCES = 3;
 
-// Hard cap on total characters kept in memory context (after unified pruning).
-// Keeps contiguous groups sharing the same prune_hash together.
-// Set to 0 to disable.
-const PRUNE_MAX_CHARS = 60_000;
+// The total size of the memory context is bounded by a per-model token budget:
+// older messages are compacted into a running summary (see ./compaction.js).
+// Set MEMORY_COMPACTION_LLM=OFF to build the summary from tool results only.
 
 // ---------------------------------------------------------------------------
 // Anti-loop (repeat detection)
@@ -45,6 +44,15 @@ const cache_dir = getDirpath('Caches/memory');
 fs.mkdirSync(cache_dir, { recursive: true });
 
 const { json2xml } = require("@src/utils/format");
+const {
+  resolveTokenBudget,
+  isSummaryMessage,
+  selectMessagesToCompact,
+  mergeSummaries,
+  extractHeuristicSummary,
+  buildCompactionPrompt,
+  createSummaryMessage,
+} = require('./compaction');
 
 function sanitizeToolReturnForLLM(text) {
   if (typeof text !== "string" || text.length === 0) return text;
@@ -322,7 +330,7 @@ function applyUnifiedPruneByHash(messages, pruneHash, keepN = 1, incomingStartsN
       hasMessagesArray: Array.isArray(messages),
       pruneHash: pruneHash ? String(pruneHash) : '',
     });
-    return;
+    return [];
   }
   const keep = Math.max(1, Number.isFinite(keepN) ? keepN : 1);
   pruneLog('enter', { pruneHash, keep, incomingStartsNewGroup, historyLen: messages.length });
@@ -381,7 +389,7 @@ function applyUnifiedPruneByHash(messages, pruneHash, keepN = 1, incomingStartsN
       skippedPruned,
       skippedEmptyAssistantContent,
     });
-    return;
+    return [];
   }
 
   // 2) Decide how many occurrences to keep from history.
@@ -407,11 +415,14 @@ function applyUnifiedPruneByHash(messages, pruneHash, keepN = 1, incomingStartsN
   });
 
   // 4) Prune everything in non-kept occurrences (call + result together).
+  // Copies of the payloads are returned so the caller can fold them into the context summary.
   const blanked = [];
+  const superseded = [];
   for (const oc of occurrences) {
     for (let k = oc.start; k <= oc.end; k++) {
       if (keepIdx.has(k)) continue;
 	  blanked.push(k);
+      superseded.push(JSON.parse(JSON.stringify(messages[k])));
       pruneDebugLog('blank', {
         idx: k,
         role: messages[k]?.role,
@@ -430,6 +441,7 @@ function applyUnifiedPruneByHash(messages, pruneHash, keepN = 1, incomingStartsN
     blankedCount: blanked.length,
     blanked,
   });
+  return superseded;
 }
 
 function applyUnifiedPruneByToolCallKey(messages, toolCallKey, keepN = 1, incomingStartsNewGroup = true) {
@@ -438,7 +450,7 @@ function applyUnifiedPruneByToolCallKey(messages, toolCallKey, keepN = 1, incomi
       hasMessagesArray: Array.isArray(messages),
       toolCallKey: toolCallKey ? String(toolCallKey) : '',
     });
-    return;
+    return [];
   }
   const keep = Math.max(1, Number.isFinite(keepN) ? keepN : 1);
 
@@ -466,10 +478,10 @@ function applyUnifiedPruneByToolCallKey(messages, toolCallKey, keepN = 1, incomi
   });
 
   // Rule: if toolCallKey OR prune_hash is missing for the matched group, do nothing.
-  if (anchors.length === 0) return;
+  if (anchors.length === 0) return [];
   if (missingHash > 0) {
     pruneLog('toolCallKey:abort:missing_prune_hash_on_anchors', { toolCallKey, missingHash });
-    return;
+    return [];
   }
   if (hashes.size !== 1) {
     // Safety: avoid partial pruning if something inconsistent is stored.
@@ -477,12 +489,12 @@ function applyUnifiedPruneByToolCallKey(messages, toolCallKey, keepN = 1, incomi
       toolCallKey,
       uniquePruneHashes: Array.from(hashes),
     });
-    return;
+    return [];
   }
 
   // Step 2) Prune occurrences by prune_hash (blank tool-call + its result together).
   const targetHash = Array.from(hashes)[0];
-  applyUnifiedPruneByHash(messages, targetHash, keep, incomingStartsNewGroup);
+  return applyUnifiedPruneByHash(messages, targetHash, keep, incomingStartsNewGroup);
 }
 
 function blankMessagePayload(message, reason) {
@@ -519,105 +531,6 @@ function blankMessagePayload(message, reason) {
   }
 }
 
-function estimateMessageCharCost(message) {
-  if (!message || typeof message !== 'object') return 0;
-  // Count "characters of each message" in a predictable way.
-  // Primary: message.content (what goes into prompt most often).
-  // Secondary: meta.action_memory (can also be injected), action_type.
-  let n = 0;
-  const c = message.content;
-  if (typeof c === 'string') n += c.length;
-  const at = message.action_type;
-  if (typeof at === 'string') n += at.length;
-  const am = message?.meta?.action_memory;
-  if (typeof am === 'string') n += am.length;
-  return n;
-}
-
-function getPruneHashForGrouping(message) {
-  const ph = message?.meta?.prune_hash;
-  return typeof ph === 'string' ? ph : '';
-}
-
-function applyCharBudgetPruneKeepingPruneHashGroups(messages, maxChars, extraIncomingChars = 0) {
-  if (!Array.isArray(messages) || messages.length === 0) return;
-  const budget = Number.isFinite(maxChars) ? maxChars : 0;
-  if (!budget || budget <= 0) return;
-
-  if (messages.length === 0) return;
-
-  // Build contiguous blocks by prune_hash for indices [0..end].
-  // Block = { start, end, pruneHash, chars }
-  const blocks = [];
-  let i = 0;
-  while (i < messages.length) {
-    const start = i;
-    const ph = getPruneHashForGrouping(messages[i]);
-    let chars = 0;
-    let j = i;
-    while (j < messages.length) {
-      const ph2 = getPruneHashForGrouping(messages[j]);
-      if (ph2 !== ph) break;
-      chars += estimateMessageCharCost(messages[j]);
-      j++;
-    }
-    const end = j - 1;
-    blocks.push({ start, end, pruneHash: ph, chars });
-    i = j;
-  }
-
-  // Walk from newest to oldest blocks, summing chars.
-  // When we exceed budget, we keep the block that exceeded (to avoid cutting too aggressively),
-  // but drop all blocks older than it (full blocks only).
-  let sum = Math.max(0, Number.isFinite(extraIncomingChars) ? extraIncomingChars : 0);
-  let cutoffStart = 0; // keep everything by default
-
-  for (let bi = blocks.length - 1; bi >= 0; bi--) {
-    const b = blocks[bi];
-    sum += b.chars;
-    if (sum > budget) {
-      cutoffStart = b.start;
-      break;
-    }
-  }
-
-  if (cutoffStart <= 0) {
-    pruneLog('char_budget:keep_all', {
-      budget,
-      sumWithIncoming: sum,
-      blocks: blocks.length,
-      messagesLen: messages.length,
-    });
-    return;
-  }
-
-  // Remove messages [0 .. cutoffStart-1] (oldest), removing full blocks only.
-  const removedCount = cutoffStart;
-  const removedPreview = [];
-  const previewMax = 8;
-  for (let k = 0; k < cutoffStart && removedPreview.length < previewMax; k++) {
-    removedPreview.push({
-      idx: k,
-      role: messages[k]?.role,
-      action_type: messages[k]?.action_type,
-      prune_hash: messages[k]?.meta?.prune_hash || '',
-      content_len: typeof messages[k]?.content === 'string' ? messages[k].content.length : 0,
-    });
-  }
-
-  messages.splice(0, removedCount);
-
-  pruneLog('char_budget:pruned', {
-    budget,
-    sumWithIncoming: sum,
-    cutoffStart,
-    removedCount,
-    removedPreview,
-    remainingLen: messages.length,
-    blocksCount: blocks.length,
-  });
-}
-
 function isInformationToolCall(role, content) {
   if (role !== 'assistant') return false;
   if (typeof content !== 'string' || !content) return false;
@@ -641,6 +554,10 @@ class LocalMemory {
       fs.mkdirSync(dir, { recursive: true });
     }
     this.key = options.key; // primary key ID
+    // Used to resolve the model token budget and to summarize compacted messages with the LLM.
+    // Without it, compaction uses the default budget and a summary built from tool results.
+    this.conversation_id = options.conversation_id;
+    this.model_info = options.model_info || null;
     console.log(`LocalMemory initialized with key: ${this.key}`);
 
     // When we detect a repeated assistant output, we must REPLACE the next
@@ -938,6 +855,9 @@ class LocalMemory {
       : '';
 
     const isTermResult = isTerminalRunResultMessage({ role, content, action_type, meta });
+
+    // Older occurrences blanked by unified pruning, folded into the context summary below.
+    let superseded = [];
 	
     // toolCallKey is ONLY set on assistant tool-call messages (not on results).
     const isToolCallAssistant =
@@ -1031,7 +951,7 @@ class LocalMemory {
           incomingStartsNewGroup,
           historyLen: messages.length,
         });
-        applyUnifiedPruneByToolCallKey(messages, incomingToolCallKey, KEEP_N, incomingStartsNewGroup);
+        superseded = applyUnifiedPruneByToolCallKey(messages, incomingToolCallKey, KEEP_N, incomingStartsNewGroup);
         pruneLog('addMessage:toolCallKey:after_prune', {
           incomingToolCallKey,
           incomingPruneHash,
@@ -1040,22 +960,6 @@ class LocalMemory {
       }
     }
 	
-    // 4th pruning routine (hard cap by total chars), applied AFTER unified pruning rules.
-    // Must keep contiguous groups sharing the same prune_hash together.
-    // Include incoming message chars in the budget calculation to keep the final prompt bounded.
-    if (PRUNE_MAX_CHARS > 0) {
-      const incomingCharCost = (() => {
-        // Estimate cost similarly to stored messages.
-        let n = 0;
-        if (typeof content === 'string') n += content.length;
-        if (typeof action_type === 'string') n += action_type.length;
-        const am = meta?.action_memory;
-        if (typeof am === 'string') n += am.length;
-        return n;
-      })();
-      applyCharBudgetPruneKeepingPruneHashGroups(messages, PRUNE_MAX_CHARS, incomingCharCost);
-    }
-
     // 3. add new message
     const { action = {}, status = 'success' } = meta;
     if (role === 'user' && memorized) {
@@ -1083,6 +987,15 @@ class LocalMemory {
         prune_hash: (meta && typeof meta === 'object' && typeof meta.prune_hash === 'string') ? meta.prune_hash : '',
       };
     }
+
+    // Keep what was learned from superseded tool results (e.g. an earlier failing test run),
+    // then compact the oldest messages when the history exceeds the model token budget.
+    try {
+      this._foldSupersededMessages(messages, superseded);
+      await this._compactIfNeeded(messages);
+    } catch (error) {
+      console.error(`Context compaction failed for ${this.key}:`, error);
+    }
 	
     // 4. save message list
     await this._saveMemory(messages);
@@ -1093,6 +1006,68 @@ class LocalMemory {
     return messages;
   }
 
+  async _resolveTokenBudget() {
+    if (!this.model_info && this.conversation_id) {
+      try {
+        const { getDefaultModel } = require('@src/utils/default_model');
+        // same model as the thinking step that consumes this memory
+        this.model_info = await getDefaultModel(this.conversation_id, 'reasoning');
+      } catch (error) {
+        console.error('Failed to resolve model for memory budget:', error);
+      }
+    }
+    return resolveTokenBudget(this.model_info || {});
+  }
+
+  _foldSupersededMessages(messages, superseded = []) {
+    if (!superseded.length) return;
+    // The latest occurrence is still in context; only failures carry knowledge worth keeping.
+    const { failed_approaches } = extractHeuristicSummary(superseded);
+    if (failed_approaches.length === 0) return;
+    const previous = isSummaryMessage(messages[0]) ? messages.shift().meta.compaction : null;
+    messages.unshift(createSummaryMessage(mergeSummaries(previous, { failed_approaches })));
+  }
+
+  async _summarizeWithLLM(previous, compacted) {
+    const llmEnabled = String(process.env.MEMORY_COMPACTION_LLM || 'ON').toUpperCase() !== 'OFF';
+    if (!llmEnabled || !this.conversation_id || (this.model_info && this.model_info.is_subscribe)) return null;
+    try {
+      const call = require('@src/utils/llm');
+      const prompt = buildCompactionPrompt(previous, compacted);
+      const json = await call(prompt, this.conversation_id, 'assistant', { temperature: 0, response_format: 'json' }, () => { });
+      return json && typeof json === 'object' ? json : null;
+    } catch (error) {
+      console.error(`LLM context summary failed for ${this.key}, using tool results only:`, error?.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fold the oldest messages into the running summary (messages[0]) when the history
+   * exceeds the token budget. Mutates messages in place.
+   */
+  async _compactIfNeeded(messages) {
+    const limits = await this._resolveTokenBudget();
+    const range = selectMessagesToCompact(messages, limits);
+    if (!range) return;
+
+    const compacted = messages.slice(range.start, range.end);
+    const previous = range.start > 0 ? messages[0].meta.compaction : null;
+    const llmSummary = await this._summarizeWithLLM(previous, compacted);
+    const summary = mergeSummaries(previous, extractHeuristicSummary(compacted), llmSummary);
+    summary.compacted_messages = ((previous && previous.compacted_messages) || 0) + compacted.length;
+
+    messages.splice(0, range.end, createSummaryMessage(summary));
+    pruneLog('compaction', {
+      key: this.key,
+      budget: limits.budget,
+      target: limits.target,
+      compactedCount: compacted.length,
+      remainingLen: messages.length,
+      llm: !!llmSummary,
+    });
+  }
+
   async clearMemory() {
     const filePath = this._getFilePath();
     try {
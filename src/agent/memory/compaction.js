@@ -0,0 +1,321 @@
+/**
+ * Context compaction for LocalMemory.
+ *
+ * When the task history outgrows its token budget, the oldest messages are folded into a
+ * running structured summary (files touched / facts learned / failed approaches) that is
+ * kept as the first memory message, instead of being dropped or blanked.
+ *
+ * - Budget: MEMORY_CONTEXT_RATIO (default 0.5) of the model context window (Model.context_window,
+ *   MEMORY_CONTEXT_WINDOW when the model has none configured).
+ * - History is compacted down to COMPACT_TARGET_RATIO of the budget so that compaction does not
+ *   run again on every message.
+ * - Everything here is pure; the LLM call lives in LocalMemory.
+ */
+
+const SUMMARY_ACTION_TYPE = 'context_summary';
+
+const DEFAULT_CONTEXT_WINDOW = 32000;
+const DEFAULT_CONTEXT_RATIO = 0.5;
+const COMPACT_TARGET_RATIO = 0.6;
+const MIN_BUDGET_TOKENS = 2000;
+
+const MAX_FILES = 60;
+const MAX_FACTS = 40;
+const MAX_FAILED_APPROACHES = 20;
+const MAX_ITEM_CHARS = 300;
+// Per-message cap in the compaction prompt (the summary only needs the gist of long outputs).
+const MAX_TRANSCRIPT_MESSAGE_CHARS = 4000;
+
+const FILE_ACTIONS = {
+  read_file: 'read',
+  write_code: 'write',
+  patch_code: 'patch',
+  replace_code_block: 'patch',
+};
+
+const CJK_RE = /[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+/**
+ * Rough token estimate without a tokenizer: ~4 chars per token, one token per CJK char.
+ * @param {string} text
+ */
+function estimateTokens(text) {
+  if (typeof text !== 'string' || !text) return 0;
+  const cjk = (text.match(CJK_RE) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+function estimateMessageTokens(message) {
+  if (!message || typeof message !== 'object') return 0;
+  // +4: role / separators overhead per message
+  return estimateTokens(message.content) + 4;
+}
+
+/**
+ * @param {Object} [model_info] result of getDefaultModel()
+ * @param {Object} [env]
+ * @returns {{ context_window: number, budget: number, target: number }}
+ */
+function resolveTokenBudget(model_info = {}, env = process.env) {
+  const context_window = parseInt(model_info && model_info.context_window, 10)
+    || parseInt(env.MEMORY_CONTEXT_WINDOW, 10)
+    || DEFAULT_CONTEXT_WINDOW;
+  const ratio = parseFloat(env.MEMORY_CONTEXT_RATIO);
+  const share = ratio > 0 && ratio <= 1 ? ratio : DEFAULT_CONTEXT_RATIO;
+  const budget = Math.max(MIN_BUDGET_TOKENS, Math.floor(context_window * share));
+  return { context_window, budget, target: Math.floor(budget * COMPACT_TARGET_RATIO) };
+}
+
+function isSummaryMessage(message) {
+  return !!message && message.action_type === SUMMARY_ACTION_TYPE;
+}
+
+/**
+ * Decide which oldest messages to compact.
+ * Contiguous messages sharing a prune_hash (tool call + its result) are never split.
+ *
+ * @param {Object[]} messages memory messages (a summary message may sit at index 0)
+ * @param {{ budget: number, target: number }} limits
+ * @returns {{ start: number, end: number } | null} compact messages[start, end)
+ */
+function selectMessagesToCompact(messages, { budget, target }) {
+  if (!Array.isArray(messages) || messages.length === 0) return null;
+  const total = messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+  if (total <= budget) return null;
+
+  const start = isSummaryMessage(messages[0]) ? 1 : 0;
+  const blocks = [];
+  let i = start;
+  while (i < messages.length) {
+    const hash = messages[i]?.meta?.prune_hash || '';
+    let j = i;
+    let tokens = 0;
+    do {
+      tokens += estimateMessageTokens(messages[j]);
+      j++;
+    } while (hash && j < messages.length && messages[j]?.meta?.prune_hash === hash);
+    blocks.push({ start: i, end: j, tokens });
+    i = j;
+  }
+
+  // Keep the newest blocks within target (always at least the latest one), compact the rest.
+  let kept = start > 0 ? estimateMessageTokens(messages[0]) : 0;
+  let end = start;
+  for (let bi = blocks.length - 1; bi >= 0; bi--) {
+    const b = blocks[bi];
+    if (bi < blocks.length - 1 && kept + b.tokens > target) {
+      end = b.end;
+      break;
+    }
+    kept += b.tokens;
+  }
+  return end > start ? { start, end } : null;
+}
+
+function emptySummary() {
+  return { files_touched: [], facts: [], failed_approaches: [], compacted_messages: 0 };
+}
+
+function clip(text, max = MAX_ITEM_CHARS) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 3)}...` : s;
+}
+
+/**
+ * Coerce a (possibly LLM generated) summary into the canonical shape.
+ * @param {any} value
+ */
+function normalizeSummary(value) {
+  const summary = emptySummary();
+  if (!value || typeof value !== 'object') return summary;
+  const files = Array.isArray(value.files_touched) ? value.files_touched : [];
+  for (const file of files) {
+    const item = typeof file === 'string' ? { path: file } : file;
+    if (!item || !item.path) continue;
+    summary.files_touched.push({
+      path: clip(item.path, 200),
+      actions: Array.isArray(item.actions) ? item.actions.map(a => clip(a, 20)).filter(Boolean) : [],
+      notes: clip(item.notes || ''),
+    });
+  }
+  const strings = (list) => (Array.isArray(list) ? list : []).map(item => clip(item)).filter(Boolean);
+  summary.facts = strings(value.facts);
+  summary.failed_approaches = strings(value.failed_approaches);
+  summary.compacted_messages = parseInt(value.compacted_messages, 10) || 0;
+  return summary;
+}
+
+function mergeStrings(lists, max) {
+  const seen = new Set();
+  const out = [];
+  for (const list of lists) {
+    for (const item of list || []) {
+      const key = item.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(item);
+    }
+  }
+  // newest entries are appended last, keep those
+  return out.slice(-max);
+}
+
+/**
+ * Merge summaries in chronological order (later summaries win for file notes).
+ * @param {...Object} summaries
+ */
+function mergeSummaries(...summaries) {
+  const list = summaries.filter(Boolean).map(normalizeSummary);
+  const merged = emptySummary();
+  const files = new Map();
+  for (const summary of list) {
+    for (const file of summary.files_touched) {
+      const current = files.get(file.path) || { path: file.path, actions: [], notes: '' };
+      current.actions = [...new Set([...current.actions, ...file.actions])];
+      if (file.notes) current.notes = file.notes;
+      // re-insert so recently touched files move to the end
+      files.delete(file.path);
+      files.set(file.path, current);
+    }
+    merged.compacted_messages = Math.max(merged.compacted_messages, summary.compacted_messages);
+  }
+  merged.files_touched = [...files.values()].slice(-MAX_FILES);
+  merged.facts = mergeStrings(list.map(s => s.facts), MAX_FACTS);
+  merged.failed_approaches = mergeStrings(list.map(s => s.failed_approaches), MAX_FAILED_APPROACHES);
+  return merged;
+}
+
+function describeCommand(params = {}) {
+  const args = Array.isArray(params.args) ? params.args.join(' ') : (params.args || '');
+  return clip(`${params.command || ''} ${args}`.trim(), 160);
+}
+
+function firstErrorLine(text) {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const line = lines.find(l => /error|exception|traceback|failed|not found|denied/i.test(l)) || lines[0] || '';
+  return clip(line, 200);
+}
+
+/**
+ * Deterministic summary from tool results (meta.action / meta.status), used without an LLM
+ * and merged with the LLM summary so the file list is never lost.
+ * @param {Object[]} messages
+ */
+function extractHeuristicSummary(messages = []) {
+  const summary = emptySummary();
+  for (const message of messages) {
+    const meta = message && message.meta;
+    const action = meta && meta.action;
+    if (!message || message.role !== 'user' || !action || !action.type) continue;
+    const params = action.params || {};
+    const failed = meta.status === 'failure';
+    const target = params.origin_path || params.path;
+    if (FILE_ACTIONS[action.type] && target) {
+      if (failed) {
+        summary.failed_approaches.push(`${action.type} ${target}: ${firstErrorLine(message.content)}`);
+      } else {
+        summary.files_touched.push({ path: String(target), actions: [FILE_ACTIONS[action.type]], notes: '' });
+      }
+    } else if (action.type === 'terminal_run' && params.command) {
+      const command = describeCommand(params);
+      if (failed) {
+        summary.failed_approaches.push(`\`${command}\` failed: ${firstErrorLine(message.content)}`);
+      } else {
+        summary.facts.push(`\`${command}\` succeeded`);
+      }
+    }
+  }
+  return normalizeSummary(summary);
+}
+
+/**
+ * @param {Object} previous current running summary
+ * @param {Object[]} messages messages being compacted
+ */
+function buildCompactionPrompt(previous, messages = []) {
+  const transcript = messages.map((m, idx) => {
+    let content = typeof m.content === 'string' ? m.content : '';
+    if (content.length > MAX_TRANSCRIPT_MESSAGE_CHARS) {
+      content = `${content.slice(0, MAX_TRANSCRIPT_MESSAGE_CHARS)}\n...[truncated]`;
+    }
+    return `[${idx}] ${m.role}${m.action_type ? ` (${m.action_type})` : ''}:\n${content}`;
+  }).join('\n\n');
+
+  return `You maintain the working memory of a coding agent. Older messages of its transcript are being removed from the context.
+Update the running summary so that the agent keeps everything it learned from them and does not need to re-read files or re-run commands.
+
+Return ONLY a JSON object:
+{
+  "files_touched": [{ "path": "relative/path", "actions": ["read" | "write" | "patch"], "notes": "what the file contains / what was changed, key functions, line ranges" }],
+  "facts": ["concrete facts learned: APIs, config values, test results, environment details, decisions"],
+  "failed_approaches": ["what was tried, why it failed, so it is not repeated"]
+}
+
+Rules:
+- Keep every item from the current summary unless the transcript shows it is obsolete.
+- Be specific (names, paths, commands, error messages), one short sentence per item.
+- Do not include file contents verbatim beyond short identifiers.
+
+== Current summary ==
+${JSON.stringify(normalizeSummary(previous), null, 2)}
+
+== Transcript being removed ==
+${transcript}`;
+}
+
+/**
+ * Text injected into the LLM context as the first memory message.
+ * @param {Object} summary
+ */
+function renderSummary(summary) {
+  const s = normalizeSummary(summary);
+  const lines = [
+    s.compacted_messages > 0
+      ? `[CONTEXT SUMMARY] ${s.compacted_messages} earlier messages of this task were compacted into this summary.`
+      : '[CONTEXT SUMMARY] What was learned earlier in this task.',
+    'Rely on it instead of re-reading files or re-running commands, unless you need exact content that is not listed here.',
+  ];
+  if (s.files_touched.length > 0) {
+    lines.push('', 'Files touched:');
+    for (const f of s.files_touched) {
+      const actions = f.actions.length > 0 ? ` (${f.actions.join(', ')})` : '';
+      lines.push(`- ${f.path}${actions}${f.notes ? `: ${f.notes}` : ''}`);
+    }
+  }
+  if (s.facts.length > 0) {
+    lines.push('', 'Facts learned:');
+    s.facts.forEach(fact => lines.push(`- ${fact}`));
+  }
+  if (s.failed_approaches.length > 0) {
+    lines.push('', 'Failed approaches (do not repeat them unchanged):');
+    s.failed_approaches.forEach(item => lines.push(`- ${item}`));
+  }
+  return lines.join('\n');
+}
+
+function createSummaryMessage(summary) {
+  const normalized = normalizeSummary(summary);
+  return {
+    role: 'user',
+    content: renderSummary(normalized),
+    action_type: SUMMARY_ACTION_TYPE,
+    memorized: false,
+    meta: { compaction: normalized },
+  };
+}
+
+module.exports = exports = {
+  SUMMARY_ACTION_TYPE,
+  estimateTokens,
+  estimateMessageTokens,
+  resolveTokenBudget,
+  isSummaryMessage,
+  selectMessagesToCompact,
+  emptySummary,
+  normalizeSummary,
+  mergeSummaries,
+  extractHeuristicSummary,
+  buildCompactionPrompt,
+  renderSummary,
+  createSummaryMessage,
+};
@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+
+const {
+  estimateTokens,
+  resolveTokenBudget,
+  selectMessagesToCompact,
+  mergeSummaries,
+  extractHeuristicSummary,
+  createSummaryMessage,
+} = require('./compaction');
+
+const toolPair = (hash, size) => [
+  { role: 'assistant', content: `<read_file><path>${hash}.js</path></read_file>`, meta: { prune_hash: hash } },
+  { role: 'user', content: 'x'.repeat(size), meta: { prune_hash: hash, action: { type: 'read_file', params: { path: `${hash}.js` } }, status: 'success' } },
+];
+
+describe('resolveTokenBudget', () => {
+  it('should derive the budget from the model context window', () => {
+    expect(estimateTokens('abcdefgh')).to.equal(2);
+    expect(resolveTokenBudget({ context_window: 128000 }, {})).to.deep.equal({ context_window: 128000, budget: 64000, target: 38400 });
+    expect(resolveTokenBudget({}, { MEMORY_CONTEXT_WINDOW: '8000', MEMORY_CONTEXT_RATIO: '0.25' }).budget).to.equal(2000);
+    expect(resolveTokenBudget({}, {}).context_window).to.equal(32000);
+  });
+});
+
+describe('selectMessagesToCompact', () => {
+  it('should keep recent prune_hash groups together and skip the summary message', () => {
+    const messages = [createSummaryMessage({ facts: ['a'] }), ...toolPair('a', 4000), ...toolPair('b', 4000), ...toolPair('c', 4000)];
+    expect(selectMessagesToCompact(messages, { budget: 100000, target: 60000 })).to.equal(null);
+    // each pair is ~1000 tokens: keep the latest two pairs, compact the first one
+    expect(selectMessagesToCompact(messages, { budget: 2500, target: 2200 })).to.deep.equal({ start: 1, end: 3 });
+    // the latest group is always kept
+    expect(selectMessagesToCompact(messages, { budget: 10, target: 5 })).to.deep.equal({ start: 1, end: 5 });
+  });
+});
+
+describe('extractHeuristicSummary', () => {
+  it('should collect files, commands and failures from tool results', () => {
+    const summary = extractHeuristicSummary([
+      ...toolPair('app', 10),
+      { role: 'user', content: 'FAIL\nError: expected 1 to equal 2', meta: { action: { type: 'terminal_run', params: { command: 'npm', args: ['test'] } }, status: 'failure' } },
+      { role: 'user', content: 'ok', meta: { action: { type: 'write_code', params: { path: 'app.js' } }, status: 'success' } },
+    ]);
+    expect(summary.files_touched).to.deep.equal([
+      { path: 'app.js', actions: ['read'], notes: '' },
+      { path: 'app.js', actions: ['write'], notes: '' },
+    ]);
+    expect(summary.failed_approaches).to.deep.equal(['`npm test` failed: Error: expected 1 to equal 2']);
+
+    const merged = mergeSummaries({ files_touched: [{ path: 'app.js', actions: ['read'], notes: 'old' }], facts: ['Uses koa'] }, summary, { facts: ['uses koa', 'Port 3000'] });
+    expect(merged.files_touched).to.deep.equal([{ path: 'app.js', actions: ['read', 'write'], notes: 'old' }]);
+    expect(merged.facts).to.deep.equal(['Uses koa', 'Port 3000']);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * 跨对话的长期记忆 (按用户 / Agent)
+ *
+ * - 对话完成后由 LLM 提取持久事实 (偏好 / 环境 / 项目位置 ...), 写入 long_term_memory 表
+ * - agent_id 为空的条目对该用户的所有 Agent 生效, 否则只对该 Agent 生效
+ * - 规划时按与目标的语义相似度召回 top-k 条注入提示词 (向量与 Knowledge 使用相同的 embedding provider)
+ * - ENABLE_LONG_TERM_MEMORY=OFF 关闭提取与召回, 已有条目仍可通过 /api/memory 管理
+ * - 回放 / 评测 / mock 模型的运行不提取 (输出来自录制或脚本, 不代表用户)
+ */
+const { Op } = require('sequelize');
+
+const LongTermMemory = require('@src/models/LongTermMemory');
+const { rankBySimilarity } = require('@src/knowledge/embedding/rank');
+const { buildTranscript, buildExtractionPrompt, normalizeExtracted, normalizeCategory } = require('./long-term.util');
+
+const LONG_TERM_MEMORY_TOP_K = parseInt(process.env.LONG_TERM_MEMORY_TOP_K || '10', 10) || 10;
+// 提取时提供给 LLM 去重的已有条目数
+const MAX_KNOWN_MEMORIES = 100;
+
+const isLongTermMemoryEnabled = () => String(process.env.ENABLE_LONG_TERM_MEMORY || 'ON').toUpperCase() !== 'OFF';
+
+/**
+ * 用户级条目 + 该 Agent 的条目
+ * @param {number|string} user_id
+ * @param {number|string} [agent_id]
+ */
+const scopeWhere = (user_id, agent_id) => {
+  if (!agent_id) return { user_id, agent_id: null };
+  return { user_id, [Op.or]: [{ agent_id: null }, { agent_id }] };
+};
+
+const toItem = (row, score) => {
+  const { id, agent_id, content, category, source, conversation_id, recall_count, last_recalled_at, create_at, update_at } = row.dataValues;
+  const item = { id, agent_id, scope: agent_id ? 'agent' : 'user', content, category, source, conversation_id, recall_count, last_recalled_at, create_at, update_at };
+  if (score !== undefined) item.score = Number(score.toFixed(4));
+  return item;
+};
+
+/**
+ * 规划时召回: 条目数不超过 top_k 时全部返回, 否则返回与 query 最相关的 top_k 条
+ * @param {{ user_id: number|string, agent_id?: number|string, query?: string, top_k?: number }} options
+ */
+const recallLongTermMemories = async (options = {}) => {
+  const { user_id, agent_id, query = '', top_k = LONG_TERM_MEMORY_TOP_K } = options;
+  if (!isLongTermMemoryEnabled() || !user_id) return [];
+  const rows = await LongTermMemory.findAll({ where: scopeWhere(user_id, agent_id), order: [['id', 'ASC']] });
+  if (rows.length === 0) return [];
+
+  let ranked = rows.slice(-top_k).map(row => ({ row }));
+  if (rows.length > top_k && String(query).trim()) {
+    try {
+      ranked = await rankBySimilarity(LongTermMemory, rows, query, { top_k, tag: 'long-term-memory' });
+    } catch (error) {
+      console.error('[long-term-memory] Semantic recall failed:', error.message);
+    }
+  }
+
+  const ids = ranked.map(({ row }) => row.dataValues.id);
+  try {
+    await LongTermMemory.increment('recall_count', { by: 1, where: { id: ids } });
+    await LongTermMemory.update({ last_recalled_at: new Date() }, { where: { id: ids } });
+  } catch (error) {
+    console.error('[long-term-memory] Failed to record recall:', error.message);
+  }
+  return ranked.map(({ row, score }) => toItem(row, score));
+};
+
+// 会话首选模型为 mock 平台 (completion/llm.mock.js)
+const usesMockModel = async (conversation_id) => {
+  const { getModelChain } = require('@src/utils/default_model');
+  const [model_info] = await getModelChain(conversation_id);
+  return !!model_info && String(model_info.platform_name || '').toLowerCase() === 'mock';
+};
+
+/**
+ * 从完成的对话中提取长期记忆
+ * @param {string} conversation_id
+ * @returns {Promise<Object[]>} 新增 / 更新的条目
+ */
+const extractLongTermMemories = async (conversation_id) => {
+  if (!isLongTermMemoryEnabled()) return [];
+  const Conversation = require('@src/models/Conversation');
+  const Message = require('@src/models/Message');
+  const Task = require('@src/models/Task');
+
+  const conversation = await Conversation.findOne({ where: { conversation_id } });
+  if (!conversation || !conversation.user_id) return [];
+  if (await usesMockModel(conversation_id)) return [];
+  const { user_id, agent_id } = conversation;
+
+  const messages = await Message.findAll({ where: { conversation_id }, order: [['id', 'ASC']] });
+  const tasks = await Task.findAll({ where: { conversation_id }, order: [['create_at', 'ASC']] });
+  const transcript = buildTranscript({
+    goal: conversation.content,
+    messages: messages.map(message => {
+      const meta = typeof message.meta === 'string' ? JSON.parse(message.meta || '{}') : (message.meta || {});
+      return { role: message.role, content: message.content, action_type: meta.action_type };
+    }),
+    tasks: tasks.map(task => ({ requirement: task.requirement, result: task.result })),
+  });
+
+  const existing = (await LongTermMemory.findAll({
+    where: scopeWhere(user_id, agent_id),
+    order: [['update_at', 'DESC']],
+    limit: MAX_KNOWN_MEMORIES,
+  })).map(row => row.dataValues);
+
+  // 不传 conversation_id (使用默认模型): 提取不是会话中的调用, 不写入会话的 LLMLogs (回放 / 导出), 也不计入会话用量与预算
+  const call = require('@src/utils/llm');
+  const json = await call(buildExtractionPrompt(transcript, existing), null, 'assistant', { temperature: 0, response_format: 'json' }, () => { });
+  const extracted = normalizeExtracted(json, existing);
+
+  const saved = [];
+  for (const item of extracted) {
+    const values = {
+      content: item.content,
+      category: item.category,
+      agent_id: item.scope === 'agent' && agent_id ? agent_id : null,
+      source: 'auto',
+      conversation_id,
+      update_at: new Date(),
+    };
+    if (item.replaces) {
+      const row = await LongTermMemory.findOne({ where: { id: item.replaces, user_id } });
+      if (row) {
+        await row.update(values);
+        saved.push(toItem(row));
+        continue;
+      }
+    }
+    saved.push(toItem(await LongTermMemory.create({ user_id, ...values })));
+  }
+  if (saved.length > 0) {
+    console.log(`[long-term-memory] Saved ${saved.length} memories from conversation ${conversation_id}`);
+  }
+  return saved;
+};
+
+/**
+ * 对话完成后在后台提取, 失败不影响对话
+ * @param {string} conversation_id
+ * @param {{ replay?: boolean, eval?: boolean }} [context] Agent 运行的 context
+ */
+const scheduleLongTermMemoryExtraction = (conversation_id, context = {}) => {
+  if (!isLongTermMemoryEnabled() || !conversation_id) return;
+  const { getReplaySession } = require('@src/completion/replay');
+  if (context.replay || context.eval || getReplaySession(conversation_id)) return;
+  extractLongTermMemories(conversation_id).catch(error => {
+    console.error(`[long-term-memory] Extraction failed for ${conversation_id}:`, error?.message);
+  });
+};
+
+/**
+ * @param {number|string} user_id
+ * @param {{ agent_id?: number|string, scope?: 'user'|'agent', category?: string }} [filters]
+ */
+const listLongTermMemories = async (user_id, filters = {}) => {
+  const { agent_id, scope, category } = filters;
+  let where = { user_id };
+  if (scope === 'user') where.agent_id = null;
+  else if (scope === 'agent') where.agent_id = agent_id ? agent_id : { [Op.ne]: null };
+  else if (agent_id) where = scopeWhere(user_id, agent_id);
+  if (category) where.category = category;
+  const rows = await LongTermMemory.findAll({ where, order: [['update_at', 'DESC']] });
+  return rows.map(row => toItem(row));
+};
+
+/**
+ * 手动添加
+ * @param {number|string} user_id
+ * @param {{ content: string, category?: string, agent_id?: number|null }} data
+ */
+const addLongTermMemory = async (user_id, data = {}) => {
+  const row = await LongTermMemory.create({
+    user_id,
+    agent_id: data.agent_id || null,
+    content: String(data.content).trim(),
+    category: normalizeCategory(data.category),
+    source: 'manual',
+  });
+  return toItem(row);
+};
+
+/**
+ * @returns {Promise<Object|null>} null: 条目不存在
+ */
+const updateLongTermMemory = async (user_id, id, data = {}) => {
+  const row = await LongTermMemory.findOne({ where: { id, user_id } });
+  if (!row) return null;
+  const values = { source: 'manual', update_at: new Date() };
+  if (typeof data.content === 'string' && data.content.trim()) values.content = data.content.trim();
+  if (data.category !== undefined) values.category = normalizeCategory(data.category);
+  if (data.agent_id !== undefined) values.agent_id = data.agent_id || null;
+  await row.update(values);
+  return toItem(row);
+};
+
+/**
+ * @returns {Promise<number>} 删除的条目数
+ */
+const forgetLongTermMemory = async (user_id, id) => LongTermMemory.destroy({ where: { id, user_id } });
+
+module.exports = exports = {
+  LONG_TERM_MEMORY_TOP_K,
+  isLongTermMemoryEnabled,
+  recallLongTermMemories,
+  extractLongTermMemories,
+  scheduleLongTermMemoryExtraction,
+  listLongTermMemories,
+  addLongTermMemory,
+  updateLongTermMemory,
+  forgetLongTermMemory,
+};
@@ -0,0 +1,64 @@
+require('module-alias/register');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const Conversation = require('@src/models/Conversation');
+const Message = require('@src/models/Message');
+const Task = require('@src/models/Task');
+const LongTermMemory = require('@src/models/LongTermMemory');
+const default_model = require('@src/utils/default_model');
+const { startReplaySession, endReplaySession } = require('@src/completion/replay');
+const { extractLongTermMemories, scheduleLongTermMemoryExtraction } = require('@src/agent/memory/long-term');
+
+describe('long-term memory extraction', () => {
+  afterEach(() => sinon.restore());
+
+  it('should skip conversations that run on the mock platform', async () => {
+    sinon.stub(Conversation, 'findOne').resolves({ user_id: 1, agent_id: null, content: 'hello' });
+    sinon.stub(default_model, 'getModelChain').resolves([{ platform_name: 'Mock', model_name: 'mock' }]);
+    const messages = sinon.stub(Message, 'findAll').resolves([]);
+    expect(await extractLongTermMemories('c1')).to.deep.equal([]);
+    expect(messages.called).to.equal(false);
+  });
+
+  it('should run the extraction outside of the finished conversation', async () => {
+    sinon.stub(Conversation, 'findOne').resolves({ user_id: 1, agent_id: null, content: 'hello' });
+    sinon.stub(default_model, 'getModelChain').resolves([{ platform_name: 'openai', model_name: 'gpt' }]);
+    sinon.stub(Message, 'findAll').resolves([]);
+    sinon.stub(Task, 'findAll').resolves([]);
+    sinon.stub(LongTermMemory, 'findAll').resolves([]);
+
+    // utils/llm.js 导出的是函数, 替换模块缓存
+    require('@src/utils/llm');
+    const llm = require.cache[require.resolve('@src/utils/llm')];
+    const original = llm.exports;
+    const calls = [];
+    llm.exports = async (...args) => {
+      calls.push(args);
+      return { memories: [] };
+    };
+    try {
+      expect(await extractLongTermMemories('c1')).to.deep.equal([]);
+    } finally {
+      llm.exports = original;
+    }
+    expect(calls).to.have.lengthOf(1);
+    expect(calls[0][1]).to.equal(null);
+  });
+
+  it('should not schedule extraction for replay and eval runs', () => {
+    const findOne = sinon.stub(Conversation, 'findOne').resolves(null);
+    scheduleLongTermMemoryExtraction('c1', { replay: true });
+    scheduleLongTermMemoryExtraction('c1', { eval: true });
+    startReplaySession('c2', [{ content: 'ok' }]);
+    try {
+      scheduleLongTermMemoryExtraction('c2');
+    } finally {
+      endReplaySession('c2');
+    }
+    expect(findOne.called).to.equal(false);
+
+    scheduleLongTermMemoryExtraction('c3');
+    expect(findOne.calledOnce).to.equal(true);
+  });
+});
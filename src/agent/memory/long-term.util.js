@@ -0,0 +1,122 @@
+/**
+ * 长期记忆: 提取提示词 / 结果校验 / 注入格式 (纯函数, 不访问数据库)
+ */
+
+const CATEGORIES = ['preference', 'environment', 'project', 'fact'];
+
+const MAX_MEMORY_CHARS = 300;
+const MAX_EXTRACTED = 10;
+const MAX_TRANSCRIPT_CHARS = 20000;
+
+const normalizeText = (text = '') => String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const clip = (text, max) => {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 3)}...` : s;
+};
+
+const normalizeCategory = (category) => (CATEGORIES.includes(category) ? category : 'fact');
+
+/**
+ * 对话记录: 目标 / 用户消息 / 任务结果 / 最终总结, 超出长度时优先保留后面的内容
+ * @param {{ goal?: string, messages?: Array<{ role: string, content: string, action_type?: string }>, tasks?: Array<{ requirement: string, result?: string }> }} conversation
+ */
+const buildTranscript = ({ goal = '', messages = [], tasks = [] } = {}) => {
+  const parts = [`[Goal]\n${goal}`];
+  for (const message of messages) {
+    if (message.role === 'user') {
+      parts.push(`[User]\n${clip(message.content, 2000)}`);
+    } else if (message.action_type === 'finish_summery') {
+      parts.push(`[Final Summary]\n${clip(message.content, 4000)}`);
+    }
+  }
+  for (const task of tasks) {
+    parts.push(`[Task] ${clip(task.requirement, 300)}${task.result ? `\n[Result] ${clip(task.result, 800)}` : ''}`);
+  }
+  const transcript = parts.join('\n\n');
+  return transcript.length > MAX_TRANSCRIPT_CHARS ? transcript.slice(-MAX_TRANSCRIPT_CHARS) : transcript;
+};
+
+/**
+ * @param {string} transcript
+ * @param {Array<{ id: number, content: string, category: string, agent_id: number|null }>} existing 当前范围内已有的记忆
+ */
+const buildExtractionPrompt = (transcript, existing = []) => {
+  const known = existing.map(item => ({
+    id: item.id,
+    content: item.content,
+    category: item.category,
+    scope: item.agent_id ? 'agent' : 'user',
+  }));
+  return `You maintain the long-term memory of an AI agent across conversations.
+Extract durable facts from the finished conversation below that will still be useful in FUTURE, unrelated conversations with the same user.
+
+Good memories:
+- user preferences: "User prefers pnpm over npm", "User wants answers in French"
+- environment: "The team database is PostgreSQL 15", "Deployment target is Kubernetes on GCP"
+- projects: "Project billing-api lives at /workspace/billing-api and uses NestJS"
+
+Do NOT extract:
+- details that only matter for this conversation (intermediate results, one-off task steps, file contents)
+- secrets, passwords, tokens or personal data
+- facts already present in [Known Memories] (unless they changed)
+
+Scope: "user" when the fact is about the user or their environment (applies to every agent), "agent" when it only matters for the kind of work this agent does.
+If a new fact contradicts or refines a known memory, return it with "replaces" set to that memory id.
+
+Return ONLY JSON, at most ${MAX_EXTRACTED} items, an empty list when nothing qualifies:
+{ "memories": [{ "content": "one self-contained sentence", "category": "${CATEGORIES.join(' | ')}", "scope": "user | agent", "replaces": null }] }
+
+[Known Memories]
+${JSON.stringify(known, null, 2)}
+
+[Conversation]
+${transcript}`;
+};
+
+/**
+ * 校验 LLM 返回的记忆: 过滤空内容 / 与已有记忆重复的条目, replaces 只能指向已有记忆
+ * @param {any} json
+ * @param {Array<{ id: number, content: string }>} existing
+ * @returns {Array<{ content: string, category: string, scope: 'user'|'agent', replaces: number|null }>}
+ */
+const normalizeExtracted = (json, existing = []) => {
+  const list = Array.isArray(json) ? json : (json && Array.isArray(json.memories) ? json.memories : []);
+  const existingIds = new Set(existing.map(item => item.id));
+  const seen = new Set(existing.map(item => normalizeText(item.content)));
+  const out = [];
+  for (const item of list) {
+    const content = clip(typeof item === 'string' ? item : item && item.content, MAX_MEMORY_CHARS);
+    const key = normalizeText(content);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    const replaces = Number(item && item.replaces);
+    out.push({
+      content,
+      category: normalizeCategory(item && item.category),
+      scope: item && item.scope === 'agent' ? 'agent' : 'user',
+      replaces: existingIds.has(replaces) ? replaces : null,
+    });
+    if (out.length >= MAX_EXTRACTED) break;
+  }
+  return out;
+};
+
+/**
+ * 规划提示词中的长期记忆
+ * @param {Array<{ content: string, category: string }>} memories
+ */
+const describeMemories = (memories = []) => {
+  if (memories.length === 0) return '';
+  return memories.map(item => `- [${item.category}] ${item.content}`).join('\n');
+};
+
+module.exports = exports = {
+  CATEGORIES,
+  normalizeText,
+  normalizeCategory,
+  buildTranscript,
+  buildExtractionPrompt,
+  normalizeExtracted,
+  describeMemories,
+};
@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+
+const { buildTranscript, buildExtractionPrompt, normalizeExtracted, describeMemories } = require('./long-term.util');
+
+describe('long-term memory extraction', () => {
+  it('should build the transcript from user messages, the final summary and task results', () => {
+    const transcript = buildTranscript({
+      goal: 'Add a migration',
+      messages: [
+        { role: 'user', content: 'Use pnpm please' },
+        { role: 'assistant', content: 'thinking...', action_type: 'terminal_run' },
+        { role: 'assistant', content: 'Done, migration added', action_type: 'finish_summery' },
+      ],
+      tasks: [{ requirement: 'Create migration', result: 'db/migrate/001.sql' }],
+    });
+    expect(transcript).to.equal('[Goal]\nAdd a migration\n\n[User]\nUse pnpm please\n\n[Final Summary]\nDone, migration added\n\n[Task] Create migration\n[Result] db/migrate/001.sql');
+    expect(buildExtractionPrompt(transcript, [{ id: 3, content: 'DB is Postgres 15', category: 'environment', agent_id: null }]))
+      .to.include('"scope": "user"').and.to.include(transcript);
+  });
+
+  it('should drop duplicates and unknown replacements', () => {
+    const existing = [{ id: 3, content: 'The database is PostgreSQL 15.' }];
+    const extracted = normalizeExtracted({
+      memories: [
+        { content: 'the database is postgresql 15', category: 'environment' },
+        { content: 'User prefers pnpm', category: 'preference', scope: 'user' },
+        { content: 'User prefers  pnpm!', category: 'preference' },
+        { content: 'Database upgraded to PostgreSQL 16', category: 'environment', replaces: 3 },
+        { content: 'Project x lives at /workspace/x', category: 'location', scope: 'agent', replaces: 99 },
+        { content: '' },
+      ],
+    }, existing);
+    expect(extracted).to.deep.equal([
+      { content: 'User prefers pnpm', category: 'preference', scope: 'user', replaces: null },
+      { content: 'Database upgraded to PostgreSQL 16', category: 'environment', scope: 'user', replaces: 3 },
+      { content: 'Project x lives at /workspace/x', category: 'fact', scope: 'agent', replaces: null },
+    ]);
+    expect(normalizeExtracted(null)).to.deep.equal([]);
+    expect(describeMemories(extracted.slice(0, 1))).to.equal('- [preference] User prefers pnpm');
+  });
+});
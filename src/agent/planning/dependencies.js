@@ -0,0 +1,62 @@
+/**
+ * 解析规划结果中的任务依赖
+ *
+ * 规划模板要求每个任务输出一行依赖声明 (按任务顺序编号, 从 1 开始):
+ *   - Depends on: none
+ *   - Depends on: Task 1, Task 3
+ *   - 依赖：任务1、任务2
+ *
+ * - 整个计划都没有依赖声明时保持原有的顺序执行 (depends_on 为 undefined)
+ * - 部分任务缺少声明时, 视为依赖前一个任务
+ * - 只允许依赖排在前面的任务, 避免循环依赖
+ */
+const DEPENDS_LINE_RE = /^[ \t]*[-*]?[ \t]*(?:\*\*)?(?:depends[ \t]+on|dependencies|依赖)(?:\*\*)?[ \t]*[:：](.*)$/im;
+const NONE_RE = /^\s*(none|n\/a|无|没有|-)?\s*\.?$/i;
+
+/**
+ * @param {string} content
+ * @returns {{ declared: boolean, indexes: number[], content: string }} indexes 为 1-based
+ */
+const parseDependsLine = (content = '') => {
+  const match = String(content).match(DEPENDS_LINE_RE);
+  if (!match) return { declared: false, indexes: [], content };
+  const value = match[1].replace(/\*\*/g, '').trim();
+  const indexes = NONE_RE.test(value) ? [] : (value.match(/\d+/g) || []).map(Number);
+  return {
+    declared: true,
+    indexes,
+    content: String(content).replace(match[0], '').replace(/\n{3,}/g, '\n\n'),
+  };
+};
+
+/**
+ * 为 resolveMarkdown 的结果补充 depends_on (0-based 任务下标, TaskManager.setTasks 中转换为任务ID)
+ * @param {Array<{ title: string, content: string, description?: string }>} tasks
+ * @returns {Array<Object>}
+ */
+const resolveTaskDependencies = (tasks = []) => {
+  const parsed = tasks.map(task => parseDependsLine(task.content || ''));
+  if (!parsed.some(item => item.declared)) return tasks;
+
+  return tasks.map((task, index) => {
+    const item = parsed[index];
+    let depends_on;
+    if (item.declared) {
+      depends_on = Array.from(new Set(item.indexes.map(n => n - 1).filter(n => n >= 0 && n < index)));
+    } else {
+      depends_on = index > 0 ? [index - 1] : [];
+    }
+    const content = item.content;
+    return {
+      ...task,
+      content,
+      description: `${task.title}\n${content}`,
+      depends_on,
+    };
+  });
+};
+
+module.exports = exports = {
+  parseDependsLine,
+  resolveTaskDependencies,
+};
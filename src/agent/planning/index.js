@@ -32,6 +32,7 @@ const resolvePlanningPromptBP = require("@src/agent/prompt/plan");
 const { resolveMarkdown } = require("@src/utils/markdown");
 const resolveThinking = require("@src/utils/thinking");
 const retryWithFormatFix = require("./retry_with_format_fix");
+const { resolveTaskDependencies } = require("./dependencies");
 
 // Strict project type selection (planning only)
 const ALLOWED_PROJECT_TYPES = new Set([
@@ -147,7 +148,8 @@ const planning_local = async (goal, options = {}) => {
       markdown = output;
     }
     const tasks = await resolveMarkdown(markdown);
-    return tasks || [];
+    // 任务依赖声明 (Depends on), 无依赖的任务可以并行执行
+    return resolveTaskDependencies(tasks || []);
   };
   // 验证函数
   const validate = (tasks) => Array.isArray(tasks) && tasks.length > 0;
@@ -1,5 +1,8 @@
 const { resolveTemplate, loadTemplate } = require("@src/utils/template");
 const { resolvePlanningKnowledge } = require("@src/knowledge/index");
+const { recallLongTermMemories } = require("@src/agent/memory/long-term");
+const { describeMemories } = require("@src/agent/memory/long-term.util");
+const { describeWorkspace } = require("@src/workspace/import");
 
 const describeUploadFiles = files => {
   let content = ''
@@ -19,18 +22,36 @@ const resolveTemplateFilename = (planning_mode) => {
   return `planning.${planning_mode}.txt`
 }
 
-const resolvePlanningPrompt = async (goal, options) => {
-  const { files, previousResult, agent_id, planning_mode, project_type } = options;
+// 跨对话的长期记忆 (用户偏好 / 环境 / 项目位置), 召回失败不影响规划
+const resolveLongTermMemory = async (goal, { conversation_id, agent_id, user_id }) => {
+  try {
+    if (!user_id && conversation_id) {
+      const Conversation = require("@src/models/Conversation");
+      const conversation = await Conversation.findOne({ where: { conversation_id } });
+      user_id = conversation && conversation.user_id;
+    }
+    const memories = await recallLongTermMemories({ user_id, agent_id, query: goal });
+    return describeMemories(memories);
+  } catch (error) {
+    console.error('[plan] Failed to recall long-term memory:', error.message);
+    return '';
+  }
+}
+
+const resolvePlanningPrompt = async (goal, options = {}) => {
+  const { conversation_id, files, previousResult, agent_id, user_id, planning_mode, project_type } = options;
 
   const templateFilename = resolveTemplateFilename(planning_mode);
   // loadTemplate MUST throw if the template file does not exist (hard fail)
   const promptTemplate = await loadTemplate(templateFilename);
   const system = `Current Time: ${new Date().toLocaleString()}`
-  const uploadFileDescription = describeUploadFiles(files);
+  // 导入的项目 (遵循 .gitignore 的文件列表) 与上传文件一起提供给规划
+  const uploadFileDescription = await describeWorkspace(conversation_id) + describeUploadFiles(files);
   // 尝试不使用experience
   // const experiencePrompt = await resolveExperiencePrompt(goal, conversation_id)
   const experiencePrompt = ''
-  const best_practice_knowledge = await resolvePlanningKnowledge({ agent_id });
+  const best_practice_knowledge = await resolvePlanningKnowledge({ agent_id, goal });
+  const long_term_memory = await resolveLongTermMemory(goal, { conversation_id, agent_id, user_id });
   const prompt = await resolveTemplate(promptTemplate, {
     goal,
     files: uploadFileDescription,
@@ -38,6 +59,7 @@ const resolvePlanningPrompt = async (goal, options) => {
     system,
     experiencePrompt,
     best_practice_knowledge,
+    long_term_memory,
     project_type,
   })
   return prompt;
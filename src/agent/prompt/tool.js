@@ -1,25 +1,23 @@
 /**
  * 工具调用提示模板生成器
- * 根据工具目录中的工具定义生成工具调用的提示模板
+ * 根据工具注册中心 (src/tools/registry.js) 中的工具定义生成工具调用的提示模板
  */
-const tools = require("@src/tools/index");
+const toolRegistry = require("@src/tools/registry");
 
 /**
  * 生成工具列表的提示模板
+ * @param {Object} [options]
+ * @param {string} [options.tool_call_mode] xml | native, native 模式下提示模型使用 function calling
+ * @param {Object} [options.tool_policy] Agent 工具策略 (启用/禁用列表)
  * @returns {Promise<string>} 工具列表的提示模板
  */
-const resolveToolPrompt = async () => {
+const resolveToolPrompt = async (options = {}) => {
+  const { tool_call_mode = 'xml', tool_policy } = options || {};
+  const tools = toolRegistry.listPromptTools(tool_policy);
 
   let toolDescription = "";
   // 遍历所有工具并生成它们的描述
-  for (const [toolName, tool] of Object.entries(tools)) {
-    if (toolName === 'web_search' || toolName === 'browser' || toolName === 'read_url') {
-      continue;
-    }
-    if (!tool || !tool.name || !tool.description || !tool.params) {
-      console.warn(`工具 ${toolName} 定义不完整，跳过`);
-      continue;
-    }
+  for (const tool of tools) {
     // 格式化工具定义为JSON字符串
     const toolDefinition = {
       description: tool.description,
@@ -32,6 +30,11 @@ ${JSON.stringify(toolDefinition)}
 </tool>
 `;
   }
+  // native 模式: 工具通过 function calling 接口调用, XML 仅作为历史记录格式
+  const nativeGuideline = tool_call_mode === 'native'
+    ? `
+- Call tools through the native function-calling interface (tool_calls). Do NOT write XML tool blocks in your text reply; the XML shown in history is only a record of previous tool calls.`
+    : '';
   // 使用模板字符串构建工具提示
   const prompt = `<tools>
 <tool_list>
@@ -47,10 +50,8 @@ Follow these guidelines regarding tool calls
 - The conversation history, or tool_call history may refer to tools that are no longer available. NEVER call tools that are not explicitly provided.
 - Pay Attention: Assuming that the information obtained by mcp_tool is more accurate, please use mcp_tool first to obtain accurate information before generating and creating.
 - You MUST only use the tools explicitly provided in the tool list. Do not treat file names or code functions as tool names. The available tool names:
-- ${Object.keys(tools)
-    .filter(name => !['web_search', 'browser', 'read_url'].includes(name))
-    .join('\n  - ')}
-- finish
+- ${tools.map(tool => tool.name).join('\n  - ')}
+- finish${nativeGuideline}
 </tool_call_guidelines>
 
 </tools>`;
@@ -0,0 +1,189 @@
+/**
+ * 会话回放
+ *
+ * 以原会话的目标在新会话中重新运行 AgenticAgent:
+ * - 模型调用按顺序返回原会话录制的输出 (LLMLogs, 见 completion/replay.js), 不调用模型
+ * - action 由运行时真实执行, 工作区从原会话的初始工作区 (git step 0) 开始
+ * - 结束后生成报告: 模型请求与 action 结果从哪里开始与录制不一致, 保存为 replay_report 消息
+ */
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+
+const Conversation = require('@src/models/Conversation');
+const LLMLogs = require('@src/models/LLMLogs');
+const MessageTable = require('@src/models/Message');
+const Message = require('@src/utils/message');
+const { resolveConversationDir, resolveConversationDirname } = require('@src/runtime/runtime.util');
+const { listCommits, cloneWorkspace } = require('@src/agent/git/index');
+const { startReplaySession, getReplaySession, endReplaySession, compareActions } = require('@src/completion/replay');
+
+// 只在回放会话中出现, 或内容与模型输出相同的消息不参与 action 比较
+const IGNORE_ACTIONS = ['question', 'replay_report', 'stop', 'continue'];
+
+// 原会话的 ID / 工作区路径替换为回放会话的, 工作区绝对路径优先
+const buildReplacements = (source, target) => [
+  [resolveConversationDir(source), resolveConversationDir(target)],
+  [resolveConversationDirname(source.conversation_id), resolveConversationDirname(target.conversation_id)],
+  [source.conversation_id, target.conversation_id],
+];
+
+// 工作区从原会话的 step 0 开始 (导入的项目 / 上传的文件), 没有版本历史时为空目录
+const prepareWorkspace = async (source, target) => {
+  const source_dir = resolveConversationDir(source);
+  if (fs.existsSync(path.join(source_dir, '.git'))) {
+    try {
+      const [initial] = await listCommits(source);
+      if (initial && await cloneWorkspace(target, source_dir, initial.sha)) return true;
+    } catch (error) {
+      console.error('[replay] Failed to read workspace history:', error.message);
+    }
+  }
+  fs.mkdirSync(resolveConversationDir(target), { recursive: true });
+  return false;
+};
+
+/**
+ * 创建回放会话并进入回放模式
+ * @param {{ source_conversation_id: string, user_id: number|string }} options
+ * @returns {Promise<{ conversation: Object, goal: string, records: number }>}
+ */
+const prepareReplay = async ({ source_conversation_id, user_id }) => {
+  const source = await Conversation.findOne({ where: { conversation_id: source_conversation_id, user_id, deleted_at: null } });
+  if (!source) {
+    throw new Error('Conversation does not exist');
+  }
+  if (source.status === 'running') {
+    throw new Error('Conversation is running, wait for it to finish before replaying');
+  }
+  const records = await LLMLogs.findAll({ where: { conversation_id: source_conversation_id }, order: [['id', 'ASC']] });
+  if (records.length === 0) {
+    throw new Error('Conversation has no recorded LLM calls to replay');
+  }
+
+  const conversation_id = uuid.v4();
+  const goal = source.content;
+  const conversation = await Conversation.create({
+    conversation_id,
+    user_id,
+    title: `Replay: ${source.title}`.slice(0, 255),
+    content: goal,
+    status: 'running',
+    mode_type: source.mode_type,
+    agent_id: source.agent_id,
+    model_id: source.model_id,
+    reasoning_model_id: source.reasoning_model_id,
+    workspace_source: source.workspace_source ? { ...source.workspace_source, mode: 'copy' } : null,
+  });
+
+  const context = { conversation_id, user_id };
+  const source_context = { conversation_id: source_conversation_id, user_id };
+  const from_history = await prepareWorkspace(source_context, context);
+
+  const session = startReplaySession(conversation_id, records.map(record => record.get({ plain: true })), {
+    replacements: buildReplacements(source_context, context),
+  });
+  session.source_conversation_id = source_conversation_id;
+  session.workspace_from_history = from_history;
+  console.log(`[replay] Replaying ${source_conversation_id} as ${conversation_id} (${records.length} recorded LLM calls)`);
+  return { conversation, goal, records: records.length };
+};
+
+/**
+ * 结束回放模式, 比较 action 结果并保存报告
+ * @param {{ conversation_id: string, user_id: number|string, onTokenStream?: Function }} context
+ * @param {Error} [error] 回放中断时的错误
+ */
+const finishReplay = async (context, error) => {
+  const { conversation_id, user_id } = context;
+  const session = getReplaySession(conversation_id);
+  if (!session) return null;
+  const { source_conversation_id, workspace_from_history } = session;
+  const report = {
+    source_conversation_id,
+    conversation_id,
+    workspace_from_history,
+    error: error ? error.message : null,
+    llm: endReplaySession(conversation_id),
+    actions: null,
+  };
+  try {
+    const order = [['timestamp', 'ASC'], ['id', 'ASC']];
+    const recorded = await MessageTable.findAll({ where: { conversation_id: source_conversation_id }, order });
+    const replayed = await MessageTable.findAll({ where: { conversation_id }, order });
+    const replacements = buildReplacements({ conversation_id: source_conversation_id, user_id }, { conversation_id, user_id });
+    report.actions = compareActions(recorded.map(item => item.get({ plain: true })), replayed.map(item => item.get({ plain: true })), {
+      replacements,
+      ignore_actions: IGNORE_ACTIONS,
+    });
+  } catch (err) {
+    console.error('[replay] Failed to compare actions:', err.message);
+  }
+  report.diverged = !!(report.error || report.llm.diverged > 0 || (report.actions && report.actions.mismatches.length > 0));
+
+  const msg = Message.format({
+    status: report.diverged ? 'failure' : 'success',
+    action_type: 'replay_report',
+    content: describeReport(report),
+    // @ts-ignore
+    json: report,
+  });
+  try {
+    if (typeof context.onTokenStream === 'function') context.onTokenStream(msg);
+    await Message.saveToDB(msg, conversation_id);
+  } catch (err) {
+    console.error('[replay] Failed to save replay report:', err.message);
+  }
+  return report;
+};
+
+const describeReport = (report) => {
+  const { llm, actions } = report;
+  const lines = [
+    `Replayed ${llm.calls} LLM calls: ${llm.matched} matched the recording, ${llm.diverged} diverged, ${llm.unused.length} recorded calls unused.`,
+  ];
+  if (llm.first_divergence) {
+    const first = llm.first_divergence;
+    lines.push(`First divergence at call #${first.call + 1}: ${first.reason}${first.message_index !== undefined ? ` (message ${first.message_index})` : ''}.`);
+  }
+  if (actions) {
+    lines.push(`Actions: ${actions.replayed} replayed / ${actions.recorded} recorded, ${actions.mismatches.length} mismatches.`);
+  }
+  if (report.error) {
+    lines.push(`Replay stopped: ${report.error}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * 回放报告: 回放中返回当前进度, 结束后返回保存的报告
+ * @param {string} conversation_id 回放会话
+ */
+const getReplayReport = async (conversation_id) => {
+  const session = getReplaySession(conversation_id);
+  if (session) {
+    return { status: 'running', source_conversation_id: session.source_conversation_id, llm: session.report() };
+  }
+  const messages = await MessageTable.findAll({ where: { conversation_id }, order: [['timestamp', 'DESC'], ['id', 'DESC']] });
+  for (const message of messages) {
+    let meta = message.meta;
+    if (typeof meta === 'string') {
+      try {
+        meta = JSON.parse(meta);
+      } catch (error) {
+        continue;
+      }
+    }
+    if (meta && meta.action_type === 'replay_report') {
+      return { status: 'done', ...meta.json };
+    }
+  }
+  return null;
+};
+
+module.exports = exports = {
+  buildReplacements,
+  prepareReplay,
+  finishReplay,
+  getReplayReport,
+};
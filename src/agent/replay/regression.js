@@ -0,0 +1,84 @@
+/**
+ * 把录制的会话作为 mocha 回归测试回放
+ *
+ * 录制来自导出包 (解压后的目录, 见 conversation/archive.js): llm_logs.json 为模型输出, conversation.json 提供原会话 ID 与目标;
+ * run 在回放模式下执行要测试的代码 (通过 utils/llm.js 调用模型), 模型请求与录制不一致时 expectReplayMatched 失败
+ *
+ *   const { replayRecording, expectReplayMatched } = require('@src/agent/replay/regression');
+ *
+ *   it('replays the hello-file session', async () => {
+ *     const report = await replayRecording(path.join(__dirname, 'recordings/hello-file'), ({ conversation_id, user_id, goal }) => {
+ *       return new AgenticAgent({ conversation_id, user_id, onTokenStream: () => {}, replay: true }).run(goal);
+ *     });
+ *     expectReplayMatched(report);
+ *   });
+ */
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+
+const { startReplaySession, endReplaySession } = require('@src/completion/replay');
+const { buildReplacements } = require('./index');
+
+const readJSON = (dir, filename) => {
+  const filepath = path.join(dir, filename);
+  return fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : null;
+};
+
+/**
+ * @param {string|Array<Object>} recording 导出包目录, 或 LLMLogs 记录
+ * @returns {{ records: Array<Object>, conversation: Object|null }}
+ */
+const loadRecording = (recording) => {
+  if (Array.isArray(recording)) return { records: recording, conversation: null };
+  const records = readJSON(recording, 'llm_logs.json');
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error(`No recorded LLM calls in ${recording}`);
+  }
+  return { records, conversation: readJSON(recording, 'conversation.json') };
+};
+
+/**
+ * 在新的会话 ID 下回放录制, 返回回放报告
+ * @param {string|Array<Object>} recording
+ * @param {(context: { conversation_id: string, user_id: number|string, goal: string }) => Promise<any>} run
+ * @param {{ conversation_id?: string, user_id?: number|string }} [options]
+ * @returns {Promise<{ conversation_id: string, error: string|null, llm: Object, diverged: boolean }>}
+ */
+const replayRecording = async (recording, run, options = {}) => {
+  const { records, conversation } = loadRecording(recording);
+  const conversation_id = options.conversation_id || uuid.v4();
+  const user_id = options.user_id !== undefined ? options.user_id : (conversation && conversation.user_id);
+  const replacements = conversation
+    ? buildReplacements({ conversation_id: conversation.conversation_id, user_id: conversation.user_id }, { conversation_id, user_id })
+    : [];
+
+  startReplaySession(conversation_id, records, { replacements });
+  let error = null;
+  try {
+    await run({ conversation_id, user_id, goal: conversation ? conversation.content : '' });
+  } catch (err) {
+    error = err;
+  }
+  const llm = endReplaySession(conversation_id);
+  return { conversation_id, error: error ? error.message : null, llm, diverged: !!error || llm.diverged > 0 };
+};
+
+/**
+ * 回放与录制不一致时抛出异常, 错误信息包含第一处不同
+ * @param {{ error: string|null, llm: Object, diverged: boolean }} report
+ */
+const expectReplayMatched = (report) => {
+  if (!report.diverged) return;
+  const { llm } = report;
+  const lines = [`Replay diverged: ${llm.matched}/${llm.calls} calls matched the recording (${llm.recorded} recorded)`];
+  if (report.error) lines.push(`Error: ${report.error}`);
+  if (llm.first_divergence) lines.push(`First divergence: ${JSON.stringify(llm.first_divergence, null, 2)}`);
+  throw new Error(lines.join('\n'));
+};
+
+module.exports = exports = {
+  loadRecording,
+  replayRecording,
+  expectReplayMatched,
+};
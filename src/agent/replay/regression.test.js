@@ -0,0 +1,63 @@
+require('module-alias/register');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getReplaySession } = require('@src/completion/replay');
+const { describeSystem } = require('@src/agent/code-act/thinking.util');
+const { replayRecording, expectReplayMatched } = require('@src/agent/replay/regression');
+
+const SOURCE_ID = 'aaaaaa00-0000-4000-8000-000000000000';
+
+// 2020 年录制的会话: 规划提示词带当前时间, 执行提示词带当前日期
+const recordedAt = new Date(2020, 0, 2, 3, 4, 5);
+const planPrompt = (now, conversation_id) => `Current Time: ${now.toLocaleString()}\nPlan the goal in Conversation_${conversation_id.slice(0, 6)}`;
+const thinkingPrompt = (system) => `[System]${system}\n\nWrite hello.txt`;
+
+const writeRecording = (dir) => {
+  const systemAt = describeSystem().replace(/Current Date: .*/, `Current Date: ${recordedAt.toLocaleDateString()}`);
+  fs.writeFileSync(path.join(dir, 'conversation.json'), JSON.stringify({ conversation_id: SOURCE_ID, user_id: 1, content: 'Write hello.txt' }));
+  fs.writeFileSync(path.join(dir, 'llm_logs.json'), JSON.stringify([
+    { id: 1, model: 'provider#mock#m', messages: [{ role: 'user', content: planPrompt(recordedAt, SOURCE_ID) }], content: 'plan' },
+    { id: 2, model: 'provider#mock#m', messages: [{ role: 'user', content: thinkingPrompt(systemAt) }], content: '<finish>' },
+  ]));
+};
+
+describe('replayRecording', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-recording-'));
+    writeRecording(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should match a recording made at a different time', async () => {
+    const outputs = [];
+    const report = await replayRecording(dir, async ({ conversation_id, goal }) => {
+      expect(goal).to.equal('Write hello.txt');
+      const session = getReplaySession(conversation_id);
+      outputs.push(session.next({ messages: [{ role: 'user', content: planPrompt(new Date(), conversation_id) }] }).record.content);
+      outputs.push(session.next({ messages: [{ role: 'user', content: thinkingPrompt(describeSystem()) }] }).record.content);
+    });
+
+    expect(outputs).to.deep.equal(['plan', '<finish>']);
+    expect(report.llm).to.include({ calls: 2, matched: 2, diverged: 0 });
+    expect(getReplaySession(report.conversation_id)).to.equal(null);
+    expectReplayMatched(report);
+  });
+
+  it('should fail with the first divergence', async () => {
+    const report = await replayRecording(dir, async ({ conversation_id }) => {
+      getReplaySession(conversation_id).next({ messages: [{ role: 'user', content: 'Plan something else' }] });
+    });
+
+    expect(report.diverged).to.equal(true);
+    expect(() => expectReplayMatched(report)).to.throw("0/1 calls matched");
+    expect(() => expectReplayMatched(report)).to.throw('"reason": "content"');
+  });
+});
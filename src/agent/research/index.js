@@ -0,0 +1,240 @@
+/**
+ * 深度研究模式 (run mode=research)
+ *
+ * 1. LLM 将目标拆分为子问题, 每个子问题是一个任务
+ * 2. 逐个子问题 web_search, 并 read_url 读取排名靠前的未读网页, LLM 摘录原文片段 (校验确实出现在正文中)
+ * 3. 每轮结束后检查覆盖度, 不足时追加追问; 轮数 / 搜索次数 / 阅读次数 (RESEARCH_*) 或预算用完即停止
+ * 4. 生成带编号引用的报告 research_report.md / .html, 来源与摘录写入 research_sources.json 和 research_source 表
+ */
+const { v4: uuidv4 } = require("uuid");
+
+const call = require("@src/utils/llm");
+const LocalMemory = require("@src/agent/memory/LocalMemory");
+const ResearchSource = require('@src/models/ResearchSource');
+const { resolveBudget, startBudgetRun, checkBudget } = require('@src/agent/budget/index');
+const { initWorkspaceRepo } = require('@src/agent/git/index');
+const { createFilesVersion } = require('@src/utils/versionManager');
+const { getAllFilesRecursively, getFilesMetadata } = require('@src/agent/fileUtils');
+const { renderReportHtml } = require('./report');
+const {
+  resolveResearchLimits,
+  normalizeQuestions,
+  addSnippet,
+  addSearchResults,
+  verifySnippets,
+  buildSubQuestionsPrompt,
+  buildSnippetPrompt,
+  buildCoveragePrompt,
+  buildReportPrompt,
+  finalizeCitations,
+} = require('./research.util');
+
+const REPORT_FILES = {
+  markdown: 'research_report.md',
+  html: 'research_report.html',
+  sources: 'research_sources.json',
+};
+
+const callJSON = async (prompt, conversation_id, task_id) => {
+  try {
+    return await call(prompt, conversation_id, 'assistant', { temperature: 0, response_format: 'json', task_id }, () => { });
+  } catch (error) {
+    console.error('[research] LLM call failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * 停止搜集的原因, 为空时继续
+ * @returns {Promise<string>}
+ */
+const resolveStopReason = async (agent, state, limits, task_id) => {
+  if (agent.is_stop) return 'stopped by user';
+  if (state.searches >= limits.max_searches) return `search limit reached (${limits.max_searches})`;
+  const budget = await checkBudget(agent.context, task_id, state.started_at);
+  if (budget.status === 'stop') return budget.comments;
+  return '';
+};
+
+/**
+ * 一个子问题: 搜索 -> 阅读排名靠前的网页 -> 摘录
+ */
+const researchQuestion = async (agent, task, { actionContext, state, limits }) => {
+  const { conversation_id } = agent.context;
+  const question = task.requirement;
+  await agent._publishMessage({ action_type: 'task', status: 'running', content: '', json: { status: 'running' }, task_id: task.id });
+
+  state.searches++;
+  const searched = await agent.runtime.execute_action({
+    type: 'web_search',
+    params: { query: question, num_results: limits.results_per_search },
+  }, actionContext, task.id);
+  if (!searched || searched.status !== 'success') {
+    // 单个子问题失败不结束研究 (handle_task_status 会发布 error 消息, 前端视为运行结束)
+    const content = (searched && (searched.content || searched.error)) || 'web_search failed';
+    await agent.taskManager.updateTaskStatus(task.id, 'failed', { content });
+    await agent._publishMessage({ action_type: 'task', status: 'failed', content, json: { status: 'failed' }, task_id: task.id });
+    return;
+  }
+  const results = addSearchResults(state.sources, searched.meta && searched.meta.json, question);
+
+  let read = 0;
+  for (const source of results) {
+    if (read >= limits.reads_per_question || state.reads >= limits.max_reads || agent.is_stop) break;
+    if (source.read) continue;
+    state.reads++;
+    read++;
+    source.read = true;
+    const page = await agent.runtime.execute_action({ type: 'read_url', params: { url: source.url } }, actionContext, task.id);
+    if (!page || page.status !== 'success' || !page.content) continue;
+    const info = (page.meta && Array.isArray(page.meta.json) && page.meta.json[0]) || {};
+    if (info.title) source.title = info.title;
+
+    const json = await callJSON(buildSnippetPrompt(agent.goal, question, source, page.content), conversation_id, task.id);
+    for (const text of verifySnippets(json && json.snippets, page.content)) {
+      addSnippet(source, { text, sub_question: question, origin: 'read' });
+    }
+  }
+
+  const evidence = results.filter(source => source.snippets.some(item => item.sub_question === question));
+  await agent.handle_task_status(task, 'completed', {
+    content: `Found ${results.length} sources, read ${read}, ${evidence.length} with evidence`,
+    json: { sources: results.map(source => ({ id: source.id, url: source.url, title: source.title })) },
+  });
+};
+
+/**
+ * 写入会话目录 (runtime write_code, 前端显示为生成的文件)
+ */
+const writeFile = async (agent, actionContext, filename, content) => {
+  const result = await agent.runtime.execute_action({ type: 'write_code', params: { path: filename, content } }, actionContext, null);
+  if (!result || result.status !== 'success') {
+    console.error(`[research] Failed to write ${filename}:`, result && (result.error || result.content));
+  }
+  return result;
+};
+
+const saveSources = async (conversation_id, sources, references) => {
+  const cited = new Map(references.map(ref => [ref.id, ref.no]));
+  try {
+    await ResearchSource.destroy({ where: { conversation_id } });
+    await ResearchSource.bulkCreate(sources.map(source => ({
+      conversation_id,
+      source_no: source.id,
+      cited_no: cited.get(source.id) || null,
+      url: source.url,
+      title: (source.title || '').slice(0, 512),
+      snippets: source.snippets,
+      sub_questions: source.sub_questions,
+      read: source.read,
+    })));
+  } catch (error) {
+    console.error('[research] Failed to save sources:', error.message);
+  }
+};
+
+const writeReport = async (agent, { actionContext, state }) => {
+  const { conversation_id } = agent.context;
+  const questions = agent.taskManager.getTasks().map(task => task.requirement);
+  const evidence = state.sources.filter(source => source.snippets.length > 0);
+
+  let draft = '';
+  if (evidence.length > 0) {
+    try {
+      draft = await call(buildReportPrompt(agent.goal, questions, evidence), conversation_id, 'assistant', { temperature: 0 }, () => { });
+    } catch (error) {
+      console.error('[research] Report generation failed:', error.message);
+    }
+  }
+  if (!draft) {
+    draft = `# ${agent.goal}\n\nNo report could be written: ${evidence.length > 0 ? 'the report generation failed' : 'no usable sources were found'}.`;
+  }
+  const { markdown, references, invalid } = finalizeCitations(draft, state.sources);
+  if (invalid.length > 0) console.warn('[research] Dropped citations to unknown sources:', invalid);
+
+  const html = renderReportHtml(markdown, { title: agent.goal.slice(0, 100) });
+  const sourcesJson = JSON.stringify({
+    goal: agent.goal,
+    stopped: state.stopped || null,
+    searches: state.searches,
+    reads: state.reads,
+    sources: state.sources.map(({ key: _key, ...source }) => ({
+      ...source,
+      cited_no: (references.find(ref => ref.id === source.id) || {}).no || null,
+    })),
+  }, null, 2);
+
+  await writeFile(agent, actionContext, REPORT_FILES.markdown, markdown);
+  await writeFile(agent, actionContext, REPORT_FILES.html, html);
+  await writeFile(agent, actionContext, REPORT_FILES.sources, sourcesJson);
+  await saveSources(conversation_id, state.sources, references);
+  return { markdown, references };
+};
+
+/**
+ * @param {import('@src/agent/AgenticAgent')} agent 已完成初始化 (runtime 已连接)
+ */
+const runResearch = async (agent) => {
+  const { context, taskManager } = agent;
+  const { conversation_id } = context;
+  const limits = resolveResearchLimits();
+  startBudgetRun(conversation_id);
+  context.budget = await resolveBudget(context);
+  await initWorkspaceRepo(context);
+
+  const actionContext = {
+    ...context,
+    memory: new LocalMemory({ memory_dir: conversation_id.slice(0, 6), key: 'research', conversation_id }),
+  };
+  const state = { sources: [], searches: 0, reads: 0, stopped: '', started_at: Date.now() };
+
+  const planned = await callJSON(buildSubQuestionsPrompt(agent.goal, limits.max_sub_questions), conversation_id);
+  const questions = normalizeQuestions(planned, [], limits.max_sub_questions);
+  await taskManager.setTasks((questions.length > 0 ? questions : [agent.goal]).map(requirement => ({ requirement })));
+  context.tasks = taskManager.getTasks();
+  await agent._publishMessage({ action_type: 'plan', status: 'success', content: '', json: context.tasks });
+
+  for (let round = 1; round <= limits.max_rounds; round++) {
+    let task;
+    while ((task = await taskManager.resolvePendingTask())) {
+      state.stopped = await resolveStopReason(agent, state, limits, task.id);
+      if (state.stopped) break;
+      await researchQuestion(agent, task, { actionContext, state, limits });
+    }
+    if (state.stopped || round === limits.max_rounds) break;
+
+    const tasks = taskManager.getTasks();
+    const coverage = await callJSON(buildCoveragePrompt(agent.goal, tasks.map(item => ({ question: item.requirement, status: item.status })), state.sources, limits.max_sub_questions), conversation_id);
+    if (!coverage || coverage.covered === true) break;
+    const followUps = normalizeQuestions({ follow_up_questions: coverage.follow_up_questions }, tasks.map(item => item.requirement), limits.max_sub_questions);
+    if (followUps.length === 0) break;
+    await taskManager.appendTasks(followUps.map(requirement => ({ requirement })));
+    context.tasks = taskManager.getTasks();
+    await agent._publishMessage({ action_type: 'plan', status: 'success', content: '', json: context.tasks });
+  }
+  if (state.stopped) console.log(`[research] Stopped collecting: ${state.stopped}`);
+  if (agent.is_stop) return null;
+
+  const { markdown, references } = await writeReport(agent, { actionContext, state });
+
+  const dirPath = await agent._getConversationDirPath();
+  const newFiles = await getFilesMetadata(await getAllFilesRecursively(dirPath));
+  await createFilesVersion(conversation_id, newFiles, '.html', { user: { id: context.user_id } });
+  await agent._publishMessage({ uuid: uuidv4(), action_type: 'finish_summery', status: 'success', content: markdown, json: newFiles });
+
+  const tasks = taskManager.getTasks();
+  return {
+    goal: agent.goal,
+    status: tasks.every(t => t.status === 'completed') ? 'success' : 'partial_failure',
+    tasks,
+    sources: state.sources.length,
+    cited: references.length,
+    stopped: state.stopped || null,
+    summary: markdown,
+  };
+};
+
+module.exports = exports = {
+  REPORT_FILES,
+  runResearch,
+};
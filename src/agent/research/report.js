@@ -0,0 +1,67 @@
+/**
+ * 研究报告 HTML: Markdown 报告渲染为独立的 HTML 页面, 引用 [n] 链接到文末参考文献
+ */
+const { Marked } = require('marked');
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const STYLE = `
+body { max-width: 860px; margin: 40px auto; padding: 0 20px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; line-height: 1.7; color: #1f2328; }
+h1, h2, h3 { line-height: 1.3; }
+a { color: #0969da; text-decoration: none; }
+a:hover { text-decoration: underline; }
+a[href^="#ref-"] { font-size: 0.8em; vertical-align: super; }
+blockquote { margin: 8px 0; padding: 4px 12px; color: #59636e; border-left: 3px solid #d1d9e0; font-size: 0.92em; }
+ol li { margin-bottom: 12px; }
+:target { background: #fff8c5; }
+`;
+
+// 报告内容来自 LLM 与网页摘录: 只保留参考文献锚点, 其余 HTML 原样转义; 链接只允许 http(s) 与文内锚点
+const ANCHOR_TAG_RE = /^(<a id="ref-\d+">|<\/a>)$/;
+const SAFE_HREF_RE = /^(https?:\/\/|#ref-\d+$)/i;
+
+const reportMarked = new Marked({
+  renderer: {
+    html({ text }) {
+      return ANCHOR_TAG_RE.test(text.trim()) ? text : escapeHtml(text);
+    },
+    link({ href, tokens }) {
+      if (SAFE_HREF_RE.test(String(href || '').trim())) return false;
+      return this.parser.parseInline(tokens);
+    },
+    image({ href, text }) {
+      if (/^https?:\/\//i.test(String(href || '').trim())) return false;
+      return escapeHtml(text);
+    },
+  },
+});
+
+/**
+ * @param {string} markdown finalizeCitations 之后的报告
+ * @param {{ title?: string }} [options]
+ * @returns {string}
+ */
+const renderReportHtml = (markdown, { title = 'Research Report' } = {}) => {
+  const body = reportMarked.parse(String(markdown || ''), { async: false });
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+module.exports = exports = {
+  renderReportHtml,
+};
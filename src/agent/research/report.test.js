@@ -0,0 +1,25 @@
+const { expect } = require('chai');
+
+const { renderReportHtml } = require('./report');
+
+describe('renderReportHtml', () => {
+  it('should keep reference anchors and escape other raw html', () => {
+    const html = renderReportHtml('# Report\n\nA claim [[1]](#ref-1) <img src=x onerror=alert(1)>\n\n<script>alert(1)</script>\n\n1. <a id="ref-1"></a>[Source](https://a.com)', { title: '<b>t</b>' });
+
+    expect(html).to.contain('<title>&lt;b&gt;t&lt;/b&gt;</title>');
+    expect(html).to.contain('<a href="#ref-1">[1]</a>');
+    expect(html).to.contain('<a id="ref-1"></a><a href="https://a.com">Source</a>');
+    expect(html).to.contain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).to.contain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).to.not.contain('<script>');
+    expect(html).to.not.contain('<img');
+  });
+
+  it('should only link http(s) urls', () => {
+    const html = renderReportHtml('[bad](javascript:alert(1)) [data](data:text/html,x) ![img](javascript:x) [ok](http://b.com)');
+
+    expect(html).to.not.contain('javascript:');
+    expect(html).to.not.contain('data:text');
+    expect(html).to.contain('bad data img <a href="http://b.com">ok</a>');
+  });
+});
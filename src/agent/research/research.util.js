@@ -0,0 +1,283 @@
+/**
+ * 深度研究: 子问题 / 来源登记 / 提示词 / 引用编号 (纯函数, 不访问数据库和网络)
+ *
+ * 来源在研究过程中按发现顺序编号 (id), 报告中使用 [id] 引用;
+ * finalizeCitations 按首次引用的顺序重新编号, 并生成带摘录的参考文献列表
+ */
+const { normalizeUrl, normalizeResult } = require('../../search/search.util');
+
+const MAX_SNIPPET_CHARS = 600;
+const MAX_SNIPPETS_PER_SOURCE = 5;
+// 阅读网页时提供给 LLM 的正文长度
+const MAX_PAGE_CHARS = 12000;
+
+const toInt = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return n > 0 ? n : fallback;
+};
+
+/**
+ * RESEARCH_* 环境变量, 任一上限用完即停止搜集并写报告
+ * @param {Object} [env]
+ */
+const resolveResearchLimits = (env = process.env) => ({
+  max_rounds: toInt(env.RESEARCH_MAX_ROUNDS, 3),
+  max_sub_questions: toInt(env.RESEARCH_MAX_SUB_QUESTIONS, 5),
+  max_searches: toInt(env.RESEARCH_MAX_SEARCHES, 15),
+  max_reads: toInt(env.RESEARCH_MAX_READS, 20),
+  results_per_search: toInt(env.RESEARCH_RESULTS_PER_SEARCH, 5),
+  reads_per_question: toInt(env.RESEARCH_READS_PER_QUESTION, 3),
+});
+
+const clip = (text, max) => {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 3)}...` : s;
+};
+
+const questionKey = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * @param {any} json LLM 输出 { sub_questions: string[] } / { follow_up_questions: string[] }
+ * @param {string[]} existing 已有的子问题 (去重)
+ * @param {number} max
+ */
+const normalizeQuestions = (json, existing = [], max = 5) => {
+  const list = Array.isArray(json)
+    ? json
+    : (json && (json.sub_questions || json.follow_up_questions || json.questions)) || [];
+  const seen = new Set(existing.map(questionKey));
+  const out = [];
+  for (const item of Array.isArray(list) ? list : []) {
+    const question = clip(typeof item === 'string' ? item : item && item.question, 300);
+    const key = questionKey(question);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(question);
+    if (out.length >= max) break;
+  }
+  return out;
+};
+
+/**
+ * 登记来源, 按规范化 URL 去重
+ * @param {Array<Object>} sources 来源列表 (原地修改)
+ * @param {{ url: string, title?: string, snippet?: string, sub_question?: string, origin?: 'search'|'read' }} item
+ * @returns {Object|null} 来源条目
+ */
+const addSource = (sources, { url, title = '', snippet = '', sub_question = '', origin = 'search' }) => {
+  if (!url) return null;
+  const key = normalizeUrl(url);
+  let source = sources.find(item => item.key === key);
+  if (!source) {
+    source = { id: sources.length + 1, key, url, title: clip(title, 200), read: false, snippets: [], sub_questions: [] };
+    sources.push(source);
+  }
+  if (!source.title && title) source.title = clip(title, 200);
+  if (sub_question && !source.sub_questions.includes(sub_question)) source.sub_questions.push(sub_question);
+  addSnippet(source, { text: snippet, sub_question, origin });
+  return source;
+};
+
+/**
+ * @param {Object} source
+ * @param {{ text: string, sub_question?: string, origin?: 'search'|'read' }} snippet
+ */
+const addSnippet = (source, { text, sub_question = '', origin = 'read' }) => {
+  const value = clip(text, MAX_SNIPPET_CHARS);
+  if (!value || source.snippets.some(item => questionKey(item.text) === questionKey(value))) return false;
+  // 网页正文摘录优先于搜索结果摘要
+  if (source.snippets.length >= MAX_SNIPPETS_PER_SOURCE) {
+    const index = source.snippets.findIndex(item => item.origin === 'search');
+    if (origin !== 'read' || index === -1) return false;
+    source.snippets.splice(index, 1);
+  }
+  source.snippets.push({ text: value, sub_question, origin });
+  return true;
+};
+
+/**
+ * 搜索结果 (runtime web_search 的 meta.json) 登记为来源
+ * @param {Array<Object>} sources
+ * @param {Object[]} results
+ * @param {string} sub_question
+ * @returns {Object[]} 本次结果对应的来源
+ */
+const addSearchResults = (sources, results = [], sub_question = '') => {
+  const added = [];
+  for (const raw of Array.isArray(results) ? results : []) {
+    const item = normalizeResult(raw);
+    const source = addSource(sources, { url: item.url, title: item.title, snippet: item.content, sub_question, origin: 'search' });
+    if (source && !added.includes(source)) added.push(source);
+  }
+  return added;
+};
+
+const collapse = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * 只保留确实出现在正文中的摘录, 报告中的每条引用都能追溯到原文
+ * @param {any} snippets
+ * @param {string} text 网页正文
+ */
+const verifySnippets = (snippets, text) => {
+  const page = collapse(text);
+  const list = Array.isArray(snippets) ? snippets : [];
+  return list
+    .map(item => (typeof item === 'string' ? item : item && item.text))
+    .filter(item => typeof item === 'string' && item.trim().length >= 20 && page.includes(collapse(item)))
+    .map(item => clip(item, MAX_SNIPPET_CHARS));
+};
+
+/**
+ * @param {string} goal
+ * @param {number} max
+ */
+const buildSubQuestionsPrompt = (goal, max) => `You are planning a deep research task.
+Break the research goal below into at most ${max} focused sub-questions that together fully answer it.
+Each sub-question must be answerable with a web search; order them from foundational to specific.
+
+Return ONLY JSON: { "sub_questions": ["..."] }
+
+[Research Goal]
+${goal}`;
+
+/**
+ * @param {string} goal
+ * @param {string} sub_question
+ * @param {{ url: string, title: string }} source
+ * @param {string} text 网页正文
+ */
+const buildSnippetPrompt = (goal, sub_question, source, text) => `Extract the passages of the web page below that help answer the sub-question.
+Copy each passage VERBATIM (exact words from the page, 1-3 sentences each, at most ${MAX_SNIPPETS_PER_SOURCE} passages).
+Prefer passages with facts, figures, dates and definitions. Return an empty list when the page is not relevant.
+
+Return ONLY JSON: { "snippets": ["..."] }
+
+[Research Goal]
+${goal}
+
+[Sub-question]
+${sub_question}
+
+[Page] ${source.title || ''} (${source.url})
+${String(text || '').slice(0, MAX_PAGE_CHARS)}`;
+
+const describeSources = (sources, { max_snippets = MAX_SNIPPETS_PER_SOURCE } = {}) => sources
+  .filter(source => source.snippets.length > 0)
+  .map(source => {
+    const snippets = source.snippets.slice(0, max_snippets).map(item => `  - "${item.text}"`).join('\n');
+    return `[${source.id}] ${source.title || source.url}\n  URL: ${source.url}\n${snippets}`;
+  })
+  .join('\n\n');
+
+/**
+ * @param {string} goal
+ * @param {Array<{ question: string, status: string }>} questions
+ * @param {Object[]} sources
+ * @param {number} max 追问上限
+ */
+const buildCoveragePrompt = (goal, questions, sources, max) => `You are reviewing the evidence collected so far for a deep research task.
+Decide whether the evidence is enough to write a complete, well-supported report on the goal.
+If not, propose at most ${max} follow-up sub-questions that target the missing information (do not repeat the existing ones).
+
+Return ONLY JSON: { "covered": true | false, "missing": ["what is still unknown"], "follow_up_questions": ["..."] }
+
+[Research Goal]
+${goal}
+
+[Sub-questions]
+${questions.map(item => `- ${item.question} (${item.status})`).join('\n')}
+
+[Evidence]
+${describeSources(sources, { max_snippets: 2 }) || '(none)'}`;
+
+/**
+ * @param {string} goal
+ * @param {string[]} questions
+ * @param {Object[]} sources
+ */
+const buildReportPrompt = (goal, questions, sources) => `Write a research report in Markdown that answers the goal below, using ONLY the evidence provided.
+
+Rules:
+- Cite every factual claim with the number of the source it comes from, e.g. "Revenue grew 12% in 2023 [3]" or "[2][5]" for several sources.
+- Only cite source numbers listed in [Evidence]; never invent sources, URLs or facts that are not in the evidence.
+- When sources disagree, say so and cite both. When the evidence does not cover a point, state that it is unknown.
+- Structure: a title (# heading), a short executive summary, one section per topic, and a conclusion.
+- Do NOT write a references or sources section, it is added automatically.
+- Write in the same language as the research goal.
+
+[Research Goal]
+${goal}
+
+[Sub-questions]
+${questions.map(question => `- ${question}`).join('\n')}
+
+[Evidence]
+${describeSources(sources) || '(none)'}`;
+
+// [3] / [2, 5] / [2][5], 不匹配 Markdown 链接文本 [text](url) 与 [[n]](#ref-n)
+const CITATION_RE = /(?<!\[)([ \t]*)\[(\d+(?:\s*[,，、]\s*\d+)*)\](?![(\]])/g;
+const REFERENCES_HEADING_RE = /^#{1,6}\s*(references|sources|bibliography|参考(文献|资料|来源)?|引用|来源)\s*$/im;
+
+/**
+ * 引用重新编号 (按首次出现顺序), 去掉无效引用, 追加参考文献
+ * @param {string} markdown LLM 输出的报告
+ * @param {Object[]} sources
+ * @returns {{ markdown: string, references: Array<{ no: number, id: number, url: string, title: string, snippets: Object[] }>, invalid: number[] }}
+ */
+const finalizeCitations = (markdown, sources = []) => {
+  let body = String(markdown || '').trim();
+  // LLM 自行生成的参考文献列表以自动生成的为准
+  const heading = body.match(REFERENCES_HEADING_RE);
+  if (heading) body = body.slice(0, heading.index).trim();
+
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const numbers = new Map();
+  const invalid = new Set();
+  body = body.replace(CITATION_RE, (match, space, group) => {
+    const cited = [];
+    for (const part of group.split(/\s*[,，、]\s*/)) {
+      const id = parseInt(part, 10);
+      if (!byId.has(id)) {
+        invalid.add(id);
+        continue;
+      }
+      if (!numbers.has(id)) numbers.set(id, numbers.size + 1);
+      const no = numbers.get(id);
+      if (!cited.includes(no)) cited.push(no);
+    }
+    return cited.length > 0 ? space + cited.map(no => `[[${no}]](#ref-${no})`).join('') : '';
+  });
+  // [2][2] => [2]
+  body = body.replace(/(\[\[\d+\]\]\(#ref-\d+\))\1+/g, '$1');
+
+  const references = [...numbers.entries()].map(([id, no]) => {
+    const { url, title, snippets } = byId.get(id);
+    return { no, id, url, title, snippets };
+  });
+  if (references.length > 0) {
+    const list = references.map(ref => {
+      // 引用块缩进到列表项内容的位置, 否则会结束列表
+      const indent = ' '.repeat(String(ref.no).length + 2);
+      const quotes = ref.snippets.map(item => `${indent}> ${item.text}`).join(`\n${indent}>\n`);
+      return `${ref.no}. <a id="ref-${ref.no}"></a>[${ref.title || ref.url}](${ref.url})${quotes ? `\n\n${quotes}` : ''}`;
+    });
+    body = `${body}\n\n## References\n\n${list.join('\n\n')}\n`;
+  }
+  return { markdown: body, references, invalid: [...invalid] };
+};
+
+module.exports = exports = {
+  MAX_PAGE_CHARS,
+  resolveResearchLimits,
+  normalizeQuestions,
+  addSource,
+  addSnippet,
+  addSearchResults,
+  verifySnippets,
+  buildSubQuestionsPrompt,
+  buildSnippetPrompt,
+  buildCoveragePrompt,
+  buildReportPrompt,
+  finalizeCitations,
+};
@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+
+const {
+  resolveResearchLimits,
+  normalizeQuestions,
+  addSnippet,
+  addSearchResults,
+  verifySnippets,
+  finalizeCitations,
+} = require('./research.util');
+
+describe('research sources', () => {
+  it('should dedup sources by url and keep only snippets found in the page', () => {
+    expect(resolveResearchLimits({ RESEARCH_MAX_ROUNDS: '2', RESEARCH_MAX_READS: 'x' })).to.include({ max_rounds: 2, max_reads: 20 });
+    expect(normalizeQuestions({ sub_questions: ['What is X?', 'what is x', '', 'Who uses X?'] }, ['Who uses X ?'])).to.deep.equal(['What is X?']);
+
+    const sources = [];
+    addSearchResults(sources, [{ url: 'https://www.example.com/a/?utm_source=x', title: 'A', content: 'Summary of A' }], 'q1');
+    const [a] = addSearchResults(sources, [{ href: 'https://example.com/a', body: 'Other summary' }, { link: 'https://b.org', snippet: 'B' }], 'q2');
+    expect(sources.map(item => item.id)).to.deep.equal([1, 2]);
+    expect(a.sub_questions).to.deep.equal(['q1', 'q2']);
+    expect(a.snippets.map(item => item.origin)).to.deep.equal(['search', 'search']);
+
+    const page = 'X was released in 2019.\n  It is used   by over 2,000 companies worldwide.';
+    const verified = verifySnippets(['It is used by over 2,000 companies worldwide.', 'X was invented on the moon in 1802.', 'short'], page);
+    expect(verified).to.deep.equal(['It is used by over 2,000 companies worldwide.']);
+    expect(addSnippet(a, { text: verified[0], sub_question: 'q1' })).to.equal(true);
+    expect(addSnippet(a, { text: verified[0], sub_question: 'q2' })).to.equal(false);
+  });
+});
+
+describe('finalizeCitations', () => {
+  it('should renumber citations by first use and append the cited sources', () => {
+    const sources = [
+      { id: 1, url: 'https://a.com', title: 'A', snippets: [{ text: 'quote a' }] },
+      { id: 2, url: 'https://b.com', title: 'B', snippets: [] },
+      { id: 3, url: 'https://c.com', title: 'C', snippets: [{ text: 'quote c' }] },
+    ];
+    const draft = '# Report\n\nFirst [3]. Both [1, 3] and [9]. See [docs](https://x.com) and [2][2].\n\n## References\n\n1. made up';
+    const { markdown, references, invalid } = finalizeCitations(draft, sources);
+
+    expect(references.map(ref => [ref.no, ref.id])).to.deep.equal([[1, 3], [2, 1], [3, 2]]);
+    expect(invalid).to.deep.equal([9]);
+    expect(markdown).to.contain('First [[1]](#ref-1). Both [[2]](#ref-2)[[1]](#ref-1) and.');
+    expect(markdown).to.contain('[docs](https://x.com) and [[3]](#ref-3).');
+    expect(markdown).to.not.contain('made up');
+    expect(markdown).to.contain('1. <a id="ref-1"></a>[C](https://c.com)\n\n   > quote c');
+  });
+
+  it('should keep multiple quotes inside the list item', () => {
+    const sources = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, url: `https://s${i + 1}.com`, title: `S${i + 1}`, snippets: [{ text: 'first' }, { text: 'second' }] }));
+    const draft = Array.from({ length: 10 }, (_, i) => `Claim [${i + 1}].`).join(' ');
+    const { markdown } = finalizeCitations(draft, sources);
+
+    expect(markdown).to.contain('1. <a id="ref-1"></a>[S1](https://s1.com)\n\n   > first\n   >\n   > second');
+    expect(markdown).to.contain('10. <a id="ref-10"></a>[S10](https://s10.com)\n\n    > first\n    >\n    > second');
+  });
+});
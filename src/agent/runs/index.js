@@ -0,0 +1,90 @@
+/**
+ * 运行中的 Agent (按 conversation_id)
+ *
+ * /api/agent/run 与 Lemon MCP 服务 (src/mcp/lemon) 共用, 任一入口启动的运行都可以被另一入口停止
+ * startRun 以 headless 方式启动: 不推送 SSE, 进度通过会话消息与任务查询
+ */
+const uuid = require('uuid');
+
+const activeAgents = new Map();
+
+const noop = () => { };
+
+/**
+ * 在新会话中后台运行 AgenticAgent
+ * @param {{ goal: string, user_id: number|string, agent_id?: number, model_id?: number, mcp_server_ids?: number[], title?: string }} options
+ * @returns {Promise<{ conversation_id: string, done: Promise<void> }>} done 在运行结束 (成功/失败/停止) 后 resolve
+ */
+const startRun = async (options) => {
+  const AgenticAgent = require('@src/agent/AgenticAgent');
+  const Conversation = require('@src/models/Conversation');
+  const Message = require('@src/utils/message');
+
+  const { goal, user_id, agent_id, model_id, mcp_server_ids = [] } = options;
+  const conversation_id = uuid.v4();
+  await Conversation.create({
+    conversation_id,
+    user_id,
+    content: goal,
+    title: (options.title || goal).slice(0, 20),
+    status: 'running',
+    mode_type: 'task',
+    agent_id,
+    model_id,
+  });
+
+  const msg = Message.format({
+    role: 'user',
+    status: 'success',
+    content: goal,
+    action_type: 'question',
+    task_id: conversation_id,
+    json: [],
+  });
+  await Message.saveToDB(msg, conversation_id);
+
+  const context = { onTokenStream: noop, conversation_id, user_id, mcp_server_ids, agent_id };
+  const agent = new AgenticAgent(context);
+  activeAgents.set(conversation_id, agent);
+
+  const done = agent.run(goal).catch(async (error) => {
+    console.error(`[runs] Agent run ${conversation_id} error:`, error);
+    try {
+      const msg = Message.format({ status: 'success', action_type: 'error', content: error.message });
+      await Message.saveToDB(msg, conversation_id);
+      await Conversation.update({ status: 'failed' }, { where: { conversation_id } });
+    } catch (err) {
+      console.error(`[runs] Failed to record error of ${conversation_id}:`, err.message);
+    }
+  }).finally(() => {
+    activeAgents.delete(conversation_id);
+  }).then(noop);
+
+  return { conversation_id, done };
+};
+
+/**
+ * 停止运行中的 Agent
+ * @param {string} conversation_id
+ * @returns {Promise<boolean>} 是否找到运行中的 Agent
+ */
+const stopRun = async (conversation_id) => {
+  const Conversation = require('@src/models/Conversation');
+  await Conversation.update({ status: 'stop' }, { where: { conversation_id } });
+  const agent = activeAgents.get(conversation_id);
+  if (!agent) return false;
+  if (typeof agent.stop === 'function') {
+    await agent.stop();
+  }
+  activeAgents.delete(conversation_id);
+  return true;
+};
+
+const isRunning = (conversation_id) => activeAgents.has(conversation_id);
+
+module.exports = exports = {
+  activeAgents,
+  startRun,
+  stopRun,
+  isRunning,
+};
@@ -0,0 +1,97 @@
+/**
+ * 并行任务共享会话工作区时的文件级锁
+ *
+ * 策略:
+ * - 写入类 action (write_code / patch_code / replace_code_block / write_file) 对目标文件加排他锁
+ * - read_file 加共享锁, 不会读到其它任务写了一半的文件
+ * - terminal_run 等无法确定影响范围的 action 不加锁
+ * - 同一文件的请求按到达顺序 (FIFO) 授予, 写请求不会被持续的读请求饿死
+ */
+const path = require('path');
+
+const WRITE_ACTIONS = new Set(['write_code', 'patch_code', 'replace_code_block', 'write_file']);
+const READ_ACTIONS = new Set(['read_file']);
+
+// key => { readers, writer, queue: [{ mode, resolve }] }
+const locks = new Map();
+
+const normalizeLockPath = (value) => {
+  const raw = String(value || '').trim().replace(/\\/g, '/');
+  if (!raw) return '';
+  return path.posix.normalize(raw).replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+};
+
+/**
+ * action 需要的锁, 不需要时返回 null
+ * @param {{ type: string, params?: Object }} action
+ * @returns {{ path: string, mode: 'read'|'write' }|null}
+ */
+const resolveActionLock = (action = {}) => {
+  const params = action.params || {};
+  const mode = WRITE_ACTIONS.has(action.type) ? 'write' : (READ_ACTIONS.has(action.type) ? 'read' : '');
+  const filepath = normalizeLockPath(params.origin_path || params.path);
+  if (!mode || !filepath) return null;
+  return { path: filepath, mode };
+};
+
+const grant = (key) => {
+  const lock = locks.get(key);
+  if (!lock) return;
+  while (lock.queue.length > 0) {
+    const next = lock.queue[0];
+    if (next.mode === 'write' && (lock.writer || lock.readers > 0)) break;
+    if (next.mode === 'read' && lock.writer) break;
+    lock.queue.shift();
+    if (next.mode === 'write') {
+      lock.writer = true;
+    } else {
+      lock.readers++;
+    }
+    next.resolve();
+  }
+  if (!lock.writer && lock.readers === 0 && lock.queue.length === 0) {
+    locks.delete(key);
+  }
+};
+
+const acquire = (key, mode) => {
+  if (!locks.has(key)) locks.set(key, { readers: 0, writer: false, queue: [] });
+  const lock = locks.get(key);
+  const waiting = new Promise(resolve => lock.queue.push({ mode, resolve }));
+  grant(key);
+  return waiting.then(() => {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      if (mode === 'write') {
+        lock.writer = false;
+      } else {
+        lock.readers--;
+      }
+      grant(key);
+    };
+  });
+};
+
+/**
+ * 在文件锁保护下执行 action
+ * @param {string} conversation_id
+ * @param {{ type: string, params?: Object }} action
+ * @param {() => Promise<any>} fn
+ */
+const withFileLock = async (conversation_id, action, fn) => {
+  const target = resolveActionLock(action);
+  if (!target) return fn();
+  const release = await acquire(`${conversation_id}:${target.path}`, target.mode);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+};
+
+module.exports = exports = {
+  resolveActionLock,
+  withFileLock,
+};
@@ -0,0 +1,73 @@
+/**
+ * 任务调度: 按依赖关系找出可以并行执行的顶层任务
+ *
+ * - task.depends_on 为数组: 依赖的任务全部完成后才可以执行
+ * - task.depends_on 未声明: 依赖前一个顶层任务 (与原有的顺序执行一致)
+ * - 有子任务 (revise_plan decompose) 的任务, 所有子任务完成即视为完成
+ */
+const RUNNABLE_STATUS = new Set(['pending', 'revise_plan', 'pause_for_user_input']);
+
+const TASK_CONCURRENCY = parseInt(process.env.TASK_CONCURRENCY || '3', 10);
+
+/**
+ * 并行执行的任务数上限, 1 表示顺序执行
+ */
+const resolveTaskConcurrency = () => {
+  return Number.isFinite(TASK_CONCURRENCY) && TASK_CONCURRENCY > 1 ? TASK_CONCURRENCY : 1;
+};
+
+const isTaskDone = (task) => {
+  if (!task) return false;
+  if (task.status === 'completed') return true;
+  if (Array.isArray(task.children) && task.children.length > 0) {
+    return task.children.every(isTaskDone);
+  }
+  return false;
+};
+
+// 任务 (或其子任务) 中是否还有待执行的部分
+const hasRunnableWork = (task) => {
+  if (!task || !RUNNABLE_STATUS.has(task.status)) return false;
+  if (Array.isArray(task.children) && task.children.length > 0) {
+    return task.children.some(hasRunnableWork);
+  }
+  return true;
+};
+
+/**
+ * 规划结果是否声明了任务依赖 (未声明时保持顺序执行)
+ * @param {Array<Object>} tasks
+ */
+const hasDeclaredDependencies = (tasks = []) => tasks.some(task => Array.isArray(task.depends_on));
+
+const resolveDependencies = (tasks, index) => {
+  const task = tasks[index];
+  if (Array.isArray(task.depends_on)) return task.depends_on;
+  return index > 0 ? [tasks[index - 1].id] : [];
+};
+
+/**
+ * 可以开始执行的顶层任务
+ * @param {Array<Object>} tasks 顶层任务
+ * @param {Set<string>} [running] 正在执行的任务ID
+ * @returns {Array<Object>}
+ */
+const resolveReadyTasks = (tasks = [], running = new Set()) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const ready = [];
+  tasks.forEach((task, index) => {
+    if (running.has(task.id) || !hasRunnableWork(task)) return;
+    const dependencies = resolveDependencies(tasks, index);
+    // 依赖的任务不存在 (例如 revise_plan overwrite 后) 时不阻塞
+    const blocked = dependencies.some(id => byId.has(id) && !isTaskDone(byId.get(id)));
+    if (!blocked) ready.push(task);
+  });
+  return ready;
+};
+
+module.exports = exports = {
+  resolveTaskConcurrency,
+  isTaskDone,
+  hasDeclaredDependencies,
+  resolveReadyTasks,
+};
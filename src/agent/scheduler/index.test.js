@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+
+const { resolveReadyTasks, hasDeclaredDependencies, isTaskDone } = require('./index');
+const { resolveActionLock, withFileLock } = require('./file-lock');
+const { resolveTaskDependencies } = require('../planning/dependencies');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('resolveTaskDependencies', () => {
+  it('should keep plans without dependency declarations unchanged', () => {
+    const tasks = [{ title: 'A', content: '- search A\n' }, { title: 'B', content: '- search B\n' }];
+    const result = resolveTaskDependencies(tasks);
+    expect(result[0].depends_on).to.equal(undefined);
+    expect(hasDeclaredDependencies(result)).to.equal(false);
+  });
+
+  it('should parse dependency lines into earlier task indexes', () => {
+    const tasks = [
+      { title: 'A', content: '- search A\n- Depends on: none\n' },
+      { title: 'B', content: '- search B\n- 依赖：无\n' },
+      { title: 'Compare', content: '- compare\n- Depends on: Task 1, Task 2, Task 3\n' },
+      { title: 'Report', content: '- write report\n' },
+    ];
+    const result = resolveTaskDependencies(tasks);
+    expect(result.map(task => task.depends_on)).to.deep.equal([[], [], [0, 1], [2]]);
+    expect(result[2].description).to.not.include('Depends on');
+  });
+});
+
+describe('resolveReadyTasks', () => {
+  it('should run tasks sequentially when dependencies are not declared', () => {
+    const tasks = [{ id: 'a', status: 'pending' }, { id: 'b', status: 'pending' }];
+    expect(resolveReadyTasks(tasks).map(task => task.id)).to.deep.equal(['a']);
+  });
+
+  it('should return independent tasks together and wait for dependencies', () => {
+    const tasks = [
+      { id: 'a', status: 'pending', depends_on: [] },
+      { id: 'b', status: 'pending', depends_on: [] },
+      { id: 'c', status: 'pending', depends_on: ['a', 'b'] },
+    ];
+    expect(resolveReadyTasks(tasks).map(task => task.id)).to.deep.equal(['a', 'b']);
+    expect(resolveReadyTasks(tasks, new Set(['a'])).map(task => task.id)).to.deep.equal(['b']);
+    tasks[0].status = 'completed';
+    tasks[1].status = 'completed';
+    expect(resolveReadyTasks(tasks).map(task => task.id)).to.deep.equal(['c']);
+  });
+
+  it('should treat a decomposed task as done when all children are completed', () => {
+    const task = { id: 'a', status: 'revise_plan', children: [{ id: 'a1', status: 'completed' }] };
+    expect(isTaskDone(task)).to.equal(true);
+  });
+});
+
+describe('withFileLock', () => {
+  it('should only lock file actions', () => {
+    expect(resolveActionLock({ type: 'terminal_run', params: { command: 'ls' } })).to.equal(null);
+    expect(resolveActionLock({ type: 'write_code', params: { path: './src/a.js' } })).to.deep.equal({ path: 'src/a.js', mode: 'write' });
+  });
+
+  it('should serialize writes to the same file', async () => {
+    const events = [];
+    const write = (name) => withFileLock('c1', { type: 'write_code', params: { path: 'a.txt' } }, async () => {
+      events.push(`${name}:start`);
+      await delay(10);
+      events.push(`${name}:end`);
+    });
+    await Promise.all([write('first'), write('second')]);
+    expect(events).to.deep.equal(['first:start', 'first:end', 'second:start', 'second:end']);
+  });
+
+  it('should allow writes to different files concurrently', async () => {
+    const events = [];
+    const write = (name) => withFileLock('c1', { type: 'write_code', params: { path: `${name}.txt` } }, async () => {
+      events.push(`${name}:start`);
+      await delay(10);
+      events.push(`${name}:end`);
+    });
+    await Promise.all([write('a'), write('b')]);
+    expect(events.slice(0, 2)).to.deep.equal(['a:start', 'b:start']);
+  });
+});
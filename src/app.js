@@ -61,6 +61,9 @@ app.use(koaSwagger({
 }))
 
 
+// MCP 服务健康检查与自动重启
+require('@src/mcp/supervisor').startSupervisor();
+
 // error-handling
 app.on('error', (err, ctx) => {
   console.error('server error', err, ctx)
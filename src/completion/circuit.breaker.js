@@ -0,0 +1,83 @@
+/**
+ * 按平台的熔断状态 (内存, 服务重启后重置)
+ *
+ * - closed: 正常请求, 连续失败 failure_threshold 次后进入 open
+ * - open: 冷却 cooldown_ms 内跳过该平台
+ * - half_open: 冷却结束后只放行一个探测请求, 成功则恢复 closed, 失败重新 open
+ */
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+
+class CircuitBreaker {
+
+  /**
+   * @param {{ failure_threshold?: number, cooldown_ms?: number, now?: () => number }} [options]
+   */
+  constructor(options = {}) {
+    this.failure_threshold = options.failure_threshold || DEFAULT_FAILURE_THRESHOLD;
+    this.cooldown_ms = options.cooldown_ms || DEFAULT_COOLDOWN_MS;
+    this.now = options.now || Date.now;
+    // key => { state, failures, opened_at, probing }
+    this.circuits = new Map();
+  }
+
+  _get(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, { state: 'closed', failures: 0, opened_at: 0, probing: false });
+    }
+    return this.circuits.get(key);
+  }
+
+  getState(key) {
+    const circuit = this._get(key);
+    if (circuit.state === 'open' && this.now() - circuit.opened_at >= this.cooldown_ms) {
+      circuit.state = 'half_open';
+      circuit.probing = false;
+    }
+    return circuit.state;
+  }
+
+  /**
+   * 是否允许向该平台发起请求, half_open 时占用唯一的探测名额
+   * @param {string} key
+   */
+  canRequest(key) {
+    const state = this.getState(key);
+    if (state === 'closed') return true;
+    if (state === 'open') return false;
+    const circuit = this._get(key);
+    if (circuit.probing) return false;
+    circuit.probing = true;
+    return true;
+  }
+
+  recordSuccess(key) {
+    this.circuits.set(key, { state: 'closed', failures: 0, opened_at: 0, probing: false });
+  }
+
+  recordFailure(key) {
+    const circuit = this._get(key);
+    circuit.failures += 1;
+    circuit.probing = false;
+    if (circuit.state === 'half_open' || circuit.failures >= this.failure_threshold) {
+      circuit.state = 'open';
+      circuit.opened_at = this.now();
+    }
+  }
+
+  // 请求被取消等与平台无关的结果, 只释放探测名额
+  release(key) {
+    this._get(key).probing = false;
+  }
+
+  snapshot() {
+    const result = {};
+    for (const key of this.circuits.keys()) {
+      const { failures, opened_at } = this._get(key);
+      result[key] = { state: this.getState(key), failures, opened_at };
+    }
+    return result;
+  }
+}
+
+module.exports = exports = CircuitBreaker;
@@ -27,4 +27,30 @@ const handleError = async (error, onTokenStream) => {
   return null;
 }
 
-module.exports = exports = handleError;
\ No newline at end of file
+/**
+ * LLM 请求错误分类, 用于模型回退 (见 ./model.router.js)
+ * 兼容 axios 错误对象与 llm.base.js 记录的 last_error ({ code, status, message })
+ * @param {{ code?: string, status?: number, message?: string, response?: { status?: number } }} error
+ * @returns {'rate_limit'|'timeout'|'server'|'network'|'canceled'|'client'|'unknown'}
+ */
+const classifyLLMError = (error) => {
+  if (!error) return 'unknown';
+  const status = Number(error.status || (error.response && error.response.status)) || 0;
+  const code = String(error.code || '');
+  if (code === 'ERR_CANCELED' || error.name === 'CanceledError' || error.name === 'AbortError') return 'canceled';
+  if (status === 429) return 'rate_limit';
+  if (status >= 500 || code === 'ERR_BAD_RESPONSE') return 'server';
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(code) || /timeout/i.test(error.message || '')) return 'timeout';
+  if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE', 'ERR_NETWORK'].includes(code)) return 'network';
+  if (status >= 400 || code === 'ERR_BAD_REQUEST') return 'client';
+  return 'unknown';
+}
+
+// 这些错误说明平台暂时不可用, 换下一个模型重试
+const FAILOVER_ERRORS = ['rate_limit', 'timeout', 'server', 'network'];
+
+const shouldFailover = (error) => FAILOVER_ERRORS.includes(classifyLLMError(error));
+
+module.exports = exports = handleError;
+exports.classifyLLMError = classifyLLMError;
+exports.shouldFailover = shouldFailover;
\ No newline at end of file
@@ -128,6 +128,12 @@ class LLM {
       config.signal = options.signal;
     }
 
+    // 请求超时 (秒), 默认不设置; 配置后超时按 timeout 错误回退到下一个模型
+    const timeout = parseInt(process.env.LLM_REQUEST_TIMEOUT_SECONDS || '0', 10);
+    if (timeout > 0) {
+      config.timeout = timeout * 1000;
+    }
+
     if (config.url && config.url.indexOf('openrouter.ai') !== -1) {
       Object.assign(config.headers, {
         "HTTP-Referer": 'https://lemonai.cc',
@@ -254,14 +260,50 @@ class LLM {
 
   }
 
+  /**
+   * 累积流式 tool_calls 片段 (OpenAI function calling)
+   * - 流式返回时, 同一个 tool call 会被拆成多个 delta, 通过 index 关联
+   * - id / function.name 通常只出现在第一个片段, arguments 需要按顺序拼接
+   * 结果保存在 this.tool_calls: [{ id, type, function: { name, arguments } }]
+   * @param {Array} deltas
+   */
+  accumulateToolCallDeltas(deltas = []) {
+    if (!Array.isArray(this.tool_calls)) this.tool_calls = [];
+    for (const delta of deltas) {
+      if (!delta || typeof delta !== 'object') continue;
+      const index = Number.isInteger(delta.index) ? delta.index : this.tool_calls.length;
+      if (!this.tool_calls[index]) {
+        this.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+      }
+      const target = this.tool_calls[index];
+      if (delta.id) target.id = delta.id;
+      if (delta.type) target.type = delta.type;
+      const fn = delta.function || {};
+      if (fn.name) target.function.name += fn.name;
+      if (fn.arguments !== undefined && fn.arguments !== null) {
+        // 部分服务商会直接返回对象而不是字符串
+        target.function.arguments += typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments);
+      }
+    }
+  }
+
   // 处理流式请求
   async handleSSE(response) {
+    this.last_error = null;
     if (response.code) {
       const content = response.code;
-      this.onTokenStream(`${response.code}:${response.status}`);
+      const status = response.status || (response.response && response.response.status);
+      this.last_error = { code: response.code, status, message: response.message };
+      // 还有回退模型时不输出错误, 由 utils/llm.js 换模型重试
+      if (!this.silent_errors) {
+        this.onTokenStream(`${response.code}:${response.status}`);
+      }
       return content;
     }
 
+    // 每次请求重置 native function calling 的累积结果
+    this.tool_calls = [];
+
     // 处理流式返回
     let fullContent = "";
     let reasoning = false;
@@ -447,6 +489,7 @@ class LLM {
     // 工具使用处理
     if (choice.delta && choice.delta.tool_calls && choice.delta.tool_calls.length > 0) {
       this.tools = choice.delta.tool_calls;
+      this.accumulateToolCallDeltas(choice.delta.tool_calls);
     }
 
     // reasoning thinking
@@ -0,0 +1,34 @@
+const { expect } = require('chai');
+
+const LLM = require('./llm.base');
+
+describe('LLM.accumulateToolCallDeltas', () => {
+  it('should join arguments split across chunks by index', () => {
+    const llm = new LLM();
+    llm.accumulateToolCallDeltas([{ index: 0, id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '' } }]);
+    llm.accumulateToolCallDeltas([{ index: 0, function: { arguments: '{"pa' } }]);
+    llm.accumulateToolCallDeltas([{ index: 0, function: { arguments: 'th": "a.txt"}' } }]);
+    expect(llm.tool_calls).to.deep.equal([
+      { id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"path": "a.txt"}' } },
+    ]);
+  });
+
+  it('should keep interleaved tool calls apart and accept object arguments', () => {
+    const llm = new LLM();
+    llm.accumulateToolCallDeltas([
+      { index: 1, id: 'call_b', function: { name: 'terminal_run', arguments: '{"command":' } },
+      { index: 0, id: 'call_a', function: { name: 'read_', arguments: '{"path":' } },
+    ]);
+    llm.accumulateToolCallDeltas([
+      { index: 0, function: { name: 'file', arguments: '"x"}' } },
+      null,
+      { index: 1, function: { arguments: '"ls"}' } },
+    ]);
+    llm.accumulateToolCallDeltas([{ id: 'call_c', function: { name: 'finish', arguments: { status: 'SUCCESS' } } }]);
+    expect(llm.tool_calls.map(call => [call.id, call.function.name, call.function.arguments])).to.deep.equal([
+      ['call_a', 'read_file', '{"path":"x"}'],
+      ['call_b', 'terminal_run', '{"command":"ls"}'],
+      ['call_c', 'finish', '{"status":"SUCCESS"}'],
+    ]);
+  });
+});
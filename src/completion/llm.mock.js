@@ -0,0 +1,72 @@
+const { Readable } = require('stream');
+
+const BaseLLM = require('./llm.base');
+const { loadFixture, createState, resolveResponse, toSSEChunks } = require('./mock.fixture');
+
+// rules 循环与 sequence 位置按 fixture 文件保存, 每次调用都会新建 LLM 实例
+const _states = new Map();
+
+const resolveFixtureSource = (llm_config = {}) => {
+  // utils/default_model.js 会给 api_url 加上 /chat/completions
+  const host = String(llm_config.base_url || llm_config.host || '').replace(/\/chat\/completions$/, '').trim();
+  return host || process.env.MOCK_LLM_FIXTURES || '';
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 本地 mock 平台: 按 fixture 脚本返回 SSE 流, 不需要 API Key, 也不访问网络
+ * - 平台 API URL 填 fixture 文件路径, 为空时使用 MOCK_LLM_FIXTURES, 再为空时使用内置的 default_mock_fixture.json
+ * - 返回与 chat/completions 相同格式的流, 由 llm.base.js 的 handleSSE 处理, 流式输出 / tool_calls / 中断都走真实逻辑
+ */
+class MockLLM extends BaseLLM {
+
+  constructor(onTokenStream, model = 'mock', llm_config = {}) {
+    super(onTokenStream, model);
+    this.fixture_source = resolveFixtureSource(llm_config);
+  }
+
+  async request(messages = [], options = {}) {
+    let fixture;
+    try {
+      fixture = loadFixture(this.fixture_source);
+    } catch (error) {
+      console.error('[llm.mock] Failed to load fixture:', error.message);
+      // 与 axios 的错误对象一致, handleSSE 按 code 处理
+      error.code = error.code || 'ERR_MOCK_FIXTURE';
+      return error;
+    }
+    const key = this.fixture_source || 'default';
+    if (!_states.has(key)) _states.set(key, createState());
+    const response = resolveResponse(fixture, messages, _states.get(key));
+    const chunks = toSSEChunks(response, fixture.chunk_size);
+    const { delay_ms } = fixture;
+
+    const stream = Readable.from((async function* () {
+      for (const chunk of chunks) {
+        if (delay_ms > 0) await sleep(delay_ms);
+        yield chunk;
+      }
+    })());
+    if (options.signal) {
+      const abort = () => stream.destroy(new Error('canceled'));
+      if (options.signal.aborted) {
+        process.nextTick(abort);
+      } else {
+        options.signal.addEventListener('abort', abort, { once: true });
+        stream.once('close', () => options.signal.removeEventListener('abort', abort));
+      }
+    }
+    return { status: 200, data: stream, config: { url: `mock://${key}` } };
+  }
+}
+
+/**
+ * 重置调用计数, 测试之间使用
+ */
+const resetMockState = () => {
+  _states.clear();
+};
+
+module.exports = exports = MockLLM;
+exports.resetMockState = resetMockState;
@@ -7,6 +7,7 @@ const CHANNEL = {
 const serviceHash = {
   'azure': require('./llm.azure.openai'),
   'gemini': require('./llm.gemini'),
+  'mock': require('./llm.mock'),
 }
 
 const resolveServiceConfig = require('./resolveServiceConfig');
@@ -16,6 +17,7 @@ const resolvePlatformServiceConfig = async (model_info) => {
     service: model_info.platform_name,
     name: model_info.model_name,
     host: model_info.api_url,
+    base_url: model_info.base_url,
     config: {
       API_KEY: model_info.api_key,
     }
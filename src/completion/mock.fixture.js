@@ -0,0 +1,246 @@
+/**
+ * mock 平台 (llm.mock.js) 的应答脚本, 不调用任何模型服务
+ *
+ * fixture JSON:
+ *   {
+ *     "chunk_size": 8,            // 每个 SSE delta 的字符数, 0 表示整段返回
+ *     "delay_ms": 0,              // 每个 delta 之间的间隔
+ *     "rules": [{ "match": "strict classifier", "flags": "i", "response": "search" }],
+ *     "sequence": ["...", { "content": "...", "tool_calls": [] }],  // 或 "sequence_file": "responses.json"
+ *     "random": { "seed": 42, "finish_rate": 0.3 },
+ *     "default": "OK"
+ *   }
+ *
+ * 按顺序解析: rules (正则匹配最后一条 user 消息, 多个 responses 时循环返回) → sequence (按调用顺序) → random (按 seed 生成合法的 XML action) → default
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '../../public/default_data/default_mock_fixture.json');
+const DEFAULT_CHUNK_SIZE = 8;
+const DEFAULT_FINISH_RATE = 0.3;
+const DEFAULT_CONTENT = 'OK';
+
+const toResponse = (item) => {
+  if (item === undefined || item === null) return { content: '', tool_calls: [] };
+  if (typeof item === 'string') return { content: item, tool_calls: [] };
+  // 兼容导出的 llm_logs.json: { content, json: { tool_calls } }
+  const tool_calls = item.tool_calls || (item.json && item.json.tool_calls) || [];
+  let content = item.content === undefined || item.content === null ? '' : item.content;
+  // response_format: json 的调用可以直接写对象
+  if (typeof content !== 'string') content = JSON.stringify(content);
+  return { content, tool_calls: Array.isArray(tool_calls) ? tool_calls : [] };
+};
+
+const readJSON = (filepath) => JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+/**
+ * @param {Object|Array} raw fixture JSON
+ * @param {string} [base_dir] sequence_file 的相对路径基准
+ */
+const normalizeFixture = (raw = {}, base_dir = process.cwd()) => {
+  // 文件本身是数组时作为 sequence
+  if (Array.isArray(raw)) raw = { sequence: raw };
+  const rules = (Array.isArray(raw.rules) ? raw.rules : []).map((rule, index) => {
+    let regex;
+    try {
+      regex = new RegExp(rule.match, rule.flags || '');
+    } catch (error) {
+      throw new Error(`Invalid mock rule #${index}: ${error.message}`);
+    }
+    const responses = Array.isArray(rule.responses) && rule.responses.length > 0
+      ? rule.responses.map(toResponse)
+      : [toResponse({ content: rule.response, tool_calls: rule.tool_calls })];
+    return { regex, responses };
+  });
+
+  let sequence = Array.isArray(raw.sequence) ? raw.sequence : [];
+  if (raw.sequence_file) {
+    sequence = readJSON(path.resolve(base_dir, raw.sequence_file));
+    if (!Array.isArray(sequence)) {
+      throw new Error(`${raw.sequence_file} must be an array`);
+    }
+  }
+
+  const chunk_size = Number(raw.chunk_size);
+  const delay_ms = Number(raw.delay_ms);
+  return {
+    chunk_size: Number.isFinite(chunk_size) && chunk_size >= 0 ? Math.floor(chunk_size) : DEFAULT_CHUNK_SIZE,
+    delay_ms: Number.isFinite(delay_ms) && delay_ms > 0 ? delay_ms : 0,
+    rules,
+    sequence: sequence.map(toResponse),
+    random: raw.random ? {
+      seed: Number(raw.random.seed) || 0,
+      finish_rate: raw.random.finish_rate !== undefined ? Number(raw.random.finish_rate) : DEFAULT_FINISH_RATE,
+    } : null,
+    default: toResponse(raw.default !== undefined ? raw.default : DEFAULT_CONTENT),
+  };
+};
+
+const _cache = new Map();
+
+/**
+ * 读取 fixture 文件, 文件修改后重新加载
+ * @param {string} [source] 为空时使用内置的 default_mock_fixture.json
+ */
+const loadFixture = (source) => {
+  const filepath = path.resolve(source || DEFAULT_FIXTURE);
+  const { mtimeMs } = fs.statSync(filepath);
+  const cached = _cache.get(filepath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.fixture;
+  const fixture = normalizeFixture(readJSON(filepath), path.dirname(filepath));
+  _cache.set(filepath, { mtimeMs, fixture });
+  return fixture;
+};
+
+// mulberry32
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const hashString = (text = '') => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+const WORDS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'lemon', 'orange', 'kiwi', 'mango', 'papaya'];
+
+const cdata = (text) => `<![CDATA[${text}]]>`;
+
+/**
+ * 按 seed 与 prompt 生成一个合法的 XML action (write_code / terminal_run / finish)
+ * 相同的 seed 与 prompt 总是得到相同的结果, 与调用顺序无关
+ * @param {number} seed
+ * @param {string} prompt
+ * @param {{ finish_rate?: number }} [options]
+ */
+const generateRandomAction = (seed, prompt = '', options = {}) => {
+  const random = createRandom((seed ^ hashString(prompt)) >>> 0);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const words = (count) => Array.from({ length: count }, () => pick(WORDS)).join(' ');
+  const finish_rate = options.finish_rate !== undefined ? options.finish_rate : DEFAULT_FINISH_RATE;
+  const information = `<information>\n<message>${cdata(`Mock: ${words(3)}`)}</message>\n</information>`;
+
+  const roll = random();
+  let action;
+  if (roll < finish_rate) {
+    action = `<finish>\n<status>${cdata('SUCCESS')}</status>\n<message>${cdata(words(6))}</message>\n</finish>`;
+  } else if (roll < finish_rate + (1 - finish_rate) / 2) {
+    const file = `mock_${pick(WORDS)}_${Math.floor(random() * 1000)}.txt`;
+    action = `<write_code>\n<path>${file}</path>\n<content>\n${cdata(words(12))}\n</content>\n</write_code>`;
+  } else {
+    action = `<terminal_run>\n<cwd>./</cwd>\n<command>echo</command>\n<args>${cdata(words(4))}</args>\n</terminal_run>`;
+  }
+  return `${information}\n\n${action}`;
+};
+
+const lastUserContent = (messages = []) => {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message && message.role === 'user') {
+      return typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+    }
+  }
+  return '';
+};
+
+/**
+ * 调用计数, rules 的循环与 sequence 的位置保存在这里, 由调用方按 fixture 保存
+ */
+const createState = () => ({ rules: {}, sequence: 0 });
+
+/**
+ * @param {ReturnType<typeof normalizeFixture>} fixture
+ * @param {Array<{ role: string, content: any }>} messages 已包含本次 prompt
+ * @param {ReturnType<typeof createState>} state
+ * @returns {{ content: string, tool_calls: Array, source: 'rule'|'sequence'|'random'|'default' }}
+ */
+const resolveResponse = (fixture, messages, state = createState()) => {
+  const prompt = lastUserContent(messages);
+  for (let i = 0; i < fixture.rules.length; i++) {
+    const rule = fixture.rules[i];
+    if (!rule.regex.test(prompt)) continue;
+    const count = state.rules[i] || 0;
+    state.rules[i] = count + 1;
+    return { ...rule.responses[count % rule.responses.length], source: 'rule' };
+  }
+  if (state.sequence < fixture.sequence.length) {
+    const response = fixture.sequence[state.sequence];
+    state.sequence += 1;
+    return { ...response, source: 'sequence' };
+  }
+  if (fixture.random) {
+    return { content: generateRandomAction(fixture.random.seed, prompt, fixture.random), tool_calls: [], source: 'random' };
+  }
+  return { ...fixture.default, source: 'default' };
+};
+
+/**
+ * 按 fixture 应答的回放会话, 与 completion/replay.js 的 ReplaySession 接口相同 (next / report)
+ * 评测 stub 模式使用: 规则匹配 prompt, 不依赖调用顺序
+ * @param {ReturnType<typeof normalizeFixture>} fixture
+ */
+const createFixtureSession = (fixture) => {
+  const state = createState();
+  let calls = 0;
+  return {
+    next({ messages = [] } = {}) {
+      const { content, tool_calls, source } = resolveResponse(fixture, messages, state);
+      const index = calls++;
+      return { index, record: { model: `mock#${source}`, content, json: tool_calls.length > 0 ? { tool_calls } : null }, matched: true };
+    },
+    report() {
+      return { recorded: 0, calls, matched: calls, diverged: 0, exhausted: false, first_divergence: null, divergences: [], unused: [] };
+    },
+  };
+};
+
+const sseMessage = (delta) => `data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`;
+
+/**
+ * 把应答拆成 OpenAI chat/completions 格式的 SSE 消息, 由 llm.base.js 的 handleSSE 解析
+ * @param {{ content: string, tool_calls?: Array }} response
+ * @param {number} chunk_size 0 表示不拆分
+ * @returns {string[]}
+ */
+const toSSEChunks = (response, chunk_size = DEFAULT_CHUNK_SIZE) => {
+  const chunks = [];
+  // 按字符拆分, 避免拆开代理对
+  const chars = Array.from(response.content || '');
+  const size = chunk_size > 0 ? chunk_size : chars.length || 1;
+  for (let i = 0; i < chars.length; i += size) {
+    chunks.push(sseMessage({ content: chars.slice(i, i + size).join('') }));
+  }
+  (response.tool_calls || []).forEach((tool_call, index) => {
+    const fn = tool_call.function || {};
+    const args = typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments || {});
+    chunks.push(sseMessage({ tool_calls: [{ index, id: tool_call.id || `call_mock_${index}`, type: 'function', function: { name: fn.name, arguments: '' } }] }));
+    for (let i = 0; i < args.length; i += size) {
+      chunks.push(sseMessage({ tool_calls: [{ index, function: { arguments: args.slice(i, i + size) } }] }));
+    }
+  });
+  chunks.push('data: [DONE]\n\n');
+  return chunks;
+};
+
+module.exports = exports = {
+  DEFAULT_FIXTURE,
+  normalizeFixture,
+  loadFixture,
+  generateRandomAction,
+  createState,
+  resolveResponse,
+  createFixtureSession,
+  toSSEChunks,
+};
@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { normalizeFixture, loadFixture, generateRandomAction, createState, resolveResponse, createFixtureSession, toSSEChunks } = require('./mock.fixture');
+const MockLLM = require('./llm.mock');
+
+const user = (content) => [{ role: 'system', content: 'ignored' }, { role: 'user', content }];
+
+describe('mock llm', () => {
+  it('resolves rules first, cycles their responses, then sequence and default', () => {
+    const fixture = normalizeFixture({
+      rules: [{ match: 'classifier', flags: 'i', responses: ['a', { content: { intent: 'agent' } }] }],
+      sequence: ['one', { content: 'two', json: { tool_calls: [{ function: { name: 'x', arguments: '{}' } }] } }],
+      default: 'fallback',
+    });
+    const state = createState();
+    expect(resolveResponse(fixture, user('Strict CLASSIFIER'), state)).to.include({ content: 'a', source: 'rule' });
+    expect(resolveResponse(fixture, user('classifier'), state).content).to.equal('{"intent":"agent"}');
+    expect(resolveResponse(fixture, user('classifier'), state).content).to.equal('a');
+    expect(resolveResponse(fixture, user('plan'), state)).to.include({ content: 'one', source: 'sequence' });
+    expect(resolveResponse(fixture, user('plan'), state).tool_calls).to.have.length(1);
+    expect(resolveResponse(fixture, user('plan'), state)).to.include({ content: 'fallback', source: 'default' });
+    expect(() => normalizeFixture({ rules: [{ match: '(' }] })).to.throw('Invalid mock rule #0');
+  });
+
+  it('serves fixture responses as a replay session', () => {
+    const session = createFixtureSession(normalizeFixture({
+      rules: [{ match: 'classifier', response: 'search' }],
+      sequence: [{ content: '', json: { tool_calls: [{ function: { name: 'x', arguments: '{}' } }] } }],
+    }));
+    expect(session.next({ messages: user('plan') }).record.json.tool_calls).to.have.length(1);
+    expect(session.next({ messages: user('classifier') })).to.deep.include({ index: 1, matched: true, record: { model: 'mock#rule', content: 'search', json: null } });
+    expect(session.report()).to.include({ calls: 2, diverged: 0 });
+  });
+
+  it('generates the same valid action for the same seed and prompt', () => {
+    const first = generateRandomAction(42, 'prompt');
+    expect(generateRandomAction(42, 'prompt')).to.equal(first);
+    expect(first).to.match(/^<information>[\s\S]*<\/information>\n\n<(finish|write_code|terminal_run)>[\s\S]*<\/\1>$/);
+    const actions = new Set(Array.from({ length: 30 }, (_, i) => generateRandomAction(7, `prompt ${i}`).match(/\n\n<(\w+)>/)[1]));
+    expect([...actions].sort()).to.deep.equal(['finish', 'terminal_run', 'write_code']);
+    expect(generateRandomAction(1, 'x', { finish_rate: 1 })).to.include('<finish>');
+  });
+
+  it('splits content and tool calls into SSE deltas', () => {
+    const chunks = toSSEChunks({ content: 'héllo🍋!', tool_calls: [{ id: 'c1', function: { name: 'read', arguments: { path: 'a' } } }] }, 3);
+    expect(chunks[chunks.length - 1]).to.equal('data: [DONE]\n\n');
+    const deltas = chunks.slice(0, -1).map(chunk => JSON.parse(chunk.slice('data: '.length)).choices[0].delta);
+    expect(deltas.filter(delta => delta.content).map(delta => delta.content)).to.deep.equal(['hél', 'lo🍋', '!']);
+    expect(deltas.filter(delta => delta.tool_calls).map(delta => delta.tool_calls[0].function.arguments).join('')).to.equal('{"path":"a"}');
+    expect(toSSEChunks({ content: 'abcdef' }, 0)).to.have.length(2);
+  });
+
+  it('streams a fixture file through the SSE handler', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lemon-mock-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'responses.json'), JSON.stringify(['<finish>done</finish>']));
+      const source = path.join(dir, 'fixture.json');
+      fs.writeFileSync(source, JSON.stringify({ chunk_size: 4, sequence_file: 'responses.json' }));
+      expect(loadFixture(source).sequence).to.have.length(1);
+
+      const tokens = [];
+      const llm = new MockLLM(token => tokens.push(token), 'mock', { host: `${source}/chat/completions` });
+      const content = await llm.completion('hello', { messages: [] });
+      expect(content).to.equal('<finish>done</finish>');
+      expect(tokens.length).to.be.greaterThan(1);
+      expect(await llm.completion('hello', { messages: [] })).to.equal('OK');
+    } finally {
+      MockLLM.resetMockState();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * 模型回退链
+ *
+ * - 回退链由 utils/default_model.js getModelChain 生成: 用途模型 / 会话模型 -> DefaultModelSetting.fallback_model_ids
+ * - 限流 (429) / 超时 / 5xx / 网络错误时依次尝试下一个模型, 其它错误直接返回
+ * - 每个平台有独立的熔断状态, 熔断中的平台直接跳过; 全部熔断时仍尝试最后一个模型
+ */
+const CircuitBreaker = require('./circuit.breaker');
+const { classifyLLMError, shouldFailover } = require('./handle.error');
+
+const breaker = new CircuitBreaker({
+  failure_threshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD || '3', 10) || 3,
+  cooldown_ms: (parseInt(process.env.LLM_CIRCUIT_COOLDOWN_SECONDS || '60', 10) || 60) * 1000,
+});
+
+const platformKey = (model_info = {}) => String(model_info.platform_id || model_info.platform_name || model_info.api_url || '');
+
+/**
+ * @template T
+ * @param {Object[]} chain model_info 列表, 第一个为首选
+ * @param {(model_info: Object, options: { has_next: boolean }) => Promise<T & { error?: Object }>} attempt
+ *   单次调用; 平台返回错误时通过 result.error 返回 (llm.base.js last_error) 或直接抛出
+ * @param {CircuitBreaker} [circuitBreaker]
+ * @returns {Promise<T & { model_info: Object }>}
+ */
+const runWithFallback = async (chain = [], attempt, circuitBreaker = breaker) => {
+  if (chain.length === 0) {
+    throw new Error('No model configured, please check the default model settings');
+  }
+  let last = null;
+  let attempted = false;
+  for (let i = 0; i < chain.length; i++) {
+    const model_info = chain[i];
+    const key = platformKey(model_info);
+    const isLast = i === chain.length - 1;
+    // 全部熔断时, 仍使用最后一个模型兜底
+    if (!circuitBreaker.canRequest(key) && !(isLast && !attempted)) {
+      console.warn(`[model.router] Circuit open for ${model_info.platform_name}, skip ${model_info.model_name}`);
+      continue;
+    }
+    attempted = true;
+
+    let result = null;
+    let failure = null;
+    try {
+      result = await attempt(model_info, { has_next: !isLast });
+      failure = result && result.error;
+    } catch (error) {
+      if (!shouldFailover(error)) {
+        circuitBreaker.release(key);
+        throw error;
+      }
+      failure = error;
+    }
+
+    if (!failure || !shouldFailover(failure)) {
+      // 普通的请求错误 (如 400) 说明平台可用
+      circuitBreaker.recordSuccess(key);
+      return { ...result, model_info };
+    }
+    circuitBreaker.recordFailure(key);
+    console.warn(`[model.router] ${model_info.platform_name}/${model_info.model_name} failed (${classifyLLMError(failure)})${isLast ? '' : ', trying next model'}`);
+    last = { result, failure, model_info };
+  }
+
+  if (last && last.result) {
+    return { ...last.result, model_info: last.model_info };
+  }
+  throw last.failure;
+};
+
+module.exports = exports = {
+  breaker,
+  platformKey,
+  runWithFallback,
+};
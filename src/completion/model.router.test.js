@@ -0,0 +1,64 @@
+const { expect } = require('chai');
+
+const CircuitBreaker = require('./circuit.breaker');
+const { classifyLLMError } = require('./handle.error');
+const { runWithFallback } = require('./model.router');
+
+const chain = [
+  { platform_id: 1, platform_name: 'primary', model_name: 'a' },
+  { platform_id: 2, platform_name: 'secondary', model_name: 'b' },
+  { platform_id: 3, platform_name: 'tertiary', model_name: 'c' },
+];
+
+describe('model.router', () => {
+  it('classifies rate limit, timeout, 5xx and client errors', () => {
+    expect(classifyLLMError({ code: 'ERR_BAD_REQUEST', status: 429 })).to.equal('rate_limit');
+    expect(classifyLLMError({ code: 'ECONNABORTED', message: 'timeout of 1000ms exceeded' })).to.equal('timeout');
+    expect(classifyLLMError({ code: 'ERR_BAD_RESPONSE', response: { status: 503 } })).to.equal('server');
+    expect(classifyLLMError({ code: 'ERR_BAD_REQUEST', status: 400 })).to.equal('client');
+    expect(classifyLLMError({ code: 'ERR_CANCELED' })).to.equal('canceled');
+  });
+
+  it('opens the circuit after repeated failures and probes once after cooldown', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failure_threshold: 2, cooldown_ms: 1000, now: () => now });
+    breaker.recordFailure('p');
+    expect(breaker.canRequest('p')).to.equal(true);
+    breaker.recordFailure('p');
+    expect(breaker.canRequest('p')).to.equal(false);
+    now = 1000;
+    expect(breaker.canRequest('p')).to.equal(true);
+    expect(breaker.canRequest('p')).to.equal(false);
+    breaker.recordSuccess('p');
+    expect(breaker.getState('p')).to.equal('closed');
+  });
+
+  it('falls back to the next model on retryable errors', async () => {
+    const breaker = new CircuitBreaker();
+    const calls = [];
+    const result = await runWithFallback(chain, async (model_info, { has_next }) => {
+      calls.push([model_info.model_name, has_next]);
+      if (model_info.model_name === 'a') return { content: 'ERR_BAD_RESPONSE', error: { code: 'ERR_BAD_RESPONSE', status: 502 } };
+      if (model_info.model_name === 'b') throw Object.assign(new Error('timeout of 1000ms exceeded'), { code: 'ECONNABORTED' });
+      return { content: 'ok' };
+    }, breaker);
+    expect(result.content).to.equal('ok');
+    expect(result.model_info.model_name).to.equal('c');
+    expect(calls).to.deep.equal([['a', true], ['b', true], ['c', false]]);
+  });
+
+  it('does not fall back on client errors and skips open circuits', async () => {
+    const breaker = new CircuitBreaker({ failure_threshold: 1 });
+    const clientError = await runWithFallback(chain, async () => ({ content: 'ERR_BAD_REQUEST', error: { code: 'ERR_BAD_REQUEST', status: 400 } }), breaker);
+    expect(clientError.model_info.model_name).to.equal('a');
+
+    breaker.recordFailure('1');
+    const calls = [];
+    const result = await runWithFallback(chain, async (model_info) => {
+      calls.push(model_info.model_name);
+      return { content: 'ok' };
+    }, breaker);
+    expect(result.model_info.model_name).to.equal('b');
+    expect(calls).to.deep.equal(['b']);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * 按录制的模型输出回放会话 (LLMLogs)
+ *
+ * - utils/llm.js 检测到会话处于回放模式时不调用模型, 按顺序返回录制的输出
+ * - 每次请求与录制的请求 (messages, 已包含 prompt) 比较, 不一致说明上游 (action 结果 / LocalMemory 裁剪 / prompt 模板) 发生了变化
+ * - 并行任务或未回放的调用 (如标题生成) 会打乱顺序, 在之后的若干条录制中查找完全一致的请求
+ * - 提示词中的当前时间 (plan.js 的 Current Time / thinking.util.js 的 Current Date) 比较前统一替换, 不同时间录制的会话同样可以回放
+ */
+
+const SNIPPET_CHARS = 160;
+const DEFAULT_LOOKAHEAD = 8;
+const MAX_DIVERGENCES = 50;
+// 提示词中随时间变化的行
+const CLOCK_RE = /^(\s*(?:-\s*)?Current (?:Time|Date):)[^\n]*$/gm;
+const CLOCK_PLACEHOLDER = '$1 <clock>';
+
+class ReplayExhaustedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+const toText = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+/**
+ * 按顺序替换字符串, 用于把录制中的原会话 ID / 工作区路径换成回放会话的
+ * @param {string} text
+ * @param {Array<[string, string]>} replacements
+ */
+const applyReplacements = (text, replacements = []) => {
+  let result = text;
+  for (const [from, to] of replacements) {
+    if (from && from !== to) result = result.split(from).join(to);
+  }
+  return result;
+};
+
+const normalizeMessages = (messages = [], replacements = []) => {
+  if (typeof messages === 'string') {
+    try {
+      messages = JSON.parse(messages);
+    } catch (error) {
+      messages = [];
+    }
+  }
+  return (Array.isArray(messages) ? messages : []).map(message => ({
+    role: (message && message.role) || '',
+    content: applyReplacements(toText(message && message.content), replacements).replace(CLOCK_RE, CLOCK_PLACEHOLDER),
+  }));
+};
+
+const firstDifference = (a = '', b = '') => {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return i;
+  }
+  return a.length === b.length ? -1 : length;
+};
+
+const snippet = (text, offset) => {
+  const start = Math.max(0, offset - SNIPPET_CHARS / 2);
+  const value = text.slice(start, start + SNIPPET_CHARS);
+  return (start > 0 ? '...' : '') + value + (start + SNIPPET_CHARS < text.length ? '...' : '');
+};
+
+/**
+ * 两组 messages 第一处不同的位置, 相同时返回 null
+ * @param {Array<{ role: string, content: string }>} expected 录制的请求
+ * @param {Array<{ role: string, content: string }>} actual 回放时的请求
+ */
+const diffMessages = (expected, actual) => {
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length; i++) {
+    const a = expected[i];
+    const b = actual[i];
+    if (!a || !b) {
+      return { message_index: i, reason: 'message_count', expected_count: expected.length, actual_count: actual.length, role: (a || b).role };
+    }
+    if (a.role !== b.role) {
+      return { message_index: i, reason: 'role', expected: a.role, actual: b.role };
+    }
+    const offset = firstDifference(a.content, b.content);
+    if (offset !== -1) {
+      return { message_index: i, reason: 'content', role: a.role, offset, expected: snippet(a.content, offset), actual: snippet(b.content, offset) };
+    }
+  }
+  return null;
+};
+
+class ReplaySession {
+  /**
+   * @param {Array<{ id?: number, model?: string, messages?: Array, content?: string, json?: Object }>} records LLMLogs, 按调用顺序
+   * @param {{ replacements?: Array<[string, string]>, lookahead?: number }} [options]
+   */
+  constructor(records = [], options = {}) {
+    this.replacements = options.replacements || [];
+    this.lookahead = options.lookahead || DEFAULT_LOOKAHEAD;
+    this.records = records.map((record, index) => ({
+      index,
+      record,
+      messages: normalizeMessages(record.messages, this.replacements),
+      used: false,
+    }));
+    this.calls = 0;
+    this.matched = 0;
+    this.divergences = [];
+    this.exhausted = false;
+  }
+
+  _pending() {
+    return this.records.filter(item => !item.used);
+  }
+
+  /**
+   * 返回下一条录制的输出
+   * @param {{ messages: Array, task_id?: string }} request 发给模型的 messages (已追加 prompt)
+   * @returns {{ index: number, record: Object, matched: boolean }}
+   */
+  next(request = {}) {
+    const actual = normalizeMessages(request.messages);
+    const call = this.calls;
+    this.calls += 1;
+    const pending = this._pending();
+    if (pending.length === 0) {
+      this.exhausted = true;
+      this._addDivergence({ call, task_id: request.task_id || null, reason: 'exhausted', message_count: actual.length });
+      throw new ReplayExhaustedError(`Replay exhausted: call #${call + 1} has no recorded response (${this.records.length} recorded)`);
+    }
+    const window = pending.slice(0, this.lookahead);
+    let item = window.find(candidate => diffMessages(candidate.messages, actual) === null);
+    const matched = !!item;
+    if (matched) {
+      this.matched += 1;
+    } else {
+      item = pending[0];
+      this._addDivergence({ call, record_index: item.index, record_id: item.record.id, task_id: request.task_id || null, ...diffMessages(item.messages, actual) });
+    }
+    item.used = true;
+    return { index: item.index, record: item.record, matched };
+  }
+
+  _addDivergence(divergence) {
+    if (this.divergences.length < MAX_DIVERGENCES) this.divergences.push(divergence);
+  }
+
+  report() {
+    const unused = this._pending().map(item => ({ record_index: item.index, record_id: item.record.id, model: item.record.model }));
+    return {
+      recorded: this.records.length,
+      calls: this.calls,
+      matched: this.matched,
+      diverged: this.calls - this.matched,
+      exhausted: this.exhausted,
+      first_divergence: this.divergences[0] || null,
+      divergences: this.divergences,
+      unused,
+    };
+  }
+}
+
+/**
+ * 按顺序比较两次运行的 action 结果 (Message), 返回不一致的位置
+ * @param {Array<Object>} recorded 原会话的消息
+ * @param {Array<Object>} replayed 回放会话的消息
+ * @param {{ replacements?: Array<[string, string]>, ignore_actions?: string[], limit?: number }} [options]
+ */
+const compareActions = (recorded = [], replayed = [], options = {}) => {
+  const { replacements = [], ignore_actions = [], limit = MAX_DIVERGENCES } = options;
+  const pick = (messages, apply) => messages
+    .map(message => {
+      let meta = message.meta || {};
+      if (typeof meta === 'string') {
+        try {
+          meta = JSON.parse(meta);
+        } catch (error) {
+          meta = {};
+        }
+      }
+      return {
+        action_type: meta.action_type || '',
+        status: message.status || '',
+        content: apply ? applyReplacements(toText(message.content), replacements) : toText(message.content),
+      };
+    })
+    .filter(action => action.action_type && action.status !== 'running' && !ignore_actions.includes(action.action_type));
+  const expected = pick(recorded, true);
+  const actual = pick(replayed, false);
+  const mismatches = [];
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length && mismatches.length < limit; i++) {
+    const a = expected[i];
+    const b = actual[i];
+    if (!a || !b) {
+      mismatches.push({ action_index: i, reason: a ? 'missing' : 'extra', action_type: (a || b).action_type });
+      continue;
+    }
+    if (a.action_type !== b.action_type || a.status !== b.status) {
+      mismatches.push({ action_index: i, reason: 'action', expected: `${a.action_type}:${a.status}`, actual: `${b.action_type}:${b.status}` });
+      continue;
+    }
+    const offset = firstDifference(a.content, b.content);
+    if (offset !== -1) {
+      mismatches.push({ action_index: i, reason: 'content', action_type: a.action_type, offset, expected: snippet(a.content, offset), actual: snippet(b.content, offset) });
+    }
+  }
+  return { recorded: expected.length, replayed: actual.length, mismatches };
+};
+
+// conversation_id => ReplaySession
+const sessions = new Map();
+
+/**
+ * 会话进入回放模式
+ * @param {string} conversation_id
+ * @param {Array<Object>|{ next: Function, report: Function }} records 录制的 LLMLogs, 或实现了 next / report 的会话 (例如 mock fixture)
+ * @param {Object} [options] ReplaySession 的选项
+ */
+const startReplaySession = (conversation_id, records, options) => {
+  const session = Array.isArray(records) ? new ReplaySession(records, options) : records;
+  sessions.set(conversation_id, session);
+  return session;
+};
+
+const getReplaySession = (conversation_id) => {
+  if (!conversation_id) return null;
+  return sessions.get(conversation_id) || null;
+};
+
+const endReplaySession = (conversation_id) => {
+  const session = sessions.get(conversation_id);
+  sessions.delete(conversation_id);
+  return session ? session.report() : null;
+};
+
+module.exports = exports = {
+  ReplaySession,
+  ReplayExhaustedError,
+  diffMessages,
+  normalizeMessages,
+  compareActions,
+  startReplaySession,
+  getReplaySession,
+  endReplaySession,
+};
@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+
+const { ReplaySession, ReplayExhaustedError, compareActions } = require('./replay');
+
+const user = (content) => ({ role: 'user', content });
+
+describe('ReplaySession', () => {
+  it('serves recorded responses in order and counts matching requests', () => {
+    const session = new ReplaySession([
+      { id: 1, messages: [user('plan')], content: 'p' },
+      { id: 2, messages: [user('step 1')], content: 'a' },
+    ]);
+    expect(session.next({ messages: [user('plan')] }).record.content).to.equal('p');
+    expect(session.next({ messages: [user('step 1')] }).record.content).to.equal('a');
+    const report = session.report();
+    expect(report).to.include({ recorded: 2, calls: 2, matched: 2, diverged: 0, exhausted: false });
+    expect(report.unused).to.deep.equal([]);
+  });
+
+  it('reports where the request diverges and applies id replacements', () => {
+    const session = new ReplaySession([
+      { id: 1, messages: '[{"role":"user","content":"cd /ws/Conversation_aaaaaa && ls"}]', content: 'x' },
+      { id: 2, messages: [user('observation: 3 files')], content: 'y' },
+    ], { replacements: [['Conversation_aaaaaa', 'Conversation_bbbbbb']] });
+    expect(session.next({ messages: [user('cd /ws/Conversation_bbbbbb && ls')] }).matched).to.equal(true);
+    const result = session.next({ messages: [user('observation: 4 files')] });
+    expect(result).to.include({ matched: false, index: 1 });
+    const { first_divergence } = session.report();
+    expect(first_divergence).to.include({ call: 1, record_id: 2, reason: 'content', message_index: 0, offset: 13 });
+    expect(first_divergence.expected).to.equal('observation: 3 files');
+    expect(first_divergence.actual).to.equal('observation: 4 files');
+  });
+
+  it('looks ahead past skipped calls and throws when exhausted', () => {
+    const session = new ReplaySession([
+      { id: 1, messages: [user('generate title')], content: 'Title' },
+      { id: 2, messages: [user('auto reply')], content: 'Sure' },
+    ]);
+    expect(session.next({ messages: [user('auto reply')] })).to.include({ index: 1, matched: true });
+    session.next({ messages: [user('plan')] });
+    expect(() => session.next({ messages: [user('again')] })).to.throw(ReplayExhaustedError);
+    const report = session.report();
+    expect(report).to.include({ calls: 3, matched: 1, diverged: 2, exhausted: true });
+    expect(report.divergences[1].reason).to.equal('exhausted');
+  });
+});
+
+describe('compareActions', () => {
+  it('compares finished actions in order', () => {
+    const recorded = [
+      { status: 'running', content: '', meta: { action_type: 'terminal_run' } },
+      { status: 'success', content: 'ok in Conversation_aaaaaa', meta: '{"action_type":"terminal_run"}' },
+      { status: 'success', content: 'written', meta: { action_type: 'write_code' } },
+    ];
+    const replayed = [
+      { status: 'success', content: 'ok in Conversation_bbbbbb', meta: { action_type: 'terminal_run' } },
+      { status: 'failure', content: 'EACCES', meta: { action_type: 'write_code' } },
+      { status: 'success', content: 'done', meta: { action_type: 'finish' } },
+    ];
+    const result = compareActions(recorded, replayed, { replacements: [['Conversation_aaaaaa', 'Conversation_bbbbbb']] });
+    expect(result).to.include({ recorded: 2, replayed: 3 });
+    expect(result.mismatches).to.deep.equal([
+      { action_index: 1, reason: 'action', expected: 'write_code:success', actual: 'write_code:failure' },
+      { action_index: 2, reason: 'extra', action_type: 'finish' },
+    ]);
+  });
+});
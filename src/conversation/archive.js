@@ -0,0 +1,341 @@
+/**
+ * 会话导出 / 恢复 (审计, 在桌面版与服务器之间迁移)
+ *
+ * 导出包 (.lemon.tar.gz) 内容:
+ * - manifest.json      格式版本, 原工作区路径与各类记录数量
+ * - conversation.json  会话记录
+ * - messages.json      完整消息记录 (Message, 按时间排序)
+ * - tasks.json         任务记录 (Task), plan.json 为对应的任务树
+ * - files.json         上传的附件 (File), 文件内容在 attachments/ 下
+ * - file_versions.json 文件版本 (FileVersion)
+ * - llm_logs.json      模型调用日志 (LLMLogs)
+ * - transcript.json    机器可读的对话记录
+ * - workspace/         生成的文件 (遵循 .gitignore), workspace.bundle 为工作区提交历史
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const uuid = require('uuid');
+
+const Conversation = require('@src/models/Conversation');
+const Message = require('@src/models/Message');
+const Task = require('@src/models/Task');
+const File = require('@src/models/File');
+const FileVersion = require('@src/models/FileVersion');
+const LLMLogs = require('@src/models/LLMLogs');
+const Model = require('@src/models/Model');
+const Agent = require('@src/models/Agent');
+const { getDirpath } = require('@src/utils/electron');
+const { resolveConversationDir, resolveConversationDirname } = require('@src/runtime/runtime.util');
+const { initWorkspaceRepo, bundleWorkspace, cloneWorkspace } = require('@src/agent/git/index');
+const { listProjectFiles } = require('@src/workspace/files');
+const { buildTaskTree, buildTranscript, replaceDeep } = require('./transcript');
+
+const FORMAT = 'lemon-conversation-export';
+const FORMAT_VERSION = 1;
+
+const resolveUserDir = (user_id) => getDirpath(process.env.WORKSPACE_DIR || 'workspace', user_id);
+
+const run = (command, args, cwd) => new Promise((resolve, reject) => {
+  execFile(command, args, { cwd, timeout: 5 * 60 * 1000, maxBuffer: 20 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      error.message = error.code === 'ENOENT'
+        ? `${command} is required to export or restore conversations`
+        : (stderr || error.message || '').toString().trim();
+      return reject(error);
+    }
+    resolve(stdout.toString());
+  });
+});
+
+const plain = (rows) => rows.map(row => row.get({ plain: true }));
+
+const writeJSON = (dir, name, data) => {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(data, null, 2));
+};
+
+const readJSON = (dir, name, fallback) => {
+  const filepath = path.join(dir, name);
+  if (!fs.existsSync(filepath)) return fallback;
+  return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+};
+
+/**
+ * 解压后的导出包不允许包含符号链接, 其中的文件 (实际路径) 必须位于解压目录内
+ * tar 会保留导出包中的符号链接, 否则可以借此读取服务器上的任意文件
+ * @param {string} root 解压目录
+ */
+const assertExtractedFiles = (root) => {
+  const walk = (dir) => {
+    for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const filepath = path.join(dir, ent.name);
+      if (ent.isSymbolicLink()) {
+        throw new Error(`Export contains a symbolic link: ${path.relative(root, filepath)}`);
+      }
+      if (ent.isDirectory()) walk(filepath);
+    }
+  };
+  walk(root);
+
+  const base = fs.realpathSync(root);
+  const names = ['workspace', 'attachments', 'workspace.bundle', ...fs.readdirSync(root).filter(name => name.endsWith('.json'))];
+  for (const name of names) {
+    const filepath = path.join(root, name);
+    if (!fs.existsSync(filepath)) continue;
+    const real = fs.realpathSync(filepath);
+    if (!real.startsWith(base + path.sep)) {
+      throw new Error(`Export entry ${name} points outside of the export`);
+    }
+  }
+};
+
+// 附件的 url 相对用户目录 (如 upload/a.pdf), 不允许指向目录之外
+const resolveInside = (root, relative) => {
+  if (!relative) return null;
+  const filepath = path.resolve(root, relative);
+  return filepath.startsWith(path.resolve(root) + path.sep) ? filepath : null;
+};
+
+const copyFiles = (source, target, files) => {
+  for (const file of files) {
+    const to = path.join(target, file);
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(path.join(source, file), to);
+  }
+};
+
+const safeFilename = (title = '') => {
+  const name = String(title).replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^[_.]+|_+$/g, '').slice(0, 40);
+  return name || 'conversation';
+};
+
+/**
+ * @param {{ conversation_id: string, user_id: number|string }} options
+ * @returns {Promise<{ filepath: string, filename: string, cleanup: Function }>}
+ */
+const exportConversation = async ({ conversation_id, user_id }) => {
+  const conversation = await Conversation.findOne({ where: { conversation_id, user_id, deleted_at: null } });
+  if (!conversation) {
+    throw new Error('Conversation does not exist');
+  }
+  if (conversation.status === 'running') {
+    throw new Error('Conversation is running, wait for it to finish before exporting');
+  }
+
+  const where = { conversation_id };
+  const messages = plain(await Message.findAll({ where, order: [['timestamp', 'ASC'], ['id', 'ASC']] }));
+  const tasks = plain(await Task.findAll({ where, order: [['id', 'ASC']] }));
+  const files = plain(await File.findAll({ where, order: [['id', 'ASC']] }));
+  const file_versions = plain(await FileVersion.findAll({ where, order: [['id', 'ASC']] }));
+  const llm_logs = plain(await LLMLogs.findAll({ where, order: [['id', 'ASC']] }));
+  const data = conversation.get({ plain: true });
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'lemon-export-'));
+  const cleanup = () => fs.rmSync(tmp, { recursive: true, force: true });
+  try {
+    const dir = path.join(tmp, 'content');
+    fs.mkdirSync(dir);
+
+    const workspace_dir = resolveConversationDir({ conversation_id, user_id });
+    let workspace_files = [];
+    if (fs.existsSync(workspace_dir)) {
+      workspace_files = (await listProjectFiles(workspace_dir)).files;
+      copyFiles(workspace_dir, path.join(dir, 'workspace'), workspace_files);
+    }
+    const has_history = await bundleWorkspace({ conversation_id, user_id }, path.join(dir, 'workspace.bundle'));
+
+    const user_dir = resolveUserDir(user_id);
+    const attachments = files
+      .map(file => file.url)
+      .filter(url => {
+        const filepath = resolveInside(user_dir, url);
+        return filepath && fs.existsSync(filepath) && fs.statSync(filepath).isFile();
+      });
+    copyFiles(user_dir, path.join(dir, 'attachments'), Array.from(new Set(attachments)));
+
+    writeJSON(dir, 'manifest.json', {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      conversation_id,
+      title: data.title,
+      workspace_dir,
+      workspace_history: has_history,
+      counts: {
+        messages: messages.length,
+        tasks: tasks.length,
+        files: files.length,
+        file_versions: file_versions.length,
+        llm_logs: llm_logs.length,
+        workspace_files: workspace_files.length,
+      },
+    });
+    writeJSON(dir, 'conversation.json', data);
+    writeJSON(dir, 'messages.json', messages);
+    writeJSON(dir, 'tasks.json', tasks);
+    writeJSON(dir, 'plan.json', buildTaskTree(tasks));
+    writeJSON(dir, 'files.json', files);
+    writeJSON(dir, 'file_versions.json', file_versions);
+    writeJSON(dir, 'llm_logs.json', llm_logs);
+    writeJSON(dir, 'transcript.json', buildTranscript({ conversation: data, messages, tasks }));
+
+    const filename = `${safeFilename(data.title)}-${conversation_id.slice(0, 6)}.lemon.tar.gz`;
+    const filepath = path.join(tmp, filename);
+    await run('tar', ['-czf', filepath, '-C', dir, '.']);
+    return { filepath, filename, cleanup };
+  } catch (error) {
+    cleanup();
+    throw error;
+  }
+};
+
+// 原会话 ID 未被使用时保留, 否则生成新的 ID (工作区目录也不能冲突)
+const allocateConversationId = async (original, user_id) => {
+  const candidates = [original, uuid.v4(), uuid.v4(), uuid.v4()];
+  for (const conversation_id of candidates) {
+    if (!conversation_id) continue;
+    const exists = await Conversation.findOne({ where: { conversation_id } });
+    if (exists) continue;
+    const dir = resolveConversationDir({ conversation_id, user_id });
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length > 0) continue;
+    return conversation_id;
+  }
+  throw new Error('Failed to allocate a conversation id');
+};
+
+// 模型 / Agent 只在本实例存在时保留
+const keepIfExists = async (ModelClass, id) => {
+  if (!id) return null;
+  const row = await ModelClass.findOne({ where: { id } });
+  return row ? id : null;
+};
+
+const omit = (row, keys) => {
+  const result = { ...row };
+  for (const key of keys) delete result[key];
+  return result;
+};
+
+// 附件与本实例已有的同名文件内容不同时换一个文件名
+const restoreAttachment = (source, user_dir, url, suffix) => {
+  const from = resolveInside(source, url);
+  let to = resolveInside(user_dir, url);
+  // 只复制普通文件
+  if (!from || !to || !fs.existsSync(from) || !fs.lstatSync(from).isFile()) return url;
+  if (fs.existsSync(to) && !fs.readFileSync(to).equals(fs.readFileSync(from))) {
+    const ext = path.extname(url);
+    url = `${url.slice(0, url.length - ext.length)}-${suffix}${ext}`;
+    to = resolveInside(user_dir, url);
+  }
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(from, to);
+  return url;
+};
+
+const restoreWorkspace = async (source, target, context, manifest) => {
+  if (fs.existsSync(target)) fs.rmSync(target, { recursive: true, force: true });
+  const bundle = path.join(source, 'workspace.bundle');
+  const cloned = manifest.workspace_history && fs.existsSync(bundle)
+    ? await cloneWorkspace(context, bundle)
+    : false;
+  fs.mkdirSync(target, { recursive: true });
+  // 导出时未提交的改动以 workspace/ 中的文件为准
+  const workspace = path.join(source, 'workspace');
+  if (fs.existsSync(workspace)) {
+    copyFiles(workspace, target, (await listProjectFiles(workspace)).files);
+  }
+  return cloned;
+};
+
+/**
+ * 从导出包恢复会话, 会话属于当前用户
+ * @param {{ file: { filepath: string, originalFilename: string }, user_id: number|string }} options
+ * @returns {Promise<ConversationTable>}
+ */
+const restoreConversation = async ({ file, user_id }) => {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'lemon-restore-'));
+  let conversation_id = null;
+  let target = null;
+  try {
+    await run('tar', ['-xzf', file.filepath, '-C', tmp]);
+    assertExtractedFiles(tmp);
+    const manifest = readJSON(tmp, 'manifest.json', null);
+    if (!manifest || manifest.format !== FORMAT) {
+      throw new Error('Not a Lemon conversation export');
+    }
+    if (manifest.version > FORMAT_VERSION) {
+      throw new Error(`Unsupported export version ${manifest.version}, upgrade Lemon to restore it`);
+    }
+
+    const original = readJSON(tmp, 'conversation.json', {});
+    const original_id = original.conversation_id || manifest.conversation_id;
+    if (!original_id) {
+      throw new Error('Export has no conversation id');
+    }
+    conversation_id = await allocateConversationId(original_id, user_id);
+    target = resolveConversationDir({ conversation_id, user_id });
+
+    // 工作区绝对路径优先, 然后是目录名与会话 ID
+    const replacements = [
+      [manifest.workspace_dir, target],
+      [resolveConversationDirname(original_id), resolveConversationDirname(conversation_id)],
+      [original_id, conversation_id],
+    ];
+    const load = (name) => replaceDeep(readJSON(tmp, name, []), replacements);
+    const messages = load('messages.json');
+    const tasks = load('tasks.json');
+    const files = load('files.json');
+    const file_versions = load('file_versions.json');
+    const llm_logs = load('llm_logs.json');
+
+    const workspace_source = original.workspace_source
+      ? { ...original.workspace_source, mode: 'copy' }
+      : null;
+    const conversation = await Conversation.create({
+      ...omit(original, ['id', 'user_id', 'deleted_at', 'is_favorite', 'is_from_sub_server', 'docset_id', 'twins_id']),
+      conversation_id,
+      user_id,
+      status: original.status === 'running' ? 'done' : (original.status || 'done'),
+      agent_id: await keepIfExists(Agent, original.agent_id),
+      model_id: await keepIfExists(Model, original.model_id),
+      reasoning_model_id: await keepIfExists(Model, original.reasoning_model_id),
+      workspace_source,
+    });
+
+    const user_dir = resolveUserDir(user_id);
+    for (const item of files) {
+      item.url = restoreAttachment(path.join(tmp, 'attachments'), user_dir, item.url, conversation_id.slice(0, 6));
+    }
+
+    await Message.bulkCreate(messages.map(item => ({ ...omit(item, ['id']), conversation_id, user_id })));
+    await Task.bulkCreate(tasks.map(item => ({ ...omit(item, ['id']), conversation_id, user_id })));
+    // 导出包不含检索段落, 附件在首次 document_query 时重新索引
+    await File.bulkCreate(files.map(item => ({ ...omit(item, ['id']), conversation_id, user_id, index_status: 'pending' })));
+    await FileVersion.bulkCreate(file_versions.map(item => ({ ...omit(item, ['id']), conversation_id, user_id })));
+    await LLMLogs.bulkCreate(llm_logs.map(item => ({ ...omit(item, ['id']), conversation_id })));
+
+    const cloned = await restoreWorkspace(tmp, target, { conversation_id, user_id }, manifest);
+    if (!cloned) {
+      await initWorkspaceRepo({ conversation_id, user_id });
+    }
+    console.log(`[conversation.restore] Restored ${original_id} as ${conversation_id} (${messages.length} messages, ${tasks.length} tasks)`);
+    return conversation;
+  } catch (error) {
+    // 恢复失败时不保留不完整的会话
+    if (conversation_id) {
+      const where = { conversation_id };
+      await Promise.all([Conversation, Message, Task, File, FileVersion, LLMLogs]
+        .map(ModelClass => ModelClass.destroy({ where }).catch(() => null)));
+      if (target) fs.rmSync(target, { recursive: true, force: true });
+    }
+    throw error;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+};
+
+module.exports = exports = {
+  exportConversation,
+  restoreConversation,
+};
@@ -0,0 +1,39 @@
+require('module-alias/register');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { expect } = require('chai');
+
+const { restoreConversation } = require('./archive');
+
+// 导出包中的 entry => 符号链接目标
+const buildArchive = (dir, links) => {
+  const content = path.join(dir, 'content');
+  fs.mkdirSync(content, { recursive: true });
+  fs.writeFileSync(path.join(content, 'manifest.json'), JSON.stringify({ format: 'lemon-conversation-export', version: 1 }));
+  for (const [name, target] of Object.entries(links)) {
+    fs.mkdirSync(path.dirname(path.join(content, name)), { recursive: true });
+    fs.symlinkSync(target, path.join(content, name));
+  }
+  const filepath = path.join(dir, 'export.lemon.tar.gz');
+  execFileSync('tar', ['-czf', filepath, '-C', content, '.']);
+  return filepath;
+};
+
+describe('restoreConversation', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lemon-archive-test-'));
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('should reject exports with symbolic links', async () => {
+    for (const links of [{ workspace: '/etc' }, { attachments: '/etc' }, { 'workspace/notes/passwd': '/etc/passwd' }, { 'conversation.json': '/etc/hostname' }]) {
+      const filepath = buildArchive(fs.mkdtempSync(path.join(dir, 'case-')), links);
+      const error = await restoreConversation({ file: { filepath, originalFilename: 'export.lemon.tar.gz' }, user_id: 1 }).catch(err => err);
+      expect(error).to.be.an('error');
+      expect(error.message).to.contain('symbolic link');
+    }
+  });
+});
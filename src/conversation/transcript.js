@@ -0,0 +1,112 @@
+/**
+ * 会话导出的纯函数部分: 机器可读的对话记录、任务树与路径替换
+ */
+
+// Message.meta 保存时是 JSON 字符串
+const parseMeta = (meta) => {
+  if (!meta) return {};
+  if (typeof meta === 'object') return meta;
+  try {
+    return JSON.parse(meta) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Task 表的扁平记录 => 任务树, 同级按创建顺序排列
+ * @param {Array<Object>} rows
+ * @returns {Array<Object>}
+ */
+const buildTaskTree = (rows = []) => {
+  const nodes = new Map();
+  const sorted = [...rows].sort((a, b) => (a.id || 0) - (b.id || 0));
+  for (const row of sorted) {
+    nodes.set(row.task_id, {
+      task_id: row.task_id,
+      requirement: row.requirement,
+      status: row.status,
+      result: row.result || null,
+      error: row.error || null,
+      depends_on: row.depends_on || [],
+      children: [],
+    });
+  }
+  const roots = [];
+  for (const row of sorted) {
+    const node = nodes.get(row.task_id);
+    const parent = row.parent_id && nodes.get(row.parent_id);
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+};
+
+/**
+ * @param {{ conversation: Object, messages: Array<Object>, tasks: Array<Object> }} data
+ * @returns {Object} transcript.json
+ */
+const buildTranscript = ({ conversation = {}, messages = [], tasks = [] }) => {
+  const events = [...messages]
+    .sort((a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0))
+    .map((message, index) => {
+      const meta = parseMeta(message.meta);
+      const event = {
+        index,
+        timestamp: Number(message.timestamp) || null,
+        time: message.timestamp ? new Date(Number(message.timestamp)).toISOString() : null,
+        role: message.role,
+        action_type: meta.action_type || null,
+        status: message.status,
+        task_id: meta.task_id || null,
+        content: message.content || '',
+      };
+      if (meta.filepath) event.filepath = meta.filepath;
+      if (meta.url) event.url = meta.url;
+      return event;
+    });
+  return {
+    conversation_id: conversation.conversation_id,
+    title: conversation.title,
+    goal: conversation.content,
+    status: conversation.status,
+    events,
+    tasks: buildTaskTree(tasks),
+  };
+};
+
+/**
+ * 递归替换字符串 (包括 JSON 字符串内部), 用于恢复时改写会话 ID 与工作区路径
+ * @param {*} value
+ * @param {Array<[string, string]>} replacements 按顺序替换
+ */
+const replaceDeep = (value, replacements = []) => {
+  if (typeof value === 'string') {
+    let result = value;
+    for (const [from, to] of replacements) {
+      if (from && from !== to) result = result.split(from).join(to);
+    }
+    return result;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => replaceDeep(item, replacements));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = replaceDeep(item, replacements);
+    }
+    return result;
+  }
+  return value;
+};
+
+module.exports = exports = {
+  parseMeta,
+  buildTaskTree,
+  buildTranscript,
+  replaceDeep,
+};
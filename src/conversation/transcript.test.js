@@ -0,0 +1,40 @@
+const { expect } = require('chai');
+
+const { buildTaskTree, buildTranscript, replaceDeep } = require('./transcript');
+
+describe('conversation transcript', () => {
+  it('builds the task tree from flat task rows', () => {
+    const tree = buildTaskTree([
+      { id: 3, task_id: 'b1', parent_id: 'b', requirement: 'sub', status: 'completed' },
+      { id: 1, task_id: 'a', parent_id: null, requirement: 'first', status: 'completed' },
+      { id: 2, task_id: 'b', parent_id: '', requirement: 'second', status: 'failed', error: 'boom' },
+    ]);
+    expect(tree.map(node => node.task_id)).to.deep.equal(['a', 'b']);
+    expect(tree[1].error).to.equal('boom');
+    expect(tree[1].children.map(node => node.task_id)).to.deep.equal(['b1']);
+  });
+
+  it('orders events by timestamp and reads string meta', () => {
+    const transcript = buildTranscript({
+      conversation: { conversation_id: 'c1', title: 'Demo', content: 'build it', status: 'done' },
+      messages: [
+        { role: 'assistant', status: 'success', content: 'done', timestamp: 2000, meta: '{"action_type":"write_code","task_id":"a","filepath":"Conversation_c1/a.js"}' },
+        { role: 'user', status: 'success', content: 'build it', timestamp: 1000, meta: { action_type: 'question' } },
+      ],
+      tasks: [{ id: 1, task_id: 'a', requirement: 'write a.js', status: 'completed' }],
+    });
+    expect(transcript.goal).to.equal('build it');
+    expect(transcript.events.map(event => event.role)).to.deep.equal(['user', 'assistant']);
+    expect(transcript.events[1]).to.include({ index: 1, action_type: 'write_code', task_id: 'a', filepath: 'Conversation_c1/a.js' });
+    expect(transcript.events[0].time).to.equal(new Date(1000).toISOString());
+    expect(transcript.tasks).to.have.length(1);
+  });
+
+  it('replaces ids and paths in nested values and JSON strings', () => {
+    const value = { meta: '{"filepath":"/ws/1/Conversation_abcdef/a.js"}', list: ['abcdef-1', 3, null] };
+    const result = replaceDeep(value, [['/ws/1/Conversation_abcdef', '/ws/2/Conversation_123456'], ['abcdef-1', '123456-2']]);
+    expect(result.meta).to.equal('{"filepath":"/ws/2/Conversation_123456/a.js"}');
+    expect(result.list).to.deep.equal(['123456-2', 3, null]);
+    expect(value.list[0]).to.equal('abcdef-1');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * 将抽取出的 section 切分为检索分块
+ *
+ * - 按行累积, 单个分块不超过 max_chars (超长的单行会被硬切)
+ * - 相邻分块之间保留 overlap 个字符以内的尾部行, 避免答案被切断
+ * - 分块不跨 section (PDF 的页 / XLSX 的工作表), 保证引用位置准确
+ *
+ * @typedef {import('./extract').DocumentSection} DocumentSection
+ * @typedef {{ content: string, page?: number, sheet?: string, line_start: number, line_end: number }} DocumentChunkData
+ */
+const DEFAULT_MAX_CHARS = 1200;
+const DEFAULT_OVERLAP = 200;
+
+const splitLongLine = ({ line, text }, size) => {
+  const parts = [];
+  for (let i = 0; i < text.length; i += size) {
+    parts.push({ line, text: text.slice(i, i + size) });
+  }
+  return parts;
+};
+
+/**
+ * @param {DocumentSection[]} sections
+ * @param {{ max_chars?: number, overlap?: number }} [options]
+ * @returns {DocumentChunkData[]}
+ */
+const chunkSections = (sections = [], options = {}) => {
+  const max_chars = options.max_chars || DEFAULT_MAX_CHARS;
+  const overlap = options.overlap === undefined ? DEFAULT_OVERLAP : options.overlap;
+  const chunks = [];
+
+  for (const section of sections) {
+    const prefix = section.prefix ? `${section.prefix}\n` : '';
+    const budget = Math.max(max_chars - prefix.length, 1);
+    const lines = [];
+    for (const item of section.lines || []) {
+      if (!item.text.trim()) continue;
+      lines.push(...(item.text.length > budget ? splitLongLine(item, budget) : [item]));
+    }
+
+    let start = 0;
+    while (start < lines.length) {
+      let end = start;
+      let size = lines[start].text.length + 1;
+      while (end + 1 < lines.length && size + lines[end + 1].text.length + 1 <= budget) {
+        end++;
+        size += lines[end].text.length + 1;
+      }
+      const chunk = {
+        content: prefix + lines.slice(start, end + 1).map(item => item.text).join('\n'),
+        line_start: lines[start].line,
+        line_end: lines[end].line,
+      };
+      if (section.page !== undefined) chunk.page = section.page;
+      if (section.sheet !== undefined) chunk.sheet = section.sheet;
+      chunks.push(chunk);
+      if (end === lines.length - 1) break;
+
+      // 下一个分块以尾部若干行开头, 且要给下一行留出空间
+      const limit = Math.min(overlap, budget - lines[end + 1].text.length - 1);
+      let next = end + 1;
+      let kept = 0;
+      while (next - 1 > start && kept + lines[next - 1].text.length + 1 <= limit) {
+        next--;
+        kept += lines[next].text.length + 1;
+      }
+      start = next;
+    }
+  }
+  return chunks;
+};
+
+/**
+ * 引用位置, 例如 report.pdf p.12 L3-L18 / data.xlsx [Sheet1] rows 2-40 / README.md L10-L34
+ * @param {string} file_name
+ * @param {{ page?: number|null, sheet?: string|null, line_start?: number|null, line_end?: number|null }} chunk
+ */
+const formatCitation = (file_name, chunk = {}) => {
+  const parts = [file_name];
+  if (chunk.page) parts.push(`p.${chunk.page}`);
+  if (chunk.sheet) parts.push(`[${chunk.sheet}]`);
+  if (chunk.line_start) {
+    const range = chunk.line_end && chunk.line_end !== chunk.line_start
+      ? `${chunk.line_start}-${chunk.line_end}`
+      : `${chunk.line_start}`;
+    parts.push(chunk.sheet ? `rows ${range}` : `L${range.replace('-', '-L')}`);
+  }
+  return parts.join(' ');
+};
+
+module.exports = exports = {
+  chunkSections,
+  formatCitation,
+};
@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+
+const { chunkSections, formatCitation } = require('./chunk');
+
+const lines = (count, width = 50) => Array.from({ length: count }, (_, i) => ({ line: i + 1, text: `${i + 1}`.padEnd(width, 'x') }));
+
+describe('chunkSections', () => {
+  it('should keep small sections in a single chunk with line ranges', () => {
+    const chunks = chunkSections([{ lines: [{ line: 1, text: '# Title' }, { line: 2, text: '' }, { line: 3, text: 'body' }] }]);
+    expect(chunks).to.have.lengthOf(1);
+    expect(chunks[0]).to.include({ content: '# Title\nbody', line_start: 1, line_end: 3 });
+  });
+
+  it('should split long sections within max_chars and overlap neighbours', () => {
+    const chunks = chunkSections([{ lines: lines(40) }], { max_chars: 300, overlap: 60 });
+    expect(chunks.length).to.be.greaterThan(1);
+    for (const chunk of chunks) {
+      expect(chunk.content.length).to.be.at.most(300);
+    }
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].line_start).to.be.at.most(chunks[i - 1].line_end);
+      expect(chunks[i].line_end).to.be.greaterThan(chunks[i - 1].line_end);
+    }
+    expect(chunks[chunks.length - 1].line_end).to.equal(40);
+  });
+
+  it('should not cross pages and should repeat the sheet header', () => {
+    const chunks = chunkSections([
+      { page: 1, lines: [{ line: 1, text: 'first page' }] },
+      { page: 2, lines: [{ line: 1, text: 'second page' }] },
+      { sheet: 'Sales', prefix: '|name|amount|\n|---|---|', lines: lines(10, 40).map(item => ({ ...item, line: item.line + 1 })) },
+    ], { max_chars: 200, overlap: 0 });
+    expect(chunks[0]).to.include({ page: 1, content: 'first page' });
+    expect(chunks[1]).to.include({ page: 2, content: 'second page' });
+    const sheetChunks = chunks.filter(chunk => chunk.sheet === 'Sales');
+    expect(sheetChunks.length).to.be.greaterThan(1);
+    sheetChunks.forEach(chunk => expect(chunk.content.startsWith('|name|amount|')).to.equal(true));
+  });
+
+  it('should hard split a single line longer than max_chars', () => {
+    const chunks = chunkSections([{ lines: [{ line: 7, text: 'a'.repeat(250) }] }], { max_chars: 100, overlap: 0 });
+    expect(chunks).to.have.lengthOf(3);
+    chunks.forEach(chunk => expect(chunk).to.include({ line_start: 7, line_end: 7 }));
+  });
+});
+
+describe('formatCitation', () => {
+  it('should format page, sheet and line references', () => {
+    expect(formatCitation('report.pdf', { page: 12, line_start: 3, line_end: 18 })).to.equal('report.pdf p.12 L3-L18');
+    expect(formatCitation('data.xlsx', { sheet: 'Sheet1', line_start: 2, line_end: 40 })).to.equal('data.xlsx [Sheet1] rows 2-40');
+    expect(formatCitation('README.md', { line_start: 5, line_end: 5 })).to.equal('README.md L5');
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('node-xlsx');
+
+const { OptimizedXlsxReader, xlsxToMarkdown } = require('@src/runtime/read_xlsx_optimized');
+
+/**
+ * 文档文本抽取, 输出带定位信息的 section 供分块使用
+ *
+ * @typedef {{ line: number, text: string }} DocumentLine
+ * @typedef {{ page?: number, sheet?: string, prefix?: string, lines: DocumentLine[] }} DocumentSection
+ *
+ * - pdf: 每页一个 section, line 为页内行号
+ * - docx: 一个 section, line 为段落序号
+ * - xlsx: 每个工作表一个 section, line 为表格行号, prefix 为表头 (每个分块都会带上)
+ * - 其它文本 (markdown / 代码 / csv ...): 一个 section, line 为文件行号
+ */
+const TEXT_EXTENSIONS = new Set([
+  '.txt', '.md', '.markdown', '.csv', '.tsv', '.json', '.yaml', '.yml', '.xml', '.html', '.htm', '.css', '.log',
+  '.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx', '.vue', '.py', '.java', '.go', '.rs', '.rb', '.php', '.c', '.h',
+  '.cpp', '.hpp', '.cs', '.kt', '.swift', '.scala', '.sh', '.sql', '.ini', '.toml', '.conf',
+]);
+
+const SUPPORTED_EXTENSIONS = new Set([...TEXT_EXTENSIONS, '.pdf', '.docx', '.xlsx']);
+
+const isSupportedDocument = (filename = '') => SUPPORTED_EXTENSIONS.has(path.extname(filename).toLowerCase());
+
+const toLines = (text = '') => String(text).split(/\r?\n/).map((line, i) => ({ line: i + 1, text: line }));
+
+// pdf-parse / mammoth 只在索引对应格式时加载
+const requireParser = (name) => {
+  try {
+    return require(name);
+  } catch (error) {
+    throw new Error(`${name} is required to index this document, please run npm install`);
+  }
+};
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Promise<string[]>} 每页的文本
+ */
+const parsePdfPages = async (buffer) => {
+  const pdf = requireParser('pdf-parse');
+  const pages = [];
+  // pdf-parse 按顺序渲染每一页, 根据 y 坐标变化还原换行
+  const pagerender = async (pageData) => {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      const y = item.transform[5];
+      text += (lastY === undefined || lastY === y) ? item.str : `\n${item.str}`;
+      lastY = y;
+    }
+    pages.push(text);
+    return text;
+  };
+  await pdf(buffer, { pagerender });
+  return pages;
+};
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<DocumentSection[]>}
+ */
+const extractPdf = async (filepath) => {
+  const pages = await parsePdfPages(fs.readFileSync(filepath));
+  return pages.map((text, i) => ({ page: i + 1, lines: toLines(text) }));
+};
+
+const extractDocx = async (filepath) => {
+  const mammoth = requireParser('mammoth');
+  const { value = '' } = await mammoth.extractRawText({ path: filepath });
+  const paragraphs = value.split(/\n+/).map(text => text.trim()).filter(Boolean);
+  return [{ lines: paragraphs.map((text, i) => ({ line: i + 1, text })) }];
+};
+
+const extractXlsx = async (filepath) => {
+  const reader = new OptimizedXlsxReader();
+  const sections = [];
+  for (const { name, data } of xlsx.parse(filepath)) {
+    const rows = reader.filterEmptyRows(data);
+    if (rows.length === 0) continue;
+    const [header, ...body] = rows;
+    // 与 read_file 相同的 markdown 表格格式, 表头作为每个分块的 prefix
+    sections.push({
+      sheet: name,
+      prefix: xlsxToMarkdown([header]).trim(),
+      lines: body.map((row, i) => ({ line: i + 2, text: `|${row.join('|')}|` })),
+    });
+  }
+  return sections;
+};
+
+/**
+ * @param {string} filepath
+ * @returns {Promise<DocumentSection[]>}
+ */
+const extractDocument = async (filepath) => {
+  const extension = path.extname(filepath).toLowerCase();
+  switch (extension) {
+    case '.pdf':
+      return extractPdf(filepath);
+    case '.docx':
+      return extractDocx(filepath);
+    case '.xlsx':
+      return extractXlsx(filepath);
+    default:
+      if (!TEXT_EXTENSIONS.has(extension)) {
+        throw new Error(`Unsupported document type: ${extension || path.basename(filepath)}`);
+      }
+      return [{ lines: toLines(fs.readFileSync(filepath, 'utf8')) }];
+  }
+};
+
+module.exports = exports = {
+  isSupportedDocument,
+  extractDocument,
+  parsePdfPages,
+};
@@ -0,0 +1,176 @@
+/**
+ * 上传文档检索 (document_query 的后端)
+ *
+ * - /api/file/upload 上传后在后台抽取 + 分块 + 计算向量, 保存到 DocumentChunk
+ * - queryDocuments 按语义相似度返回会话文件中最相关的段落, 带文件 / 页码 / 行号引用
+ * - 向量复用 knowledge 的 embedding provider (EMBEDDING_PROVIDER)
+ */
+const path = require('path');
+const fs = require('fs');
+const { Op } = require('sequelize');
+
+const File = require('@src/models/File');
+const DocumentChunk = require('@src/models/DocumentChunk');
+const { getDirpath } = require('@src/utils/electron');
+const HashEmbeddingProvider = require('@src/knowledge/embedding/hash');
+const { embedTexts, cosineSimilarity } = require('@src/knowledge/embedding/index');
+
+const { isSupportedDocument, extractDocument } = require('./extract');
+const { chunkSections, formatCitation } = require('./chunk');
+
+const DOCUMENT_TOP_K = parseInt(process.env.DOCUMENT_TOP_K || '5', 10) || 5;
+
+// file_id -> 正在进行的索引任务
+const pending = new Map();
+
+const resolveFilePath = (file, user_id) => {
+  const WORKSPACE_DIR = getDirpath(process.env.WORKSPACE_DIR || 'workspace', file.user_id || user_id);
+  return path.join(WORKSPACE_DIR, file.url);
+};
+
+const updateStatus = async (file_id, index_status) => {
+  try {
+    await File.update({ index_status }, { where: { id: file_id } });
+  } catch (error) {
+    console.error('[document] Failed to update index status:', error.message);
+  }
+};
+
+const buildIndex = async (file, user_id) => {
+  const filepath = resolveFilePath(file, user_id);
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`File does not exist: ${file.url}`);
+  }
+  const chunks = chunkSections(await extractDocument(filepath));
+  const { key, vectors } = await embedTexts(chunks.map(chunk => chunk.content));
+  await DocumentChunk.destroy({ where: { file_id: file.id } });
+  await DocumentChunk.bulkCreate(chunks.map((chunk, i) => ({
+    ...chunk,
+    file_id: file.id,
+    file_name: file.name,
+    chunk_index: i,
+    embedding: vectors[i],
+    embedding_key: key,
+  })));
+  return chunks.length;
+};
+
+/**
+ * 为文件建立检索索引, 同一文件同时只会有一个索引任务
+ * @param {{ id: number, name: string, url: string, user_id?: number }} file
+ * @param {number|string} [user_id] 文件没有 user_id 时使用
+ * @returns {Promise<string>} index_status
+ */
+const indexFile = (file, user_id) => {
+  if (pending.has(file.id)) return pending.get(file.id);
+  const job = (async () => {
+    if (!isSupportedDocument(file.name)) {
+      await updateStatus(file.id, 'unsupported');
+      return 'unsupported';
+    }
+    try {
+      const count = await buildIndex(file, user_id);
+      console.log(`[document] Indexed ${file.name}: ${count} chunks`);
+      await updateStatus(file.id, 'indexed');
+      return 'indexed';
+    } catch (error) {
+      console.error(`[document] Failed to index ${file.name}:`, error.message);
+      await updateStatus(file.id, 'failed');
+      return 'failed';
+    }
+  })().finally(() => pending.delete(file.id));
+  pending.set(file.id, job);
+  return job;
+};
+
+const removeFileIndex = async (file_id) => {
+  try {
+    await DocumentChunk.destroy({ where: { file_id } });
+  } catch (error) {
+    console.error('[document] Failed to remove index:', error.message);
+  }
+};
+
+/**
+ * provider 变化后条目的向量需要重新计算; 与查询向量来源不一致时整体改用离线向量
+ */
+const scoreChunks = async (chunks, query) => {
+  const { key, vectors: [queryVector] } = await embedTexts([query]);
+  const stale = chunks.filter(chunk => chunk.embedding_key !== key || !Array.isArray(chunk.embedding));
+  if (stale.length > 0) {
+    const result = await embedTexts(stale.map(chunk => chunk.content));
+    if (result.key !== key) {
+      const [offlineQuery, ...offline] = await HashEmbeddingProvider.embed([query, ...chunks.map(chunk => chunk.content)]);
+      return chunks.map((chunk, i) => cosineSimilarity(offlineQuery, offline[i]));
+    }
+    for (let i = 0; i < stale.length; i++) {
+      stale[i].embedding = result.vectors[i];
+      stale[i].embedding_key = key;
+      try {
+        await DocumentChunk.update({ embedding: result.vectors[i], embedding_key: key }, { where: { id: stale[i].id } });
+      } catch (error) {
+        console.error('[document] Failed to save embedding:', error.message);
+      }
+    }
+  }
+  return chunks.map(chunk => cosineSimilarity(queryVector, chunk.embedding));
+};
+
+/**
+ * 检索会话上传文件中与 query 最相关的段落
+ * @param {Object} options
+ * @param {string} options.conversation_id
+ * @param {string} options.query
+ * @param {string} [options.file] 只检索该文件 (文件名或 upload/ 路径)
+ * @param {number|string} [options.user_id]
+ * @param {number} [options.top_k]
+ * @returns {Promise<{ passages: Array<{ file: string, citation: string, content: string, score: number }>, skipped: Array<{ file: string, status: string }> }>}
+ */
+const queryDocuments = async (options = {}) => {
+  const { conversation_id, query, file, user_id, top_k = DOCUMENT_TOP_K } = options;
+  let files = await File.findAll({ where: { conversation_id } });
+  if (file) {
+    const name = path.basename(String(file));
+    files = files.filter(item => item.name === name || item.url === file);
+  }
+
+  const ready = [];
+  const skipped = [];
+  for (const item of files) {
+    let status = item.index_status;
+    // 旧文件没有索引, 或者上次索引被服务重启中断
+    // 复制的文件记录 (会话间复用 / 恢复的导出包) 标记为 indexed 但没有段落
+    if (!status || status === 'pending' || (status === 'indexed' && await DocumentChunk.count({ where: { file_id: item.id } }) === 0)) {
+      status = await indexFile(item.dataValues, user_id);
+    }
+    if (status === 'indexed') {
+      ready.push(item.id);
+    } else {
+      skipped.push({ file: item.name, status });
+    }
+  }
+  if (ready.length === 0) return { passages: [], skipped };
+
+  const chunks = (await DocumentChunk.findAll({ where: { file_id: { [Op.in]: ready } } })).map(row => row.dataValues);
+  if (chunks.length === 0) return { passages: [], skipped };
+  const scores = await scoreChunks(chunks, query);
+
+  const passages = chunks
+    .map((chunk, i) => ({
+      file: chunk.file_name,
+      citation: formatCitation(chunk.file_name, chunk),
+      content: chunk.content,
+      score: Number(scores[i].toFixed(4)),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, top_k);
+  return { passages, skipped };
+};
+
+module.exports = exports = {
+  DOCUMENT_TOP_K,
+  isSupportedDocument,
+  indexFile,
+  removeFileIndex,
+  queryDocuments,
+};
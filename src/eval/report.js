@@ -0,0 +1,87 @@
+/**
+ * 评测报告: 通过率, 得分, 步数, token 与重试次数
+ */
+
+const round = (value, digits = 4) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const sum = (results, pick) => results.reduce((total, result) => total + (Number(pick(result)) || 0), 0);
+
+/**
+ * @param {Array<{ id: string, status: string, score: number, steps: number, llm_calls: number, input_tokens: number, output_tokens: number, retries: number, duration_ms: number }>} results
+ * @param {Object} [meta] suite / model / started_at 等
+ */
+const summarize = (results = [], meta = {}) => {
+  const total = results.length;
+  const count = (status) => results.filter(result => result.status === status).length;
+  const passed = count('passed');
+  const average = (pick) => (total > 0 ? round(sum(results, pick) / total, 2) : 0);
+  return {
+    ...meta,
+    total,
+    passed,
+    failed: count('failed'),
+    errored: count('error'),
+    timeout: count('timeout'),
+    pass_rate: total > 0 ? round(passed / total) : 0,
+    score: total > 0 ? round(sum(results, result => result.score) / total) : 0,
+    totals: {
+      steps: sum(results, result => result.steps),
+      llm_calls: sum(results, result => result.llm_calls),
+      input_tokens: sum(results, result => result.input_tokens),
+      output_tokens: sum(results, result => result.output_tokens),
+      retries: sum(results, result => result.retries),
+      duration_ms: sum(results, result => result.duration_ms),
+    },
+    averages: {
+      steps: average(result => result.steps),
+      llm_calls: average(result => result.llm_calls),
+      tokens: average(result => (result.input_tokens || 0) + (result.output_tokens || 0)),
+      retries: average(result => result.retries),
+      duration_ms: average(result => result.duration_ms),
+    },
+    tasks: results,
+  };
+};
+
+const escapeCell = (value) => String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+/**
+ * @param {ReturnType<typeof summarize>} report
+ * @returns {string}
+ */
+const formatMarkdown = (report) => {
+  const lines = [
+    `# Eval report: ${report.suite || ''}`,
+    '',
+    `- Model: ${report.model || ''}`,
+    `- Started: ${report.started_at || ''}`,
+    `- Pass rate: ${(report.pass_rate * 100).toFixed(1)}% (${report.passed}/${report.total}), score ${report.score}`,
+    `- Failed: ${report.failed}, errors: ${report.errored}, timeouts: ${report.timeout}`,
+    `- Average per task: ${report.averages.steps} steps, ${report.averages.llm_calls} LLM calls, ${report.averages.tokens} tokens, ${report.averages.retries} retries`,
+    '',
+    '| Task | Status | Score | Steps | LLM calls | Tokens | Retries | Duration (s) | Error |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+  ];
+  for (const task of report.tasks) {
+    lines.push(`| ${[
+      task.id,
+      task.status,
+      task.score,
+      task.steps,
+      task.llm_calls,
+      (task.input_tokens || 0) + (task.output_tokens || 0),
+      task.retries,
+      round((task.duration_ms || 0) / 1000, 1),
+      task.error || '',
+    ].map(escapeCell).join(' | ')} |`);
+  }
+  return lines.join('\n') + '\n';
+};
+
+module.exports = exports = {
+  summarize,
+  formatMarkdown,
+};
@@ -0,0 +1,25 @@
+const { expect } = require('chai');
+
+const { summarize, formatMarkdown } = require('./report');
+
+describe('eval report', () => {
+  const results = [
+    { id: 'a', status: 'passed', score: 1, steps: 4, llm_calls: 6, input_tokens: 1000, output_tokens: 200, retries: 0, duration_ms: 3000 },
+    { id: 'b', status: 'failed', score: 0.5, steps: 8, llm_calls: 10, input_tokens: 3000, output_tokens: 600, retries: 2, duration_ms: 5000, error: 'bad | output' },
+    { id: 'c', status: 'timeout', score: 0, steps: 12, llm_calls: 14, input_tokens: 0, output_tokens: 0, retries: 1, duration_ms: 7000 },
+  ];
+
+  it('summarizes pass rate, score and per task averages', () => {
+    const report = summarize(results, { suite: 'smoke' });
+    expect(report).to.include({ suite: 'smoke', total: 3, passed: 1, failed: 1, timeout: 1, errored: 0, pass_rate: 0.3333, score: 0.5 });
+    expect(report.totals).to.include({ steps: 24, retries: 3, input_tokens: 4000, output_tokens: 800 });
+    expect(report.averages).to.include({ steps: 8, tokens: 1600, retries: 1 });
+    expect(summarize([]).pass_rate).to.equal(0);
+  });
+
+  it('renders a markdown table', () => {
+    const markdown = formatMarkdown(summarize(results, { suite: 'smoke', model: 'stub' }));
+    expect(markdown).to.include('Pass rate: 33.3% (1/3), score 0.5');
+    expect(markdown).to.include('| b | failed | 0.5 | 8 | 10 | 3600 | 2 | 5 | bad \\| output |');
+  });
+});
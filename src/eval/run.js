@@ -0,0 +1,70 @@
+require('module-alias/register');
+require('dotenv').config();
+const { logging } = require('@src/logger/index');
+global.logging = logging;
+
+/**
+ * 离线评测
+ *
+ *   node src/eval/run.js --suite eval/smoke [--model-id 3 | --stub] [--filter <id|tag>] [--user-id 1] [--agent-id 2] [--out eval-report] [--min-pass-rate 0.8]
+ *
+ * 报告写入 <out>.json 与 <out>.md, 通过率低于 --min-pass-rate 时以退出码 1 结束
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { runSuite } = require('./runner');
+const { formatMarkdown } = require('./report');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const item = argv[i];
+    if (!item.startsWith('--')) continue;
+    const key = item.slice(2).replace(/-/g, '_');
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.suite) {
+    console.error('Usage: node src/eval/run.js --suite <dir> [--model-id <id> | --stub] [--filter <id|tag>] [--out <file>]');
+    return 2;
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const out = path.resolve(args.out || `eval-report-${timestamp}`).replace(/\.json$/, '');
+
+  const report = await runSuite(path.resolve(args.suite), {
+    user_id: args.user_id ? Number(args.user_id) : Number(process.env.EVAL_USER_ID || 1),
+    model_id: args.model_id ? Number(args.model_id) : undefined,
+    agent_id: args.agent_id ? Number(args.agent_id) : undefined,
+    stub: args.stub === true,
+    filter: typeof args.filter === 'string' ? args.filter : undefined,
+    onResult: (result) => console.log(`[eval] ${result.id}: ${result.status} (score ${result.score}, ${result.steps} steps, ${result.retries} retries)`),
+  });
+
+  fs.writeFileSync(`${out}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${out}.md`, formatMarkdown(report));
+  for (const error of report.spec_errors) {
+    console.warn(`[eval] Skipped invalid task: ${error}`);
+  }
+  console.log(`[eval] Pass rate ${(report.pass_rate * 100).toFixed(1)}% (${report.passed}/${report.total}), report: ${out}.json`);
+
+  const min_pass_rate = args.min_pass_rate ? Number(args.min_pass_rate) : 0;
+  return report.pass_rate < min_pass_rate ? 1 : 0;
+};
+
+main().then((code) => {
+  process.exit(code);
+}).catch((error) => {
+  console.error('[eval] Failed:', error);
+  process.exit(1);
+});
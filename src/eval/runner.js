@@ -0,0 +1,241 @@
+/**
+ * 评测执行: 每个任务在新的会话中以 headless 方式运行 AgenticAgent, 结束后在运行时中执行检查脚本
+ *
+ * - 模型: 指定 model_id (会话模型), 或 stub 模式按 responses.json 顺序返回模型输出 (见 completion/replay.js), 没有时按 mock.json 的规则应答 (见 completion/mock.fixture.js)
+ * - 统计: 步数 (执行的 action), 模型调用次数, token, code-act 重试次数, 耗时
+ */
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+
+const AgenticAgent = require('@src/agent/AgenticAgent');
+const LocalMemory = require('@src/agent/memory/LocalMemory');
+const Conversation = require('@src/models/Conversation');
+const LLMLogs = require('@src/models/LLMLogs');
+const MessageTable = require('@src/models/Message');
+const { resolveConversationDir } = require('@src/runtime/runtime.util');
+const { startReplaySession, endReplaySession } = require('@src/completion/replay');
+const { loadFixture, createFixtureSession } = require('@src/completion/mock.fixture');
+const { loadSuite, loadStubResponses, parseCheckerScore } = require('./spec');
+const { summarize } = require('./report');
+
+const RUNTIME_TYPE = process.env.RUNTIME_TYPE || 'local-docker';
+// 检查脚本复制到工作区的目录, 运行结束后删除
+const CHECKER_DIR = '.lemon-eval';
+const OUTPUT_MAX_CHARS = 2000;
+// 不计入步数的消息
+const BOOKKEEPING_ACTIONS = new Set([
+  'question', 'auto_reply', 'plan', 'task', 'todo', 'progress', 'finish_summery', 'error', 'stop', 'continue',
+]);
+
+const noop = () => { };
+
+const copyDir = (source, target) => {
+  fs.mkdirSync(target, { recursive: true });
+  for (const ent of fs.readdirSync(source, { withFileTypes: true })) {
+    const from = path.join(source, ent.name);
+    const to = path.join(target, ent.name);
+    if (ent.isDirectory()) {
+      copyDir(from, to);
+    } else if (ent.isFile()) {
+      fs.copyFileSync(from, to);
+    }
+  }
+};
+
+const withTimeout = (promise, ms, onTimeout) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(onTimeout()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const countSteps = async (conversation_id) => {
+  const messages = await MessageTable.findAll({ where: { conversation_id }, attributes: ['status', 'meta'] });
+  return messages.filter(message => {
+    let meta = message.meta;
+    if (typeof meta === 'string') {
+      try {
+        meta = JSON.parse(meta);
+      } catch (error) {
+        return false;
+      }
+    }
+    return meta && meta.action_type && message.status !== 'running' && !BOOKKEEPING_ACTIONS.has(meta.action_type);
+  }).length;
+};
+
+// local 运行时的 cwd 相对用户工作区, docker 运行时会自动加上会话目录
+const resolveCheckerCwd = (context) => {
+  return RUNTIME_TYPE === 'local' ? resolveConversationDir(context) : '.';
+};
+
+const runChecker = async (agent, spec, context) => {
+  const workspace_dir = resolveConversationDir(context);
+  const checker_dir = path.join(workspace_dir, CHECKER_DIR);
+  fs.mkdirSync(checker_dir, { recursive: true });
+  const checker = path.basename(spec.checker);
+  fs.copyFileSync(path.join(spec.dir, spec.checker), path.join(checker_dir, checker));
+  try {
+    const checker_context = {
+      conversation_id: context.conversation_id,
+      user_id: context.user_id,
+      onTokenStream: noop,
+      memory: new LocalMemory({ memory_dir: context.conversation_id.slice(0, 6), key: 'eval_checker' }),
+    };
+    const action = {
+      type: 'terminal_run',
+      params: { command: spec.checker_command, args: [`${CHECKER_DIR}/${checker}`], cwd: resolveCheckerCwd(context) },
+    };
+    const result = await agent.runtime.execute_action(action, checker_context, 'eval_checker');
+    const output = [result.stdout || result.content || '', result.stderr || ''].filter(Boolean).join('\n');
+    const passed = result.status === 'success';
+    return { passed, score: parseCheckerScore(output, passed), output: output.slice(-OUTPUT_MAX_CHARS) };
+  } finally {
+    fs.rmSync(checker_dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * 运行 Agent 并检查结果, 写入 result
+ * @param {Object} spec
+ * @param {{ stub?: boolean, context: Object, stats: { retries: number }, result: Object }} options
+ */
+const executeTask = async (spec, { stub, context, stats, result }) => {
+  const { conversation_id } = context;
+  if (spec.files_dir) {
+    copyDir(spec.files_dir, resolveConversationDir(context));
+  }
+  if (stub) {
+    if (!spec.responses && !spec.mock_fixture) {
+      result.error = 'stub mode requires responses.json or mock.json';
+      return;
+    }
+    const session = spec.responses
+      ? loadStubResponses(spec.responses)
+      : createFixtureSession(loadFixture(spec.mock_fixture));
+    startReplaySession(conversation_id, session);
+    // stub 的模型输出按顺序返回, 并行执行会打乱顺序
+    context.replay = true;
+  }
+
+  const agent = new AgenticAgent(context);
+  let timed_out = false;
+  try {
+    await withTimeout(agent.run(spec.goal), spec.timeout_seconds * 1000, async () => {
+      timed_out = true;
+      await agent.stop(false);
+    });
+  } catch (error) {
+    result.error = error.message;
+  } finally {
+    if (stub) endReplaySession(conversation_id);
+  }
+
+  try {
+    result.steps = await countSteps(conversation_id);
+    result.llm_calls = await LLMLogs.count({ where: { conversation_id } });
+    const conversation = await Conversation.findOne({ where: { conversation_id } });
+    result.input_tokens = conversation.input_tokens || 0;
+    result.output_tokens = conversation.output_tokens || 0;
+    result.retries = stats.retries;
+  } catch (error) {
+    console.error(`[eval] Failed to collect stats for ${spec.id}:`, error.message);
+  }
+
+  if (timed_out) {
+    result.status = 'timeout';
+    result.error = `Timed out after ${spec.timeout_seconds}s`;
+    return;
+  }
+  // Agent 运行失败时仍然检查, 部分完成的任务也可能通过
+  try {
+    const checked = await runChecker(agent, spec, context);
+    result.status = checked.passed ? 'passed' : 'failed';
+    result.score = checked.score;
+    result.checker_output = checked.output;
+  } catch (error) {
+    result.status = 'error';
+    result.error = `Checker failed: ${error.message}`;
+  }
+};
+
+/**
+ * @param {Object} spec loadTaskSpec 的结果
+ * @param {{ user_id: number|string, model_id?: number, agent_id?: number, stub?: boolean, suite?: string }} options
+ */
+const runTask = async (spec, options) => {
+  const { user_id, model_id, agent_id, stub } = options;
+  const conversation_id = uuid.v4();
+  const started = Date.now();
+  const result = {
+    id: spec.id,
+    conversation_id,
+    status: 'error',
+    score: 0,
+    steps: 0,
+    llm_calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    retries: 0,
+    duration_ms: 0,
+    error: null,
+    checker_output: '',
+  };
+  const stats = { retries: 0 };
+  // eval: 不提取长期记忆
+  const context = { onTokenStream: noop, conversation_id, user_id, agent_id, mcp_server_ids: [], stats, eval: true };
+
+  await Conversation.create({
+    conversation_id,
+    user_id,
+    title: `[eval] ${options.suite || ''}/${spec.id}`.slice(0, 255),
+    content: spec.goal,
+    status: 'running',
+    mode_type: 'task',
+    model_id,
+    agent_id,
+  });
+  try {
+    await executeTask(spec, { stub, context, stats, result });
+  } catch (error) {
+    result.status = 'error';
+    result.error = error.message;
+  } finally {
+    result.duration_ms = Date.now() - started;
+    // 提前结束 (例如缺少 stub 输出) 时同样结束会话状态
+    await Conversation.update({ status: result.status === 'passed' ? 'done' : 'failed' }, { where: { conversation_id } })
+      .catch(error => console.error(`[eval] Failed to update conversation ${conversation_id}:`, error.message));
+  }
+  return result;
+};
+
+/**
+ * @param {string} suite_dir
+ * @param {{ user_id: number|string, model_id?: number, agent_id?: number, stub?: boolean, filter?: string, onResult?: Function }} options
+ */
+const runSuite = async (suite_dir, options) => {
+  const suite = loadSuite(suite_dir, { filter: options.filter });
+  const started_at = new Date().toISOString();
+  const results = [];
+  for (const spec of suite.tasks) {
+    console.log(`[eval] Running ${suite.name}/${spec.id}`);
+    const result = await runTask(spec, { ...options, suite: suite.name });
+    results.push(result);
+    if (typeof options.onResult === 'function') options.onResult(result);
+  }
+  return summarize(results, {
+    suite: suite.name,
+    model: options.stub ? 'stub' : `model_id=${options.model_id || 'default'}`,
+    runtime: RUNTIME_TYPE,
+    started_at,
+    finished_at: new Date().toISOString(),
+    spec_errors: suite.errors,
+  });
+};
+
+module.exports = exports = {
+  runTask,
+  runSuite,
+};
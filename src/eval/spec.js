@@ -0,0 +1,124 @@
+/**
+ * 评测任务集
+ *
+ * 任务集是一个目录, 每个子目录是一个任务:
+ *   <suite>/<task>/task.json       { "goal": "...", "checker": "check.sh", "timeout_seconds": 1800, "tags": [] }
+ *   <suite>/<task>/files/          输入文件, 运行前复制到会话工作区 (可选)
+ *   <suite>/<task>/check.sh        检查脚本, Agent 运行结束后在运行时中执行, 退出码 0 为通过
+ *                                  输出中的 "SCORE: 0.75" 作为得分 (可选, 默认通过为 1, 失败为 0)
+ *   <suite>/<task>/responses.json  stub 模式按顺序返回的模型输出 (可选), 字符串数组或导出的 llm_logs.json
+ *   <suite>/<task>/mock.json       stub 模式的 mock 平台 fixture (可选, 没有 responses.json 时使用), 规则按 prompt 匹配, 见 completion/mock.fixture.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_SECONDS = 30 * 60;
+
+// 按扩展名选择检查脚本的解释器, task.json checker_command 优先
+const CHECKER_COMMANDS = {
+  '.py': 'python3',
+  '.js': 'node',
+  '.sh': 'sh',
+};
+
+const resolveCheckerCommand = (checker, checker_command) => {
+  if (checker_command) return checker_command;
+  return CHECKER_COMMANDS[path.extname(checker).toLowerCase()] || 'sh';
+};
+
+/**
+ * @param {string} dir 任务目录
+ * @returns {{ id: string, dir: string, goal: string, checker: string, checker_command: string, files_dir: string|null, responses: string|null, mock_fixture: string|null, timeout_seconds: number, tags: string[] }}
+ */
+const loadTaskSpec = (dir) => {
+  const id = path.basename(dir);
+  const spec_file = path.join(dir, 'task.json');
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(spec_file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${id}: invalid task.json (${error.message})`);
+  }
+  if (!raw.goal || typeof raw.goal !== 'string') {
+    throw new Error(`${id}: task.json requires a goal`);
+  }
+  if (!raw.checker || !fs.existsSync(path.join(dir, raw.checker))) {
+    throw new Error(`${id}: checker ${raw.checker || '(missing)'} does not exist`);
+  }
+  const files_dir = path.join(dir, raw.files || 'files');
+  const responses = path.join(dir, raw.responses || 'responses.json');
+  const mock_fixture = path.join(dir, raw.mock_fixture || 'mock.json');
+  return {
+    id: raw.id || id,
+    dir,
+    goal: raw.goal,
+    checker: raw.checker,
+    checker_command: resolveCheckerCommand(raw.checker, raw.checker_command),
+    files_dir: fs.existsSync(files_dir) && fs.statSync(files_dir).isDirectory() ? files_dir : null,
+    responses: fs.existsSync(responses) ? responses : null,
+    mock_fixture: fs.existsSync(mock_fixture) ? mock_fixture : null,
+    timeout_seconds: Number(raw.timeout_seconds) > 0 ? Number(raw.timeout_seconds) : DEFAULT_TIMEOUT_SECONDS,
+    tags: Array.isArray(raw.tags) ? raw.tags : [],
+  };
+};
+
+/**
+ * @param {string} suite_dir
+ * @param {{ filter?: string }} [options] 只运行 id 或 tag 匹配的任务
+ * @returns {{ name: string, tasks: Array<Object>, errors: string[] }}
+ */
+const loadSuite = (suite_dir, options = {}) => {
+  if (!fs.existsSync(suite_dir) || !fs.statSync(suite_dir).isDirectory()) {
+    throw new Error(`Suite directory does not exist: ${suite_dir}`);
+  }
+  const tasks = [];
+  const errors = [];
+  const entries = fs.readdirSync(suite_dir, { withFileTypes: true })
+    .filter(ent => ent.isDirectory() && fs.existsSync(path.join(suite_dir, ent.name, 'task.json')))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const ent of entries) {
+    try {
+      const spec = loadTaskSpec(path.join(suite_dir, ent.name));
+      if (options.filter && spec.id !== options.filter && !spec.tags.includes(options.filter)) continue;
+      tasks.push(spec);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { name: path.basename(path.resolve(suite_dir)), tasks, errors };
+};
+
+/**
+ * stub 模式的模型输出: 字符串数组, 或导出的 llm_logs.json ({ content, json, messages })
+ * @param {string} filepath
+ * @returns {Array<{ content: string, json?: Object }>}
+ */
+const loadStubResponses = (filepath) => {
+  const list = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  if (!Array.isArray(list)) {
+    throw new Error(`${filepath} must be an array`);
+  }
+  return list.map(item => (typeof item === 'string' ? { content: item } : item));
+};
+
+/**
+ * 检查脚本输出中的得分, 没有时按是否通过计分
+ * @param {string} output
+ * @param {boolean} passed
+ */
+const parseCheckerScore = (output = '', passed = false) => {
+  const matches = String(output).match(/^SCORE:\s*([0-9]*\.?[0-9]+)\s*$/gm);
+  if (matches) {
+    const value = parseFloat(matches[matches.length - 1].replace(/^SCORE:/, ''));
+    if (Number.isFinite(value)) return Math.max(0, Math.min(1, value));
+  }
+  return passed ? 1 : 0;
+};
+
+module.exports = exports = {
+  loadTaskSpec,
+  loadSuite,
+  loadStubResponses,
+  parseCheckerScore,
+  resolveCheckerCommand,
+};
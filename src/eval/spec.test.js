@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadSuite, parseCheckerScore, resolveCheckerCommand } = require('./spec');
+
+describe('eval spec', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lemon-eval-'));
+    const task = (name, spec, files = {}) => {
+      fs.mkdirSync(path.join(dir, name, 'files'), { recursive: true });
+      fs.writeFileSync(path.join(dir, name, 'task.json'), JSON.stringify(spec));
+      for (const [file, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name, file), content);
+      }
+    };
+    task('b-task', { goal: 'second', checker: 'check.py', tags: ['data'] }, { 'check.py': 'print(1)', 'responses.json': '["a"]' });
+    task('a-task', { goal: 'first', checker: 'check.sh', timeout_seconds: 60 }, { 'check.sh': 'exit 0', 'mock.json': '{}' });
+    task('broken', { checker: 'check.sh' }, { 'check.sh': 'exit 0' });
+    task('no-checker', { goal: 'x', checker: 'missing.sh' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads task directories in order and collects invalid specs', () => {
+    const suite = loadSuite(dir);
+    expect(suite.tasks.map(task => task.id)).to.deep.equal(['a-task', 'b-task']);
+    expect(suite.tasks[0]).to.include({ goal: 'first', checker_command: 'sh', timeout_seconds: 60, responses: null });
+    expect(suite.tasks[0].mock_fixture).to.equal(path.join(dir, 'a-task', 'mock.json'));
+    expect(suite.tasks[1].mock_fixture).to.equal(null);
+    expect(suite.tasks[1].checker_command).to.equal('python3');
+    expect(suite.tasks[1].responses).to.equal(path.join(dir, 'b-task', 'responses.json'));
+    expect(suite.tasks[1].files_dir).to.equal(path.join(dir, 'b-task', 'files'));
+    expect(suite.errors).to.have.length(2);
+  });
+
+  it('filters tasks by id or tag', () => {
+    expect(loadSuite(dir, { filter: 'data' }).tasks.map(task => task.id)).to.deep.equal(['b-task']);
+    expect(loadSuite(dir, { filter: 'a-task' }).tasks.map(task => task.id)).to.deep.equal(['a-task']);
+  });
+
+  it('reads the last SCORE line and falls back to pass / fail', () => {
+    expect(parseCheckerScore('SCORE: 0.2\nmore\nSCORE: 0.75\n', false)).to.equal(0.75);
+    expect(parseCheckerScore('SCORE: 3', true)).to.equal(1);
+    expect(parseCheckerScore('ok', true)).to.equal(1);
+    expect(parseCheckerScore('', false)).to.equal(0);
+    expect(resolveCheckerCommand('check.js', '')).to.equal('node');
+    expect(resolveCheckerCommand('check', 'bash')).to.equal('bash');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * 离线 embedding (feature hashing)
+ *
+ * 不依赖网络和模型, 结果确定:
+ * - 英文等按单词切分 (小写, 去掉标点), 同时加入相邻词 bigram
+ * - 中日韩文字按单字 + 相邻两字切分
+ * - 每个特征通过 fnv1a 哈希映射到固定维度, 符号位减少碰撞偏差, 最后 L2 归一化
+ */
+const DEFAULT_DIMENSION = 512;
+
+const CJK_RE = /[぀-ヿ㐀-䶿一-鿿가-힯]/;
+const TOKEN_RE = /[぀-ヿ㐀-䶿一-鿿가-힯]+|[a-z0-9_]+/g;
+
+// 常见英文停用词, 不参与相似度计算
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'be', 'it',
+  'this', 'that', 'as', 'at', 'by', 'from', 'should', 'must', 'when', 'if', 'use', 'using',
+]);
+
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text = '') => {
+  const features = [];
+  const words = [];
+  for (const token of String(text).toLowerCase().match(TOKEN_RE) || []) {
+    if (CJK_RE.test(token)) {
+      const chars = Array.from(token);
+      chars.forEach((char, i) => {
+        features.push(char);
+        if (i > 0) features.push(chars[i - 1] + char);
+      });
+      continue;
+    }
+    if (STOP_WORDS.has(token)) continue;
+    features.push(token);
+    words.push(token);
+  }
+  for (let i = 1; i < words.length; i++) {
+    features.push(`${words[i - 1]} ${words[i]}`);
+  }
+  return features;
+};
+
+/**
+ * @param {string} text
+ * @param {number} [dimension]
+ * @returns {number[]}
+ */
+const hashEmbedding = (text, dimension = DEFAULT_DIMENSION) => {
+  const vector = new Array(dimension).fill(0);
+  for (const feature of tokenize(text)) {
+    const hash = fnv1a(feature);
+    vector[hash % dimension] += (hash & 0x80000000) ? -1 : 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+/** @type {import('./index').EmbeddingProvider} */
+const HashEmbeddingProvider = {
+  name: 'hash',
+  model: `fnv1a-${DEFAULT_DIMENSION}`,
+  async embed(texts = []) {
+    return texts.map(text => hashEmbedding(text));
+  },
+};
+
+module.exports = exports = HashEmbeddingProvider;
+exports.tokenize = tokenize;
+exports.hashEmbedding = hashEmbedding;
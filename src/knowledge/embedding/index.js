@@ -0,0 +1,80 @@
+/**
+ * 可插拔的 embedding provider
+ *
+ * EMBEDDING_PROVIDER=hash (默认, 离线确定性实现) | openai (OpenAI 兼容接口) | 通过 registerEmbeddingProvider 注册的名称
+ * 远程 provider 调用失败时回退到 hash, 检索不会因为网络问题中断
+ *
+ * @typedef {{ name: string, model: string, embed: (texts: string[]) => Promise<number[][]> }} EmbeddingProvider
+ */
+const HashEmbeddingProvider = require('./hash');
+const OpenAIEmbeddingProvider = require('./openai');
+
+/** @type {Map<string, EmbeddingProvider>} */
+const providers = new Map([
+  [HashEmbeddingProvider.name, HashEmbeddingProvider],
+  [OpenAIEmbeddingProvider.name, OpenAIEmbeddingProvider],
+]);
+
+/**
+ * @param {EmbeddingProvider} provider
+ */
+const registerEmbeddingProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.embed !== 'function') {
+    throw new Error('Embedding provider requires a name and an embed(texts) function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * @returns {EmbeddingProvider}
+ */
+const resolveEmbeddingProvider = () => {
+  const name = process.env.EMBEDDING_PROVIDER || HashEmbeddingProvider.name;
+  const provider = providers.get(name);
+  if (!provider) {
+    console.warn(`[embedding] Unknown provider "${name}", using ${HashEmbeddingProvider.name}`);
+    return HashEmbeddingProvider;
+  }
+  return provider;
+};
+
+// 向量来源标识, 变更 provider / model 后旧向量失效
+const providerKey = (provider) => `${provider.name}:${provider.model || ''}`;
+
+/**
+ * 计算 embedding, 失败时回退到离线实现
+ * @param {string[]} texts
+ * @returns {Promise<{ key: string, vectors: number[][] }>}
+ */
+const embedTexts = async (texts = []) => {
+  const provider = resolveEmbeddingProvider();
+  try {
+    return { key: providerKey(provider), vectors: await provider.embed(texts) };
+  } catch (error) {
+    if (provider === HashEmbeddingProvider) throw error;
+    console.error(`[embedding] Provider ${provider.name} failed, falling back to ${HashEmbeddingProvider.name}:`, error.message);
+    return { key: providerKey(HashEmbeddingProvider), vectors: await HashEmbeddingProvider.embed(texts) };
+  }
+};
+
+const cosineSimilarity = (a = [], b = []) => {
+  if (!a.length || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+module.exports = exports = {
+  registerEmbeddingProvider,
+  resolveEmbeddingProvider,
+  providerKey,
+  embedTexts,
+  cosineSimilarity,
+};
@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+
+const HashEmbeddingProvider = require('./hash');
+const { tokenize } = require('./hash');
+const { embedTexts, cosineSimilarity, registerEmbeddingProvider, providerKey } = require('./index');
+
+describe('HashEmbeddingProvider', () => {
+  it('should produce deterministic, normalized vectors', async () => {
+    const [a, b] = await HashEmbeddingProvider.embed(['Use pnpm to install dependencies', 'Use pnpm to install dependencies']);
+    expect(a).to.deep.equal(b);
+    expect(a).to.have.lengthOf(512);
+    expect(cosineSimilarity(a, a)).to.be.closeTo(1, 1e-9);
+  });
+
+  it('should tokenize CJK text into characters and bigrams', () => {
+    expect(tokenize('中文报告')).to.include.members(['中', '文', '中文', '报告']);
+    expect(tokenize('The report')).to.deep.equal(['report']);
+  });
+
+  it('should rank related knowledge above unrelated knowledge', async () => {
+    const [query, related, unrelated] = await HashEmbeddingProvider.embed([
+      'draw a sales chart with python',
+      'Charts: use python matplotlib and save the chart as png',
+      'Always answer the user in a polite tone',
+    ]);
+    expect(cosineSimilarity(query, related)).to.be.greaterThan(cosineSimilarity(query, unrelated));
+  });
+});
+
+describe('embedTexts', () => {
+  const previous = process.env.EMBEDDING_PROVIDER;
+  afterEach(() => {
+    if (previous === undefined) delete process.env.EMBEDDING_PROVIDER;
+    else process.env.EMBEDDING_PROVIDER = previous;
+  });
+
+  it('should fall back to the hash provider when the configured provider fails', async () => {
+    registerEmbeddingProvider({ name: 'broken', model: 'x', embed: async () => { throw new Error('offline'); } });
+    process.env.EMBEDDING_PROVIDER = 'broken';
+    const { key, vectors } = await embedTexts(['hello world']);
+    expect(key).to.equal(providerKey(HashEmbeddingProvider));
+    expect(vectors[0]).to.have.lengthOf(512);
+  });
+});
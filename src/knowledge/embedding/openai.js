@@ -0,0 +1,41 @@
+const axios = require('axios');
+
+/**
+ * OpenAI 兼容的 /embeddings 接口 (OpenAI / Azure 网关 / Ollama / vLLM 等)
+ * EMBEDDING_BASE_URL   例如 https://api.openai.com/v1
+ * EMBEDDING_API_KEY
+ * EMBEDDING_MODEL      默认 text-embedding-3-small
+ */
+const EMBEDDING_BASE_URL = process.env.EMBEDDING_BASE_URL || '';
+const EMBEDDING_API_KEY = process.env.EMBEDDING_API_KEY || '';
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+const BATCH_SIZE = 64;
+
+/** @type {import('./index').EmbeddingProvider} */
+const OpenAIEmbeddingProvider = {
+  name: 'openai',
+  model: EMBEDDING_MODEL,
+  async embed(texts = []) {
+    if (!EMBEDDING_BASE_URL) {
+      throw new Error('EMBEDDING_BASE_URL is not configured');
+    }
+    const url = `${EMBEDDING_BASE_URL.replace(/\/+$/, '')}/embeddings`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (EMBEDDING_API_KEY) headers.Authorization = `Bearer ${EMBEDDING_API_KEY}`;
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const input = texts.slice(i, i + BATCH_SIZE);
+      const res = await axios.post(url, { model: EMBEDDING_MODEL, input }, { headers, timeout: 30000 });
+      const data = (res.data && res.data.data) || [];
+      const sorted = data.slice().sort((a, b) => a.index - b.index);
+      if (sorted.length !== input.length) {
+        throw new Error(`Embedding response size mismatch: expected ${input.length}, got ${sorted.length}`);
+      }
+      vectors.push(...sorted.map(item => item.embedding));
+    }
+    return vectors;
+  },
+};
+
+module.exports = exports = OpenAIEmbeddingProvider;
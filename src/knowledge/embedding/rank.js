@@ -0,0 +1,66 @@
+/**
+ * 按与 query 的语义相似度排序数据库条目 (Knowledge / 长期记忆共用)
+ *
+ * - 条目的向量保存在 embedding / embedding_key / embedding_hash 列, 新增 / 内容变化 / provider 变化时补算并落库
+ * - 补算时 provider 回退 (与 query 向量来源不一致), 本次全部使用离线向量 (不落库)
+ */
+const crypto = require('crypto');
+
+const HashEmbeddingProvider = require('./hash');
+const { embedTexts, cosineSimilarity } = require('./index');
+
+const contentHash = (content = '') => crypto.createHash('sha1').update(String(content)).digest('hex');
+
+const isStale = (row, key) => {
+  const { embedding, embedding_key, embedding_hash } = row.dataValues;
+  return !Array.isArray(embedding) || embedding_key !== key || embedding_hash !== contentHash(row.dataValues.content);
+};
+
+/**
+ * 为过期条目补算向量并保存
+ * @returns {Promise<boolean>} false: provider 结果不一致, 需要整体改用离线向量
+ */
+const ensureEmbeddings = async (model, rows, key, tag) => {
+  const stale = rows.filter(row => isStale(row, key));
+  if (stale.length === 0) return true;
+  const { key: resultKey, vectors } = await embedTexts(stale.map(row => row.dataValues.content));
+  if (resultKey !== key) return false;
+  for (let i = 0; i < stale.length; i++) {
+    const row = stale[i];
+    const values = { embedding: vectors[i], embedding_key: key, embedding_hash: contentHash(row.dataValues.content) };
+    Object.assign(row.dataValues, values);
+    try {
+      await model.update(values, { where: { id: row.dataValues.id } });
+    } catch (error) {
+      console.error(`[${tag}] Failed to save embedding:`, error.message);
+    }
+  }
+  return true;
+};
+
+/**
+ * @param {Object} model 保存向量的 Sequelize 模型
+ * @param {Array<{ dataValues: Object }>} rows 带 id / content / embedding* 的完整行
+ * @param {string} query
+ * @param {{ top_k?: number, tag?: string }} [options] tag: 日志前缀
+ * @returns {Promise<Array<{ row: Object, score: number }>>} 按相似度降序
+ */
+const rankBySimilarity = async (model, rows, query, options = {}) => {
+  const { top_k = rows.length, tag = 'embedding' } = options;
+  const { key, vectors: [queryVector] } = await embedTexts([query]);
+  let score = row => cosineSimilarity(queryVector, row.dataValues.embedding);
+  if (!(await ensureEmbeddings(model, rows, key, tag))) {
+    const [offlineQuery, ...offlineRows] = await HashEmbeddingProvider.embed([query, ...rows.map(row => row.dataValues.content)]);
+    const byId = new Map(rows.map((row, i) => [row.dataValues.id, offlineRows[i]]));
+    score = row => cosineSimilarity(offlineQuery, byId.get(row.dataValues.id));
+  }
+  return rows
+    .map(row => ({ row, score: score(row) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, top_k);
+};
+
+module.exports = exports = {
+  contentHash,
+  rankBySimilarity,
+};
@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+
+const HashEmbeddingProvider = require('./hash');
+const { providerKey } = require('./index');
+const { contentHash, rankBySimilarity } = require('./rank');
+
+// 记录 update 调用的模型
+const fakeModel = () => {
+  const updates = [];
+  return { updates, update: async (values, { where }) => updates.push({ id: where.id, values }) };
+};
+
+const toRows = (contents) => contents.map((content, i) => ({ dataValues: { id: i + 1, content } }));
+
+describe('rankBySimilarity', () => {
+  it('should rank related rows first and save missing embeddings', async () => {
+    const model = fakeModel();
+    const rows = toRows(['Always answer politely', 'Charts: use python matplotlib and save the chart as png', 'Deploy with docker compose']);
+    const ranked = await rankBySimilarity(model, rows, 'draw a sales chart with python', { top_k: 2 });
+
+    expect(ranked).to.have.lengthOf(2);
+    expect(ranked[0].row.dataValues.id).to.equal(2);
+    expect(ranked[0].score).to.be.greaterThan(ranked[1].score);
+    expect(model.updates.map(update => update.id)).to.deep.equal([1, 2, 3]);
+    expect(model.updates[1].values).to.include({ embedding_key: providerKey(HashEmbeddingProvider), embedding_hash: contentHash(rows[1].dataValues.content) });
+  });
+
+  it('should reuse saved embeddings', async () => {
+    const model = fakeModel();
+    const rows = toRows(['Use pnpm to install dependencies']);
+    await rankBySimilarity(model, rows, 'install');
+    await rankBySimilarity(model, rows, 'install');
+    expect(model.updates).to.have.lengthOf(1);
+  });
+});
@@ -1,14 +1,15 @@
 const FileStorage = require('./FileStorage');
 
-const { resolveUsedKnowledgeForCategory } = require('./knowledge.util')
+const { retrieveRelevantKnowledge } = require('./retrieval')
 
+// 核心规则 / 用户画像全部注入, 经验条目只注入与当前任务需求最相关的 KNOWLEDGE_TOP_K 条
 const resolveThinkingKnowledge = async (context) => {
   // const agent_type = context.agent_type || 'coding';
   // const storage = new FileStorage({
   //   directory: agent_type
   // });
-  const memories = await resolveUsedKnowledgeForCategory(context.agent_id, ['user_profile', 'execution', 'core_directive'])
-  console.log('memories', memories);
+  const query = (context.task && context.task.requirement) || context.goal || '';
+  const memories = await retrieveRelevantKnowledge(context.agent_id, ['user_profile', 'execution', 'core_directive'], query)
   return memories.map(item => item.content).join('\n');
 }
 
@@ -17,7 +18,7 @@ const resolvePlanningKnowledge = async (context) => {
   // const storage = new FileStorage({
   //   directory: agent_type
   // });
-  const memories = await resolveUsedKnowledgeForCategory(context.agent_id, ['user_profile', 'core_directive', 'planning'])
+  const memories = await retrieveRelevantKnowledge(context.agent_id, ['user_profile', 'core_directive', 'planning'], context.goal || '')
   return memories.map(item => item.content).join('\n');
 }
 
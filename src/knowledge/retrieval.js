@@ -0,0 +1,86 @@
+/**
+ * Knowledge 语义检索
+ *
+ * - 向量保存在 Knowledge.embedding 中 (本地索引), 检索时为新增 / 内容变化 / provider 变化的条目补算
+ * - resolveThinkingKnowledge / resolvePlanningKnowledge 注入全部核心规则 / 用户画像, 以及与当前需求最相关的 top-k 条经验
+ */
+const { Op } = require('sequelize');
+
+const Knowledge = require('@src/models/Knowledge');
+const { rankBySimilarity } = require('./embedding/rank');
+
+const KNOWLEDGE_TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '8', 10) || 8;
+
+const toItem = (row, score) => ({
+  id: row.dataValues.id,
+  content: row.dataValues.content,
+  category: row.dataValues.category,
+  score: Number(score.toFixed(4)),
+});
+
+/**
+ * 按语义相似度检索 Knowledge
+ * @param {Object} options
+ * @param {number|string} options.agent_id
+ * @param {string} options.query
+ * @param {string[]} [options.categories]
+ * @param {number|string} [options.user_id] 只检索该用户的条目
+ * @param {number} [options.top_k]
+ * @returns {Promise<Array<{ id: number, content: string, category: string, score: number }>>}
+ */
+const searchKnowledge = async (options = {}) => {
+  const { agent_id, query = '', categories, user_id, top_k = KNOWLEDGE_TOP_K } = options;
+  const where = { agent_id };
+  if (user_id) where.user_id = user_id;
+  if (Array.isArray(categories) && categories.length > 0) where.category = { [Op.in]: categories };
+  const rows = await Knowledge.findAll({ where, order: [['id', 'ASC']] });
+  if (rows.length === 0 || !String(query).trim()) return [];
+
+  const ranked = await rankBySimilarity(Knowledge, rows, query, { top_k, tag: 'knowledge/retrieval' });
+  return ranked.map(({ row, score }) => toItem(row, score));
+};
+
+// 用户画像与核心规则始终全部注入, 只对经验类条目 (execution / planning) 排序截断
+const ALWAYS_INCLUDED_CATEGORIES = ['core_directive', 'user_profile'];
+
+const listKnowledge = async (agent_id, categories, limit) => {
+  const rows = await Knowledge.findAll({
+    where: { agent_id, category: { [Op.in]: categories } },
+    attributes: ['id', 'content', 'category'],
+    order: [['id', 'ASC']],
+    limit,
+  });
+  return rows.map(row => row.dataValues);
+};
+
+/**
+ * 提示词中使用的 Knowledge
+ * - core_directive / user_profile 全部返回
+ * - 其它分类条目数不超过 top_k 时全部返回 (保持原有顺序), 否则返回最相关的 top_k 条; 检索失败时退回未排序的前 top_k 条
+ * @param {number|string} agent_id
+ * @param {string[]} categories
+ * @param {string} query 当前任务需求
+ */
+const retrieveRelevantKnowledge = async (agent_id, categories, query, top_k = KNOWLEDGE_TOP_K) => {
+  const pinnedCategories = categories.filter(category => ALWAYS_INCLUDED_CATEGORIES.includes(category));
+  const rankedCategories = categories.filter(category => !ALWAYS_INCLUDED_CATEGORIES.includes(category));
+  const pinned = pinnedCategories.length > 0 ? await listKnowledge(agent_id, pinnedCategories) : [];
+  if (rankedCategories.length === 0) return pinned;
+
+  const count = await Knowledge.count({ where: { agent_id, category: { [Op.in]: rankedCategories } } });
+  if (count <= top_k || !String(query || '').trim()) {
+    return [...pinned, ...await listKnowledge(agent_id, rankedCategories, top_k)];
+  }
+  try {
+    return [...pinned, ...await searchKnowledge({ agent_id, categories: rankedCategories, query, top_k })];
+  } catch (error) {
+    console.error('[knowledge/retrieval] Semantic search failed:', error.message);
+    return [...pinned, ...await listKnowledge(agent_id, rankedCategories, top_k)];
+  }
+};
+
+module.exports = exports = {
+  KNOWLEDGE_TOP_K,
+  searchKnowledge,
+  retrieveRelevantKnowledge,
+};
@@ -0,0 +1,44 @@
+require('module-alias/register');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+
+const Knowledge = require('@src/models/Knowledge');
+const { retrieveRelevantKnowledge } = require('@src/knowledge/retrieval');
+
+const rows = [
+  { id: 1, content: 'Always answer in French', category: 'core_directive' },
+  { id: 2, content: 'The user is a data analyst', category: 'user_profile' },
+  ...Array.from({ length: 5 }, (_, i) => ({ id: 10 + i, content: `Execution tip ${i}`, category: 'execution' })),
+];
+
+// Knowledge.findAll / count 按 where.category 过滤
+const stubKnowledge = ({ failSearch = false } = {}) => {
+  const match = (where) => rows.filter(row => where.category[Op.in].includes(row.category));
+  sinon.stub(Knowledge, 'count').callsFake(async ({ where }) => match(where).length);
+  sinon.stub(Knowledge, 'findAll').callsFake(async ({ where, attributes, limit }) => {
+    // 语义检索读取完整行 (不带 attributes)
+    if (!attributes && failSearch) throw new Error('embedding provider unavailable');
+    const list = match(where).slice(0, limit || undefined);
+    return list.map(row => ({ dataValues: { ...row } }));
+  });
+};
+
+describe('retrieveRelevantKnowledge', () => {
+  afterEach(() => sinon.restore());
+
+  it('should always include directives and profile entries and cap experience entries', async () => {
+    stubKnowledge();
+    const items = await retrieveRelevantKnowledge(1, ['user_profile', 'execution', 'core_directive'], '', 2);
+    expect(items.map(item => item.id)).to.deep.equal([1, 2, 10, 11]);
+
+    const pinnedOnly = await retrieveRelevantKnowledge(1, ['user_profile', 'core_directive'], 'report', 1);
+    expect(pinnedOnly.map(item => item.id)).to.deep.equal([1, 2]);
+  });
+
+  it('should fall back to unranked entries when the semantic search fails', async () => {
+    stubKnowledge({ failSearch: true });
+    const items = await retrieveRelevantKnowledge(1, ['user_profile', 'execution', 'core_directive'], 'clean the csv', 3);
+    expect(items.map(item => item.id)).to.deep.equal([1, 2, 10, 11, 12]);
+  });
+});
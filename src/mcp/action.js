@@ -20,7 +20,9 @@ const mcpToolActionCall = async (params = {}, context = {}) => {
   const options = {
     server: server,
     name: toolName,
-    args
+    args,
+    // 服务端的 sampling 请求使用该会话的模型
+    conversation_id: context.conversation_id
   }
   const result = await mcp_client.callTool(options);
   if (typeof result === 'object') {
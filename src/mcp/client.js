@@ -7,6 +7,10 @@ const resolveToolID = (server, tool) => {
 
 const { CacheService, withCache } = require('./cache');
 const { initTransport } = require('./transport');
+const sampling = require('./sampling');
+const { health, healthKey } = require('./health');
+
+const PING_TIMEOUT_MS = parseInt(process.env.MCP_PING_TIMEOUT_MS || '', 10) || 10 * 1000;
 
 class McpClient {
   clients = new Map();
@@ -25,6 +29,9 @@ class McpClient {
     this.restartServer = this.restartServer.bind(this);
     this.stopServer = this.stopServer.bind(this);
     this.cleanup = this.cleanup.bind(this);
+    this.handleSampling = this.handleSampling.bind(this);
+    this.closeConversationSessions = this.closeConversationSessions.bind(this);
+    this.pingServer = this.pingServer.bind(this);
   }
 
   getServerKey(server) {
@@ -38,8 +45,22 @@ class McpClient {
     });
   }
 
-  async initClient(server) {
-    const serverKey = this.getServerKey(server);
+  /**
+   * 开启 sampling 时每个会话使用单独的连接 (会话 session), sampling 请求一定来自该会话发起的工具调用
+   * @param {string} serverKey
+   * @param {string} [conversation_id]
+   */
+  getSessionKey(serverKey, conversation_id) {
+    return sampling.isSamplingEnabled() && conversation_id ? `${serverKey}#${conversation_id}` : serverKey;
+  }
+
+  /**
+   * @param {Object} server
+   * @param {{ conversation_id?: string }} [options] 会话 session 的连接声明 sampling 能力, 共用的连接不声明
+   */
+  async initClient(server, options = {}) {
+    const serverKey = this.getSessionKey(this.getServerKey(server), options.conversation_id);
+    const conversation_id = serverKey === this.getServerKey(server) ? null : options.conversation_id;
 
     const pendingClient = this.pendingClients.get(serverKey);
     if (pendingClient) {
@@ -66,20 +87,30 @@ class McpClient {
     const initPromise = (async () => {
       try {
         const { Client } = await import("@modelcontextprotocol/sdk/client/index.js");
-        const client = new Client({ name: 'LemonAI MCP Client', version: '1.0.0' }, { capabilities: {} });
+        const capabilities = conversation_id ? { sampling: {} } : {};
+        const client = new Client({ name: 'LemonAI MCP Client', version: '1.0.0' }, { capabilities });
+        if (capabilities.sampling) {
+          const { CreateMessageRequestSchema } = await import("@modelcontextprotocol/sdk/types.js");
+          client.setRequestHandler(CreateMessageRequestSchema, (request) => this.handleSampling(server, conversation_id, request.params));
+        }
 
         try {
           const transport = await initTransport(server);
-          try {
-            await client.connect(transport);
-          } catch (error) {
-            console.log('error', error);
-          }
+          await client.connect(transport);
+          // 进程退出 / 连接断开: 移除客户端, 由 supervisor 按退避策略重启
+          client.onclose = () => {
+            if (this.clients.get(serverKey) !== client) return;
+            console.error(`[MCP] Server ${server.name} disconnected`);
+            this.clients.delete(serverKey);
+            health.recordFailure(healthKey(server), 'connection closed');
+          };
           this.clients.set(serverKey, client);
+          health.recordConnected(healthKey(server));
           console.log(`[MCP] Activated server: ${server.name}`);
           return client;
         } catch (error) {
           console.error(`[MCP] Error activating server ${server.name}:`, error?.message);
+          health.recordFailure(healthKey(server), error);
           throw new Error(`[MCP] Error activating server ${server.name}: ${error.message}`);
         }
       } finally {
@@ -94,36 +125,96 @@ class McpClient {
   async closeClient(serverKey) {
     const client = this.clients.get(serverKey);
     if (client) {
+      // 先移除, onclose 中不再当作异常断开
+      this.clients.delete(serverKey);
       await client.close();
       console.log(`[MCP] Closed server: ${serverKey}`);
-      this.clients.delete(serverKey);
       CacheService.remove(`mcp:list_tool:${serverKey}`);
+      CacheService.remove(`mcp:list_prompts:${serverKey}`);
+      CacheService.remove(`mcp:list_resources:${serverKey}`);
       console.log(`[MCP] Cleared cache for server: ${serverKey}`);
     } else {
       console.warn(`[MCP] No client found for server: ${serverKey}`);
     }
   }
 
+  /**
+   * 关闭匹配的会话 session 连接
+   * @param {(key: string) => boolean} match
+   */
+  async closeSessions(match) {
+    for (const key of [...this.clients.keys()].filter(match)) {
+      try {
+        await this.closeClient(key);
+      } catch (error) {
+        console.error(`[MCP] Failed to close client: ${error?.message}`);
+      }
+    }
+  }
+
+  /**
+   * 运行结束时关闭该会话的 session 连接
+   * @param {string} conversation_id
+   */
+  async closeConversationSessions(conversation_id) {
+    if (!conversation_id) return;
+    await this.closeSessions(key => key.endsWith(`#${conversation_id}`));
+  }
+
   async stopServer(server) {
     const serverKey = this.getServerKey(server);
     console.log(`[MCP] Stopping server: ${server.name}`);
+    health.recordStopped(healthKey(server));
+    await this.closeSessions(key => key.startsWith(`${serverKey}#`));
     await this.closeClient(serverKey);
   }
 
   async removeServer(server) {
     const serverKey = this.getServerKey(server);
+    await this.closeSessions(key => key.startsWith(`${serverKey}#`));
     if (this.clients.has(serverKey)) {
       await this.closeClient(serverKey);
     }
+    health.remove(healthKey(server));
   }
 
   async restartServer(server) {
     console.log(`[MCP] Restarting server: ${server.name}`);
     const serverKey = this.getServerKey(server);
+    await this.closeSessions(key => key.startsWith(`${serverKey}#`));
     await this.closeClient(serverKey);
     await this.initClient(server);
   }
 
+  hasClient(server) {
+    return this.clients.has(this.getServerKey(server));
+  }
+
+  /**
+   * ping 已启动的服务, 失败时关闭客户端并记录 (见 supervisor.js)
+   * @returns {Promise<boolean>}
+   */
+  async pingServer(server) {
+    const serverKey = this.getServerKey(server);
+    const client = this.clients.get(serverKey);
+    if (!client) return false;
+    const started = Date.now();
+    try {
+      await client.ping({ timeout: PING_TIMEOUT_MS });
+      health.recordPing(healthKey(server), { ok: true, latency_ms: Date.now() - started });
+      return true;
+    } catch (error) {
+      console.error(`[MCP] Ping failed for server ${server.name}:`, error?.message);
+      health.recordPing(healthKey(server), { ok: false, latency_ms: Date.now() - started, error });
+      try {
+        await this.closeClient(serverKey);
+      } catch (err) {
+        console.error(`[MCP] Failed to close client: ${err?.message}`);
+      }
+      return false;
+    }
+  }
+
   async cleanup() {
     for (const [key] of this.clients) {
       try {
@@ -162,7 +253,7 @@ class McpClient {
       }));
     } catch (error) {
       console.error(`[MCP] Failed to list tools for server: ${server.name}`, error?.message);
-      return [];
+      throw error;
     }
   }
 
@@ -176,7 +267,27 @@ class McpClient {
     return cachedListTools(server);
   }
 
-  async callTool({ server, name, args }) {
+  /**
+   * sampling/createMessage: 使用会话 session 所属会话的模型
+   * @param {Object} server
+   * @param {string} conversation_id 建立连接时绑定的会话
+   * @param {Object} params
+   */
+  async handleSampling(server, conversation_id, params) {
+    if (!conversation_id) {
+      throw new Error(`[MCP] Sampling request from ${server.name} outside of an agent run`);
+    }
+    return sampling.createMessage(params, { conversation_id, server_name: server.name });
+  }
+
+  async callTool({ server, name, args, conversation_id }) {
+    // 等待重启的服务直接失败, 让 Agent 拿到明确的错误
+    const unavailable = health.unavailableReason(healthKey(server));
+    if (unavailable) {
+      throw new Error(`[MCP] ${server.name} ${unavailable}`);
+    }
+    const started = Date.now();
+    let call_error = null;
     try {
       console.log('[MCP] Calling:', server.name, name, args);
       if (typeof args === 'string') {
@@ -188,14 +299,21 @@ class McpClient {
       }
       console.log("====args=====",args)
 
-      const client = await this.initClient(server);
-      return await client.callTool({ name, arguments: args }, undefined, {
+      const client = await this.initClient(server, { conversation_id });
+      const result = await client.callTool({ name, arguments: args }, undefined, {
         timeout: server.timeout ? server.timeout * 1000 : 60000, // Default timeout of 1 minute
       });
+      if (result && result.isError) {
+        call_error = (result.content || []).map(item => item.text).filter(Boolean).join('\n') || 'tool returned an error';
+      }
+      return result;
     } catch (error) {
       console.error("===!!!===",error)
       console.error(`[MCP] Error calling tool ${name} on ${server.name}:`, error);
+      call_error = error;
       throw error;
+    } finally {
+      health.recordCall(healthKey(server), name, { latency_ms: Date.now() - started, error: call_error });
     }
   }
 
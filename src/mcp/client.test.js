@@ -0,0 +1,40 @@
+require('module-alias/register');
+const { expect } = require('chai');
+
+const mcp_client = require('@src/mcp/client');
+
+describe('McpClient sampling sessions', () => {
+  const previous = process.env.ENABLE_MCP_SAMPLING;
+
+  afterEach(() => {
+    if (previous === undefined) {
+      delete process.env.ENABLE_MCP_SAMPLING;
+    } else {
+      process.env.ENABLE_MCP_SAMPLING = previous;
+    }
+    mcp_client.clients.clear();
+  });
+
+  it('should only use per-conversation sessions when sampling is enabled', () => {
+    delete process.env.ENABLE_MCP_SAMPLING;
+    expect(mcp_client.getSessionKey('server', 'c1')).to.equal('server');
+    process.env.ENABLE_MCP_SAMPLING = 'ON';
+    expect(mcp_client.getSessionKey('server', 'c1')).to.equal('server#c1');
+    expect(mcp_client.getSessionKey('server')).to.equal('server');
+  });
+
+  it('should close the sessions of a finished conversation only', async () => {
+    const closed = [];
+    const fake = (key) => mcp_client.clients.set(key, { close: async () => closed.push(key) });
+    ['server', 'server#c1', 'other#c1', 'server#c2'].forEach(fake);
+
+    await mcp_client.closeConversationSessions('c1');
+    expect(closed.sort()).to.deep.equal(['other#c1', 'server#c1']);
+    expect([...mcp_client.clients.keys()].sort()).to.deep.equal(['server', 'server#c2']);
+  });
+
+  it('should refuse sampling requests outside of a conversation session', async () => {
+    const error = await mcp_client.handleSampling({ name: 'demo' }, null, { messages: [] }).catch(err => err);
+    expect(error.message).to.contain('outside of an agent run');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * MCP prompts 作为聊天中的斜杠命令
+ *
+ *   /<prompt> [key=value ...] [text]
+ *   /<server>:<prompt> [key=value ...] [text]
+ *
+ * - value 可以用引号包含空格: topic="hello world"
+ * - 剩余的文本填入第一个未提供的参数
+ * - 没有匹配的 prompt 时保持原问题不变 (例如以 / 开头的路径)
+ */
+
+const COMMAND_RE = /^\/([^\s:/]+)(?::([^\s/]+))?(?:\s+([\s\S]*))?$/;
+const ARG_RE = /^([A-Za-z_][\w-]*)=(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S*))\s*/;
+
+const slugify = (value = '') => String(value).trim().replace(/[^\w.-]+/g, '-');
+
+/**
+ * @param {string} text
+ * @returns {{ server: string|null, name: string, args: Object<string, string>, rest: string }|null}
+ */
+const parseSlashCommand = (text = '') => {
+  const match = String(text).trim().match(COMMAND_RE);
+  if (!match) return null;
+  const [, first, second, tail = ''] = match;
+  const args = {};
+  const rest = [];
+  let remaining = tail.trim();
+  while (remaining) {
+    const arg = remaining.match(ARG_RE);
+    if (arg) {
+      const value = arg[2] !== undefined ? arg[2] : arg[3] !== undefined ? arg[3] : arg[4];
+      args[arg[1]] = value.replace(/\\(["'\\])/g, '$1');
+      remaining = remaining.slice(arg[0].length);
+      continue;
+    }
+    const space = remaining.search(/\s/);
+    const word = space === -1 ? remaining : remaining.slice(0, space + 1);
+    rest.push(word);
+    remaining = remaining.slice(word.length);
+  }
+  return {
+    server: second ? first : null,
+    name: second || first,
+    args,
+    rest: rest.join('').trim(),
+  };
+};
+
+/**
+ * prompts (mcp_client.listPrompts 的结果) => 斜杠命令列表
+ * @param {Array<{ name: string, description?: string, arguments?: Array, serverId?: any, serverName?: string }>} prompts
+ */
+const resolvePromptCommands = (prompts = []) => {
+  return prompts.map(prompt => ({
+    command: `/${slugify(prompt.serverName)}:${slugify(prompt.name)}`,
+    name: prompt.name,
+    description: prompt.description || '',
+    arguments: Array.isArray(prompt.arguments) ? prompt.arguments : [],
+    server_id: prompt.serverId,
+    server_name: prompt.serverName,
+  }));
+};
+
+/**
+ * @param {ReturnType<typeof resolvePromptCommands>} commands
+ * @param {ReturnType<typeof parseSlashCommand>} parsed
+ */
+const findPromptCommand = (commands = [], parsed) => {
+  if (!parsed) return null;
+  return commands.find(command => slugify(command.name) === parsed.name
+    && (!parsed.server || slugify(command.server_name) === parsed.server)) || null;
+};
+
+/**
+ * 合并命名参数与剩余文本, 检查必填参数
+ * @returns {{ args: Object<string, string>, missing: string[] }}
+ */
+const resolvePromptArguments = (command, parsed) => {
+  const args = { ...parsed.args };
+  let rest = parsed.rest;
+  for (const argument of command.arguments) {
+    if (rest && args[argument.name] === undefined) {
+      args[argument.name] = rest;
+      rest = '';
+    }
+  }
+  const missing = command.arguments
+    .filter(argument => argument.required && (args[argument.name] === undefined || args[argument.name] === ''))
+    .map(argument => argument.name);
+  return { args, missing };
+};
+
+const contentToText = (content) => {
+  if (!content) return '';
+  if (Array.isArray(content)) return content.map(contentToText).filter(Boolean).join('\n');
+  if (typeof content === 'string') return content;
+  if (content.type === 'text') return content.text || '';
+  if (content.type === 'resource' && content.resource) {
+    return content.resource.text !== undefined ? content.resource.text : `[resource ${content.resource.uri}]`;
+  }
+  return `[${content.type || 'content'}${content.mimeType ? ` ${content.mimeType}` : ''}]`;
+};
+
+/**
+ * getPrompt 的结果 => 作为用户问题的文本
+ * @param {{ messages?: Array<{ role: string, content: any }> }} result
+ */
+const promptResultToText = (result = {}) => {
+  return (result.messages || []).map(message => contentToText(message.content)).filter(Boolean).join('\n\n').trim();
+};
+
+/**
+ * 列出会话可用的斜杠命令
+ * @param {Array<Object>} servers McpServer
+ */
+const listPromptCommands = async (servers = []) => {
+  const mcp_client = require('./client');
+  const prompts = [];
+  for (const server of servers) {
+    try {
+      prompts.push(...await mcp_client.listPrompts(server));
+    } catch (error) {
+      console.error(`[MCP] Failed to list prompts for server: ${server.name}`, error?.message);
+    }
+  }
+  return resolvePromptCommands(prompts);
+};
+
+/**
+ * 展开斜杠命令
+ * @param {string} question
+ * @param {Array<Object>} servers McpServer
+ * @returns {Promise<{ question: string, command?: string, error?: string }>}
+ */
+const expandSlashCommand = async (question, servers = []) => {
+  const parsed = parseSlashCommand(question);
+  if (!parsed || servers.length === 0) return { question };
+  const command = findPromptCommand(await listPromptCommands(servers), parsed);
+  if (!command) return { question };
+
+  const { args, missing } = resolvePromptArguments(command, parsed);
+  if (missing.length > 0) {
+    return { question, command: command.command, error: `${command.command} requires: ${missing.join(', ')}` };
+  }
+  const server = servers.find(item => item.id === command.server_id);
+  const mcp_client = require('./client');
+  const result = await mcp_client.getPrompt({ server, name: command.name, args });
+  const text = promptResultToText(result);
+  if (!text) {
+    return { question, command: command.command, error: `${command.command} returned an empty prompt` };
+  }
+  return { question: text, command: command.command };
+};
+
+module.exports = exports = {
+  parseSlashCommand,
+  resolvePromptCommands,
+  findPromptCommand,
+  resolvePromptArguments,
+  promptResultToText,
+  listPromptCommands,
+  expandSlashCommand,
+};
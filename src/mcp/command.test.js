@@ -0,0 +1,40 @@
+const { expect } = require('chai');
+
+const { parseSlashCommand, resolvePromptCommands, findPromptCommand, resolvePromptArguments, promptResultToText } = require('./command');
+
+describe('mcp slash commands', () => {
+  const commands = resolvePromptCommands([
+    { name: 'code review', serverId: 1, serverName: 'git hub', arguments: [{ name: 'pr', required: true }, { name: 'focus' }] },
+    { name: 'summarize', serverId: 2, serverName: 'notes', arguments: [{ name: 'text', required: true }] },
+  ]);
+
+  it('parses named arguments, quoted values and free text', () => {
+    expect(parseSlashCommand('/git-hub:code-review pr=12 focus="error handling" please')).to.deep.equal({
+      server: 'git-hub', name: 'code-review', args: { pr: '12', focus: 'error handling' }, rest: 'please',
+    });
+    expect(parseSlashCommand('/summarize the meeting notes')).to.include({ server: null, name: 'summarize', rest: 'the meeting notes' });
+    expect(parseSlashCommand('/etc/hosts is broken')).to.equal(null);
+    expect(parseSlashCommand('hello /summarize')).to.equal(null);
+  });
+
+  it('matches commands and fills the first missing argument with free text', () => {
+    expect(commands.map(command => command.command)).to.deep.equal(['/git-hub:code-review', '/notes:summarize']);
+    const parsed = parseSlashCommand('/summarize the meeting notes');
+    const command = findPromptCommand(commands, parsed);
+    expect(command.server_id).to.equal(2);
+    expect(resolvePromptArguments(command, parsed)).to.deep.equal({ args: { text: 'the meeting notes' }, missing: [] });
+    const review = findPromptCommand(commands, parseSlashCommand('/git-hub:code-review focus=tests'));
+    expect(resolvePromptArguments(review, parseSlashCommand('/git-hub:code-review focus=tests')).missing).to.deep.equal(['pr']);
+    expect(findPromptCommand(commands, parseSlashCommand('/notes:code-review'))).to.equal(null);
+  });
+
+  it('turns prompt messages into a question', () => {
+    expect(promptResultToText({
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Review PR 12' } },
+        { role: 'user', content: { type: 'resource', resource: { uri: 'file:///a.diff', text: '+ line' } } },
+        { role: 'user', content: { type: 'image', mimeType: 'image/png', data: 'xx' } },
+      ],
+    })).to.equal('Review PR 12\n\n+ line\n\n[image image/png]');
+  });
+});
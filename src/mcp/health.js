@@ -0,0 +1,214 @@
+/**
+ * MCP 服务健康状态与工具调用指标 (内存, 服务重启后重置)
+ *
+ * - status: idle (未启动) / healthy / unhealthy (断开或 ping 失败, 等待重启) / failed (重启次数用尽) / stopped
+ * - 断开后按指数退避重启: 第一次立即, 之后 backoff_base_ms * 2^(n-1), 最多 backoff_max_ms
+ * - 每个工具: 调用次数, 错误率, 延迟, 最近一次错误
+ */
+const DEFAULT_BACKOFF_BASE_MS = 5 * 1000;
+const DEFAULT_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_RESTARTS = 10;
+const MAX_ERROR_CHARS = 500;
+
+/**
+ * 第 attempt 次重启前的等待时间
+ * @param {number} attempt 已失败的重启次数
+ * @param {{ base_ms?: number, max_ms?: number }} [options]
+ */
+const backoffDelay = (attempt, options = {}) => {
+  const base_ms = options.base_ms || DEFAULT_BACKOFF_BASE_MS;
+  const max_ms = options.max_ms || DEFAULT_BACKOFF_MAX_MS;
+  if (attempt <= 0) return 0;
+  return Math.min(base_ms * 2 ** (attempt - 1), max_ms);
+};
+
+const toErrorMessage = (error) => {
+  const message = typeof error === 'string' ? error : (error && error.message) || String(error);
+  return message.slice(0, MAX_ERROR_CHARS);
+};
+
+class McpHealth {
+
+  /**
+   * @param {{ backoff_base_ms?: number, backoff_max_ms?: number, max_restarts?: number, now?: () => number }} [options]
+   */
+  constructor(options = {}) {
+    this.backoff = { base_ms: options.backoff_base_ms, max_ms: options.backoff_max_ms };
+    this.max_restarts = options.max_restarts || DEFAULT_MAX_RESTARTS;
+    this.now = options.now || Date.now;
+    // key => server state
+    this.servers = new Map();
+  }
+
+  _get(key) {
+    if (!this.servers.has(key)) {
+      this.servers.set(key, {
+        status: 'idle',
+        connected_at: null,
+        last_ping_at: null,
+        last_ping_ms: null,
+        last_error: null,
+        failures: 0,
+        restart_attempts: 0,
+        restarts: 0,
+        next_restart_at: null,
+        tools: new Map(),
+      });
+    }
+    return this.servers.get(key);
+  }
+
+  _healthy(state) {
+    state.status = 'healthy';
+    state.failures = 0;
+    state.restart_attempts = 0;
+    state.next_restart_at = null;
+  }
+
+  recordConnected(key) {
+    const state = this._get(key);
+    state.connected_at = this.now();
+    this._healthy(state);
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ ok: boolean, latency_ms?: number, error?: any }} result
+   */
+  recordPing(key, { ok, latency_ms, error }) {
+    const state = this._get(key);
+    state.last_ping_at = this.now();
+    state.last_ping_ms = latency_ms === undefined ? null : latency_ms;
+    if (ok) {
+      this._healthy(state);
+    } else {
+      this.recordFailure(key, error || 'ping failed');
+    }
+  }
+
+  /**
+   * 连接断开 / 启动失败 / ping 失败, 安排重启
+   */
+  recordFailure(key, error) {
+    const state = this._get(key);
+    state.failures += 1;
+    state.last_error = { message: toErrorMessage(error), at: this.now() };
+    if (state.status === 'failed' || state.status === 'stopped') return;
+    state.status = 'unhealthy';
+    if (state.next_restart_at === null) {
+      state.next_restart_at = this.now() + backoffDelay(state.restart_attempts, this.backoff);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ ok: boolean, error?: any }} result
+   */
+  recordRestart(key, { ok, error }) {
+    const state = this._get(key);
+    if (ok) {
+      state.restarts += 1;
+      this.recordConnected(key);
+      return;
+    }
+    state.restart_attempts += 1;
+    state.last_error = { message: toErrorMessage(error || 'restart failed'), at: this.now() };
+    if (state.restart_attempts >= this.max_restarts) {
+      state.status = 'failed';
+      state.next_restart_at = null;
+      return;
+    }
+    state.status = 'unhealthy';
+    state.next_restart_at = this.now() + backoffDelay(state.restart_attempts, this.backoff);
+  }
+
+  // 手动停止 / 删除后不再自动重启
+  recordStopped(key) {
+    const state = this._get(key);
+    state.status = 'stopped';
+    state.next_restart_at = null;
+  }
+
+  shouldRestart(key) {
+    const state = this.servers.get(key);
+    return !!state && state.status === 'unhealthy' && state.next_restart_at !== null && this.now() >= state.next_restart_at;
+  }
+
+  /**
+   * 等待重启或已放弃重启时不可用, 工具调用直接失败而不是等待连接超时
+   * @returns {string|null} 不可用的原因
+   */
+  unavailableReason(key) {
+    const state = this.servers.get(key);
+    if (!state) return null;
+    const last_error = state.last_error ? `: ${state.last_error.message}` : '';
+    if (state.status === 'failed') {
+      return `server is down after ${state.restart_attempts} failed restarts${last_error}`;
+    }
+    if (state.status === 'unhealthy' && state.next_restart_at !== null && this.now() < state.next_restart_at) {
+      const seconds = Math.ceil((state.next_restart_at - this.now()) / 1000);
+      return `server is unavailable, restarting in ${seconds}s${last_error}`;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} tool
+   * @param {{ latency_ms: number, error?: any }} result error 为空表示成功
+   */
+  recordCall(key, tool, { latency_ms, error }) {
+    const state = this._get(key);
+    if (!state.tools.has(tool)) {
+      state.tools.set(tool, { calls: 0, errors: 0, total_ms: 0, max_ms: 0, last_ms: 0, last_error: null, last_called_at: null });
+    }
+    const metrics = state.tools.get(tool);
+    metrics.calls += 1;
+    metrics.total_ms += latency_ms;
+    metrics.max_ms = Math.max(metrics.max_ms, latency_ms);
+    metrics.last_ms = latency_ms;
+    metrics.last_called_at = this.now();
+    if (error) {
+      metrics.errors += 1;
+      metrics.last_error = { message: toErrorMessage(error), at: this.now() };
+    }
+  }
+
+  snapshot(key) {
+    const state = this._get(key);
+    const tools = {};
+    for (const [name, metrics] of state.tools) {
+      tools[name] = {
+        calls: metrics.calls,
+        errors: metrics.errors,
+        error_rate: metrics.calls ? metrics.errors / metrics.calls : 0,
+        avg_latency_ms: metrics.calls ? Math.round(metrics.total_ms / metrics.calls) : 0,
+        max_latency_ms: metrics.max_ms,
+        last_latency_ms: metrics.last_ms,
+        last_error: metrics.last_error,
+        last_called_at: metrics.last_called_at,
+      };
+    }
+    const { status, connected_at, last_ping_at, last_ping_ms, last_error, failures, restart_attempts, restarts, next_restart_at } = state;
+    return { status, connected_at, last_ping_at, last_ping_ms, last_error, failures, restart_attempts, restarts, next_restart_at, tools };
+  }
+
+  remove(key) {
+    this.servers.delete(key);
+  }
+}
+
+const health = new McpHealth({
+  backoff_base_ms: parseInt(process.env.MCP_RESTART_BACKOFF_MS || '', 10) || DEFAULT_BACKOFF_BASE_MS,
+  max_restarts: parseInt(process.env.MCP_MAX_RESTARTS || '', 10) || DEFAULT_MAX_RESTARTS,
+});
+
+// 健康状态按服务ID记录, 本地 mcp-local.json 中没有ID的服务使用名称
+const healthKey = (server = {}) => String(server.id !== undefined && server.id !== null ? server.id : server.name);
+
+module.exports = exports = {
+  McpHealth,
+  backoffDelay,
+  healthKey,
+  health,
+};
@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+
+const { McpHealth, backoffDelay, healthKey } = require('./health');
+
+describe('mcp health', () => {
+  it('backs off exponentially up to the limit', () => {
+    const options = { base_ms: 1000, max_ms: 5000 };
+    expect([0, 1, 2, 3, 4].map(attempt => backoffDelay(attempt, options))).to.deep.equal([0, 1000, 2000, 4000, 5000]);
+    expect(healthKey({ id: 3, name: 'fs' })).to.equal('3');
+    expect(healthKey({ name: 'fs' })).to.equal('fs');
+  });
+
+  it('schedules restarts after a disconnect and gives up after max_restarts', () => {
+    let now = 0;
+    const health = new McpHealth({ backoff_base_ms: 1000, max_restarts: 2, now: () => now });
+    health.recordConnected('1');
+    expect(health.snapshot('1').status).to.equal('healthy');
+
+    health.recordFailure('1', 'connection closed');
+    expect(health.shouldRestart('1')).to.equal(true);
+    health.recordRestart('1', { ok: false, error: new Error('spawn ENOENT') });
+    expect(health.shouldRestart('1')).to.equal(false);
+    expect(health.unavailableReason('1')).to.equal('server is unavailable, restarting in 1s: spawn ENOENT');
+
+    now = 1000;
+    expect(health.shouldRestart('1')).to.equal(true);
+    health.recordRestart('1', { ok: false, error: 'spawn ENOENT' });
+    expect(health.snapshot('1').status).to.equal('failed');
+    expect(health.shouldRestart('1')).to.equal(false);
+    expect(health.unavailableReason('1')).to.equal('server is down after 2 failed restarts: spawn ENOENT');
+
+    health.recordRestart('1', { ok: true });
+    const snapshot = health.snapshot('1');
+    expect(snapshot.status).to.equal('healthy');
+    expect(snapshot.restarts).to.equal(1);
+    expect(health.unavailableReason('1')).to.equal(null);
+  });
+
+  it('records per tool latency and error rate', () => {
+    const health = new McpHealth({ now: () => 42 });
+    health.recordCall('1', 'search', { latency_ms: 100 });
+    health.recordCall('1', 'search', { latency_ms: 300, error: new Error('timeout') });
+    expect(health.snapshot('1').tools.search).to.deep.equal({
+      calls: 2,
+      errors: 1,
+      error_rate: 0.5,
+      avg_latency_ms: 200,
+      max_latency_ms: 300,
+      last_latency_ms: 300,
+      last_error: { message: 'timeout', at: 42 },
+      last_called_at: 42,
+    });
+  });
+});
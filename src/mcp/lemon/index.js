@@ -0,0 +1,31 @@
+/**
+ * Lemon MCP 服务: 把 Lemon 的 Agent 运行时作为 MCP 工具提供给其它客户端
+ *
+ * - stdio: node src/mcp/lemon/stdio.js (npm run mcp)
+ * - streamable HTTP: POST /api/mcp (见 routers/mcp)
+ */
+const { TOOLS, callTool } = require('./tools');
+
+const { version } = require('../../../package.json');
+
+/**
+ * 创建 MCP Server, 工具限定在 user_id 的数据内
+ * @param {{ user_id: number|string }} options
+ */
+const createLemonServer = async ({ user_id }) => {
+  const { Server } = await import('@modelcontextprotocol/sdk/server/index.js');
+  const { ListToolsRequestSchema, CallToolRequestSchema } = await import('@modelcontextprotocol/sdk/types.js');
+
+  const server = new Server({ name: 'lemon', version }, { capabilities: { tools: {} } });
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    console.log(`[Lemon MCP] Call ${name} for user ${user_id}`);
+    return callTool(name, args, { user_id });
+  });
+  return server;
+};
+
+module.exports = exports = {
+  createLemonServer,
+};
@@ -0,0 +1,46 @@
+require('module-alias/register');
+require('dotenv').config();
+
+/**
+ * Lemon MCP 服务 (stdio)
+ *
+ *   node src/mcp/lemon/stdio.js [--user-id 1]
+ *
+ * stdout 只用于 MCP 协议, 其它输出 (日志, console.log) 全部转到 stderr
+ */
+const { Writable } = require('stream');
+
+const stdoutWrite = process.stdout.write.bind(process.stdout);
+const protocolOutput = new Writable({
+  write(chunk, encoding, callback) {
+    stdoutWrite(chunk, encoding, callback);
+  }
+});
+process.stdout.write = process.stderr.write.bind(process.stderr);
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+
+const { logging } = require('@src/logger/index');
+global.logging = logging;
+
+const { createLemonServer } = require('./index');
+
+const parseUserId = (argv) => {
+  const index = argv.indexOf('--user-id');
+  const value = index >= 0 ? argv[index + 1] : process.env.LEMON_MCP_USER_ID;
+  return Number(value || 1);
+};
+
+const main = async () => {
+  const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+  const user_id = parseUserId(process.argv.slice(2));
+  const server = await createLemonServer({ user_id });
+  await server.connect(new StdioServerTransport(process.stdin, protocolOutput));
+  console.error(`[Lemon MCP] stdio server started for user ${user_id}`);
+};
+
+main().catch((error) => {
+  console.error('[Lemon MCP] Failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,300 @@
+/**
+ * Lemon 作为 MCP 服务提供的工具
+ *
+ * IDE 助手 / 其它 Agent 把长任务委托给 Lemon: run_agent 启动后台运行并返回 conversation_id,
+ * 之后用 get_conversation 查询进度与结果, read_workspace_file 读取产出文件, stop_run 停止运行
+ * 所有工具都限定在 user_id (stdio: LEMON_MCP_USER_ID, HTTP: 当前登录用户) 的数据内
+ */
+const path = require('path');
+
+const MAX_FILE_CHARS = parseInt(process.env.LEMON_MCP_MAX_FILE_CHARS || '', 10) || 100000;
+const MAX_MESSAGE_CHARS = 2000;
+const DEFAULT_MESSAGE_LIMIT = 20;
+const MAX_WAIT_SECONDS = 600;
+const MAX_LISTED_FILES = 500;
+// 工作区中不列出的目录
+const IGNORED_DIRS = new Set(['.git', 'node_modules', '.lemon-eval']);
+
+const TOOLS = [
+  {
+    name: 'list_agents',
+    description: 'List the Lemon agents available to run_agent (your own and public ones): id, name and description.',
+    inputSchema: { type: 'object', properties: {} },
+  },
+  {
+    name: 'run_agent',
+    description: 'Start a Lemon agent run in a new conversation. The agent plans and executes the goal in its sandboxed runtime (code, terminal, browser, files). Returns the conversation_id immediately, or waits up to wait_seconds for the run to finish. Poll get_conversation for progress.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        goal: { type: 'string', description: 'Task for the agent, with all the context it needs' },
+        agent_id: { type: 'integer', description: 'Agent to run (see list_agents); uses its role, knowledge and MCP servers' },
+        model_id: { type: 'integer', description: 'Model id of the conversation, defaults to the default model' },
+        wait_seconds: { type: 'integer', description: `Wait for the run to finish, at most ${MAX_WAIT_SECONDS} seconds (default 0: return immediately)` },
+      },
+      required: ['goal'],
+    },
+  },
+  {
+    name: 'get_conversation',
+    description: 'Get the status of a Lemon conversation started by run_agent: status (running, done, failed, stop), tasks, recent messages, final summary and workspace files.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        conversation_id: { type: 'string' },
+        message_limit: { type: 'integer', description: `Number of recent messages to include (default ${DEFAULT_MESSAGE_LIMIT})` },
+      },
+      required: ['conversation_id'],
+    },
+  },
+  {
+    name: 'read_workspace_file',
+    description: 'Read a file from the workspace of a Lemon conversation. Pass a directory (or omit path) to list its files.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        conversation_id: { type: 'string' },
+        path: { type: 'string', description: 'Path relative to the conversation workspace' },
+      },
+      required: ['conversation_id'],
+    },
+  },
+  {
+    name: 'stop_run',
+    description: 'Stop a running Lemon agent run.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        conversation_id: { type: 'string' },
+      },
+      required: ['conversation_id'],
+    },
+  },
+];
+
+const truncate = (text, max) => {
+  const value = String(text === undefined || text === null ? '' : text);
+  if (value.length <= max) return value;
+  return `${value.slice(0, max)}\n... [truncated, ${value.length - max} more characters]`;
+};
+
+/**
+ * MCP tools/call 的返回
+ * @param {string|Object} data
+ * @param {boolean} [isError]
+ */
+const toToolResult = (data, isError = false) => {
+  const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+  const result = { content: [{ type: 'text', text }] };
+  if (isError) result.isError = true;
+  return result;
+};
+
+/**
+ * 工作区内的路径, 越出工作区时返回 null
+ * @param {string} root 会话工作区目录
+ * @param {string} [relative]
+ */
+const resolveWorkspacePath = (root, relative = '') => {
+  const base = path.resolve(root);
+  const target = path.resolve(base, String(relative || '').replace(/^[/\\]+/, ''));
+  if (target !== base && !target.startsWith(base + path.sep)) return null;
+  return target;
+};
+
+// NUL 字节视为二进制文件
+const isBinary = (buffer) => buffer.subarray(0, 8000).includes(0);
+
+const parseMeta = (meta) => {
+  if (typeof meta !== 'string') return meta || {};
+  try {
+    return JSON.parse(meta) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Message 记录 => 返回给客户端的精简消息
+ * @param {Array<{ role: string, status: string, content: string, meta: any, create_at?: any }>} messages
+ */
+const summarizeMessages = (messages = []) => {
+  return messages.map(message => {
+    const meta = parseMeta(message.meta);
+    return {
+      role: message.role,
+      action_type: meta.action_type || '',
+      status: message.status,
+      content: truncate(message.content, MAX_MESSAGE_CHARS),
+      time: message.create_at,
+    };
+  });
+};
+
+const listFiles = (root, dir = root, files = []) => {
+  const fs = require('fs');
+  if (!fs.existsSync(dir)) return files;
+  for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (files.length >= MAX_LISTED_FILES) break;
+    const full = path.join(dir, ent.name);
+    if (ent.isDirectory()) {
+      if (!IGNORED_DIRS.has(ent.name)) listFiles(root, full, files);
+    } else if (ent.isFile()) {
+      files.push(path.relative(root, full).split(path.sep).join('/'));
+    }
+  }
+  return files;
+};
+
+const findConversation = async (conversation_id, user_id) => {
+  const Conversation = require('@src/models/Conversation');
+  if (!conversation_id) return null;
+  return Conversation.findOne({ where: { conversation_id, user_id, deleted_at: null } });
+};
+
+const getConversationState = async (conversation, { message_limit = DEFAULT_MESSAGE_LIMIT } = {}) => {
+  const MessageTable = require('@src/models/Message');
+  const Task = require('@src/models/Task');
+  const { isRunning } = require('@src/agent/runs');
+  const { resolveConversationDir } = require('@src/runtime/runtime.util');
+  const { conversation_id, user_id } = conversation;
+
+  const messages = await MessageTable.findAll({ where: { conversation_id }, order: [['create_at', 'ASC']] });
+  const summarized = summarizeMessages(messages);
+  const finish = summarized.filter(message => message.action_type === 'finish_summery').pop();
+  const tasks = await Task.findAll({ where: { conversation_id }, order: [['create_at', 'ASC']] });
+  const limit = Math.max(0, Number(message_limit) || 0);
+
+  return {
+    conversation_id,
+    title: conversation.title,
+    status: conversation.status,
+    running: isRunning(conversation_id),
+    agent_id: conversation.agent_id,
+    input_tokens: conversation.input_tokens || 0,
+    output_tokens: conversation.output_tokens || 0,
+    tasks: tasks.map(task => ({ id: task.task_id, requirement: task.requirement, status: task.status, error: task.error || undefined })),
+    summary: finish ? finish.content : null,
+    messages: limit > 0 ? summarized.slice(-limit) : [],
+    files: listFiles(resolveConversationDir({ conversation_id, user_id })),
+  };
+};
+
+const waitFor = (promise, ms) => {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const handlers = {
+  async list_agents(args, { user_id }) {
+    const { Op } = require('sequelize');
+    const Agent = require('@src/models/Agent');
+    const agents = await Agent.findAll({
+      where: { deleted_at: null, [Op.or]: [{ user_id }, { is_public: true }] },
+      attributes: ['id', 'name', 'describe', 'user_id'],
+      order: [['id', 'DESC']],
+    });
+    return agents.map(agent => ({
+      id: agent.id,
+      name: agent.name,
+      description: truncate(agent.describe, 500),
+      public: agent.user_id !== user_id,
+    }));
+  },
+
+  async run_agent(args, { user_id }) {
+    const Agent = require('@src/models/Agent');
+    const { startRun } = require('@src/agent/runs');
+    const goal = String(args.goal || '').trim();
+    if (!goal) throw new Error('goal is required');
+
+    let mcp_server_ids = [];
+    if (args.agent_id !== undefined && args.agent_id !== null) {
+      const agent = await Agent.findOne({ where: { id: args.agent_id, deleted_at: null } });
+      if (!agent || (agent.user_id !== user_id && !agent.is_public)) {
+        throw new Error(`Agent ${args.agent_id} not found, use list_agents`);
+      }
+      mcp_server_ids = agent.mcp_server_ids || [];
+    }
+
+    const { conversation_id, done } = await startRun({
+      goal,
+      user_id,
+      agent_id: args.agent_id,
+      model_id: args.model_id,
+      mcp_server_ids,
+    });
+    console.log(`[Lemon MCP] Started run ${conversation_id} for user ${user_id}`);
+
+    const wait_seconds = Math.min(Math.max(Number(args.wait_seconds) || 0, 0), MAX_WAIT_SECONDS);
+    if (wait_seconds > 0) {
+      await waitFor(done, wait_seconds * 1000);
+    }
+    const conversation = await findConversation(conversation_id, user_id);
+    return getConversationState(conversation, { message_limit: wait_seconds > 0 ? 5 : 0 });
+  },
+
+  async get_conversation(args, { user_id }) {
+    const conversation = await findConversation(args.conversation_id, user_id);
+    if (!conversation) throw new Error(`Conversation ${args.conversation_id} not found`);
+    const message_limit = args.message_limit === undefined ? DEFAULT_MESSAGE_LIMIT : args.message_limit;
+    return getConversationState(conversation, { message_limit });
+  },
+
+  async read_workspace_file(args, { user_id }) {
+    const fs = require('fs');
+    const { resolveConversationDir } = require('@src/runtime/runtime.util');
+    const conversation = await findConversation(args.conversation_id, user_id);
+    if (!conversation) throw new Error(`Conversation ${args.conversation_id} not found`);
+    const root = resolveConversationDir({ conversation_id: conversation.conversation_id, user_id });
+    const target = resolveWorkspacePath(root, args.path);
+    if (!target) throw new Error(`Path ${args.path} is outside of the conversation workspace`);
+    if (!fs.existsSync(target)) throw new Error(`File ${args.path || '.'} does not exist`);
+
+    if (fs.statSync(target).isDirectory()) {
+      const prefix = path.relative(root, target).split(path.sep).join('/');
+      return { path: prefix || '.', files: listFiles(target) };
+    }
+    const buffer = fs.readFileSync(target);
+    if (isBinary(buffer)) {
+      return `[binary file ${args.path}, ${buffer.length} bytes]`;
+    }
+    return truncate(buffer.toString('utf8'), MAX_FILE_CHARS);
+  },
+
+  async stop_run(args, { user_id }) {
+    const { stopRun } = require('@src/agent/runs');
+    const conversation = await findConversation(args.conversation_id, user_id);
+    if (!conversation) throw new Error(`Conversation ${args.conversation_id} not found`);
+    const stopped = await stopRun(conversation.conversation_id);
+    return stopped ? 'Agent is stopped' : `No running agent for conversation ${args.conversation_id}, marked as stopped`;
+  },
+};
+
+/**
+ * 执行工具, 错误以 isError 结果返回给客户端
+ * @param {string} name
+ * @param {Object} args
+ * @param {{ user_id: number|string }} options
+ */
+const callTool = async (name, args = {}, options) => {
+  const handler = handlers[name];
+  if (!handler) return toToolResult(`Unknown tool: ${name}`, true);
+  try {
+    return toToolResult(await handler(args || {}, options));
+  } catch (error) {
+    console.error(`[Lemon MCP] ${name} failed:`, error.message);
+    return toToolResult(error.message, true);
+  }
+};
+
+module.exports = exports = {
+  TOOLS,
+  callTool,
+  toToolResult,
+  resolveWorkspacePath,
+  summarizeMessages,
+};
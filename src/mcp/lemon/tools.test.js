@@ -0,0 +1,35 @@
+const path = require('path');
+const { expect } = require('chai');
+
+const { TOOLS, callTool, resolveWorkspacePath, summarizeMessages } = require('./tools');
+
+describe('lemon mcp tools', () => {
+  it('keeps workspace paths inside the conversation directory', () => {
+    const root = path.resolve('/workspace/user_1/Conversation_abcdef');
+    expect(resolveWorkspacePath(root)).to.equal(root);
+    expect(resolveWorkspacePath(root, 'src/index.js')).to.equal(path.join(root, 'src/index.js'));
+    expect(resolveWorkspacePath(root, '/todo.md')).to.equal(path.join(root, 'todo.md'));
+    expect(resolveWorkspacePath(root, '../Conversation_abcdef2/secret')).to.equal(null);
+    expect(resolveWorkspacePath(root, 'a/../../..')).to.equal(null);
+  });
+
+  it('summarizes messages with their action type', () => {
+    const messages = summarizeMessages([
+      { role: 'user', status: 'success', content: 'goal', meta: '{"action_type":"question"}' },
+      { role: 'assistant', status: 'success', content: 'x'.repeat(2100), meta: { action_type: 'finish_summery' } },
+      { role: 'assistant', status: 'running', content: null, meta: 'not json' },
+    ]);
+    expect(messages.map(item => item.action_type)).to.deep.equal(['question', 'finish_summery', '']);
+    expect(messages[1].content).to.match(/\[truncated, 100 more characters\]$/);
+    expect(messages[2].content).to.equal('');
+  });
+
+  it('declares input schemas and reports unknown tools as errors', async () => {
+    expect(TOOLS.map(tool => tool.name)).to.deep.equal(['list_agents', 'run_agent', 'get_conversation', 'read_workspace_file', 'stop_run']);
+    for (const tool of TOOLS) {
+      expect(tool.inputSchema.type).to.equal('object');
+    }
+    const result = await callTool('delete_everything', {}, { user_id: 1 });
+    expect(result).to.deep.equal({ content: [{ type: 'text', text: 'Unknown tool: delete_everything' }], isError: true });
+  });
+});
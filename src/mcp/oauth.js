@@ -0,0 +1,214 @@
+/**
+ * 远程 MCP 服务 (sse / streamableHttp) 的 OAuth 2.1 授权
+ *
+ * - 授权码 + PKCE, 服务端元数据发现 / 动态注册 / 刷新令牌由 SDK (client/auth.js) 完成
+ * - McpServer.oauth 可配置 { scope, client_id, client_secret }; 明文 client_secret 保存时加密为用户 secret, 配置中只保留 ${secret:NAME} 引用
+ * - 客户端信息与令牌加密保存在 secret 表 (kind mcp_oauth), 不出现在 McpServer 的接口返回中
+ * - 连接时令牌过期, SDK 收到 401 后使用 refresh_token 刷新; 刷新失败需要在设置中重新授权
+ */
+const crypto = require('crypto');
+
+const { getSecret, setSecret, deleteSecret, resolveSecrets, listSecretRefs } = require('@src/secret/index');
+
+const OAUTH_KIND = 'mcp_oauth';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// state => { server_id, user_id, expires_at }, 授权回调按 state 找到对应的服务
+const pendingStates = new Map();
+
+const resolveRedirectUrl = () => process.env.MCP_OAUTH_REDIRECT_URL || 'http://localhost:3000/api/mcp_server/oauth/callback';
+
+const credentialName = (server) => `mcp_server_${server.id}`;
+const clientSecretName = (server) => `mcp_server_${server.id}_client_secret`;
+
+const loadCredentials = async (server) => {
+  const raw = await getSecret(server.user_id, credentialName(server), OAUTH_KIND);
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveCredentials = async (server, patch) => {
+  const credentials = { ...await loadCredentials(server), ...patch };
+  await setSecret(server.user_id, credentialName(server), JSON.stringify(credentials), { kind: OAUTH_KIND });
+};
+
+const registerState = (state, server) => {
+  const now = Date.now();
+  for (const [key, item] of pendingStates) {
+    if (item.expires_at < now) pendingStates.delete(key);
+  }
+  pendingStates.set(state, { server_id: server.id, user_id: server.user_id, expires_at: now + STATE_TTL_MS });
+};
+
+/**
+ * SDK OAuthClientProvider 的实现
+ * interactive 为 false 时 (Agent 连接服务), 需要用户授权直接报错, 不发起授权
+ */
+class McpOAuthProvider {
+
+  /**
+   * @param {Object} server McpServer
+   * @param {{ interactive?: boolean }} [options]
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.interactive = !!options.interactive;
+    this.authorization_url = null;
+  }
+
+  get redirectUrl() {
+    return resolveRedirectUrl();
+  }
+
+  get clientMetadata() {
+    const { scope, client_secret } = this.server.oauth || {};
+    const metadata = {
+      client_name: 'LemonAI',
+      redirect_uris: [this.redirectUrl],
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: client_secret ? 'client_secret_post' : 'none',
+    };
+    if (scope) metadata.scope = scope;
+    return metadata;
+  }
+
+  state() {
+    const state = crypto.randomBytes(16).toString('hex');
+    if (this.interactive) registerState(state, this.server);
+    return state;
+  }
+
+  async clientInformation() {
+    const { client_id, client_secret } = this.server.oauth || {};
+    if (client_id) {
+      const information = { client_id };
+      if (client_secret) information.client_secret = await resolveSecrets(this.server.user_id, client_secret);
+      return information;
+    }
+    return (await loadCredentials(this.server)).client_information;
+  }
+
+  async saveClientInformation(client_information) {
+    await saveCredentials(this.server, { client_information });
+  }
+
+  async tokens() {
+    return (await loadCredentials(this.server)).tokens;
+  }
+
+  async saveTokens(tokens) {
+    await saveCredentials(this.server, { tokens, tokens_saved_at: Date.now() });
+  }
+
+  async redirectToAuthorization(url) {
+    if (!this.interactive) {
+      throw new Error(`MCP server ${this.server.name} requires OAuth authorization, authorize it in the MCP settings`);
+    }
+    // 旧版本 SDK 不会调用 state()
+    if (!url.searchParams.get('state')) {
+      url.searchParams.set('state', this.state());
+    }
+    this.authorization_url = url.toString();
+  }
+
+  async saveCodeVerifier(code_verifier) {
+    if (!this.interactive) return;
+    await saveCredentials(this.server, { code_verifier });
+  }
+
+  async codeVerifier() {
+    const { code_verifier } = await loadCredentials(this.server);
+    if (!code_verifier) throw new Error('No pending OAuth authorization');
+    return code_verifier;
+  }
+}
+
+/**
+ * 开始授权: 已有可刷新的令牌时直接刷新, 否则返回需要用户打开的授权地址
+ * @param {Object} server McpServer
+ * @returns {Promise<{ authorized: boolean, authorization_url?: string }>}
+ */
+const startAuthorization = async (server) => {
+  const { auth } = await import('@modelcontextprotocol/sdk/client/auth.js');
+  const provider = new McpOAuthProvider(server, { interactive: true });
+  const { scope } = server.oauth || {};
+  const result = await auth(provider, { serverUrl: server.url, scope });
+  if (result === 'AUTHORIZED') return { authorized: true };
+  return { authorized: false, authorization_url: provider.authorization_url };
+};
+
+/**
+ * 授权回调: 用授权码换取令牌
+ * @param {string} state
+ * @param {string} code
+ * @returns {Promise<Object>} 完成授权的 McpServer
+ */
+const finishAuthorization = async (state, code) => {
+  const McpServer = require('@src/models/McpServer');
+  const pending = pendingStates.get(state);
+  pendingStates.delete(state);
+  if (!pending || pending.expires_at < Date.now()) {
+    throw new Error('OAuth authorization expired or unknown state, start the authorization again');
+  }
+  const server = await McpServer.findOne({ where: { id: pending.server_id, user_id: pending.user_id } });
+  if (!server) throw new Error('Mcp Server does not exist');
+
+  const { auth } = await import('@modelcontextprotocol/sdk/client/auth.js');
+  const provider = new McpOAuthProvider(server, { interactive: true });
+  const result = await auth(provider, { serverUrl: server.url, authorizationCode: code });
+  if (result !== 'AUTHORIZED') throw new Error(`OAuth authorization of ${server.name} failed`);
+  await saveCredentials(server, { code_verifier: null });
+  return server;
+};
+
+/**
+ * @param {Object} server McpServer
+ */
+const getAuthorizationStatus = async (server) => {
+  const { tokens, tokens_saved_at } = await loadCredentials(server);
+  const status = { auth_type: server.auth_type || 'none', authorized: !!(tokens && tokens.access_token) };
+  if (status.authorized) {
+    status.scope = tokens.scope || null;
+    status.refreshable = !!tokens.refresh_token;
+    status.expires_at = tokens.expires_in && tokens_saved_at ? tokens_saved_at + tokens.expires_in * 1000 : null;
+  }
+  return status;
+};
+
+const revokeAuthorization = async (server) => {
+  await deleteSecret(server.user_id, credentialName(server), OAUTH_KIND);
+};
+
+/**
+ * 创建 / 更新服务后调用: 明文 client_secret 加密保存, McpServer.oauth 中替换为 ${secret:NAME}
+ * @param {Object} server McpServer
+ */
+const storeClientSecret = async (server) => {
+  const oauth = server.oauth || {};
+  const { client_secret } = oauth;
+  if (!client_secret || listSecretRefs(client_secret).length > 0) return server;
+  const name = clientSecretName(server);
+  await setSecret(server.user_id, name, client_secret, { description: `OAuth client secret of MCP server ${server.name}` });
+  await server.update({ oauth: { ...oauth, client_secret: `\${secret:${name}}` } });
+  return server;
+};
+
+// 删除服务时调用
+const deleteClientSecret = async (server) => {
+  await deleteSecret(server.user_id, clientSecretName(server));
+};
+
+module.exports = exports = {
+  McpOAuthProvider,
+  startAuthorization,
+  finishAuthorization,
+  getAuthorizationStatus,
+  revokeAuthorization,
+  storeClientSecret,
+  deleteClientSecret,
+};
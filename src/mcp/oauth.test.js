@@ -0,0 +1,43 @@
+require('module-alias/register');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'mcp-oauth-test';
+
+const Secret = require('@src/models/Secret');
+const { decrypt } = require('@src/secret/index');
+const { storeClientSecret } = require('./oauth');
+
+const fakeServer = (oauth) => ({
+  id: 7,
+  user_id: 1,
+  name: 'github',
+  oauth,
+  async update(data) {
+    Object.assign(this, data);
+  },
+});
+
+describe('mcp oauth client secret', () => {
+  afterEach(() => sinon.restore());
+
+  it('should store a plaintext client_secret as an encrypted secret reference', async () => {
+    sinon.stub(Secret, 'findOne').resolves(null);
+    const create = sinon.stub(Secret, 'create').callsFake(async (data) => data);
+
+    const server = await storeClientSecret(fakeServer({ client_id: 'abc', client_secret: 's3cret' }));
+    expect(server.oauth).to.deep.equal({ client_id: 'abc', client_secret: '${secret:mcp_server_7_client_secret}' });
+    const saved = create.firstCall.args[0];
+    expect(saved).to.include({ user_id: 1, name: 'mcp_server_7_client_secret', kind: 'secret' });
+    expect(saved.value).to.not.include('s3cret');
+    expect(decrypt(saved.value)).to.equal('s3cret');
+  });
+
+  it('should keep existing secret references', async () => {
+    const create = sinon.stub(Secret, 'create');
+    const server = await storeClientSecret(fakeServer({ client_id: 'abc', client_secret: '${secret:GITHUB_CLIENT}' }));
+    expect(server.oauth.client_secret).to.equal('${secret:GITHUB_CLIENT}');
+    await storeClientSecret(fakeServer({ client_id: 'abc' }));
+    expect(create.called).to.equal(false);
+  });
+});
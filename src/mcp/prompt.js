@@ -26,20 +26,42 @@ const resolveMcpPrompt = async (tools = []) => {
 }
 
 const mcp_client = require('./client');
+// 启动或列出工具失败的服务单独列出, 避免模型编造这些服务的调用结果
 const loadAllTools = async (servers = []) => {
   const all_tools = []
+  const unavailable = []
   for (const server of servers) {
-    const tools = await mcp_client.listToolsImpl(server)
-    all_tools.push(...tools)
+    try {
+      const tools = await mcp_client.listToolsImpl(server)
+      all_tools.push(...tools)
+    } catch (error) {
+      unavailable.push({ name: server.name, error: error?.message || String(error) })
+    }
+  }
+  return { tools: all_tools, unavailable };
+}
+
+const resolveUnavailablePrompt = (unavailable = []) => {
+  if (unavailable.length === 0) {
+    return ''
   }
-  return all_tools;
+  const lines = unavailable.map(item => `- ${item.name}: ${item.error}`)
+  return `
+=== unavailable mcp servers ===
+These MCP servers are down, their tools cannot be called. Do not guess or invent their results: use other tools, or report that the server is unavailable.
+${lines.join('\n')}
+===`
 }
 
 const resolveMcpServerPrompt = async (servers = []) => {
   if (servers.length === 0) {
     return ''
   }
-  const tools = await loadAllTools(servers);
+  const { tools, unavailable } = await loadAllTools(servers);
+  const unavailable_prompt = resolveUnavailablePrompt(unavailable);
+  if (tools.length === 0) {
+    return unavailable_prompt
+  }
   const mcp_tool_prompt = await resolveMcpPrompt(tools);
   const mcp_guide_prompt = `
 ${mcp_tool_prompt}
@@ -48,12 +70,49 @@ ${mcp_tool_prompt}
   <name>tool name</name>
   <arguments> {json_format args} </arguments>
 </mcp_tool>
-===`
+===${unavailable_prompt}`
   return mcp_guide_prompt
 }
 
+// 每个服务在提示词中最多列出的资源数
+const MAX_PROMPT_RESOURCES = 50;
+
+const resolveMcpResourcePrompt = async (servers = []) => {
+  const lines = [];
+  for (const server of servers) {
+    let resources = [];
+    try {
+      resources = await mcp_client.listResources(server);
+    } catch (error) {
+      console.error(`[MCP] Failed to list resources for server: ${server.name}`, error?.message);
+    }
+    for (const resource of resources.slice(0, MAX_PROMPT_RESOURCES)) {
+      const title = resource.name && resource.name !== resource.uri ? ` (${resource.name})` : '';
+      const description = resource.description ? `: ${resource.description}` : '';
+      lines.push(`- [${server.name}] ${resource.uri}${title}${description}`);
+    }
+    if (resources.length > MAX_PROMPT_RESOURCES) {
+      lines.push(`- [${server.name}] ... ${resources.length - MAX_PROMPT_RESOURCES} more resources`);
+    }
+  }
+  if (lines.length === 0) {
+    return ''
+  }
+  return `
+=== mcp resources ===
+Resources exposed by MCP servers, read them with mcp_resource when they are relevant to the task:
+${lines.join('\n')}
+=== mcp_resource call format ===
+<mcp_resource>
+  <server>server name</server>
+  <uri>resource uri</uri>
+</mcp_resource>
+===`
+}
+
 module.exports = exports = {
   resolveMcpToolPrompt,
   resolveMcpPrompt,
-  resolveMcpServerPrompt
+  resolveMcpServerPrompt,
+  resolveMcpResourcePrompt
 }
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * MCP resources: 在 Agent 中读取 (mcp_resource), 或作为附件加入会话 (与上传文件相同, 见 routers/mcp_server/resource.js)
+ */
+const path = require('path');
+
+const DEFAULT_MAX_CHARS = 20000;
+
+const MIME_EXTENSIONS = {
+  'text/plain': '.txt',
+  'text/markdown': '.md',
+  'text/html': '.html',
+  'text/csv': '.csv',
+  'application/json': '.json',
+  'application/xml': '.xml',
+  'text/xml': '.xml',
+  'application/pdf': '.pdf',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+};
+
+/**
+ * readResource 返回的 contents => 提供给模型的文本, 二进制内容只给出描述
+ * @param {Array<{ uri: string, mimeType?: string, text?: string, blob?: string }>} contents
+ * @param {{ max_chars?: number }} [options]
+ */
+const resourceContentsToText = (contents = [], options = {}) => {
+  const max_chars = options.max_chars || DEFAULT_MAX_CHARS;
+  const parts = contents.map(content => {
+    if (typeof content.text === 'string') {
+      return contents.length > 1 ? `--- ${content.uri} ---\n${content.text}` : content.text;
+    }
+    const size = content.blob ? Buffer.from(content.blob, 'base64').length : 0;
+    return `[binary resource ${content.uri}${content.mimeType ? ` (${content.mimeType})` : ''}, ${size} bytes]`;
+  });
+  const text = parts.join('\n\n');
+  if (text.length <= max_chars) return text;
+  return `${text.slice(0, max_chars)}\n... [truncated, ${text.length - max_chars} more characters]`;
+};
+
+/**
+ * @param {{ uri: string, mimeType?: string, text?: string, blob?: string }} content
+ * @returns {Buffer}
+ */
+const contentToBuffer = (content = {}) => {
+  if (typeof content.text === 'string') return Buffer.from(content.text, 'utf8');
+  return Buffer.from(content.blob || '', 'base64');
+};
+
+/**
+ * 附件文件名: 优先使用 resource.name, 其次 uri 的最后一段, 没有扩展名时按 mimeType 补全
+ * @param {{ uri: string, name?: string, mimeType?: string }} resource
+ */
+const resolveResourceFilename = (resource = {}) => {
+  let base = resource.name || '';
+  if (!base) {
+    const uri = String(resource.uri || '').replace(/[?#].*$/, '').replace(/\/+$/, '');
+    base = uri.split(/[/:]/).filter(Boolean).pop() || '';
+    try {
+      base = decodeURIComponent(base);
+    } catch (error) {
+      // 保留原始字符串
+    }
+  }
+  base = base.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').replace(/^\.+/, '').trim().slice(0, 120) || 'resource';
+  if (!path.extname(base)) {
+    const mime = String(resource.mimeType || '').split(';')[0].trim().toLowerCase();
+    base += MIME_EXTENSIONS[mime] || (mime.startsWith('text/') ? '.txt' : '');
+  }
+  return base;
+};
+
+/**
+ * 读取资源文本 (Agent 使用)
+ * @param {Object} server McpServer
+ * @param {string} uri
+ */
+const readResourceText = async (server, uri, options = {}) => {
+  const mcp_client = require('./client');
+  const { contents } = await mcp_client.getResource({ server, uri });
+  if (!contents || contents.length === 0) return `Resource ${uri} is empty.`;
+  return resourceContentsToText(contents, options);
+};
+
+/**
+ * 把资源保存到用户上传目录并创建 File 记录, 之后与上传的文件一样通过 fileIds 加入会话
+ * @param {Object} server McpServer
+ * @param {{ uri: string, user_id: number|string, conversation_id?: string }} options
+ */
+const attachResource = async (server, { uri, user_id, conversation_id = '' }) => {
+  const fs = require('fs');
+  const File = require('@src/models/File');
+  const { getDirpath } = require('@src/utils/electron');
+  const { isSupportedDocument, indexFile } = require('@src/document/index');
+  const mcp_client = require('./client');
+
+  const { contents } = await mcp_client.getResource({ server, uri });
+  if (!contents || contents.length === 0) {
+    throw new Error(`Resource ${uri} is empty`);
+  }
+  const content = contents[0];
+  const listed = (await mcp_client.listResources(server)).find(item => item.uri === uri) || {};
+  const buffer = contents.length > 1
+    ? Buffer.from(resourceContentsToText(contents, { max_chars: Infinity }), 'utf8')
+    : contentToBuffer(content);
+
+  const WORKSPACE_DIR = getDirpath(process.env.WORKSPACE_DIR || 'workspace', user_id);
+  const upload_dir = path.join(WORKSPACE_DIR, 'upload');
+  fs.mkdirSync(upload_dir, { recursive: true });
+  const filename = resolveResourceFilename({ uri, name: listed.name, mimeType: content.mimeType || listed.mimeType });
+  // 与已有文件重名时加上序号, 不覆盖用户上传的文件
+  const ext = path.extname(filename);
+  const stem = filename.slice(0, filename.length - ext.length);
+  let name = filename;
+  for (let i = 1; fs.existsSync(path.join(upload_dir, name)); i++) {
+    name = `${stem}_${i}${ext}`;
+  }
+  fs.writeFileSync(path.join(upload_dir, name), buffer);
+
+  const file = await File.create({
+    user_id,
+    url: `upload/${name}`,
+    name,
+    conversation_id,
+    index_status: isSupportedDocument(name) ? 'pending' : 'unsupported',
+  });
+  if (file.index_status === 'pending') {
+    indexFile(file.get({ plain: true }), user_id);
+  }
+  return file;
+};
+
+module.exports = exports = {
+  resourceContentsToText,
+  contentToBuffer,
+  resolveResourceFilename,
+  readResourceText,
+  attachResource,
+};
@@ -0,0 +1,42 @@
+const { expect } = require('chai');
+
+const { resourceContentsToText, resolveResourceFilename } = require('./resource');
+const { toChatRequest, toSamplingResult } = require('./sampling');
+
+describe('mcp resources and sampling', () => {
+  it('describes binary contents and truncates long text', () => {
+    const blob = Buffer.from('abc').toString('base64');
+    expect(resourceContentsToText([{ uri: 'file:///a.txt', text: 'hello' }])).to.equal('hello');
+    expect(resourceContentsToText([
+      { uri: 'file:///a.txt', text: 'hello' },
+      { uri: 'file:///b.png', mimeType: 'image/png', blob },
+    ])).to.equal('--- file:///a.txt ---\nhello\n\n[binary resource file:///b.png (image/png), 3 bytes]');
+    expect(resourceContentsToText([{ uri: 'x', text: 'abcdef' }], { max_chars: 4 })).to.equal('abcd\n... [truncated, 2 more characters]');
+  });
+
+  it('derives a safe attachment filename', () => {
+    expect(resolveResourceFilename({ uri: 'file:///docs/Read%20Me.md' })).to.equal('Read Me.md');
+    expect(resolveResourceFilename({ uri: 'postgres://db/users/schema', mimeType: 'application/json' })).to.equal('schema.json');
+    expect(resolveResourceFilename({ uri: 'notes://1', name: '../secret:notes', mimeType: 'text/plain' })).to.equal('_secret_notes.txt');
+    expect(resolveResourceFilename({ uri: '' })).to.equal('resource');
+  });
+
+  it('maps sampling requests to chat messages', () => {
+    const { messages, options } = toChatRequest({
+      systemPrompt: 'Be brief',
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Summarize' } },
+        { role: 'assistant', content: { type: 'image', mimeType: 'image/png', data: 'xx' } },
+      ],
+      maxTokens: 100000,
+      stopSequences: ['END'],
+    });
+    expect(messages).to.deep.equal([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Summarize' },
+      { role: 'assistant', content: '[image image/png omitted]' },
+    ]);
+    expect(options).to.deep.equal({ temperature: 0, max_tokens: 4096, stop: ['END'] });
+    expect(toSamplingResult('ok', 'gpt')).to.deep.equal({ role: 'assistant', content: { type: 'text', text: 'ok' }, model: 'gpt', stopReason: 'endTurn' });
+  });
+});
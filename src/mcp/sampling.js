@@ -0,0 +1,90 @@
+/**
+ * MCP sampling: 服务端通过 sampling/createMessage 请求客户端调用模型
+ * 请求按发起工具调用的会话路由到该会话配置的模型 (utils/llm.js, 计入会话用量与 LLMLogs)
+ *
+ * 默认关闭 (服务端可以借此使用会话的模型与额度), ENABLE_MCP_SAMPLING=ON 时声明 sampling 能力
+ * MCP_SAMPLING_MAX_TOKENS 限制单次请求的 maxTokens
+ */
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+const isSamplingEnabled = () => String(process.env.ENABLE_MCP_SAMPLING || 'OFF').toUpperCase() === 'ON';
+
+const contentToText = (content) => {
+  if (!content) return '';
+  if (Array.isArray(content)) return content.map(contentToText).filter(Boolean).join('\n');
+  if (content.type === 'text') return content.text || '';
+  // 图片 / 音频等非文本内容只保留描述
+  return `[${content.type || 'content'}${content.mimeType ? ` ${content.mimeType}` : ''} omitted]`;
+};
+
+/**
+ * sampling/createMessage 的参数 => chat/completions messages 与调用选项
+ * @param {{ messages: Array<{ role: string, content: any }>, systemPrompt?: string, maxTokens?: number, temperature?: number, stopSequences?: string[] }} params
+ */
+const toChatRequest = (params = {}) => {
+  const messages = [];
+  if (params.systemPrompt) {
+    messages.push({ role: 'system', content: params.systemPrompt });
+  }
+  for (const message of params.messages || []) {
+    messages.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content: contentToText(message.content) });
+  }
+  const limit = parseInt(process.env.MCP_SAMPLING_MAX_TOKENS || '', 10) || DEFAULT_MAX_TOKENS;
+  const options = {
+    temperature: typeof params.temperature === 'number' ? params.temperature : 0,
+    max_tokens: Math.min(Number(params.maxTokens) || limit, limit),
+  };
+  if (Array.isArray(params.stopSequences) && params.stopSequences.length > 0) {
+    options.stop = params.stopSequences;
+  }
+  return { messages, options };
+};
+
+/**
+ * @param {string} content 模型输出
+ * @param {string} model
+ */
+const toSamplingResult = (content = '', model = 'unknown') => {
+  return {
+    role: 'assistant',
+    content: { type: 'text', text: content },
+    model,
+    stopReason: 'endTurn',
+  };
+};
+
+/**
+ * 使用会话模型完成 sampling 请求
+ * @param {Object} params sampling/createMessage 的参数
+ * @param {{ conversation_id: string, server_name?: string }} options
+ */
+const createMessage = async (params, { conversation_id, server_name }) => {
+  const call = require('@src/utils/llm');
+  const resolveThinking = require('@src/utils/thinking');
+  const { getDefaultModel } = require('@src/utils/default_model');
+
+  const { messages, options } = toChatRequest(params);
+  console.log(`[MCP] Sampling request from ${server_name} for conversation ${conversation_id} (${messages.length} messages)`);
+  // prompt 为空, 最后一条 user 消息已经在 messages 中
+  let content = await call('', conversation_id, 'assistant', { ...options, messages }, () => { });
+  if (typeof content !== 'string') content = JSON.stringify(content);
+  if (content.startsWith('<think>')) {
+    content = resolveThinking(content).content || '';
+  }
+  let model = 'unknown';
+  try {
+    const model_info = await getDefaultModel(conversation_id);
+    if (model_info) model = model_info.model_name;
+  } catch (error) {
+    // 模型名只用于返回给服务端
+  }
+  return toSamplingResult(content.trim(), model);
+};
+
+module.exports = exports = {
+  isSamplingEnabled,
+  toChatRequest,
+  toSamplingResult,
+  createMessage,
+};
@@ -0,0 +1,75 @@
+/**
+ * MCP 服务守护: 定时 ping 已启动的服务, 按退避策略重启断开 / 崩溃的服务
+ *
+ * - MCP_HEALTH_CHECK=OFF 关闭
+ * - MCP_HEALTH_INTERVAL_MS: 检查间隔, 默认 60s
+ * - 未启动的服务 (还没有被调用过) 不会被主动启动
+ */
+const { health, healthKey } = require('./health');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const isHealthCheckEnabled = () => String(process.env.MCP_HEALTH_CHECK || 'ON').toUpperCase() !== 'OFF';
+
+/**
+ * 检查单个服务
+ * @param {Object} server McpServer
+ */
+const superviseServer = async (server) => {
+  const mcp_client = require('./client');
+  const key = healthKey(server);
+  if (health.shouldRestart(key)) {
+    try {
+      await mcp_client.restartServer(server);
+      health.recordRestart(key, { ok: true });
+      console.log(`[MCP] Restarted server: ${server.name}`);
+    } catch (error) {
+      health.recordRestart(key, { ok: false, error });
+      console.error(`[MCP] Failed to restart server ${server.name}:`, error?.message);
+    }
+    return;
+  }
+  if (mcp_client.hasClient(server)) {
+    await mcp_client.pingServer(server);
+  }
+};
+
+const checkServers = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const McpServer = require('@src/models/McpServer');
+    const servers = await McpServer.findAll({ where: { activate: true } });
+    for (const server of servers) {
+      await superviseServer(server);
+    }
+  } catch (error) {
+    console.error('[MCP] Health check failed:', error?.message);
+  } finally {
+    running = false;
+  }
+};
+
+const startSupervisor = () => {
+  if (timer || !isHealthCheckEnabled()) return;
+  const interval = parseInt(process.env.MCP_HEALTH_INTERVAL_MS || '', 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(checkServers, interval);
+  // 不阻止进程退出
+  timer.unref();
+  console.log(`[MCP] Health check every ${interval}ms`);
+};
+
+const stopSupervisor = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = exports = {
+  superviseServer,
+  checkServers,
+  startSupervisor,
+  stopSupervisor,
+};
@@ -0,0 +1,44 @@
+const resolveServers = require('./server');
+const { readResourceText } = require('./resource');
+
+const mcp_resource = {
+  name: "mcp_resource",
+  description: "mcp_resource: read a resource (file, document, record...) exposed by an MCP server, see the mcp resources list",
+  params: {
+    type: "object",
+    properties: {
+      server: {
+        type: "string",
+        description: "MCP server name"
+      },
+      uri: {
+        type: "string",
+        description: "resource uri"
+      }
+    },
+    required: ["server", "uri"]
+  },
+  memorized: true,
+  getActionDescription({ server, uri }) {
+    return `${server} ${uri}`;
+  },
+  async execute(params = {}, uuid, context = {}) {
+    const { server: name, uri } = params;
+    const servers = await resolveServers(context);
+    const server = servers.find(item => item.name === name);
+    if (!server) {
+      throw new Error(`MCP server "${name}" is not available, available servers: ${servers.map(item => item.name).join(', ') || 'none'}`);
+    }
+    const content = await readResourceText(server, uri);
+    return {
+      uuid,
+      status: 'success',
+      content,
+      meta: {
+        action_type: 'mcp_resource',
+      }
+    };
+  }
+}
+
+module.exports = mcp_resource;
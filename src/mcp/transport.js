@@ -1,4 +1,28 @@
 const getBinaryPath = require('./binary');
+const { resolveSecrets } = require('@src/secret/index');
+
+// 远程服务使用 OAuth 时的 authProvider
+const resolveAuthProvider = (server) => {
+  if (server.auth_type !== 'oauth') return undefined;
+  const { McpOAuthProvider } = require('./oauth');
+  return new McpOAuthProvider(server);
+};
+
+/**
+ * 连接前解密 ${secret:NAME} 引用, 返回新的配置对象 (不修改数据库记录)
+ * mcp-local.json 中的服务没有 user_id, 不做替换
+ */
+const resolveServerSecrets = async (server = {}) => {
+  const plain = typeof server.get === 'function' ? server.get({ plain: true }) : { ...server };
+  if (!plain.user_id) return plain;
+  const { url, headers, env, args } = await resolveSecrets(plain.user_id, {
+    url: plain.url,
+    headers: plain.headers,
+    env: plain.env,
+    args: plain.args,
+  });
+  return { ...plain, url, headers, env, args };
+};
 
 const initStreamTransport = async (server = {}) => {
   const sse_url = server.url;
@@ -6,6 +30,7 @@ const initStreamTransport = async (server = {}) => {
     const { StreamableHTTPClientTransport } = await import('@modelcontextprotocol/sdk/client/streamableHttp')
     const options = {
       requestInit: { headers: server.headers || {} },
+      authProvider: resolveAuthProvider(server),
     };
     return new StreamableHTTPClientTransport(new URL(sse_url), options);
   } else if (server.type === 'sse') {
@@ -17,6 +42,7 @@ const initStreamTransport = async (server = {}) => {
       //   },
       // },
       requestInit: { headers: server.headers || {} },
+      authProvider: resolveAuthProvider(server),
     };
     const { SSEClientTransport } = await import('@modelcontextprotocol/sdk/client/sse.js');
     console.log(sse_url);
@@ -60,7 +86,8 @@ const initStdioTransport = async (server = {}) => {
   return stdioTransport;
 }
 
-const initTransport = async (server = {}) => {
+const initTransport = async (config = {}) => {
+  const server = await resolveServerSecrets(config);
   if (server.url) {
     const transport = await initStreamTransport(server);
     return transport
@@ -30,6 +30,30 @@ const fields = {
     type: DataTypes.JSON,
     allowNull: true,
   },
+  enabled_tools: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null,
+    comment: '启用的工具名列表, 为空表示不限制'
+  },
+  disabled_tools: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: [],
+    comment: '禁用的工具名列表'
+  },
+  approval_policy: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null,
+    comment: '高风险 action 审批策略, 为空时使用 approval-policy.json'
+  },
+  budget: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: null,
+    comment: 'token / 费用 / 时间预算, 为空时使用 BUDGET_* 环境变量'
+  },
   is_public: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
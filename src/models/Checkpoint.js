@@ -0,0 +1,48 @@
+const sequelize = require('./index.js');
+const { DataTypes } = require("sequelize");
+const BaseModel = require('./BaseModel.js');
+
+class Checkpoint extends BaseModel { }
+
+Checkpoint.init({
+  conversation_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Conversation ID'
+  },
+  seq: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '会话内递增序号'
+  },
+  task_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: '当前任务ID'
+  },
+  action_type: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '触发检查点的 action'
+  },
+  tasks: {
+    type: DataTypes.JSON,
+    comment: '任务计划 (含状态)'
+  },
+  memory: {
+    type: DataTypes.JSON,
+    comment: '未完成任务的 LocalMemory 消息 { task_id: messages }'
+  },
+  workspace: {
+    type: DataTypes.JSON,
+    comment: '工作区快照 manifest'
+  },
+}, {
+  sequelize,
+  tableName: 'checkpoint',
+  timestamps: false,
+  comment: 'Agent 执行检查点'
+});
+
+module.exports = exports = Checkpoint;
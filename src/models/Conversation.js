@@ -64,6 +64,22 @@ const fields = {
     comment: '消耗的积分',
     defaultValue: 0
   },
+  cost: {
+    type: DataTypes.DECIMAL(14, 6),
+    allowNull: true,
+    comment: '按模型价格估算的费用',
+    defaultValue: 0
+  },
+  budget: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '会话预算 (覆盖 Agent.budget)'
+  },
+  workspace_source: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '导入的项目 { type, mode, source, name, file_count, imported_at }'
+  },
   create_at: {
     type: DataTypes.DATE,
     allowNull: false,
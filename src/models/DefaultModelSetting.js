@@ -31,6 +31,11 @@ const fields = {
     allowNull: false,
     comment: 'Configuration Information'
   },
+  fallback_model_ids: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '回退模型 ID 列表 (按顺序: secondary, tertiary ...)'
+  },
   create_at: {
     type: DataTypes.DATE,
     allowNull: false,
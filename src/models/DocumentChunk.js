@@ -0,0 +1,65 @@
+const sequelize = require('./index.js');
+const { DataTypes } = require("sequelize");
+const BaseModel = require('./BaseModel.js');
+
+class DocumentChunk extends BaseModel { }
+
+DocumentChunk.init({
+  file_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'File ID'
+  },
+  file_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: '文件名'
+  },
+  chunk_index: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '文件内序号'
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '分块内容'
+  },
+  page: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'PDF 页码'
+  },
+  sheet: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'XLSX 工作表'
+  },
+  line_start: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '起始行 (PDF 为页内行号, XLSX 为行号)'
+  },
+  line_end: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '结束行'
+  },
+  embedding: {
+    type: DataTypes.JSON,
+    comment: '语义检索向量'
+  },
+  embedding_key: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: '向量来源 provider:model'
+  },
+}, {
+  sequelize,
+  tableName: 'document_chunk',
+  timestamps: false,
+  comment: '上传文档的检索分块'
+});
+
+module.exports = exports = DocumentChunk;
@@ -31,6 +31,11 @@ const fields = {
     allowNull: false,
     comment: 'Title'
   },
+  index_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: '文档检索索引状态: pending | indexed | unsupported | failed'
+  },
   create_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -34,6 +34,21 @@ const fields = {
     defaultValue: false,
     comment: '是否通过学习其他agent的knowledge而来'
   },
+  embedding: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '语义检索向量'
+  },
+  embedding_key: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: '向量来源 provider:model'
+  },
+  embedding_hash: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    comment: '计算向量时的 content sha1, 内容变化后重新计算'
+  },
   create_at: {
     type: DataTypes.DATE,
     allowNull: false,
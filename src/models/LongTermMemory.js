@@ -0,0 +1,92 @@
+const sequelize = require('./index.js');
+const { Model, DataTypes } = require("sequelize");
+
+class LongTermMemoryTable extends Model { }
+
+const fields = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Memory ID'
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: '用户ID'
+  },
+  agent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Agent ID, 为空时对该用户的所有 Agent 生效'
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '一条长期有效的事实, 例如 "user prefers pnpm"'
+  },
+  category: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    defaultValue: 'fact',
+    comment: 'preference | environment | project | fact'
+  },
+  source: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    defaultValue: 'auto',
+    comment: 'auto: 从对话中提取 / manual: 用户添加或修改'
+  },
+  conversation_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '提取来源的 Conversation ID'
+  },
+  embedding: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '语义检索向量'
+  },
+  embedding_key: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: '向量来源 provider:model'
+  },
+  embedding_hash: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    comment: '计算向量时的 content sha1, 内容变化后重新计算'
+  },
+  recall_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: '被注入规划提示词的次数'
+  },
+  last_recalled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last Recalled At'
+  },
+  create_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    comment: 'Created At'
+  },
+  update_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    comment: 'Updated At'
+  }
+};
+
+LongTermMemoryTable.init(fields, {
+  sequelize,
+  modelName: 'long_term_memory',
+  timestamps: false
+});
+
+module.exports = exports = LongTermMemoryTable;
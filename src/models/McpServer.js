@@ -63,6 +63,22 @@ const fields = {
     allowNull: true,
     comment: 'Environment Variables'
   },
+  headers: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'HTTP Headers (sse / streamableHttp), 值可以引用 ${secret:NAME}'
+  },
+  auth_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    defaultValue: 'none',
+    comment: '认证方式: none / oauth (OAuth 2.1 authorization code + PKCE)'
+  },
+  oauth: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'OAuth 配置 { scope, client_id, client_secret }, client_secret 只保存 ${secret:NAME} 引用, 未配置 client_id 时动态注册; 令牌加密保存在 secret 表'
+  },
   api_key: {
     type: DataTypes.STRING(255),
     allowNull: true,
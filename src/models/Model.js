@@ -40,6 +40,27 @@ const fields = {
     type: DataTypes.JSON,
     comment: 'Model Types'
   },
+  tool_call_mode: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    defaultValue: 'xml',
+    comment: 'Tool Call Mode: xml | native'
+  },
+  input_price: {
+    type: DataTypes.DECIMAL(14, 6),
+    allowNull: true,
+    comment: '输入价格 (每 1M tokens), 用于预算控制'
+  },
+  output_price: {
+    type: DataTypes.DECIMAL(14, 6),
+    allowNull: true,
+    comment: '输出价格 (每 1M tokens), 用于预算控制'
+  },
+  context_window: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '上下文窗口 (tokens), 决定 LocalMemory 的压缩预算'
+  },
   create_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -0,0 +1,69 @@
+const sequelize = require('./index.js');
+const { Model, DataTypes } = require("sequelize");
+
+class ResearchSourceTable extends Model { }
+
+const fields = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Source ID'
+  },
+  conversation_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Conversation ID'
+  },
+  source_no: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '研究过程中的发现顺序'
+  },
+  cited_no: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '报告中的引用编号 [n], 为空表示未被引用'
+  },
+  url: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'Source URL'
+  },
+  title: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+    comment: 'Page Title'
+  },
+  snippets: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '使用的摘录 [{ text, sub_question, origin: search | read }]'
+  },
+  sub_questions: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '检索到该来源的子问题'
+  },
+  read: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: '是否读取过网页正文'
+  },
+  create_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    comment: 'Created At'
+  }
+};
+
+ResearchSourceTable.init(fields, {
+  sequelize,
+  modelName: 'research_source',
+  timestamps: false
+});
+
+module.exports = exports = ResearchSourceTable;
@@ -0,0 +1,60 @@
+const sequelize = require('./index.js');
+const { Model, DataTypes } = require("sequelize");
+
+class SecretTable extends Model { }
+
+const fields = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    allowNull: false,
+    comment: 'Secret ID'
+  },
+  user_id: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: '用户ID'
+  },
+  name: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    comment: 'Secret Name, 通过 ${secret:NAME} 引用'
+  },
+  kind: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    defaultValue: 'secret',
+    comment: 'secret: 用户定义 / mcp_oauth: MCP 服务的 OAuth 凭据'
+  },
+  value: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '加密后的值 (AES-256-GCM)'
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Description'
+  },
+  create_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    comment: 'Created At'
+  },
+  update_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW,
+    comment: 'Updated At'
+  }
+};
+
+SecretTable.init(fields, {
+  sequelize,
+  modelName: 'secret',
+  timestamps: false
+});
+
+module.exports = exports = SecretTable;
@@ -51,6 +51,11 @@ const fields = {
     type: DataTypes.TEXT('long'),
     allowNull: true,
   },
+  depends_on: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '依赖的任务ID列表, 为空时按顺序执行'
+  },
   create_at: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -17,6 +17,11 @@ const Agent = require('./Agent');
 const FileVersion = require('./FileVersion');
 const Knowledge = require('./Knowledge');
 const User = require('./User');
+const Checkpoint = require('./Checkpoint');
+const DocumentChunk = require('./DocumentChunk');
+const Secret = require('./Secret');
+const LongTermMemory = require('./LongTermMemory');
+const ResearchSource = require('./ResearchSource');
 
 const tableSync = async () => {
   await Conversation.sync({ alter: true });
@@ -35,6 +40,11 @@ const tableSync = async () => {
   await FileVersion.sync({ alter: true });
   await Knowledge.sync({ alter: true });
   await User.sync({ alter: true });
+  await Checkpoint.sync({ alter: true });
+  await DocumentChunk.sync({ alter: true });
+  await Secret.sync({ alter: true });
+  await LongTermMemory.sync({ alter: true });
+  await ResearchSource.sync({ alter: true });
 }
 
 const dataSync = async () => {
@@ -195,6 +205,44 @@ const dataUpdate = async () => {
   await Platform.update({ is_enabled: true }, { where: { name: 'Lemon' } })
   SearchProviderTable.destroy({ where: { name: 'Baidu' } });
   SearchProviderTable.destroy({ where: { name: 'Bing' } });
+
+  // 本地 mock 平台, 测试与离线开发使用 (completion/llm.mock.js)
+  const platform_mock = await Platform.findOne({ where: { name: 'Mock' } })
+  if (!platform_mock) {
+    const mockPlatform = defaultData.find(item => item.name === 'Mock')
+    const platformData = {
+      name: mockPlatform.name,
+      logo_url: mockPlatform.logo_url,
+      source_type: 'system',
+      api_key: mockPlatform.api_key,
+      api_url: mockPlatform.api_url,
+      api_version: mockPlatform.api_version,
+      key_obtain_url: mockPlatform.key_obtain_url,
+    };
+    const platform = await Platform.create(platformData);
+    const modelsData = mockPlatform.models.map(model => ({
+      // @ts-ignore
+      platform_id: platform.id,
+      logo_url: model.logo_url,
+      model_id: model.model_id,
+      model_name: model.model_name,
+      group_name: model.group_name,
+      model_types: model.model_types,
+    }));
+    await Model.bulkCreate(modelsData);
+  }
+
+  // 搜索 SDK (src/search) 新增的 provider
+  for (const name of ['SearXNG', 'Brave', 'Meta']) {
+    const exists = await SearchProviderTable.findOne({ where: { name } });
+    if (exists) continue;
+    const item = defaultSearchProviderData.find(provider => provider.name === name);
+    await SearchProviderTable.create({
+      name: item.name,
+      logo_url: item.logo_url,
+      base_config_schema: item.base_config_schema,
+    });
+  }
 }
 
 const sync = async () => {
@@ -0,0 +1,208 @@
+/**
+ * read_url 内容抽取
+ *
+ * - HTML: readability 风格的正文抽取, 输出 Markdown (./readable.js); 自动跟随 "下一页" 链接, 最多 READ_URL_MAX_PAGES 页 (默认 3)
+ * - PDF: 逐页抽取文本
+ * - 抽取后的完整正文缓存在磁盘 (Caches/read_url, READ_URL_CACHE_TTL 秒, 默认 3600, 0 关闭), 同一会话分页读取同一 URL 时不再重复请求
+ * - 直接请求只允许 http(s) 公网地址: 每次连接检查 DNS 解析结果, 手动跟随重定向并逐跳检查, 内网地址只能通过沙箱浏览器访问
+ * - offset / length 按字符分页 (READ_URL_PAGE_LENGTH, 默认 20000)
+ * - 直接请求失败或正文过短 (需要执行 JS 的页面) 时抛出异常, 由调用方改用浏览器抓取, 抓取结果通过 readFromBrowser 使用同样的抽取与分页
+ *
+ * @typedef {{ url: string, final_url: string, status: number|string, type: 'html'|'pdf'|'text', title: string, content: string, pages: string[] }} ReadDocument
+ * @typedef {ReturnType<typeof import('./reader.util').paginate> & Omit<ReadDocument, 'content'> & { cached: boolean }} ReadResult
+ */
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+
+const { getDirpath } = require('@src/utils/electron');
+const { createTtlCache } = require('@src/utils/ttl_cache');
+const { extractReadable } = require('./readable');
+const {
+  resolveReaderOptions,
+  paginate,
+  isPdf,
+  isHtml,
+  pickNextPageLink,
+  buildCacheKey,
+  isBlockedAddress,
+  assertFetchableUrl,
+  formatReadContent,
+  buildReadMeta,
+} = require('./reader.util');
+
+const READ_URL_CACHE_TTL = parseInt(process.env.READ_URL_CACHE_TTL || '3600', 10);
+const READ_URL_TIMEOUT_MS = parseInt(process.env.READ_URL_TIMEOUT_MS || '30000', 10) || 30000;
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+// 抽取到的正文少于该长度时认为页面需要浏览器渲染
+const MIN_CONTENT_LENGTH = 200;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const readerCache = createTtlCache({
+  dir: getDirpath('Caches/read_url'),
+  ttl: (READ_URL_CACHE_TTL > 0 ? READ_URL_CACHE_TTL : 0) * 1000,
+});
+
+// 在连接时检查解析到的地址, 避免检查后 DNS 变化 (DNS rebinding)
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(item => isBlockedAddress(item.address));
+    if (blocked) return callback(new Error(`Refusing to fetch ${hostname}: resolves to private address ${blocked.address}`));
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+const download = async (url) => {
+  let current = url;
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    assertFetchableUrl(current);
+    response = await axios.get(current, {
+      responseType: 'arraybuffer',
+      timeout: READ_URL_TIMEOUT_MS,
+      maxContentLength: MAX_DOWNLOAD_BYTES,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      proxy: false,
+      validateStatus: status => status >= 200 && status < 400,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml,application/pdf;q=0.9,text/plain;q=0.8,*/*;q=0.5',
+      },
+    });
+    const location = response.headers.location;
+    if (response.status < 300 || !location) break;
+    if (redirects >= MAX_REDIRECTS) throw new Error(`Too many redirects reading ${url}`);
+    current = new URL(location, current).toString();
+  }
+  const buffer = Buffer.from(response.data);
+  return {
+    buffer,
+    head: buffer.subarray(0, 2048).toString('latin1'),
+    final_url: current,
+    status: response.status,
+    content_type: String(response.headers['content-type'] || ''),
+  };
+};
+
+// 响应头中的 charset 优先, 其次 HTML meta (例如 gbk 页面)
+const decodeText = ({ buffer, head, content_type }) => {
+  const charset = (/charset=["']?([\w-]+)/i.exec(content_type) || /<meta[^>]+charset=["']?([\w-]+)/i.exec(head) || [])[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (e) {
+    return buffer.toString('utf8');
+  }
+};
+
+const readPdf = async (buffer) => {
+  const { parsePdfPages } = require('@src/document/extract');
+  const pages = await parsePdfPages(buffer);
+  return pages
+    .map((text, i) => `## Page ${i + 1}\n\n${text.trim()}`)
+    .join('\n\n');
+};
+
+/**
+ * 下载并抽取正文, HTML 页面跟随下一页链接
+ * @param {string} url
+ * @param {{ max_pages: number }} options
+ * @returns {Promise<ReadDocument>}
+ */
+const fetchDocument = async (url, { max_pages }) => {
+  const first = await download(url);
+  const base = { url, final_url: first.final_url, status: first.status, pages: [first.final_url] };
+  if (isPdf({ url: first.final_url, content_type: first.content_type, head: first.head })) {
+    return { ...base, type: 'pdf', title: '', content: await readPdf(first.buffer) };
+  }
+  if (!isHtml(first.content_type, first.head)) {
+    return { ...base, type: 'text', title: '', content: decodeText(first).trim() };
+  }
+
+  let page = extractReadable(decodeText(first), first.final_url);
+  const doc = { ...base, type: 'html', title: page.title, content: page.content };
+  while (doc.pages.length < max_pages) {
+    const next = pickNextPageLink(page.links, doc.pages[doc.pages.length - 1], doc.pages);
+    if (!next) break;
+    try {
+      const response = await download(next);
+      if (!isHtml(response.content_type, response.head)) break;
+      page = extractReadable(decodeText(response), response.final_url);
+      if (!page.content) break;
+      doc.pages.push(response.final_url);
+      doc.content += `\n\n---\n\n[Page ${doc.pages.length}: ${response.final_url}]\n\n${page.content}`;
+    } catch (error) {
+      console.warn(`[reader] Failed to read next page ${next}:`, error.message);
+      break;
+    }
+  }
+  return doc;
+};
+
+/**
+ * @param {ReadDocument} doc
+ * @param {{ offset: number, length: number }} window
+ * @param {boolean} cached
+ * @returns {ReadResult}
+ */
+const toReadResult = ({ content, ...doc }, window, cached) => ({ ...doc, ...paginate(content, window), cached });
+
+/**
+ * @param {string} url
+ * @param {{ offset?: number, length?: number, max_pages?: number, use_cache?: boolean, scope?: string }} [options] scope: 缓存范围, 例如 user_id/conversation_id
+ * @returns {Promise<ReadResult>}
+ */
+const readUrl = async (url, options = {}) => {
+  const { offset, length, max_pages } = resolveReaderOptions(options);
+  const key = buildCacheKey(url, options.scope);
+  const hit = options.use_cache === false ? undefined : readerCache.get(key);
+  if (hit) return toReadResult(hit, { offset, length }, true);
+
+  const doc = await fetchDocument(url, { max_pages });
+  if (doc.type === 'html' && doc.content.length < MIN_CONTENT_LENGTH) {
+    throw new Error(`No readable content extracted from ${url} (${doc.content.length} chars)`);
+  }
+  readerCache.set(key, doc);
+  return toReadResult(doc, { offset, length }, false);
+};
+
+/**
+ * 浏览器抓取的结果: 有 HTML 时使用同样的正文抽取, 否则使用抓取到的文本
+ * @param {string} url
+ * @param {{ html?: string, text?: string, title?: string, final_url?: string, status?: number|string }} page
+ * @param {{ offset?: number, length?: number, scope?: string }} [options]
+ * @returns {ReadResult}
+ */
+const readFromBrowser = (url, { html = '', text = '', title = '', final_url = url, status = '' } = {}, options = {}) => {
+  const { offset, length } = resolveReaderOptions(options);
+  const extracted = html ? extractReadable(html, final_url) : null;
+  // 抽取结果明显少于浏览器文本时 (正文识别失败) 使用原文本
+  const useExtracted = extracted && extracted.content.length >= Math.min(MIN_CONTENT_LENGTH, String(text).trim().length);
+  const doc = {
+    url,
+    final_url,
+    status,
+    type: 'html',
+    title: (extracted && extracted.title) || title,
+    content: useExtracted ? extracted.content : String(text).trim(),
+    pages: [final_url],
+  };
+  if (doc.content) readerCache.set(buildCacheKey(url, options.scope), doc);
+  return toReadResult(doc, { offset, length }, false);
+};
+
+module.exports = exports = {
+  readerCache,
+  readUrl,
+  readFromBrowser,
+  formatReadContent,
+  buildReadMeta,
+};
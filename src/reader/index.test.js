@@ -0,0 +1,31 @@
+const { expect } = require('chai');
+const http = require('http');
+
+const { readUrl } = require('./index');
+
+describe('readUrl', () => {
+  let server;
+  let requests = 0;
+
+  before(done => {
+    server = http.createServer((req, res) => {
+      requests++;
+      res.end('<html><body>secret</body></html>');
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  after(done => {
+    server.close(done);
+  });
+
+  it('should refuse hosts resolving to private addresses', async () => {
+    const { port } = server.address();
+    for (const url of [`http://127.0.0.1:${port}/`, `http://localhost:${port}/`]) {
+      const error = await readUrl(url, { use_cache: false }).catch(err => err);
+      expect(error).to.be.instanceOf(Error);
+      expect(error.message).to.match(/private address/);
+    }
+    expect(requests).to.equal(0);
+  });
+});
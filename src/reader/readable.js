@@ -0,0 +1,194 @@
+const cheerio = require('cheerio');
+
+const { isBoilerplate, cleanMarkdown } = require('./reader.util');
+
+/**
+ * 正文抽取 (readability 风格): 去掉导航 / cookie 提示 / 页脚等样板内容, 选出正文容器并转换为 Markdown
+ *
+ * 1. 删除脚本 / 表单 / nav / aside / footer 以及 class 或 id 命中样板规则的元素
+ * 2. article / main 等语义容器的正文足够长时直接使用, 否则按段落文本长度给父元素打分, 扣除链接密度
+ * 3. 保留标题 / 列表 / 代码块 / 表格 / 链接结构
+ */
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button', 'input', 'select', 'textarea',
+  'nav', 'aside', 'footer', 'dialog', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]',
+  '[role="alertdialog"]', '[aria-hidden="true"]', '[hidden]',
+].join(', ');
+const SEMANTIC_SELECTORS = 'article, main, [role="main"], [itemprop="articleBody"]';
+const KEEP_TAGS = new Set(['html', 'body', 'main', 'article']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'details', 'summary', 'address', 'center',
+]);
+// 语义容器的最短正文长度
+const MIN_SEMANTIC_LENGTH = 250;
+
+const collapse = (text = '') => String(text).replace(/\s+/g, ' ');
+
+const resolveHref = (href, base_url) => {
+  try {
+    return new URL(href, base_url).toString();
+  } catch (e) {
+    return '';
+  }
+};
+
+// 下一页候选链接, 在删除导航之前收集 (分页链接通常在 nav 中)
+const collectLinks = ($) => $('link[rel][href], a[href]').toArray().map(el => {
+  const $el = $(el);
+  return {
+    href: $el.attr('href') || '',
+    text: collapse($el.text()).trim().slice(0, 60),
+    rel: $el.attr('rel') || '',
+    attrs: [$el.attr('class'), $el.attr('id'), $el.attr('aria-label'), $el.attr('title')].filter(Boolean).join(' '),
+  };
+});
+
+const textLength = ($el) => collapse($el.text()).trim().length;
+
+const linkDensity = ($, $el) => {
+  const total = textLength($el);
+  if (total === 0) return 1;
+  const links = $el.find('a').toArray().reduce((sum, a) => sum + textLength($(a)), 0);
+  return Math.min(1, links / total);
+};
+
+// 行内标记保留两侧的空白, 例如 "a <b>x</b> b"
+const wrapInline = (raw, mark) => {
+  const text = raw.trim();
+  if (!text) return raw;
+  return `${raw.match(/^\s*/)[0]}${mark}${text}${mark}${raw.match(/\s*$/)[0]}`;
+};
+
+const removeBoilerplate = ($) => {
+  $(REMOVE_SELECTORS).remove();
+  // 文章内的 header (标题 / 作者) 保留
+  $('header').each((i, el) => {
+    if ($(el).parents('article, main').length === 0) $(el).remove();
+  });
+  $('[class], [id]').each((i, el) => {
+    if (KEEP_TAGS.has(el.name)) return;
+    const $el = $(el);
+    if (isBoilerplate(`${$el.attr('class') || ''} ${$el.attr('id') || ''}`)) $el.remove();
+  });
+};
+
+const selectContent = ($) => {
+  const semantic = $(SEMANTIC_SELECTORS).toArray()
+    .map(el => $(el))
+    .map($el => ({ $el, score: textLength($el) * (1 - linkDensity($, $el)) }))
+    .sort((a, b) => b.score - a.score)[0];
+  if (semantic && semantic.score >= MIN_SEMANTIC_LENGTH) return semantic.$el;
+
+  const scores = new Map();
+  $('p, pre, td, blockquote, li').each((i, el) => {
+    const length = textLength($(el));
+    if (length < 25) return;
+    const score = 1 + collapse($(el).text()).split(/[,，、]/).length + Math.min(length / 100, 3);
+    const parent = el.parent;
+    const grandparent = parent && parent.parent;
+    if (parent && parent.type === 'tag') scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent && grandparent.type === 'tag') scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+  let best = null;
+  for (const [el, score] of scores) {
+    const value = score * (1 - linkDensity($, $(el)));
+    if (!best || value > best.value) best = { el, value };
+  }
+  return best ? $(best.el) : $('body');
+};
+
+const renderTable = ($, el) => {
+  const rows = $(el).find('tr').toArray()
+    .map(tr => $(tr).children('th, td').toArray().map(cell => collapse($(cell).text()).trim().replace(/\|/g, '\\|')))
+    .filter(cells => cells.length > 0);
+  if (rows.length === 0) return '';
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+  return `\n\n${line(rows[0])}\n| ${Array(width).fill('---').join(' | ')} |\n${rows.slice(1).map(line).join('\n')}\n\n`;
+};
+
+/**
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {any} node
+ * @param {string} base_url
+ * @param {number} depth 列表嵌套层级
+ */
+const renderNode = ($, node, base_url, depth = 0) => {
+  if (node.type === 'text') return collapse(node.data);
+  if (node.type !== 'tag') return '';
+  const children = () => (node.children || []).map(child => renderNode($, child, base_url, depth)).join('');
+  const name = node.name;
+
+  if (/^h[1-6]$/.test(name)) {
+    const text = collapse(children()).trim();
+    return text ? `\n\n${'#'.repeat(Number(name[1]))} ${text}\n\n` : '';
+  }
+  switch (name) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'strong':
+    case 'b':
+      return wrapInline(children(), '**');
+    case 'em':
+    case 'i':
+      return wrapInline(children(), '*');
+    case 'code':
+      return `\`${$(node).text().trim()}\``;
+    case 'pre': {
+      const language = (/language-([\w+-]+)/.exec($(node).find('code').attr('class') || '') || [])[1] || '';
+      return `\n\n\`\`\`${language}\n${$(node).text().replace(/\n+$/, '')}\n\`\`\`\n\n`;
+    }
+    case 'a': {
+      const raw = collapse(children());
+      const text = raw.trim();
+      const href = resolveHref($(node).attr('href') || '', base_url);
+      if (!text || !/^https?:/i.test(href)) return raw;
+      return raw.replace(text, `[${text}](${href})`);
+    }
+    case 'img': {
+      const alt = collapse($(node).attr('alt') || '').trim();
+      const src = resolveHref($(node).attr('src') || '', base_url);
+      return alt && /^https?:/i.test(src) ? `![${alt}](${src})` : '';
+    }
+    case 'ul':
+    case 'ol': {
+      const items = $(node).children('li').toArray().map((li, index) => {
+        const marker = name === 'ol' ? `${index + 1}.` : '-';
+        const text = (li.children || []).map(child => renderNode($, child, base_url, depth + 1)).join('')
+          .replace(/\n{2,}/g, '\n').trim();
+        return text ? `${'  '.repeat(depth)}${marker} ${text}` : '';
+      }).filter(Boolean);
+      return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+    }
+    case 'blockquote': {
+      const text = cleanMarkdown(children());
+      return text ? `\n\n${text.split('\n').map(line => `> ${line}`).join('\n')}\n\n` : '';
+    }
+    case 'table':
+      return renderTable($, node);
+    default:
+      return BLOCK_TAGS.has(name) ? `\n\n${children().trim()}\n\n` : children();
+  }
+};
+
+/**
+ * @param {string} html
+ * @param {string} base_url 页面 URL, 用于补全相对链接
+ * @returns {{ title: string, content: string, links: Array<{ href: string, text: string, rel: string, attrs: string }> }}
+ */
+const extractReadable = (html = '', base_url = '') => {
+  const $ = cheerio.load(String(html));
+  const title = collapse($('meta[property="og:title"]').attr('content') || $('title').first().text() || $('h1').first().text()).trim();
+  const links = collectLinks($);
+  removeBoilerplate($);
+  const $content = selectContent($);
+  const node = $content.toArray()[0];
+  const content = node ? cleanMarkdown(renderNode($, node, base_url)) : '';
+  return { title, content, links };
+};
+
+module.exports = exports = {
+  extractReadable,
+};
@@ -0,0 +1,261 @@
+/**
+ * 网页读取: 分页 / 下一页链接 / 样板内容识别 / Markdown 清理 (纯函数, 不发请求)
+ *
+ * 分页以字符为单位: read_url 的 offset / length 参数对应抽取后的 Markdown 正文,
+ * 截断位置尽量落在段落或行尾, 返回 next_offset 供继续读取
+ */
+const crypto = require('crypto');
+const net = require('net');
+const { normalizeUrl } = require('../search/search.util');
+
+const DEFAULT_PAGE_LENGTH = 20000;
+const MAX_PAGE_LENGTH = 100000;
+const DEFAULT_MAX_PAGES = 3;
+// 截断位置向前查找段落边界的范围 (窗口长度的比例)
+const BOUNDARY_RATIO = 0.2;
+
+// 导航 / cookie 提示 / 分享 / 广告等容器的 class 或 id
+const BOILERPLATE_RE = /(^|[\s_-])(cookie|consent|gdpr|banner|nav|navbar|navigation|menu|breadcrumbs?|sidebar|footer|header|masthead|comments?|share|sharing|social|related|recommend(ed)?|promo|advert(isement)?|ads?|sponsor(ed)?|newsletter|subscribe|subscription|popup|modal|overlay|signup|login|toolbar|skip)([\s_-]|$)/i;
+// 正文容器, 即使同时命中 BOILERPLATE_RE 也保留 (例如 article-header)
+const CONTENT_RE = /(^|[\s_-])(article|content|main|post|entry|story|body|text|markdown|prose)([\s_-]|$)/i;
+// "下一页" 链接文本
+const NEXT_TEXT_RE = /^\s*(next(\s+page)?|older(\s+posts)?|›|»|>|→|下一页|下页|后页|次へ|次のページ|다음|suivant(e)?|page suivante|weiter|nächste(\s+seite)?|siguiente|próxima|successiva|sonraki)\s*[›»>→]?\s*$/i;
+const NEXT_ATTR_RE = /(^|[\s_-])(next|pagination-next|next-page|nextpage|pager-next)([\s_-]|$)/i;
+
+const toInt = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+/**
+ * @param {{ offset?: any, length?: any, max_pages?: any }} [options] read_url 参数
+ * @param {Object} [env]
+ * @returns {{ offset: number, length: number, max_pages: number }}
+ */
+const resolveReaderOptions = (options = {}, env = process.env) => {
+  const envLength = toInt(env.READ_URL_PAGE_LENGTH, 0);
+  const defaultLength = envLength > 0 ? envLength : DEFAULT_PAGE_LENGTH;
+  const length = toInt(options.length, defaultLength);
+  const max_pages = toInt(options.max_pages, toInt(env.READ_URL_MAX_PAGES, DEFAULT_MAX_PAGES));
+  return {
+    offset: Math.max(0, toInt(options.offset, 0)),
+    length: Math.min(MAX_PAGE_LENGTH, length > 0 ? length : defaultLength),
+    max_pages: Math.max(1, max_pages),
+  };
+};
+
+/**
+ * 按字符窗口读取正文, 截断位置优先落在空行, 其次换行
+ * @param {string} content
+ * @param {{ offset: number, length: number }} options
+ * @returns {{ content: string, offset: number, length: number, total_length: number, next_offset: number|null, has_more: boolean }}
+ */
+const paginate = (content = '', { offset = 0, length = DEFAULT_PAGE_LENGTH } = {}) => {
+  const text = String(content || '');
+  const total_length = text.length;
+  const start = Math.min(Math.max(0, offset), total_length);
+  let end = Math.min(total_length, start + length);
+  if (end < total_length) {
+    const window = text.slice(start, end);
+    const min = Math.floor(window.length * (1 - BOUNDARY_RATIO));
+    const paragraph = window.lastIndexOf('\n\n');
+    const line = window.lastIndexOf('\n');
+    if (paragraph >= min) end = start + paragraph + 2;
+    else if (line >= min) end = start + line + 1;
+  }
+  const has_more = end < total_length;
+  return {
+    content: text.slice(start, end),
+    offset: start,
+    length: end - start,
+    total_length,
+    next_offset: has_more ? end : null,
+    has_more,
+  };
+};
+
+/**
+ * @param {{ url?: string, content_type?: string, head?: Buffer|string }} info
+ */
+const isPdf = ({ url = '', content_type = '', head = '' } = {}) => {
+  if (/application\/(x-)?pdf/i.test(content_type)) return true;
+  if (String(head).slice(0, 5) === '%PDF-') return true;
+  // 服务器返回 octet-stream 时按扩展名判断
+  return /\.pdf($|[?#])/i.test(url) && (!content_type || /octet-stream/i.test(content_type));
+};
+
+const isHtml = (content_type = '', head = '') => /html|xml/i.test(content_type)
+  || (!content_type && /^\s*<(!doctype|html|head|body)/i.test(String(head)));
+
+/**
+ * class / id 是否为导航 / cookie 提示等样板内容
+ * @param {string} attrs class 与 id 拼接
+ */
+const isBoilerplate = (attrs = '') => BOILERPLATE_RE.test(attrs) && !CONTENT_RE.test(attrs);
+
+const resolveHref = (href, base_url) => {
+  try {
+    return new URL(href, base_url).toString();
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * 从页面链接中选出 "下一页", 只接受同站点且未读过的链接
+ * @param {Array<{ href: string, text?: string, rel?: string, attrs?: string }>} links
+ * @param {string} base_url 当前页面 URL
+ * @param {string[]} [visited] 已读取的 URL
+ * @returns {string|null}
+ */
+const pickNextPageLink = (links = [], base_url = '', visited = []) => {
+  let host = '';
+  try {
+    host = new URL(base_url).hostname;
+  } catch (e) {
+    return null;
+  }
+  const seen = new Set([base_url, ...visited].map(normalizeUrl));
+  let best = null;
+  for (const link of links) {
+    if (!link || !link.href || /^(#|javascript:|mailto:)/i.test(link.href.trim())) continue;
+    let score = 0;
+    if (/(^|\s)next(\s|$)/i.test(link.rel || '')) score += 3;
+    if (NEXT_TEXT_RE.test(link.text || '')) score += 2;
+    if (NEXT_ATTR_RE.test(link.attrs || '')) score += 2;
+    if (score === 0) continue;
+    const url = resolveHref(link.href, base_url);
+    if (!url || !/^https?:/i.test(url) || new URL(url).hostname !== host || seen.has(normalizeUrl(url))) continue;
+    if (!best || score > best.score) best = { url, score };
+  }
+  return best ? best.url : null;
+};
+
+/**
+ * 合并多余空行 / 行首行尾空白 (HTML 缩进), 去掉空链接和连续重复的行 (例如重复的面包屑)
+ * 代码块内容与列表缩进保持不变
+ * @param {string} markdown
+ */
+const cleanMarkdown = (markdown = '') => {
+  const out = [];
+  let fenced = false;
+  for (const raw of String(markdown).replace(/\r\n?/g, '\n').split('\n')) {
+    if (/^\s*```/.test(raw)) {
+      fenced = !fenced;
+      out.push(raw.trim());
+      continue;
+    }
+    if (fenced) {
+      out.push(raw);
+      continue;
+    }
+    let line = raw.replace(/\[\s*\]\([^)]*\)/g, '').replace(/[ \t\u00a0]+$/g, '');
+    if (!/^ *([-*]|\d+\.) /.test(line)) line = line.trimStart();
+    if (line && out.length > 0 && out[out.length - 1] === line) continue;
+    out.push(line);
+  }
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * @param {string} url
+ */
+/**
+ * @param {string} url
+ * @param {string} [scope] 缓存范围 (用户 / 会话), 不同范围互不可见
+ */
+const buildCacheKey = (url, scope = '') => crypto.createHash('sha1').update(`${scope}\n${normalizeUrl(url)}`).digest('hex');
+
+// 服务端直接请求时禁止访问的地址: 本机 / 内网 / 链路本地 / 唯一本地 / 组播 / 保留地址
+// (BlockList 检查 IPv6 时同样匹配 IPv4 映射地址 ::ffff:a.b.c.d)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address IP 地址
+ * @returns {boolean} 不是 IP 地址时同样返回 true
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(String(address || ''));
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * 直接请求前检查 URL: 只允许 http(s), 主机是 IP 时检查地址 (域名在连接时检查解析结果)
+ * @param {string} url
+ * @returns {URL}
+ */
+const assertFetchableUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error(`Invalid url: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Unsupported protocol ${parsed.protocol} in ${url}`);
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error(`Refusing to fetch private address ${host}`);
+  }
+  return parsed;
+};
+
+/**
+ * read_url 返回给模型的内容: 标题 / 位置说明 + 正文 + 继续读取的提示
+ * @param {{ title?: string, final_url?: string, type?: string, content: string, offset: number, total_length: number, next_offset: number|null, has_more: boolean }} read
+ */
+const formatReadContent = (read) => {
+  const end = read.offset + read.content.length;
+  const header = [
+    read.title ? `# ${read.title}` : '',
+    `URL: ${read.final_url || ''}${read.type && read.type !== 'html' ? ` (${read.type})` : ''}`,
+    read.offset > 0 || read.has_more ? `[Characters ${read.offset}-${end} of ${read.total_length}]` : '',
+  ].filter(Boolean).join('\n');
+  const footer = read.has_more
+    ? `\n\n[Content truncated. Call read_url with the same url and offset=${read.next_offset} to read the next part.]`
+    : '';
+  return `${header}\n\n${read.content}${footer}`;
+};
+
+/**
+ * read_url 结果的 meta.json 条目 (不含正文)
+ * @param {Object} read
+ */
+const buildReadMeta = ({ title, final_url, status, type, offset, length, total_length, next_offset, has_more, pages, cached }) => ({
+  title,
+  final_url,
+  status,
+  type,
+  offset,
+  length,
+  total_length,
+  next_offset,
+  has_more,
+  pages,
+  cached,
+});
+
+module.exports = exports = {
+  DEFAULT_PAGE_LENGTH,
+  resolveReaderOptions,
+  paginate,
+  isPdf,
+  isHtml,
+  isBoilerplate,
+  pickNextPageLink,
+  cleanMarkdown,
+  buildCacheKey,
+  isBlockedAddress,
+  assertFetchableUrl,
+  formatReadContent,
+  buildReadMeta,
+};
@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+
+const {
+  resolveReaderOptions,
+  paginate,
+  isPdf,
+  isBoilerplate,
+  pickNextPageLink,
+  cleanMarkdown,
+  formatReadContent,
+  buildCacheKey,
+  isBlockedAddress,
+  assertFetchableUrl,
+} = require('./reader.util');
+
+describe('paginate', () => {
+  it('should cut long documents at paragraph boundaries and return the next offset', () => {
+    expect(resolveReaderOptions({ offset: '-5', length: '0' }, { READ_URL_PAGE_LENGTH: '50' })).to.deep.equal({ offset: 0, length: 50, max_pages: 3 });
+    expect(resolveReaderOptions({ length: 10e6 }, {}).length).to.equal(100000);
+
+    const text = `${'a'.repeat(40)}\n\n${'b'.repeat(30)}\n${'c'.repeat(30)}`;
+    const first = paginate(text, { offset: 0, length: 50 });
+    expect(first).to.include({ offset: 0, length: 42, total_length: 103, next_offset: 42, has_more: true });
+    const second = paginate(text, { offset: first.next_offset, length: 50 });
+    expect(second).to.include({ content: `${'b'.repeat(30)}\n${'c'.repeat(19)}`, next_offset: 92 });
+    const last = paginate(text, { offset: second.next_offset, length: 50 });
+    expect(last).to.include({ content: 'c'.repeat(11), next_offset: null, has_more: false });
+
+    expect(formatReadContent({ title: 'Doc', final_url: 'https://a.com/x.pdf', type: 'pdf', ...first }))
+      .to.contain('URL: https://a.com/x.pdf (pdf)\n[Characters 0-42 of 103]')
+      .and.contain('offset=42 to read the next part');
+  });
+});
+
+describe('html helpers', () => {
+  it('should detect pdf, boilerplate containers and next page links', () => {
+    expect(isPdf({ content_type: 'application/pdf' })).to.equal(true);
+    expect(isPdf({ url: 'https://a.com/paper.pdf?v=1', content_type: 'application/octet-stream' })).to.equal(true);
+    expect(isPdf({ url: 'https://a.com/paper.pdf', content_type: 'text/html' })).to.equal(false);
+
+    expect(isBoilerplate('cookie-banner')).to.equal(true);
+    expect(isBoilerplate('site_nav top-menu')).to.equal(true);
+    expect(isBoilerplate('article-header')).to.equal(false);
+    expect(isBoilerplate('navigator-content')).to.equal(false);
+
+    const links = [
+      { href: 'https://other.com/page/3', text: 'Next' },
+      { href: '#', text: 'Next' },
+      { href: '/page/1', text: 'Previous' },
+      { href: '/page/3', text: '下一页' },
+      { href: '/page/2?utm_source=x', text: '›' },
+      { href: '/p/3', rel: 'next' },
+    ];
+    expect(pickNextPageLink(links, 'https://www.example.com/page/2')).to.equal('https://www.example.com/p/3');
+    expect(pickNextPageLink(links.slice(0, 5), 'https://www.example.com/page/2')).to.equal('https://www.example.com/page/3');
+    expect(pickNextPageLink(links.slice(0, 5), 'https://www.example.com/page/2', ['https://example.com/page/3'])).to.equal(null);
+
+    expect(cleanMarkdown('  Title  \n\n\n\nHome [](/x)\nHome\n  - item\n```\n  code\n\n\n```')).to.equal('Title\n\nHome\n  - item\n```\n  code\n\n```');
+  });
+});
+
+describe('assertFetchableUrl', () => {
+  it('should only allow http(s) urls to public addresses', () => {
+    expect(['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:7f00:1', 'localhost'].filter(isBlockedAddress))
+      .to.have.length(11);
+    expect(['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'].some(isBlockedAddress)).to.equal(false);
+
+    expect(assertFetchableUrl('https://example.com/a').hostname).to.equal('example.com');
+    expect(() => assertFetchableUrl('file:///etc/passwd')).to.throw('Unsupported protocol');
+    expect(() => assertFetchableUrl('http://127.0.0.1:8080/')).to.throw('private address');
+    expect(() => assertFetchableUrl('http://[::ffff:127.0.0.1]/')).to.throw('private address');
+    expect(() => assertFetchableUrl('http://2130706433/')).to.throw('private address');
+    expect(buildCacheKey('https://a.com', '1/c1')).to.not.equal(buildCacheKey('https://a.com', '2/c2'));
+  });
+});
@@ -9,14 +9,18 @@ const generate_agent = require('@src/agent/generate-agent/index');
 // 新增 Agent
 router.post("/", async ({ state, request, response }) => {
   const body = request.body || {};
-  const { name, describe = '', mcp_server_ids = [], is_public = true } = body;
+  const { name, describe = '', mcp_server_ids = [], is_public = true, enabled_tools = null, disabled_tools = [], approval_policy = null, budget = null } = body;
   try {
     const agent = await Agent.create({
       user_id: state.user.id,
       name,
       describe,
       mcp_server_ids,
-      is_public
+      is_public,
+      enabled_tools,
+      disabled_tools,
+      approval_policy,
+      budget
     });
 
     return response.success(agent);
@@ -90,7 +94,7 @@ router.get("/:id", async ({ state, params, response }) => {
 router.put("/:id", async ({ state, params, request, response }) => {
   const { id } = params;
   const body = request.body || {};
-  const { name, describe, mcp_server_ids } = body;
+  const { name, describe, mcp_server_ids, is_public, enabled_tools, disabled_tools, approval_policy, budget } = body;
 
   try {
     const agent = await Agent.findOne({
@@ -110,6 +114,10 @@ router.put("/:id", async ({ state, params, request, response }) => {
     if (describe !== undefined) agent.describe = describe;
     if (mcp_server_ids !== undefined) agent.mcp_server_ids = mcp_server_ids;
     if (is_public !== undefined) agent.is_public = is_public;
+    if (enabled_tools !== undefined) agent.enabled_tools = enabled_tools;
+    if (disabled_tools !== undefined) agent.disabled_tools = disabled_tools;
+    if (approval_policy !== undefined) agent.approval_policy = approval_policy;
+    if (budget !== undefined) agent.budget = budget;
     await agent.save();
 
     return response.success(agent);
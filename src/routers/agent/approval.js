@@ -0,0 +1,83 @@
+const router = require("koa-router")();
+
+const Conversation = require("@src/models/Conversation");
+const { resolveApproval, listPendingApprovals } = require("@src/agent/approval/index");
+
+const findOwnConversation = async (conversation_id, user_id) => {
+  if (!conversation_id) return null;
+  return Conversation.findOne({ where: { conversation_id, user_id } });
+};
+
+/**
+ * @swagger
+ * /api/agent/approval:
+ *   get:
+ *     summary: List pending approval requests
+ *     tags:
+ *       - Agent
+ *     description: Returns the approval requests of a running conversation that are waiting for a user decision.
+ *     parameters:
+ *       - in: query
+ *         name: conversation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending approval requests
+ */
+router.get("/approval", async ({ state, query, response }) => {
+  const { conversation_id } = query || {};
+  const conversation = await findOwnConversation(conversation_id, state.user.id);
+  if (!conversation) {
+    return response.fail("Conversation does not exist");
+  }
+  return response.success(listPendingApprovals(conversation_id));
+});
+
+/**
+ * @swagger
+ * /api/agent/approval:
+ *   post:
+ *     summary: Approve or reject a pending action
+ *     tags:
+ *       - Agent
+ *     description: Resumes the paused action when approved; when rejected the action is skipped and the agent is told why.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conversation_id:
+ *                 type: string
+ *               approval_id:
+ *                 type: string
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               comment:
+ *                 type: string
+ *                 description: Optional note passed to the agent
+ *     responses:
+ *       200:
+ *         description: Decision applied
+ */
+router.post("/approval", async ({ state, request, response }) => {
+  const { conversation_id, approval_id, decision, comment = '' } = request.body || {};
+  if (decision !== 'approve' && decision !== 'reject') {
+    return response.fail("decision must be approve or reject");
+  }
+  const conversation = await findOwnConversation(conversation_id, state.user.id);
+  if (!conversation) {
+    return response.fail("Conversation does not exist");
+  }
+  const found = await resolveApproval(approval_id, { approved: decision === 'approve', comment, conversation_id });
+  if (!found) {
+    return response.fail("Approval request not found or already handled");
+  }
+  return response.success({ approval_id, decision });
+});
+
+module.exports = exports = router.routes();
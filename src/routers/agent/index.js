@@ -6,6 +6,9 @@ router.prefix("/api/agent");
 router.use(require('./run.js'));
 router.use(require('./proxy.js'));
 router.use(require('./chat.js'));
+router.use(require('./tools.js'));
+router.use(require('./approval.js'));
+router.use(require('./research.js'));
 router.use(require('./agent.js'));
 router.use(require('./coding.js'));
 router.use(require('./coding.sse.js'));
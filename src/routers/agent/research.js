@@ -0,0 +1,47 @@
+const router = require("koa-router")();
+
+const Conversation = require("@src/models/Conversation");
+const ResearchSource = require("@src/models/ResearchSource");
+
+/**
+ * @swagger
+ * /api/agent/research/sources:
+ *   get:
+ *     summary: List the sources of a deep research conversation
+ *     tags:
+ *       - Agent
+ *     description: Every source collected in research mode with the snippets used as evidence. cited_no is the citation number [n] in the report, empty when the source is not cited.
+ *     parameters:
+ *       - in: query
+ *         name: conversation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cited
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Only the sources cited in the report
+ *     responses:
+ *       200:
+ *         description: Array of { source_no, cited_no, url, title, snippets, sub_questions, read }
+ */
+router.get("/research/sources", async ({ state, query, response }) => {
+  const { conversation_id, cited } = query || {};
+  const conversation = conversation_id && await Conversation.findOne({ where: { conversation_id, user_id: state.user.id } });
+  if (!conversation) {
+    return response.fail("Conversation does not exist");
+  }
+  const rows = await ResearchSource.findAll({ where: { conversation_id }, order: [['source_no', 'ASC']] });
+  let sources = rows.map(row => {
+    const { id: _id, conversation_id: _conversation_id, ...source } = row.dataValues;
+    return source;
+  });
+  if (cited === 'true' || cited === '1') {
+    sources = sources.filter(item => item.cited_no).sort((a, b) => a.cited_no - b.cited_no);
+  }
+  return response.success(sources);
+});
+
+module.exports = exports = router.routes();
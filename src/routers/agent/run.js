@@ -19,6 +19,9 @@ const { getDirpath } = require('@src/utils/electron');
 const RUNTIME_TYPE = process.env.RUNTIME_TYPE || 'local-docker'
 const { search_intent } = require('@src/agent/chatbot');
 const WebSearch = require('@src/tools/WebSearch');
+const { prepareReplay, finishReplay, getReplayReport } = require('@src/agent/replay/index');
+const resolveServers = require('@src/mcp/server');
+const { expandSlashCommand } = require('@src/mcp/command');
 
 let closeContainer
 if (RUNTIME_TYPE && RUNTIME_TYPE === 'local-docker') {
@@ -27,7 +30,7 @@ if (RUNTIME_TYPE && RUNTIME_TYPE === 'local-docker') {
   }
 }
 
-const activeAgents = new Map();
+const { activeAgents } = require('@src/agent/runs');
 const MessageTable = require('@src/models/Message');
 
 const handle_feedback = require("@src/knowledge/feedback");
@@ -62,7 +65,7 @@ const ENABLE_KNOWLEDGE = process.env.ENABLE_KNOWLEDGE || "ON"
  *                 description: Conversation ID, used to identify the current conversation
  *               mode:
  *                 type: string
- *                 enum: [auto, agent, chat, twins]
+ *                 enum: [auto, agent, chat, twins, research]
  *                 default: auto
  *                 description: |
  *                   Execution mode:
@@ -70,6 +73,7 @@ const ENABLE_KNOWLEDGE = process.env.ENABLE_KNOWLEDGE || "ON"
  *                   - 'agent': Force use agent mode for complex tasks
  *                   - 'chat': Force use chat mode for simple conversation
  *                   - 'twins': Execute both chat and agent modes in sequence
+ *                   - 'research': Deep research, iterative web search and reading, outputs a report with numbered citations (research_report.md / .html)
  *               fileIds:
  *                 type:json
  *             required:
@@ -88,6 +92,22 @@ router.post("/run", async (ctx, next) => {
   const body = request.body || {};
   let { question, conversation_id, fileIds, mcp_server_ids = [], model_id, agent_id, mode = 'auto' } = body;
 
+  // MCP prompt 斜杠命令: /<server>:<prompt> key=value ...
+  if (typeof question === 'string' && question.trim().startsWith('/')) {
+    try {
+      const expanded = await expandSlashCommand(question, await resolveServers({ mcp_server_ids }));
+      if (expanded.error) {
+        return response.fail({ command: expanded.command }, expanded.error);
+      }
+      if (expanded.command) {
+        console.log(`[MCP] Expanded slash command ${expanded.command}`);
+        question = expanded.question;
+      }
+    } catch (error) {
+      console.error('[MCP] Failed to expand slash command:', error.message);
+      return response.fail({}, `Failed to expand slash command: ${error.message}`);
+    }
+  }
 
   await Conversation.update({ model_id, status: "running" }, { where: { conversation_id } })
   await Agent.update({ mcp_server_ids }, { where: { id: agent_id } })
@@ -123,6 +143,7 @@ router.post("/run", async (ctx, next) => {
           delete fileData.create_at; // 删除时间戳
           delete fileData.update_at;
           fileData.conversation_id = conversation_id;
+          fileData.index_status = 'pending'; // 检索段落属于原文件, 新记录需要重新索引
           const newFile = await File.create(fileData);
           console.log(`Copied file ${fileId} to new file ${newFile.id} with conversation_id: ${conversation_id}`);
           newFileIds.push(newFile.id);
@@ -150,6 +171,7 @@ router.post("/run", async (ctx, next) => {
             delete fileData.create_at;
             delete fileData.update_at;
             fileData.conversation_id = conversation_id;
+            fileData.index_status = 'pending';
             const newFile = await File.create(fileData);
             console.log(`Copied file ${fileId} to new file ${newFile.id} with conversation_id: ${conversation_id}`);
             newFileIds.push(newFile.id);
@@ -266,6 +288,11 @@ router.post("/run", async (ctx, next) => {
     intent = mode.toLowerCase();
     console.log('用户指定模式:', intent);
     // 验证模式参数
+    if (intent === 'research') {
+      // 深度研究由智能体执行, 前端按 agent 模式展示
+      context.mode = 'research';
+      intent = 'agent';
+    }
     if (intent !== 'chat' && intent !== 'agent' && intent !== 'twins') {
       console.log('无效的模式参数，默认使用agent模式');
       intent = 'agent';
@@ -274,7 +301,7 @@ router.post("/run", async (ctx, next) => {
 
   // 根据最终确定的意图选择不同的处理方式
   // 发送模式通知到前端
-  const modeNotification = `__lemon_mode__${JSON.stringify({ mode: intent })}\n\n`;
+  const modeNotification = `__lemon_mode__${JSON.stringify({ mode: intent, ...(context.mode === 'research' ? { research: true } : {}) })}\n\n`;
   onTokenStream(modeNotification);
 
   // 提取公共参数
@@ -541,6 +568,206 @@ router.post("/stop", async ({ state, request, response }) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/agent/resume:
+ *   post:
+ *     tags:
+ *       - Agent
+ *     summary: Resume an agent task from its last checkpoint via SSE
+ *     description: |
+ *       Restores the plan, the current task's memory and the workspace files from the last durable
+ *       checkpoint of the conversation (written after every action), then continues execution.
+ *       Used after a crash or restart; falls back to continuing pending tasks when no checkpoint exists.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conversation_id:
+ *                 type: string
+ *                 description: Conversation ID to resume
+ *             required:
+ *               - conversation_id
+ *     responses:
+ *       200:
+ *         description: 流式响应开启
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: SSE 数据流
+ */
+router.post("/resume", async (ctx, next) => {
+  const { request, response } = ctx;
+  const body = request.body || {};
+  const { conversation_id } = body;
+  const user_id = ctx.state.user.id;
+
+  const conversation = await Conversation.findOne({ where: { conversation_id, user_id } });
+  if (!conversation) {
+    return response.fail('Conversation not found');
+  }
+  if (activeAgents.has(conversation_id)) {
+    return response.fail('Conversation is already running');
+  }
+
+  const agent_id = conversation.agent_id;
+  const agentRecord = agent_id ? await Agent.findOne({ where: { id: agent_id } }) : null;
+  const mcp_server_ids = (agentRecord && agentRecord.mcp_server_ids) || [];
+  await Conversation.update({ status: "running" }, { where: { conversation_id } })
+
+  body.responseType = body.responseType || "sse";
+  const { stream, onTokenStream } = handleStream(body.responseType, response);
+  stream.on('close', async () => {
+    console.log('Agent resume stream closed');
+    await closeContainer(user_id)
+  });
+
+  const context = {
+    onTokenStream,
+    conversation_id,
+    user_id,
+    mcp_server_ids,
+    agent_id,
+  }
+  const agent = new AgenticAgent(context);
+  activeAgents.set(conversation_id, agent);
+
+  agent.resume().then(() => {
+    stream.end();
+    activeAgents.delete(conversation_id);
+  }).catch(async (error) => {
+    const msg = Message.format({ status: 'success', action_type: 'error', content: error.message });
+    onTokenStream(msg);
+    await Message.saveToDB(msg, conversation_id);
+    console.error('Agent resume error:', error);
+    stream.end();
+    activeAgents.delete(conversation_id);
+  });
+
+  ctx.body = stream;
+  ctx.status = 200;
+});
+
+/**
+ * @swagger
+ * /api/agent/replay:
+ *   post:
+ *     tags:
+ *       - Agent
+ *     summary: Replay a conversation from its recorded LLM responses via SSE
+ *     description: |
+ *       Runs the goal of a finished conversation again in a new conversation. LLM calls return the responses
+ *       recorded in LLMLogs in order instead of calling the model, while actions are executed by the runtime.
+ *       The workspace starts from step 0 of the original workspace history and tasks run sequentially.
+ *       When the run ends a `replay_report` message describes where the LLM requests and action results
+ *       diverge from the recording. Actions are really executed, so replay in a sandboxed runtime.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               conversation_id:
+ *                 type: string
+ *                 description: Conversation ID to replay
+ *             required:
+ *               - conversation_id
+ *     responses:
+ *       200:
+ *         description: 流式响应开启, 第一条数据为 __lemon_replay__{ conversation_id } (回放会话 ID)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               description: SSE 数据流
+ */
+router.post("/replay", async (ctx, next) => {
+  const { request, response } = ctx;
+  const body = request.body || {};
+  const user_id = ctx.state.user.id;
+
+  let prepared;
+  try {
+    prepared = await prepareReplay({ source_conversation_id: body.conversation_id, user_id });
+  } catch (error) {
+    return response.fail(error.message);
+  }
+  const { conversation, goal } = prepared;
+  const { conversation_id, agent_id } = conversation;
+
+  body.responseType = body.responseType || "sse";
+  const { stream, onTokenStream } = handleStream(body.responseType, response);
+  stream.on('close', async () => {
+    console.log('Agent replay stream closed');
+    await closeContainer(user_id)
+  });
+  onTokenStream(`__lemon_replay__${JSON.stringify({ conversation_id, source_conversation_id: body.conversation_id })}\n\n`);
+
+  const context = {
+    onTokenStream,
+    conversation_id,
+    user_id,
+    mcp_server_ids: [],
+    agent_id,
+    replay: true,
+  }
+  const msg = Message.format({ role: 'user', status: 'success', content: goal, action_type: 'question', task_id: conversation_id });
+  await Message.saveToDB(msg, conversation_id);
+
+  const agent = new AgenticAgent(context);
+  activeAgents.set(conversation_id, agent);
+
+  agent.run(goal).then(async () => {
+    await finishReplay(context);
+  }).catch(async (error) => {
+    console.error('Agent replay error:', error);
+    await finishReplay(context, error);
+  }).finally(() => {
+    stream.end();
+    activeAgents.delete(conversation_id);
+  });
+
+  ctx.body = stream;
+  ctx.status = 200;
+});
+
+/**
+ * @swagger
+ * /api/agent/replay/{conversation_id}:
+ *   get:
+ *     tags:
+ *       - Agent
+ *     summary: Get the report of a replay
+ *     description: Returns the progress while the replay is running and the saved replay report afterwards.
+ *     parameters:
+ *       - in: path
+ *         name: conversation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID of the replay (not the original conversation)
+ *     responses:
+ *       200:
+ *         description: Replay report
+ */
+router.get("/replay/:conversation_id", async ({ state, params, response }) => {
+  const { conversation_id } = params;
+  const conversation = await Conversation.findOne({ where: { conversation_id, user_id: state.user.id } });
+  if (!conversation) {
+    return response.fail('Conversation not found');
+  }
+  const report = await getReplayReport(conversation_id);
+  if (!report) {
+    return response.fail('Conversation is not a replay');
+  }
+  return response.success(report);
+});
+
 async function getHistoryMessageSequence(messages, pid) {
   let history_messages = []
   let current_message = messages.find(message => message.id === pid)
@@ -0,0 +1,48 @@
+const router = require("koa-router")();
+
+const toolRegistry = require("@src/tools/registry");
+
+/**
+ * @swagger
+ * /api/agent/tools:
+ *   get:
+ *     summary: List registered tools
+ *     tags:
+ *       - Agent
+ *     description: Returns builtin and plugin tools from the tool registry, used to configure Agent enabled_tools / disabled_tools.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved tool list
+ */
+router.get("/tools", async ({ response }) => {
+  try {
+    return response.success(toolRegistry.describeTools());
+  } catch (error) {
+    console.error(error);
+    return response.fail("Failed to get tool list");
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent/tools/reload:
+ *   post:
+ *     summary: Reload plugin tools
+ *     tags:
+ *       - Agent
+ *     description: Reloads user-defined tools from the plugin directory (TOOL_PLUGIN_DIR, default plugins/tools).
+ *     responses:
+ *       200:
+ *         description: Loaded tool names and load errors
+ */
+router.post("/tools/reload", async ({ response }) => {
+  try {
+    const { loaded, errors } = toolRegistry.reloadPlugins();
+    return response.success({ loaded, errors, tools: toolRegistry.describeTools() });
+  } catch (error) {
+    console.error(error);
+    return response.fail("Failed to reload plugin tools");
+  }
+});
+
+module.exports = exports = router.routes();
@@ -9,6 +9,7 @@ const Model = require('@src/models/Model');
 const Agent = require('@src/models/Agent');
 const MessageModel = require("@src/models/Message");
 const handle_feedback = require("@src/knowledge/feedback");
+const { scheduleLongTermMemoryExtraction } = require("@src/agent/memory/long-term");
 const Knowledge = require("@src/models/Knowledge");
 
 const ensureConversation = async (conversation_id, requirement, user_id, agent_id) => {
@@ -142,6 +143,7 @@ async function handlePostExecution(conversation_id, agent_id, dir_path, filepath
   tasks.push(Conversation.update({ status: 'done' }, { where: { conversation_id } }));
 
   await Promise.allSettled(tasks);
+  scheduleLongTermMemoryExtraction(conversation_id);
 }
 
 const captureScreenshot = async (dir_path, filepath, conversation_id, agent_id, token) => {
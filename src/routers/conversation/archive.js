@@ -0,0 +1,99 @@
+const router = require("koa-router")();
+const fs = require("fs");
+
+const { exportConversation, restoreConversation } = require("@src/conversation/archive");
+
+/**
+ * @swagger
+ * /api/conversation/{conversation_id}/export:
+ *   get:
+ *     summary: Export a conversation
+ *     tags:
+ *       - Conversation
+ *     description: |
+ *       Downloads a .lemon.tar.gz bundle with the message log, plan and task tree, generated files, file versions,
+ *       LLM call logs, uploaded attachments, the workspace history and a machine-readable transcript (transcript.json).
+ *       Use /api/conversation/restore to recreate the conversation on another Lemon instance.
+ *     parameters:
+ *       - in: path
+ *         name: conversation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The export bundle
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get("/:conversation_id/export", async ({ state, params, response }) => {
+  const { conversation_id } = params;
+  try {
+    const { filepath, filename, cleanup } = await exportConversation({ conversation_id, user_id: state.user.id });
+    const stream = fs.createReadStream(filepath);
+    stream.on('close', cleanup);
+    response.file(filename, stream);
+  } catch (error) {
+    console.error('[conversation.export]', error.message);
+    return response.fail(error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversation/restore:
+ *   post:
+ *     summary: Restore an exported conversation
+ *     tags:
+ *       - Conversation
+ *     description: |
+ *       Recreates a conversation from a bundle produced by /api/conversation/{conversation_id}/export.
+ *       The original conversation id is kept unless it is already used on this instance.
+ *       Models and agents that do not exist on this instance are cleared.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .lemon.tar.gz export bundle
+ *     responses:
+ *       200:
+ *         description: Successfully restored the conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: './schemas/conversation.json'
+ *                 code:
+ *                   type: integer
+ *                   description: Status code
+ *                 msg:
+ *                   type: string
+ *                   description: Message
+ */
+router.post("/restore", async ({ state, request, response }) => {
+  const file = request.files && request.files.file;
+  const upload = Array.isArray(file) ? file[0] : file;
+  if (!upload) {
+    return response.fail("file is required");
+  }
+  try {
+    const conversation = await restoreConversation({ file: upload, user_id: state.user.id });
+    return response.success(conversation);
+  } catch (error) {
+    console.error('[conversation.restore]', error.message);
+    return response.fail(error.message);
+  }
+});
+
+module.exports = exports = router.routes();
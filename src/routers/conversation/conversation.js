@@ -274,6 +274,9 @@ router.get("/:conversation_id", async ({ state, params, response }) => {
  *               title:
  *                 type: string
  *                 description: New conversation title
+ *               budget:
+ *                 type: object
+ *                 description: Token / cost / time budget, overrides the agent budget (see src/agent/budget/policy.js)
  *     responses:
  *       200:
  *         description: Successfully updated the conversation
@@ -294,7 +297,7 @@ router.get("/:conversation_id", async ({ state, params, response }) => {
 router.put("/:id", async ({ state, params, request, response }) => {
   const { id: conversation_id } = params;
   const body = request.body || {};
-  const { title, model_id, reasoning_model_id } = body;
+  const { title, model_id, reasoning_model_id, budget } = body;
 
   try {
     const conversation = await Conversation.findOne({
@@ -330,6 +333,9 @@ router.put("/:id", async ({ state, params, request, response }) => {
     if (reasoning_model_id !== undefined) {
       conversation.reasoning_model_id = reasoning_model_id;
     }
+    if (budget !== undefined) {
+      conversation.budget = budget;
+    }
 
 
     await conversation.save();
@@ -0,0 +1,215 @@
+const router = require("koa-router")();
+
+const Conversation = require("@src/models/Conversation");
+const { listCommits, diffSteps, rollbackToStep } = require("@src/agent/git/index");
+
+const findConversation = async (conversation_id, user_id) => {
+  return Conversation.findOne({ where: { conversation_id, user_id, deleted_at: null } });
+};
+
+/**
+ * @swagger
+ * /api/conversation/{conversation_id}/commits:
+ *   get:
+ *     summary: List workspace commits
+ *     tags:
+ *       - Conversation
+ *     description: Every task completed by the agent is committed to the conversation workspace. Step 0 is the initial workspace.
+ *     parameters:
+ *       - in: path
+ *         name: conversation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully returned the commits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       step:
+ *                         type: integer
+ *                       sha:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                       task_id:
+ *                         type: string
+ *                       files:
+ *                         type: integer
+ *                       additions:
+ *                         type: integer
+ *                       deletions:
+ *                         type: integer
+ *                 code:
+ *                   type: integer
+ *                   description: Status code
+ *                 msg:
+ *                   type: string
+ *                   description: Message
+ */
+router.get("/:conversation_id/commits", async ({ state, params, response }) => {
+  const { conversation_id } = params;
+  const conversation = await findConversation(conversation_id, state.user.id);
+  if (!conversation) {
+    return response.fail("Conversation does not exist");
+  }
+  try {
+    const commits = await listCommits({ conversation_id, user_id: state.user.id });
+    return response.success(commits);
+  } catch (error) {
+    return response.fail(error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{conversation_id}/diff:
+ *   get:
+ *     summary: Diff the workspace between two steps
+ *     tags:
+ *       - Conversation
+ *     description: Steps are commit indexes from /commits (or commit sha). Defaults to the changes of the latest step.
+ *     parameters:
+ *       - in: path
+ *         name: conversation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Base step, defaults to the step before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Target step, defaults to the latest step
+ *       - in: query
+ *         name: path
+ *         schema:
+ *           type: string
+ *         description: Only diff this file or directory (relative to the workspace)
+ *     responses:
+ *       200:
+ *         description: Successfully returned the diff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: integer
+ *                     to:
+ *                       type: integer
+ *                     files:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     patch:
+ *                       type: string
+ *                     truncated:
+ *                       type: boolean
+ *                 code:
+ *                   type: integer
+ *                   description: Status code
+ *                 msg:
+ *                   type: string
+ *                   description: Message
+ */
+router.get("/:conversation_id/diff", async ({ state, params, query, response }) => {
+  const { conversation_id } = params;
+  const conversation = await findConversation(conversation_id, state.user.id);
+  if (!conversation) {
+    return response.fail("Conversation does not exist");
+  }
+  try {
+    const diff = await diffSteps({ conversation_id, user_id: state.user.id, from: query.from, to: query.to, path: query.path });
+    return response.success(diff);
+  } catch (error) {
+    return response.fail(error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversation/{conversation_id}/rollback:
+ *   post:
+ *     summary: Roll the workspace back to a step
+ *     tags:
+ *       - Conversation
+ *     description: Restores the workspace files of the given step and records it as a new commit, so the rollback itself can be undone.
+ *     parameters:
+ *       - in: path
+ *         name: conversation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               step:
+ *                 type: integer
+ *                 description: Step index (or commit sha) to restore
+ *     responses:
+ *       200:
+ *         description: Successfully rolled back
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rollback_to:
+ *                       type: integer
+ *                     sha:
+ *                       type: string
+ *                     step:
+ *                       type: integer
+ *                       description: The new latest step
+ *                 code:
+ *                   type: integer
+ *                   description: Status code
+ *                 msg:
+ *                   type: string
+ *                   description: Message
+ */
+router.post("/:conversation_id/rollback", async ({ state, params, request, response }) => {
+  const { conversation_id } = params;
+  const { step } = request.body || {};
+  if (step === undefined || step === null || step === '') {
+    return response.fail("step is required");
+  }
+  const conversation = await findConversation(conversation_id, state.user.id);
+  if (!conversation) {
+    return response.fail("Conversation does not exist");
+  }
+  if (conversation.status === 'running') {
+    return response.fail("Conversation is running, stop it before rolling back");
+  }
+  try {
+    const result = await rollbackToStep({ conversation_id, user_id: state.user.id, step });
+    return response.success(result);
+  } catch (error) {
+    return response.fail(error.message);
+  }
+});
+
+module.exports = exports = router.routes();
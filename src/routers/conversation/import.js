@@ -0,0 +1,116 @@
+const router = require("koa-router")();
+
+const Conversation = require("@src/models/Conversation");
+const { importWorkspace } = require("@src/workspace/import");
+const uuid = require("uuid");
+
+// Create a conversation from an existing project
+/**
+ * @swagger
+ * /api/conversation/import:
+ *   post:
+ *     summary: Create a conversation from an existing project
+ *     tags:
+ *       - Conversation
+ *     description: |
+ *       Creates a conversation whose workspace starts from an existing project instead of an empty directory.
+ *       Send either `path` (a local directory inside IMPORT_ALLOWED_ROOTS) or `file` (a git bundle or a .zip / .tar / .tar.gz / .tgz archive).
+ *       Files ignored by .gitignore are not imported. With mode `mount` the agent works directly on the local directory.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: git bundle or archive of the project
+ *               content:
+ *                 type: string
+ *                 description: Conversation content
+ *               agent_id:
+ *                 type: integer
+ *               model_id:
+ *                 type: integer
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 description: Local project directory
+ *               mode:
+ *                 type: string
+ *                 enum: [copy, mount]
+ *                 description: copy (default) imports a copy, mount links the workspace to the directory
+ *               content:
+ *                 type: string
+ *                 description: Conversation content
+ *               agent_id:
+ *                 type: integer
+ *               model_id:
+ *                 type: integer
+ *               reasoning_model_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Successfully created the conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: './schemas/conversation.json'
+ *                 code:
+ *                   type: integer
+ *                   description: Status code
+ *                 msg:
+ *                   type: string
+ *                   description: Message
+ */
+router.post("/import", async ({ state, request, response }) => {
+  const body = request.body || {};
+  const { content = '', agent_id, model_id, reasoning_model_id, mode = 'copy' } = body;
+  const file = request.files && request.files.file;
+  const upload = Array.isArray(file) ? file[0] : file;
+  if (!body.path && !upload) {
+    return response.fail("path or file is required");
+  }
+  if (mode !== 'copy' && mode !== 'mount') {
+    return response.fail("mode must be copy or mount");
+  }
+
+  const conversation_id = uuid.v4();
+  const conversation = await Conversation.create({
+    conversation_id,
+    content,
+    title: (content || (upload ? upload.originalFilename : body.path)).slice(0, 20),
+    status: 'running',
+    user_id: state.user.id,
+    mode_type: 'task',
+    agent_id,
+    model_id,
+    reasoning_model_id,
+  });
+
+  try {
+    const workspace_source = await importWorkspace({
+      conversation_id,
+      user_id: state.user.id,
+      path: body.path,
+      mode,
+      file: upload,
+    });
+    conversation.dataValues.workspace_source = workspace_source;
+    return response.success(conversation);
+  } catch (error) {
+    console.error('[conversation.import]', error.message);
+    await Conversation.destroy({ where: { conversation_id } });
+    return response.fail(error.message);
+  }
+});
+
+module.exports = exports = router.routes();
@@ -4,7 +4,10 @@ router.prefix("/api/conversation");
 
 const modules = [
   "conversation",
-  "favorite"
+  "favorite",
+  "git",
+  "import",
+  "archive"
 ]
 
 for (const module of modules) {
@@ -2,6 +2,7 @@ const router = require("koa-router")();
 const DefaultModelSetting = require("@src/models/DefaultModelSetting");
 const Model = require('@src/models/Model')
 const { updateDefaultModel } = require('@src/utils/default_model')
+const { breaker } = require('@src/completion/model.router')
 const Platform = require('@src/models/Platform')
 const UserSearchSetting = require('@src/models/UserSearchSetting')
 
@@ -23,10 +24,15 @@ const UserSearchSetting = require('@src/models/UserSearchSetting')
  *             properties:
  *               setting_type:
  *                 type: string
- *                 description: setting_type 'assistant', 'topic_naming', 'translation'
+ *                 description: setting_type 'assistant', 'reasoning', 'topic-naming', 'intent-detection', 'auto-reply', 'translation'
  *               model_id:
  *                 type: integer
  *                 description: model id
+ *               fallback_model_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: ordered fallback model ids (secondary, tertiary ...), used on rate limit / timeout / 5xx
  *               config:
  *                 type: object
  *                 description: config
@@ -52,10 +58,13 @@ const UserSearchSetting = require('@src/models/UserSearchSetting')
 router.put("/", async ({ state, request, response }) => {
     const body = request.body || {};
     const { setting_type, model_id, config } = body
+    const fallback_model_ids = Array.isArray(body.fallback_model_ids)
+        ? body.fallback_model_ids.filter(id => id !== null && id !== '' && String(id) !== String(model_id))
+        : undefined
     const existingModelSetting = await DefaultModelSetting.findOne({ where: { setting_type: setting_type, user_id: state.user.id } });
     if (existingModelSetting) {
         await DefaultModelSetting.update(
-            { model_id: model_id, config: config },
+            { model_id: model_id, config: config, ...(fallback_model_ids ? { fallback_model_ids } : {}) },
             { where: { setting_type: setting_type, user_id: state.user.id } }
         );
     } else {
@@ -63,6 +72,7 @@ router.put("/", async ({ state, request, response }) => {
             setting_type: setting_type,
             model_id: model_id,
             config: config,
+            fallback_model_ids: fallback_model_ids || [],
             user_id: state.user.id
         });
     }
@@ -102,6 +112,36 @@ router.get("/", async ({ state, response }) => {
 });
 
 
+/**
+ * @swagger
+ * /api/default_model_setting/circuit:
+ *   get:
+ *     summary: Get circuit breaker state of each platform
+ *     tags:  
+ *       - DefaultModelSetting
+ *     description: Platforms that keep failing (rate limit / timeout / 5xx) are skipped by the model fallback chain until the cooldown ends.
+ *     responses:
+ *       200:
+ *         description: Successfully 
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   description: platform => { state, failures, opened_at }
+ *                 code:
+ *                   type: integer
+ *                   description: Status code
+ *                 msg:
+ *                   type: string
+ *                   description: Message
+ */
+router.get("/circuit", async ({ response }) => {
+    return response.success(breaker.snapshot());
+});
+
 /**
  * @swagger
  * /api/default_model_setting/check:
@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs');
 const File = require("@src/models/File");
 const { getDirpath } = require('@src/utils/electron');
+const { isSupportedDocument, indexFile, removeFileIndex } = require('@src/document/index');
 
 /**
  * @swagger
@@ -70,11 +71,18 @@ router.post("/upload", async ({ state, request, response }) => {
     fs.copyFileSync(file.filepath, filePath);
 
     const fileDoc = await File.create({
+      user_id: state.user.id,
       url: `upload/${file.originalFilename}`,
       name: file.originalFilename,
       conversation_id: conversation_id,
+      index_status: isSupportedDocument(file.originalFilename) ? 'pending' : 'unsupported',
     });
 
+    // 后台建立 document_query 检索索引, 不阻塞上传
+    if (fileDoc.index_status === 'pending') {
+      indexFile(fileDoc.get({ plain: true }), state.user.id);
+    }
+
     fileDoc.dataValues.workspace_dir = WORKSPACE_DIR
 
     uploadedFiles.push(fileDoc.dataValues);
@@ -188,6 +196,7 @@ router.delete("/delete/:file_id", async ({ state, params, request, response }) =
       return response.error("File does not exist");
     }
     await file.destroy();
+    await removeFileIndex(file_id);
 
     // conversation_id 存在时拼接 Conversation_xxxxx
     let filePath;
@@ -20,6 +20,9 @@ const modules = [
   'user',
   'version',
   'mcp_server',
+  'mcp',
+  'secret',
+  'memory',
   'knowledge',
   'agent_store',
   'conversation_case',
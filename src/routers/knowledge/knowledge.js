@@ -1,6 +1,7 @@
 const router = require("koa-router")();
 const Knowledge = require("@src/models/Knowledge");
 const { Op } = require('sequelize')
+const { searchKnowledge, KNOWLEDGE_TOP_K } = require("@src/knowledge/retrieval");
 
 // 新增 Knowledge
 router.post("/", async ({ state, request, response }) => {
@@ -26,6 +27,7 @@ router.get("/", async ({ state, query, response }) => {
   try {
     const knowledges = await Knowledge.findAll({
       where: { user_id: state.user.id, agent_id },
+      attributes: { exclude: ['embedding'] },
       order: [['update_at', 'DESC']]
     });
 
@@ -46,12 +48,31 @@ router.get("/", async ({ state, query, response }) => {
   }
 });
 
+// 语义检索 Knowledge: ?agent_id=&query=&top_k=&category=a,b
+router.get("/search", async ({ state, query, response }) => {
+  const { agent_id, category = '' } = query
+  const text = (query.query || '').trim()
+  if (!agent_id || !text) {
+    return response.fail("agent_id and query are required");
+  }
+  const top_k = Math.min(Math.max(parseInt(query.top_k, 10) || KNOWLEDGE_TOP_K, 1), 50)
+  const categories = category.split(',').map(item => item.trim()).filter(Boolean)
+  try {
+    const list = await searchKnowledge({ agent_id, user_id: state.user.id, query: text, categories, top_k });
+    return response.success(list);
+  } catch (error) {
+    console.error(error);
+    return response.fail("Failed to search knowledge");
+  }
+});
+
 // 获取单个 Knowledge
 router.get("/detail/:id", async ({ state, params, response }) => {
   const { id } = params;
   try {
     const knowledge = await Knowledge.findOne({
       where: { id, user_id: state.user.id },
+      attributes: { exclude: ['embedding'] },
     });
     if (!knowledge) {
       return response.fail("Knowledge does not exist");
@@ -0,0 +1,51 @@
+const router = require("koa-router")();
+
+const { createLemonServer } = require("@src/mcp/lemon/index");
+
+router.prefix("/api/mcp");
+
+/**
+ * @swagger
+ * /api/mcp:
+ *   post:
+ *     summary: Lemon MCP server (streamable HTTP)
+ *     tags:
+ *       - MCP
+ *     description: |
+ *       Stateless streamable HTTP endpoint of the Lemon MCP server. Tools: list_agents, run_agent, get_conversation, read_workspace_file, stop_run.
+ *       Configure it in an MCP client as a streamable HTTP server with url http://<host>/api/mcp.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: JSON-RPC request
+ *     responses:
+ *       200:
+ *         description: JSON-RPC response
+ */
+router.post("/", async (ctx) => {
+  const { StreamableHTTPServerTransport } = await import("@modelcontextprotocol/sdk/server/streamableHttp.js");
+  // 无状态模式: 每个请求创建独立的 server / transport
+  const server = await createLemonServer({ user_id: ctx.state.user.id });
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined, enableJsonResponse: true });
+  ctx.res.on("close", () => {
+    transport.close();
+    server.close();
+  });
+  await server.connect(transport);
+  ctx.respond = false;
+  await transport.handleRequest(ctx.req, ctx.res, ctx.request.body);
+});
+
+// 无状态模式不支持 SSE 通知流与会话删除
+const methodNotAllowed = async ({ response }) => {
+  response.status = 405;
+  response.set("Allow", "POST");
+  response.body = { jsonrpc: "2.0", error: { code: -32000, message: "Method not allowed." }, id: null };
+};
+router.get("/", methodNotAllowed);
+router.delete("/", methodNotAllowed);
+
+module.exports = router.routes();
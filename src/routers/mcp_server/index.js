@@ -3,8 +3,12 @@ const router = require("koa-router")();
 router.prefix("/api/mcp_server");
 
 const modules = [
+  "prompt",
+  "status",
+  "oauth",
   "mcp_server",
-  "connect"
+  "connect",
+  "resource"
 ]
 
 for (const module of modules) {
@@ -1,13 +1,15 @@
 const router = require("koa-router")();
 
 const McpServer = require("@src/models/McpServer");
+const mcp_client = require("@src/mcp/client");
+const { revokeAuthorization, storeClientSecret, deleteClientSecret } = require("@src/mcp/oauth");
 
 // Create a new mcp server
 router.post("/", async ({ state, request, response }) => {
   const body = request.body || {};
   const user_id = state.user.id
 
-  const { name, url, description, activate, type, command, registryUrl, args, env, api_key, is_default } = body
+  const { name, url, description, activate, type, command, registryUrl, args, env, headers, auth_type, oauth, api_key, is_default } = body
 
   const mcp_server = await McpServer.create({
     user_id,
@@ -20,9 +22,13 @@ router.post("/", async ({ state, request, response }) => {
     registryUrl,
     args,
     env,
+    headers,
+    auth_type,
+    oauth,
     api_key,
     is_default
   });
+  await storeClientSecret(mcp_server);
 
   return response.success(mcp_server);
 });
@@ -45,7 +51,7 @@ router.put("/:mcp_server_id", async ({ state, params, request, response }) => {
   const { mcp_server_id } = params;
   const body = request.body || {};
 
-  const { name, url, description, activate, type, command, registryUrl, args, env, api_key, is_default } = body
+  const { name, url, description, activate, type, command, registryUrl, args, env, headers, auth_type, oauth, api_key, is_default } = body
 
   const mcp_server = await McpServer.findOne({
     where: { id: mcp_server_id, user_id }
@@ -64,9 +70,13 @@ router.put("/:mcp_server_id", async ({ state, params, request, response }) => {
     registryUrl,
     args,
     env,
+    headers,
+    auth_type,
+    oauth,
     api_key,
     is_default
   });
+  await storeClientSecret(mcp_server);
 
   return response.success(mcp_server);
 });
@@ -83,6 +93,14 @@ router.delete("/:mcp_server_id", async ({ state, params, response }) => {
     return response.fail({}, "Mcp Server does not exist");
   }
 
+  try {
+    // 关闭已启动的服务, 清除健康状态, OAuth 令牌与 client_secret
+    await mcp_client.removeServer(mcp_server);
+    await revokeAuthorization(mcp_server);
+    await deleteClientSecret(mcp_server);
+  } catch (error) {
+    console.error(`[MCP] Failed to close server ${mcp_server.name}:`, error.message);
+  }
   await mcp_server.destroy();
 
   return response.success();
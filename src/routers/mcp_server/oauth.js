@@ -0,0 +1,151 @@
+const router = require("koa-router")();
+
+const McpServer = require("@src/models/McpServer");
+const mcp_client = require("@src/mcp/client");
+const { startAuthorization, finishAuthorization, getAuthorizationStatus, revokeAuthorization } = require("@src/mcp/oauth");
+
+const findServer = (mcp_server_id, user_id) => McpServer.findOne({ where: { id: mcp_server_id, user_id } });
+
+// 令牌变化后重新连接
+const reconnect = async (server) => {
+  const serverKey = mcp_client.getServerKey(server);
+  if (mcp_client.clients.has(serverKey)) {
+    await mcp_client.closeClient(serverKey);
+  }
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const callbackPage = (title, detail) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; padding: 40px;"><h2>${escapeHtml(title)}</h2><p>${escapeHtml(detail)}</p></body></html>`;
+
+/**
+ * @swagger
+ * /api/mcp_server/oauth/callback:
+ *   get:
+ *     summary: OAuth redirect endpoint of remote MCP servers
+ *     tags:
+ *       - McpServer
+ *     description: Redirect URI registered with the authorization server (MCP_OAUTH_REDIRECT_URL). Exchanges the authorization code for tokens.
+ *     parameters:
+ *       - name: code
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: state
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page telling the user the result
+ */
+router.get("/oauth/callback", async ({ query, response }) => {
+  const { code, state, error, error_description } = query;
+  response.type = "html";
+  if (error) {
+    response.body = callbackPage("Authorization failed", error_description || error);
+    return;
+  }
+  try {
+    const server = await finishAuthorization(state, code);
+    await reconnect(server);
+    response.body = callbackPage("Authorization complete", `${server.name} is authorized, you can close this window.`);
+  } catch (err) {
+    console.error("[MCP] OAuth callback failed:", err.message);
+    response.body = callbackPage("Authorization failed", err.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/oauth:
+ *   get:
+ *     summary: OAuth authorization status of an MCP server
+ *     tags:
+ *       - McpServer
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ auth_type, authorized, scope, refreshable, expires_at }"
+ */
+router.get("/:mcp_server_id/oauth", async ({ state, params, response }) => {
+  const server = await findServer(params.mcp_server_id, state.user.id);
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  return response.success(await getAuthorizationStatus(server));
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/oauth/authorize:
+ *   post:
+ *     summary: Start the OAuth authorization of an MCP server
+ *     tags:
+ *       - McpServer
+ *     description: Returns authorization_url to open in the browser, or authorized=true when the stored tokens could be refreshed.
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ authorized, authorization_url }"
+ */
+router.post("/:mcp_server_id/oauth/authorize", async ({ state, params, response }) => {
+  const server = await findServer(params.mcp_server_id, state.user.id);
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  if (server.auth_type !== "oauth" || !server.url) {
+    return response.fail({}, "OAuth is only available for remote MCP servers with auth_type oauth");
+  }
+  try {
+    const result = await startAuthorization(server);
+    if (result.authorized) {
+      await reconnect(server);
+    }
+    return response.success(result);
+  } catch (error) {
+    console.error(`[MCP] Failed to start OAuth authorization of ${server.name}:`, error.message);
+    return response.fail({}, error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/oauth:
+ *   delete:
+ *     summary: Remove the stored OAuth tokens of an MCP server
+ *     tags:
+ *       - McpServer
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tokens removed
+ */
+router.delete("/:mcp_server_id/oauth", async ({ state, params, response }) => {
+  const server = await findServer(params.mcp_server_id, state.user.id);
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  await revokeAuthorization(server);
+  await reconnect(server);
+  return response.success();
+});
+
+module.exports = exports = router.routes();
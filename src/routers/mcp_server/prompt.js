@@ -0,0 +1,35 @@
+const router = require("koa-router")();
+
+const McpServer = require("@src/models/McpServer");
+const { listPromptCommands } = require("@src/mcp/command");
+
+/**
+ * @swagger
+ * /api/mcp_server/prompts:
+ *   get:
+ *     summary: List MCP prompts as chat slash commands
+ *     tags:
+ *       - McpServer
+ *     description: Lists the prompts of the given (or all active) MCP servers. Sending "/<server>:<prompt> key=value ..." as the question of /api/agent/run expands the prompt.
+ *     parameters:
+ *       - name: mcp_server_ids
+ *         in: query
+ *         description: Comma separated MCP server ids, defaults to all active servers
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Array of { command, name, description, arguments, server_id, server_name }
+ */
+router.get("/prompts", async ({ state, query, response }) => {
+  const where = { activate: true, user_id: state.user.id };
+  const ids = String(query.mcp_server_ids || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (ids.length > 0) {
+    where.id = ids;
+  }
+  const servers = await McpServer.findAll({ where });
+  const commands = await listPromptCommands(servers);
+  return response.success(commands);
+});
+
+module.exports = exports = router.routes();
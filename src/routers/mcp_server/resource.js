@@ -0,0 +1,134 @@
+const router = require("koa-router")();
+
+const McpServer = require("@src/models/McpServer");
+const mcp_client = require("@src/mcp/client");
+const { CacheService } = require("@src/mcp/cache");
+const { attachResource } = require("@src/mcp/resource");
+
+const findServer = (mcp_server_id, user_id) => McpServer.findOne({ where: { id: mcp_server_id, user_id } });
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/resources:
+ *   get:
+ *     summary: List MCP server resources
+ *     tags:
+ *       - McpServer
+ *     description: Lists the resources exposed by the MCP server. Pass refresh=1 to bypass the resource list cache.
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: refresh
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Array of { uri, name, description, mimeType, serverId, serverName }
+ */
+router.get("/:mcp_server_id/resources", async ({ state, params, query, response }) => {
+  const server = await findServer(params.mcp_server_id, state.user.id);
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  if (query.refresh) {
+    CacheService.remove(`mcp:list_resources:${mcp_client.getServerKey(server)}`);
+  }
+  try {
+    const resources = await mcp_client.listResources(server);
+    return response.success(resources);
+  } catch (error) {
+    return response.fail({}, error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/resource:
+ *   get:
+ *     summary: Read an MCP resource
+ *     tags:
+ *       - McpServer
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: uri
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ contents: [{ uri, mimeType, text | blob }] }"
+ */
+router.get("/:mcp_server_id/resource", async ({ state, params, query, response }) => {
+  const { uri } = query;
+  if (!uri) {
+    return response.fail({}, "uri is required");
+  }
+  const server = await findServer(params.mcp_server_id, state.user.id);
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  try {
+    const result = await mcp_client.getResource({ server, uri });
+    return response.success(result);
+  } catch (error) {
+    return response.fail({}, error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/resource/attach:
+ *   post:
+ *     summary: Attach an MCP resource to a conversation
+ *     tags:
+ *       - McpServer
+ *     description: Saves the resource as an uploaded file. Pass the returned file id in fileIds of /api/agent/run, like an uploaded file.
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               uri:
+ *                 type: string
+ *               conversation_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: File record
+ */
+router.post("/:mcp_server_id/resource/attach", async ({ state, params, request, response }) => {
+  const { uri, conversation_id = '' } = request.body || {};
+  if (!uri) {
+    return response.fail({}, "uri is required");
+  }
+  const server = await findServer(params.mcp_server_id, state.user.id);
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  try {
+    const file = await attachResource(server, { uri, user_id: state.user.id, conversation_id });
+    return response.success(file);
+  } catch (error) {
+    console.error(`[MCP] Failed to attach resource ${uri}:`, error.message);
+    return response.fail({}, error.message);
+  }
+});
+
+module.exports = exports = router.routes();
@@ -0,0 +1,90 @@
+const router = require("koa-router")();
+
+const McpServer = require("@src/models/McpServer");
+const mcp_client = require("@src/mcp/client");
+const { health, healthKey } = require("@src/mcp/health");
+
+const resolveStatus = (server) => ({
+  id: server.id,
+  name: server.name,
+  activate: server.activate,
+  running: mcp_client.hasClient(server),
+  ...health.snapshot(healthKey(server)),
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/status:
+ *   get:
+ *     summary: Health status of all MCP servers
+ *     tags:
+ *       - McpServer
+ *     responses:
+ *       200:
+ *         description: Array of server status, see /api/mcp_server/{mcp_server_id}/status
+ */
+router.get("/status", async ({ state, response }) => {
+  const servers = await McpServer.findAll({ where: { user_id: state.user.id }, order: [['create_at', 'DESC']] });
+  return response.success(servers.map(resolveStatus));
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/status:
+ *   get:
+ *     summary: Health status and tool call metrics of an MCP server
+ *     tags:
+ *       - McpServer
+ *     description: |
+ *       status is idle (not started yet), healthy, unhealthy (disconnected, waiting for restart), failed (restarts exhausted) or stopped.
+ *       tools holds per tool metrics: calls, errors, error_rate, avg_latency_ms, max_latency_ms, last_latency_ms, last_error, last_called_at.
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ id, name, activate, running, status, last_ping_at, last_ping_ms, last_error, failures, restart_attempts, restarts, next_restart_at, tools }"
+ */
+router.get("/:mcp_server_id/status", async ({ state, params, response }) => {
+  const server = await McpServer.findOne({ where: { id: params.mcp_server_id, user_id: state.user.id } });
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  return response.success(resolveStatus(server));
+});
+
+/**
+ * @swagger
+ * /api/mcp_server/{mcp_server_id}/restart:
+ *   post:
+ *     summary: Restart an MCP server
+ *     tags:
+ *       - McpServer
+ *     parameters:
+ *       - name: mcp_server_id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Server status after the restart
+ */
+router.post("/:mcp_server_id/restart", async ({ state, params, response }) => {
+  const server = await McpServer.findOne({ where: { id: params.mcp_server_id, user_id: state.user.id } });
+  if (!server) {
+    return response.fail({}, "Mcp Server does not exist");
+  }
+  try {
+    await mcp_client.restartServer(server);
+    health.recordRestart(healthKey(server), { ok: true });
+    return response.success(resolveStatus(server));
+  } catch (error) {
+    return response.fail(resolveStatus(server), error.message);
+  }
+});
+
+module.exports = exports = router.routes();
@@ -0,0 +1,151 @@
+const router = require("koa-router")();
+
+const {
+  listLongTermMemories,
+  addLongTermMemory,
+  updateLongTermMemory,
+  forgetLongTermMemory,
+} = require("@src/agent/memory/long-term");
+
+router.prefix("/api/memory");
+
+/**
+ * @swagger
+ * /api/memory:
+ *   get:
+ *     summary: List long-term memories
+ *     tags:
+ *       - Memory
+ *     description: Durable facts extracted from finished conversations and recalled at planning time. Entries without agent_id apply to every agent of the user.
+ *     parameters:
+ *       - name: agent_id
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Memories recalled for this agent (user-wide + agent entries)
+ *       - name: scope
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [user, agent]
+ *       - name: category
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [preference, environment, project, fact]
+ *     responses:
+ *       200:
+ *         description: Array of { id, agent_id, scope, content, category, source, conversation_id, recall_count, last_recalled_at, create_at, update_at }
+ */
+router.get("/", async ({ state, query, response }) => {
+  const { agent_id, scope, category } = query;
+  const memories = await listLongTermMemories(state.user.id, { agent_id, scope, category });
+  return response.success(memories);
+});
+
+/**
+ * @swagger
+ * /api/memory:
+ *   post:
+ *     summary: Add a long-term memory
+ *     tags:
+ *       - Memory
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [preference, environment, project, fact]
+ *               agent_id:
+ *                 type: integer
+ *                 description: Empty for a user-wide memory
+ *             required:
+ *               - content
+ *     responses:
+ *       200:
+ *         description: The created memory
+ */
+router.post("/", async ({ state, request, response }) => {
+  const { content, category, agent_id } = request.body || {};
+  if (typeof content !== "string" || !content.trim()) {
+    return response.fail({}, "Memory content is required");
+  }
+  const memory = await addLongTermMemory(state.user.id, { content, category, agent_id });
+  return response.success(memory);
+});
+
+/**
+ * @swagger
+ * /api/memory/{id}:
+ *   put:
+ *     summary: Edit a long-term memory
+ *     tags:
+ *       - Memory
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [preference, environment, project, fact]
+ *               agent_id:
+ *                 type: integer
+ *                 description: null to make the memory user-wide
+ *     responses:
+ *       200:
+ *         description: The updated memory
+ */
+router.put("/:id", async ({ state, params, request, response }) => {
+  const memory = await updateLongTermMemory(state.user.id, params.id, request.body || {});
+  if (!memory) {
+    return response.fail({}, "Memory does not exist");
+  }
+  return response.success(memory);
+});
+
+/**
+ * @swagger
+ * /api/memory/{id}:
+ *   delete:
+ *     summary: Forget a long-term memory
+ *     tags:
+ *       - Memory
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deleted
+ */
+router.delete("/:id", async ({ state, params, response }) => {
+  const count = await forgetLongTermMemory(state.user.id, params.id);
+  if (!count) {
+    return response.fail({}, "Memory does not exist");
+  }
+  return response.success();
+});
+
+module.exports = exports = router.routes();
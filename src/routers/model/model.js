@@ -33,6 +33,19 @@ const { Op } = require("sequelize");
  *                 description: group name
  *               model_types:
  *                 type: array
+ *               tool_call_mode:
+ *                 type: string
+ *                 enum: [xml, native]
+ *                 description: Tool call mode, xml (prompt + XML parsing) or native (function calling)
+ *               input_price:
+ *                 type: number
+ *                 description: Input price per 1M tokens (budget control)
+ *               output_price:
+ *                 type: number
+ *                 description: Output price per 1M tokens (budget control)
+ *               context_window:
+ *                 type: integer
+ *                 description: Context window in tokens, used as the agent memory compaction budget
  * 
  *     responses:
  *       200:
@@ -54,13 +67,17 @@ const { Op } = require("sequelize");
  */
 router.post("/", async ({ state, request, response }) => {
     const body = request.body || {};
-    const { platform_id, model_id, model_name, group_name,model_types } = body
+    const { platform_id, model_id, model_name, group_name,model_types, tool_call_mode, input_price = null, output_price = null, context_window = null } = body
     const model = await Model.create({
         platform_id: platform_id,
         model_id: model_id,
         model_name: model_name,
         group_name: group_name,
         model_types: model_types,
+        tool_call_mode: tool_call_mode === 'native' ? 'native' : 'xml',
+        input_price,
+        output_price,
+        context_window: parseInt(context_window, 10) || null,
     });
     return response.success(model);
 });
@@ -142,6 +159,19 @@ router.get("/list/:platform_id", async ({ state, params, response }) => {
  *                 description: Group name
  *               model_types:
  *                 type: array
+ *               tool_call_mode:
+ *                 type: string
+ *                 enum: [xml, native]
+ *                 description: Tool call mode, xml (prompt + XML parsing) or native (function calling)
+ *               input_price:
+ *                 type: number
+ *                 description: Input price per 1M tokens (budget control)
+ *               output_price:
+ *                 type: number
+ *                 description: Output price per 1M tokens (budget control)
+ *               context_window:
+ *                 type: integer
+ *                 description: Context window in tokens, used as the agent memory compaction budget
  *
  *
  */
@@ -149,7 +179,7 @@ router.get("/list/:platform_id", async ({ state, params, response }) => {
 router.put("/:id", async ({ state, params, request, response }) => {
     const { id } = params;
     const body = request.body || {};
-    const { model_name, group_name,model_types } = body
+    const { model_name, group_name,model_types, tool_call_mode, input_price, output_price, context_window } = body
     const model = await Model.findOne({
         where: {
             id: id
@@ -158,11 +188,18 @@ router.put("/:id", async ({ state, params, request, response }) => {
     if (!model) {
         return response.error("Model does not exist");
     }
-    await model.update({
+    const updateData = {
         model_name: model_name,
         group_name: group_name,
         model_types: model_types
-    });
+    };
+    if (tool_call_mode !== undefined) {
+        updateData.tool_call_mode = tool_call_mode === 'native' ? 'native' : 'xml';
+    }
+    if (input_price !== undefined) updateData.input_price = input_price;
+    if (output_price !== undefined) updateData.output_price = output_price;
+    if (context_window !== undefined) updateData.context_window = parseInt(context_window, 10) || null;
+    await model.update(updateData);
     return response.success(model);
 });
 
@@ -3,9 +3,7 @@ const router = require("koa-router")();
 const UserProviderConfig = require("@src/models/UserProviderConfig");
 const UserSearchSetting = require("@src/models/UserSearchSetting");
 const SearchProviderTable = require("@src/models/SearchProvider");
-const TalivySearch = require("@src/tools/impl/web_search/TalivySearch");
-const LocalSearch = require("@src/tools/impl/web_search/LocalSearch");
-const CloudswaySearch = require("@src/tools/impl/web_search/CloudswaySearch");
+const { getSearchProvider, listSearchProviders, checkSearchProvider, buildMetaConfig } = require("@src/search");
 // upsert user provider config
 /**
  * @swagger
@@ -31,6 +29,9 @@ const CloudswaySearch = require("@src/tools/impl/web_search/CloudswaySearch");
  *               endpoint:
  *                 type: string
  *                 description: Search provider endpoint
+ *               base_config:
+ *                 type: object
+ *                 description: Other provider config fields (see /providers config_schema), merged into the saved config
  *               include_date:
  *                 type: boolean
  *                 description: Include date in search
@@ -73,7 +74,8 @@ router.put("/", async (ctx) => {
         cover_provider_search,
         enable_enhanced_mode,
         result_count,
-        blacklist
+        blacklist,
+        base_config
     } = ctx.request.body;
 
     const user_id = ctx.state.user.id
@@ -137,6 +139,12 @@ router.put("/", async (ctx) => {
             base_config: { api_key }
         }, { where: { provider_id: provider_id, user_id } })
     }
+    // 其它 provider 的配置字段 (SearXNG endpoint / Google cx ...)
+    if (base_config && typeof base_config === 'object') {
+        await userProviderConfig.update({
+            base_config: { ...(userProviderConfig.base_config || {}), ...base_config }
+        })
+    }
     const requestBody = Object.assign({
         provider_id: provider_id,
         base_config: userProviderConfig.base_config,
@@ -263,6 +271,50 @@ router.get("/templates", async (ctx) => {
 });
 
 
+/**
+ * @swagger
+ * /api/search_provider_setting/providers:
+ *   get:
+ *     summary: Get registered search providers
+ *     tags:
+ *       - SearchProviderSetting
+ *     description: This endpoint lists the search providers registered in the search SDK with their capabilities and config schema.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved search providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         description: Provider type, used by check_search_provider
+ *                       name:
+ *                         type: string
+ *                         description: Display name, matches the provider template name
+ *                       capabilities:
+ *                         type: object
+ *                         properties:
+ *                           news:
+ *                             type: boolean
+ *                           date_filter:
+ *                             type: boolean
+ *                           site:
+ *                             type: boolean
+ *                       config_schema:
+ *                         type: object
+ *                         description: Config fields, fields with an empty default are required
+ */
+router.get("/providers", async ({ response }) => {
+    response.success(listSearchProviders())
+})
+
 /**
  * @swagger
  * /api/search_provider_setting/check_search_provider:
@@ -280,10 +332,13 @@ router.get("/templates", async (ctx) => {
  *             properties:
  *               type:
  *                 type: string
- *                 description: Search provider type
+ *                 description: Search provider type (tavily, cloudsway, google, local, searxng, brave, meta ...)
  *               api_key:
  *                 type: string
  *                 description: Search provider api key
+ *               endpoint:
+ *                 type: string
+ *                 description: Search provider endpoint
  *               engine:
  *                 type: string
  *                 description: Search provider engine
@@ -305,23 +360,16 @@ router.get("/templates", async (ctx) => {
  *                       type: string
  *                       description: Message
  */
-router.post("/check_search_provider", async ({ request, response }) => {
-    const { type, api_key = "", endpoint = "", engine = "" } = request.body;
-    if (type === 'tavily') {
-        const talivy = new TalivySearch({ key: api_key });
-        const res = await talivy.check()
-        response.success(res)
-    } else if (type === 'local') {
-        const local = new LocalSearch();
-        const res = await local.check(engine)
-        response.success(res)
-    } else if (type === 'cloudsway') {
-        const cloudsway = new CloudswaySearch({ access_key: api_key, endpoint: endpoint });
-        const res = await cloudsway.check()
-        response.success(res)
-    } else {
-        response.fail("Invalid search provider type")
+router.post("/check_search_provider", async ({ request, response, state }) => {
+    const { type, ...config } = request.body;
+    if (!getSearchProvider(type)) {
+        return response.fail("Invalid search provider type")
     }
+    // 聚合搜索检查用户已配置的全部 provider
+    const res = type === 'meta'
+        ? await checkSearchProvider(type, await buildMetaConfig(state.user.id))
+        : await checkSearchProvider(type, config)
+    response.success(res)
 })
 
 module.exports = exports = router.routes();
\ No newline at end of file
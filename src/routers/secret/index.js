@@ -0,0 +1,89 @@
+const router = require("koa-router")();
+
+const { isValidSecretName, setSecret, deleteSecret, listSecrets } = require("@src/secret/index");
+
+router.prefix("/api/secret");
+
+/**
+ * @swagger
+ * /api/secret:
+ *   get:
+ *     summary: List secrets
+ *     tags:
+ *       - Secret
+ *     description: Returns the names of the user's secrets, never their values. Reference a secret as ${secret:NAME} in MCP server url, headers, env and args.
+ *     responses:
+ *       200:
+ *         description: Array of { id, name, description, create_at, update_at }
+ */
+router.get("/", async ({ state, response }) => {
+  const secrets = await listSecrets(state.user.id);
+  return response.success(secrets);
+});
+
+/**
+ * @swagger
+ * /api/secret:
+ *   post:
+ *     summary: Create or update a secret
+ *     tags:
+ *       - Secret
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Letters, digits, "_", "." and "-"
+ *               value:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *             required:
+ *               - name
+ *               - value
+ *     responses:
+ *       200:
+ *         description: "{ id, name, description }"
+ */
+router.post("/", async ({ state, request, response }) => {
+  const { name, value, description } = request.body || {};
+  if (!isValidSecretName(name)) {
+    return response.fail({}, "Invalid secret name, use letters, digits, '_', '.' and '-'");
+  }
+  if (typeof value !== "string" || value === "") {
+    return response.fail({}, "Secret value is required");
+  }
+  const secret = await setSecret(state.user.id, name, value, { description });
+  return response.success({ id: secret.id, name: secret.name, description: secret.description });
+});
+
+/**
+ * @swagger
+ * /api/secret/{name}:
+ *   delete:
+ *     summary: Delete a secret
+ *     tags:
+ *       - Secret
+ *     parameters:
+ *       - name: name
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted
+ */
+router.delete("/:name", async ({ state, params, response }) => {
+  const count = await deleteSecret(state.user.id, params.name);
+  if (!count) {
+    return response.fail({}, "Secret does not exist");
+  }
+  return response.success();
+});
+
+module.exports = exports = router.routes();
@@ -11,9 +11,8 @@ const { getDefaultModel } = require('@src/utils/default_model')
 
 const Message = require('@src/utils/message');
 
-const tools = require("../tools/index.js");
-const mcp_tool = require("@src/mcp/tool");
-tools['mcp_tool'] = mcp_tool;
+// 工具注册中心: builtin / mcp_tool / plugin 工具统一分发
+const toolRegistry = require("@src/tools/registry");
 
 const { v4: uuidv4 } = require("uuid");
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -246,7 +245,7 @@ class DockerRuntime {
 
   async handle_memory(result, action, memory) {
     const type = action.type;
-    const tool = tools[type];
+    const tool = toolRegistry.getTool(type);
     const memorized_type = new Set(['read_file', "write_code", "patch_code", "replace_code_block", "terminal_run"]);
     const visibleText = buildVisibleActionResultText(result);
     // We generally avoid storing failures to reduce noise, but `terminal_run` and `read_file`
@@ -281,7 +280,7 @@ class DockerRuntime {
     console.log('action', action.type);
     const uuid = uuidv4();
     // action running message
-    const tool = tools[type];
+    const tool = toolRegistry.getTool(type);
     if (tool && tool.getActionDescription) {
       const description = await tool.getActionDescription(params);
       const value = {
@@ -48,8 +48,10 @@ if (os.platform() === 'win32') {
 const docker = new Docker(dockerOptions);
 
 const Message = require('@src/utils/message');
+const Conversation = require('@src/models/Conversation');
 
-const tools = require("../tools/index.js");
+// 工具注册中心: builtin / mcp_tool / plugin 工具统一分发
+const toolRegistry = require("@src/tools/registry");
 const { v4: uuidv4 } = require("uuid");
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -249,6 +251,7 @@ class DockerRuntime {
       workspace_dir = process.env.ACTUAL_HOST_WORKSPACE_PATH;
     }
     this.user_id = context.user_id
+    this.conversation_id = context.conversation_id
     this.workspace_dir = workspace_dir;
     this.host_port = null;
     this.vscode_port = null;
@@ -258,10 +261,15 @@ class DockerRuntime {
 
   // 要操作容器必须先执行connect_container
   async connect_container() {
+    // mount 导入的项目使用会话自己的容器, 只挂载该会话的原项目, 不影响共用容器中正在运行的任务
+    const mount_source = await this.resolve_mount_source();
+    const container_name = mount_source ? `conversation-${this.conversation_id}-lemon-runtime-sandbox` : 'lemon-runtime-sandbox';
+    const project_sources = mount_source ? [mount_source] : [];
+
     // 查看容器是否存在，如果不存在，初始化容器，如果存在但是没启动，start容器
     let container;
     try {
-      container = docker.getContainer('lemon-runtime-sandbox')
+      container = docker.getContainer(container_name)
       const container_info = await container.inspect();
       if (container_info.State.Status === 'exited') {
         console.log('DockerRuntime.connect_container.container exited, start container');
@@ -271,7 +279,7 @@ class DockerRuntime {
       }
     } catch (err) {
       console.log('DockerRuntime.connect_container.getContainer', err.message);
-      container = await this.init_container();
+      container = await this.init_container(container_name, project_sources);
     }
 
     let container_info = await container.inspect()
@@ -293,12 +301,30 @@ class DockerRuntime {
     return container;
   }
 
+  // 当前会话 mount 导入的原项目目录 (工作区是指向它的链接)
+  async resolve_mount_source() {
+    if (!this.conversation_id) return null;
+    try {
+      const conversation = await Conversation.findOne({ where: { conversation_id: this.conversation_id, user_id: this.user_id } });
+      const workspace_source = conversation && conversation.dataValues.workspace_source;
+      if (!workspace_source || workspace_source.mode !== 'mount' || !workspace_source.source) return null;
+      return await fs.access(workspace_source.source).then(() => workspace_source.source, () => null);
+    } catch (error) {
+      console.log('DockerRuntime.resolve_mount_source', error.message);
+      return null;
+    }
+  }
+
   async find_available_port(port_range) {
     const port = await find_available_tcp_port(port_range[0], port_range[1]);
     return port
   }
 
-  async init_container() {
+  /**
+   * @param {string} [name] 容器名称
+   * @param {string[]} [project_sources] mount 导入的原项目目录
+   */
+  async init_container(name = 'lemon-runtime-sandbox', project_sources = []) {
     // 初始化容器
     console.log('DockerRuntime.init_container');
 
@@ -324,16 +350,20 @@ class DockerRuntime {
     const imageName = 'hexdolemonai/lemon-runtime-sandbox:latest';
     await this.ensureImageExists(docker, imageName);
 
+    // mount 导入的项目挂载到容器中的同一路径, 工作区中的链接在容器内同样有效
+    const project_binds = project_sources.map(source => `${source}:${source}:rw`);
+
     const container = await docker.createContainer({
       Image: imageName,
-      name: 'lemon-runtime-sandbox',                // 容器名称
+      name,                // 容器名称
       Cmd: ['node', 'chataa/action_execution_server.js', '--port', `${host_port}`, '--vscode_port', `${vscode_port}`],  // 启动命令
       WorkingDir: '/chataa/code',                // 容器内工作目录
       ExposedPorts: exposedPortsMap,
       HostConfig: {
         Binds: [
           // 本地目录 : 容器目录 : 模式（rw 可读写 / ro 只读）
-          `${this.workspace_dir}:/workspace:rw`
+          `${this.workspace_dir}:/workspace:rw`,
+          ...project_binds
         ],
         PortBindings: PortBindingsMap,
         AutoRemove: false,  // 如需容器退出后自动删除，可改为 true
@@ -372,7 +402,7 @@ class DockerRuntime {
 
   async handle_memory(result, action, memory) {
     const type = action.type;
-    const tool = tools[type];
+    const tool = toolRegistry.getTool(type);
     const memorized_type = new Set(['read_file', "write_code", "patch_code", "replace_code_block", "terminal_run"]);
     const visibleText = buildVisibleActionResultText(result);
     // We generally avoid storing failures to reduce noise, but `terminal_run` and `read_file`
@@ -503,7 +533,7 @@ class DockerRuntime {
     }
 	
     // action running message
-    const tool = tools[type];
+    const tool = toolRegistry.getTool(type);
     if (tool && tool.getActionDescription) {
       const description = await tool.getActionDescription(params);
       const value = {
@@ -629,6 +659,28 @@ class DockerRuntime {
           break;
         }
 
+        // Provider configured in the search settings (src/search); otherwise the sandbox DDG script below
+        try {
+          const { searchWithUserSetting } = require('@src/search');
+          const searched = await searchWithUserSetting(this.user_id, searchQuery, { num_results: action.params.num_results });
+          if (searched) {
+            result = {
+              uuid,
+              status: 'success',
+              content: `Web search results for "${searchQuery}":\n\n${JSON.stringify(searched.results, null, 2)}`,
+              memorized: false,
+              meta: {
+                json: searched.results,
+                provider: searched.provider,
+                cached: searched.cached,
+              },
+            };
+            break;
+          }
+        } catch (error) {
+          console.error('[web_search] Search provider failed, falling back to DDG:', error.message);
+        }
+
         // On délègue au sandbox via terminal_run
         const subAction = {
           type: 'terminal_run',
@@ -722,6 +774,26 @@ break;
           break;
         }
 
+        // Paged reads (offset / length) over the extracted Markdown, see src/reader
+        // Cached documents are only shared within the same conversation
+        const readOptions = { offset: action.params.offset, length: action.params.length, scope: `${context.user_id}/${context.conversation_id}` };
+        const reader = require('@src/reader');
+
+        // Direct fetch + readability extraction (PDF, next pages, disk cache); pages that need JS go through the sandbox browser below
+        try {
+          const read = await reader.readUrl(targetUrl, readOptions);
+          result = {
+            uuid,
+            status: 'success',
+            content: reader.formatReadContent(read),
+            memorized: false,
+            meta: { json: [reader.buildReadMeta(read)] },
+          };
+          break;
+        } catch (error) {
+          console.error('[read_url] Direct fetch failed, falling back to the sandbox browser:', error.message);
+        }
+
         // On délègue au sandbox via terminal_run (script Playwright+bs4 dans le workspace)
         const subAction = {
           type: 'terminal_run',
@@ -778,19 +850,20 @@ break;
           ? raw_json.status
           : '';
 
+        const html = (raw_json && typeof raw_json.html === 'string') ? raw_json.html : '';
+        const read = reader.readFromBrowser(targetUrl, { html, text, title, final_url, status: statusCode }, readOptions);
+
         result = {
           uuid,
           status: 'success',
-          content: text || `Read URL "${final_url}" OK.`,
+          content: read.total_length > 0 ? reader.formatReadContent(read) : `Read URL "${final_url}" OK.`,
           memorized: false,
           meta: {
             json: [
               {
-                title,
-                final_url,
-                status: statusCode,
+                ...reader.buildReadMeta(read),
                 // html potentiellement présent si tu le renvoies depuis le script python
-                ...(raw_json && typeof raw_json.html === 'string' ? { html: raw_json.html } : {}),
+                ...(html ? { html } : {}),
               },
             ],
             raw_json, // (optionnel) utile en debug
@@ -72,7 +72,8 @@ function classifyReadFileErrorKind(err) {
 const fs = require('fs').promises;
 const path = require('path');
 const { write_code: util_write_code, patch_code: util_patch_code, replace_code_block: util_replace_code_block } = require('./utils/tools');
-const tools = require("@src/tools/index.js");
+// 工具注册中心: builtin / mcp_tool / plugin 工具统一分发
+const toolRegistry = require("@src/tools/registry");
 const { v4: uuidv4 } = require("uuid");
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -156,7 +157,7 @@ class LocalRuntime {
     const uuid = uuidv4();
 
     // action running message
-    const tool = tools[type];
+    const tool = toolRegistry.getTool(type);
     if (tool.getActionDescription) {
       const description = await tool.getActionDescription(params);
       const value = {
@@ -201,7 +202,7 @@ class LocalRuntime {
           console.log('LocalRuntime.execute_action.tool', tool.name, params);
           const execute = tool.execute;
           try {
-            const execute_result = await execute(params);
+            const execute_result = await execute(params, uuid, context);
             // console.log('LocalRuntime.execute_action.tool.execute', execute_result);
             const { content, meta = {} } = execute_result;
             result = {
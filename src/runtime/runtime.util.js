@@ -6,6 +6,23 @@ const resolveWorkspaceDir = async (user_id) => {
   return WORKSPACE_DIR;
 }
 
+/**
+ * conversation workspace directory name: Conversation_ + first 6 chars of conversation_id
+ * @param {string} conversation_id
+ * @returns {string}
+ */
+const resolveConversationDirname = (conversation_id) => 'Conversation_' + String(conversation_id).slice(0, 6);
+
+/**
+ * absolute path of a conversation workspace
+ * @param {{ conversation_id: string, user_id?: number|string }} context
+ * @returns {string}
+ */
+const resolveConversationDir = ({ conversation_id, user_id }) => {
+  const WORKSPACE_DIR = getDirpath(process.env.WORKSPACE_DIR || 'workspace', user_id);
+  return path.join(WORKSPACE_DIR, resolveConversationDirname(conversation_id));
+}
+
 /**
  * restrict filepath to workspace dir
  * @param {string} filepath 
@@ -26,5 +43,7 @@ const restrictFilepath = async (filepath, user_id) => {
 
 module.exports = {
   resolveWorkspaceDir,
+  resolveConversationDirname,
+  resolveConversationDir,
   restrictFilepath
 }
\ No newline at end of file
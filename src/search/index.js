@@ -0,0 +1,244 @@
+/**
+ * 可插拔的网页搜索 provider
+ *
+ * - 内置 tavily / cloudsway / google / local / searxng / brave / meta, 其它 provider 通过 registerSearchProvider 注册
+ * - provider 声明能力 (news / date_filter / site), 不支持的参数由 applyCapabilities 统一降级
+ * - 结果按 provider + 查询 + 参数缓存在进程内, SEARCH_CACHE_TTL (秒, 默认 3600, 0 关闭) / SEARCH_CACHE_MAX_ENTRIES
+ * - 用户在搜索设置中选择的 provider 对应 SearchProvider.name (不区分大小写), 未注册的名称 (例如 Lemon) 使用沙箱内置搜索
+ *
+ * @typedef {{ news?: boolean, date_filter?: boolean, site?: boolean }} SearchCapabilities
+ * @typedef {{ url: string, title: string, content: string, published_at?: string|null }} SearchResult
+ * @typedef {{ search: (query: string, options: Object) => Promise<SearchResult[]>, check: () => Promise<{ status: string, message: string }> }} SearchClient
+ * @typedef {{
+ *   type: string,
+ *   name: string,
+ *   capabilities: SearchCapabilities,
+ *   config_schema: Object,
+ *   identity?: (config: Object) => Object,
+ *   create: (config: Object) => SearchClient
+ * }} SearchProviderDefinition
+ */
+const TavilyProvider = require('./providers/tavily');
+const CloudswayProvider = require('./providers/cloudsway');
+const GoogleProvider = require('./providers/google');
+const LocalProvider = require('./providers/local');
+const SearXNGProvider = require('./providers/searxng');
+const BraveProvider = require('./providers/brave');
+const MetaProvider = require('./providers/meta');
+const { createTtlCache } = require('@src/utils/ttl_cache');
+const {
+  normalizeSearchOptions,
+  applyCapabilities,
+  matchesSites,
+  normalizeResult,
+  filterBlacklist,
+  buildCacheKey,
+} = require('./search.util');
+
+const SEARCH_CACHE_TTL = parseInt(process.env.SEARCH_CACHE_TTL || '3600', 10);
+const SEARCH_CACHE_MAX_ENTRIES = parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES || '500', 10);
+
+const searchCache = createTtlCache({
+  ttl: (SEARCH_CACHE_TTL > 0 ? SEARCH_CACHE_TTL : 0) * 1000,
+  max_entries: SEARCH_CACHE_MAX_ENTRIES > 0 ? SEARCH_CACHE_MAX_ENTRIES : 0,
+});
+
+/** @type {Map<string, SearchProviderDefinition>} */
+const providers = new Map();
+
+/**
+ * @param {SearchProviderDefinition} definition
+ */
+const registerSearchProvider = (definition) => {
+  if (!definition || !definition.type || typeof definition.create !== 'function') {
+    throw new Error('Search provider requires a type and a create(config) function');
+  }
+  const { news = false, date_filter = false, site = false } = definition.capabilities || {};
+  providers.set(definition.type, {
+    ...definition,
+    name: definition.name || definition.type,
+    capabilities: { news, date_filter, site },
+    config_schema: definition.config_schema || {},
+  });
+};
+
+[TavilyProvider, CloudswayProvider, GoogleProvider, LocalProvider, SearXNGProvider, BraveProvider, MetaProvider]
+  .forEach(registerSearchProvider);
+
+/**
+ * @param {string} type
+ * @returns {SearchProviderDefinition|undefined}
+ */
+const getSearchProvider = (type) => providers.get(String(type || '').toLowerCase());
+
+/**
+ * 按显示名称查找 (SearchProvider 表中的 name)
+ * @param {string} name
+ */
+const findSearchProviderByName = (name) => {
+  const key = String(name || '').toLowerCase();
+  return [...providers.values()].find(item => item.type === key || item.name.toLowerCase() === key);
+};
+
+const listSearchProviders = () => [...providers.values()].map(({ type, name, capabilities, config_schema }) => ({
+  type,
+  name,
+  capabilities,
+  config_schema,
+}));
+
+/**
+ * config_schema 中默认值为空字符串的字段为必填
+ * @param {SearchProviderDefinition} definition
+ * @param {Object} config
+ */
+const isProviderConfigured = (definition, config = {}) => Object.entries(definition.config_schema)
+  .every(([key, value]) => value !== '' || !!(config && config[key]));
+
+// 影响结果的配置 (不含密钥)
+const cacheIdentity = (definition, config = {}) => {
+  if (typeof definition.identity === 'function') return definition.identity(config);
+  return Object.fromEntries(Object.entries(config).filter(([key]) => !/key|token|secret|password/i.test(key)));
+};
+
+/**
+ * @param {string} type
+ * @param {Object} config
+ * @returns {SearchClient}
+ */
+const createSearchClient = (type, config = {}) => {
+  const definition = getSearchProvider(type);
+  if (!definition) throw new Error(`Unknown search provider: ${type}`);
+  return definition.create(config || {});
+};
+
+/**
+ * @param {{ type: string, config?: Object, query: string, options?: Object, use_cache?: boolean }} params
+ * @returns {Promise<{ provider: string, query: string, results: Array<SearchResult & { source: string }>, cached: boolean }>}
+ */
+const search = async ({ type, config = {}, query, options = {}, use_cache = true }) => {
+  const definition = getSearchProvider(type);
+  if (!definition) throw new Error(`Unknown search provider: ${type}`);
+  const normalized = normalizeSearchOptions(options);
+  const key = buildCacheKey(definition.type, cacheIdentity(definition, config), query, normalized);
+  if (use_cache && searchCache.has(key)) {
+    return { ...searchCache.get(key), cached: true };
+  }
+
+  const client = definition.create(config || {});
+  const effective = applyCapabilities(query, normalized, definition.capabilities);
+  let results = (await client.search(effective.query, effective.options) || [])
+    // 聚合结果保留来源与融合得分
+    .map(item => (item.sources ? { ...normalizeResult(item, definition.type), sources: item.sources, score: item.score } : normalizeResult(item, definition.type)))
+    .filter(item => item.url);
+  // 不支持站点限定的 provider 只能在查询中加 site: 运算符, 这里再按 hostname 过滤一次
+  if (normalized.sites.length > 0) {
+    results = results.filter(item => matchesSites(item.url, normalized.sites));
+  }
+  const value = { provider: definition.type, query, results: results.slice(0, normalized.max_results) };
+  if (value.results.length > 0) searchCache.set(key, value);
+  return { ...value, cached: false };
+};
+
+/**
+ * @param {string} type
+ * @param {Object} config
+ * @returns {Promise<{ status: string, message: string }>}
+ */
+const checkSearchProvider = async (type, config = {}) => {
+  try {
+    return await createSearchClient(type, config).check();
+  } catch (error) {
+    return { status: 'fail', message: error.message };
+  }
+};
+
+const parseBaseConfig = (base_config) => {
+  if (typeof base_config !== 'string') return base_config || {};
+  try {
+    return JSON.parse(base_config || '{}');
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * 聚合搜索的成员: 用户已填写配置的所有 provider
+ * @param {number|string} user_id
+ * @returns {Promise<{ providers: Array<{ type: string, config: Object }> }>}
+ */
+const buildMetaConfig = async (user_id) => {
+  const UserProviderConfig = require('@src/models/UserProviderConfig');
+  const SearchProviderTable = require('@src/models/SearchProvider');
+  const rows = await UserProviderConfig.findAll({ where: { user_id } });
+  const names = new Map((await SearchProviderTable.findAll()).map(row => [row.id, row.name]));
+  const members = [];
+  for (const row of rows) {
+    const definition = findSearchProviderByName(names.get(row.provider_id));
+    const config = parseBaseConfig(row.base_config);
+    if (!definition || definition.type === MetaProvider.type || !isProviderConfigured(definition, config)) continue;
+    members.push({ type: definition.type, config });
+  }
+  return { providers: members };
+};
+
+/**
+ * 用户搜索设置中选择的 provider
+ * @param {number|string} user_id
+ * @returns {Promise<{ type: string, config: Object, setting: Object } | null>} null: 使用沙箱内置搜索
+ */
+const resolveUserSearchProvider = async (user_id) => {
+  const UserSearchSetting = require('@src/models/UserSearchSetting');
+  const UserProviderConfig = require('@src/models/UserProviderConfig');
+  const SearchProviderTable = require('@src/models/SearchProvider');
+
+  const setting = await UserSearchSetting.findOne({ where: { user_id } });
+  if (!setting) return null;
+  const row = await SearchProviderTable.findByPk(setting.provider_id);
+  const definition = row && findSearchProviderByName(row.name);
+  if (!definition) return null;
+
+  if (definition.type === MetaProvider.type) {
+    const config = await buildMetaConfig(user_id);
+    return config.providers.length > 0 ? { type: definition.type, config, setting } : null;
+  }
+  const providerConfig = await UserProviderConfig.findOne({ where: { user_id, provider_id: setting.provider_id } });
+  const config = parseBaseConfig(providerConfig && providerConfig.base_config);
+  if (!isProviderConfigured(definition, config)) return null;
+  return { type: definition.type, config, setting };
+};
+
+/**
+ * 使用用户配置的 provider 搜索, 结果数默认取搜索设置中的 result_count, 并过滤黑名单
+ * @param {number|string} user_id
+ * @param {string} query
+ * @param {Object} [options]
+ * @returns {Promise<Awaited<ReturnType<typeof search>> | null>} null: 用户未配置可用的 provider
+ */
+const searchWithUserSetting = async (user_id, query, options = {}) => {
+  const resolved = await resolveUserSearchProvider(user_id);
+  if (!resolved) return null;
+  const { type, config, setting } = resolved;
+  const result = await search({
+    type,
+    config,
+    query,
+    options: { ...options, max_results: options.max_results || options.num_results || setting.result_count },
+  });
+  return { ...result, results: filterBlacklist(result.results, setting.blacklist || '') };
+};
+
+module.exports = exports = {
+  searchCache,
+  registerSearchProvider,
+  getSearchProvider,
+  findSearchProviderByName,
+  listSearchProviders,
+  isProviderConfigured,
+  createSearchClient,
+  search,
+  checkSearchProvider,
+  buildMetaConfig,
+  resolveUserSearchProvider,
+  searchWithUserSetting,
+};
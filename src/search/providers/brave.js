@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+const { checkBySearch } = require('./check');
+
+const HOST = 'https://api.search.brave.com/res/v1';
+const FRESHNESS = { day: 'pd', week: 'pw', month: 'pm', year: 'py' };
+// Brave 单次最多返回 20 条
+const MAX_COUNT = 20;
+
+/** @type {import('../index').SearchProviderDefinition} */
+const BraveProvider = {
+  type: 'brave',
+  name: 'Brave',
+  capabilities: { news: true, date_filter: true, site: false },
+  config_schema: { api_key: '' },
+  create({ api_key }) {
+    const search = async (query, options) => {
+      const news = options.topic === 'news';
+      const params = { q: query, count: Math.min(MAX_COUNT, options.max_results) };
+      if (options.time_range) params.freshness = FRESHNESS[options.time_range];
+      const response = await axios.get(`${HOST}/${news ? 'news' : 'web'}/search`, {
+        params,
+        headers: {
+          'Accept': 'application/json',
+          'X-Subscription-Token': api_key,
+        },
+        timeout: 30000,
+      });
+      const data = response.data || {};
+      const results = news ? data.results : data.web && data.web.results;
+      return (results || []).map(item => ({
+        url: item.url,
+        title: item.title,
+        content: item.description,
+        published_at: item.page_age || null,
+      }));
+    };
+    return {
+      search,
+      check: () => checkBySearch('Brave Search API', () => search('test connection', { max_results: 1, topic: 'general', time_range: null, sites: [] })),
+    };
+  },
+};
+
+module.exports = exports = BraveProvider;
@@ -0,0 +1,29 @@
+/**
+ * 通过一次最小搜索检查 provider 的配置与连通性 (新 provider 共用, 返回格式与原 provider.check() 相同)
+ * @param {string} name 显示名称
+ * @param {() => Promise<any[]>} probe
+ * @returns {Promise<{status: string, message: string}>}
+ */
+const checkBySearch = async (name, probe) => {
+  try {
+    const results = await probe();
+    if (!Array.isArray(results)) {
+      return { status: 'fail', message: `${name} returned an unexpected response.` };
+    }
+    return { status: 'success', message: `${name} connection successful.` };
+  } catch (error) {
+    if (error.response) {
+      if (error.response.status === 401 || error.response.status === 403) {
+        return { status: 'fail', message: `${name} API key is invalid or unauthorized.` };
+      }
+      return { status: 'fail', message: `${name} error: ${error.response.status} - ${error.response.statusText || 'Unknown error'}` };
+    } else if (error.request) {
+      return { status: 'fail', message: `No response received from ${name}. Check network connection.` };
+    }
+    return { status: 'fail', message: `An unexpected error occurred: ${error.message}` };
+  }
+};
+
+module.exports = exports = {
+  checkBySearch,
+};
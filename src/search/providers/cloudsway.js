@@ -0,0 +1,21 @@
+const CloudswaySearch = require('@src/tools/impl/web_search/CloudswaySearch');
+
+/** @type {import('../index').SearchProviderDefinition} */
+const CloudswayProvider = {
+  type: 'cloudsway',
+  name: 'Cloudsway',
+  capabilities: { news: false, date_filter: false, site: false },
+  config_schema: { api_key: '', endpoint: '' },
+  create({ api_key, endpoint }) {
+    const client = new CloudswaySearch({ access_key: api_key, endpoint });
+    return {
+      async search(query, options) {
+        await client.search(query, { max_results: options.max_results });
+        return client.formatJSON();
+      },
+      check: () => client.check(),
+    };
+  },
+};
+
+module.exports = exports = CloudswayProvider;
@@ -0,0 +1,34 @@
+const DATE_RESTRICT = { day: 'd1', week: 'w1', month: 'm1', year: 'y1' };
+// Custom Search API 单次最多返回 10 条
+const MAX_NUM = 10;
+
+/** @type {import('../index').SearchProviderDefinition} */
+const GoogleProvider = {
+  type: 'google',
+  name: 'Google',
+  capabilities: { news: false, date_filter: true, site: true },
+  config_schema: { api_key: '', cx: '' },
+  create({ api_key, cx }) {
+    // googleapis 较重, 只在使用时加载
+    const GoogleSearch = require('@src/tools/impl/web_search/GoogleSearch');
+    const client = new GoogleSearch({ key: api_key, cx });
+    return {
+      async search(query, options) {
+        const params = { num: Math.min(MAX_NUM, options.max_results) };
+        if (options.time_range) params.dateRestrict = DATE_RESTRICT[options.time_range];
+        let q = query;
+        // siteSearch 只支持单个站点, 多个站点使用查询运算符
+        if (options.sites.length === 1) {
+          params.siteSearch = options.sites[0];
+        } else if (options.sites.length > 1) {
+          q = `${query} (${options.sites.map(site => `site:${site}`).join(' OR ')})`;
+        }
+        await client.search(q, params);
+        return client.formatJSON();
+      },
+      check: () => client.check(),
+    };
+  },
+};
+
+module.exports = exports = GoogleProvider;
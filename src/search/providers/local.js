@@ -0,0 +1,24 @@
+/**
+ * 本地浏览器抓取 Bing / Baidu 搜索页, 无需 API key
+ * @type {import('../index').SearchProviderDefinition}
+ */
+const LocalProvider = {
+  type: 'local',
+  name: 'Local',
+  capabilities: { news: false, date_filter: false, site: false },
+  config_schema: { engine: 'bing' },
+  create({ engine = 'bing' }) {
+    // playwright 只在使用时加载
+    const LocalSearch = require('@src/tools/impl/web_search/LocalSearch');
+    const client = LocalSearch.getInstance();
+    return {
+      async search(query, options) {
+        const result = await client.search(query, { engine, max_results: options.max_results });
+        return (result && result.results) || [];
+      },
+      check: () => client.check(engine),
+    };
+  },
+};
+
+module.exports = exports = LocalProvider;
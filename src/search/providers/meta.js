@@ -0,0 +1,50 @@
+const { mergeResults } = require('../search.util');
+
+/**
+ * 聚合搜索: 并发查询多个 provider, 按 URL 去重后用 Reciprocal Rank Fusion 重排
+ * config.providers: [{ type, config }], 单个 provider 失败不影响其余结果
+ * @type {import('../index').SearchProviderDefinition}
+ */
+const MetaProvider = {
+  type: 'meta',
+  name: 'Meta',
+  // 能力由各成员 provider 自行降级
+  capabilities: { news: true, date_filter: true, site: true },
+  config_schema: {},
+  identity: ({ providers = [] }) => ({ providers: providers.map(member => member.type).sort() }),
+  create({ providers = [] }) {
+    // 与 index.js 循环依赖, 延迟加载
+    const { search, checkSearchProvider } = require('../index');
+    return {
+      async search(query, options) {
+        if (providers.length === 0) throw new Error('Meta search requires at least one configured provider');
+        const settled = await Promise.allSettled(providers.map(member => search({
+          type: member.type,
+          config: member.config,
+          query,
+          options,
+        })));
+        const lists = [];
+        const errors = [];
+        settled.forEach((item, i) => {
+          if (item.status === 'fulfilled') {
+            lists.push({ source: providers[i].type, results: item.value.results });
+          } else {
+            errors.push(`${providers[i].type}: ${item.reason && item.reason.message}`);
+          }
+        });
+        if (lists.length === 0) throw new Error(`All search providers failed (${errors.join('; ')})`);
+        if (errors.length > 0) console.warn('[search] Meta search partially failed:', errors.join('; '));
+        return mergeResults(lists, { max_results: options.max_results });
+      },
+      async check() {
+        if (providers.length === 0) return { status: 'fail', message: 'No search provider is configured.' };
+        const results = await Promise.all(providers.map(member => checkSearchProvider(member.type, member.config)));
+        const message = results.map((res, i) => `${providers[i].type}: ${res.message}`).join('\n');
+        return { status: results.some(res => res.status === 'success') ? 'success' : 'fail', message };
+      },
+    };
+  },
+};
+
+module.exports = exports = MetaProvider;
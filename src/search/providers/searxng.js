@@ -0,0 +1,39 @@
+const axios = require('axios');
+
+const { checkBySearch } = require('./check');
+
+// 部分 SearXNG 版本不支持 week, 放宽到 month
+const TIME_RANGE = { day: 'day', week: 'month', month: 'month', year: 'year' };
+
+/**
+ * 自建 SearXNG 实例 (需在 settings.yml 的 search.formats 中启用 json)
+ * endpoint 例如 http://localhost:8888
+ * @type {import('../index').SearchProviderDefinition}
+ */
+const SearXNGProvider = {
+  type: 'searxng',
+  name: 'SearXNG',
+  capabilities: { news: true, date_filter: true, site: false },
+  config_schema: { endpoint: '' },
+  create({ endpoint = '' }) {
+    const search = async (query, options) => {
+      if (!endpoint) throw new Error('SearXNG endpoint is not configured');
+      const params = { q: query, format: 'json', categories: options.topic === 'news' ? 'news' : 'general' };
+      if (options.time_range) params.time_range = TIME_RANGE[options.time_range];
+      const response = await axios.get(`${endpoint.replace(/\/+$/, '')}/search`, { params, timeout: 30000 });
+      const results = (response.data && response.data.results) || [];
+      return results.slice(0, options.max_results).map(item => ({
+        url: item.url,
+        title: item.title,
+        content: item.content,
+        published_at: item.publishedDate || null,
+      }));
+    };
+    return {
+      search,
+      check: () => checkBySearch('SearXNG', () => search('test connection', { max_results: 1, topic: 'general', time_range: null, sites: [] })),
+    };
+  },
+};
+
+module.exports = exports = SearXNGProvider;
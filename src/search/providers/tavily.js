@@ -0,0 +1,25 @@
+const TalivySearch = require('@src/tools/impl/web_search/TalivySearch');
+
+/** @type {import('../index').SearchProviderDefinition} */
+const TavilyProvider = {
+  type: 'tavily',
+  name: 'Tavily',
+  capabilities: { news: true, date_filter: true, site: true },
+  config_schema: { api_key: '' },
+  create({ api_key }) {
+    const client = new TalivySearch({ key: api_key });
+    return {
+      async search(query, options) {
+        const params = { max_results: options.max_results, topic: options.topic, include_raw_content: false };
+        if (options.time_range) params.time_range = options.time_range;
+        if (options.sites.length > 0) params.include_domains = options.sites;
+        await client.search(query, params);
+        const results = await client.formatJSON();
+        return results.map(item => ({ ...item, published_at: item.published_date || null }));
+      },
+      check: () => client.check(),
+    };
+  },
+};
+
+module.exports = exports = TavilyProvider;
@@ -0,0 +1,200 @@
+/**
+ * 网页搜索: 参数归一化 / 能力降级 / URL 去重 / 多 provider 结果合并 (纯函数, 不发请求)
+ *
+ * 统一的搜索参数:
+ * - max_results  结果数 (1 ~ MAX_RESULTS)
+ * - topic        general | news
+ * - time_range   day | week | month | year | null
+ * - sites        限定站点 (hostname 列表)
+ */
+const crypto = require('crypto');
+
+const TOPICS = ['general', 'news'];
+const TIME_RANGES = ['day', 'week', 'month', 'year'];
+const DEFAULT_MAX_RESULTS = 5;
+const MAX_RESULTS = 50;
+// Reciprocal Rank Fusion 常数
+const RRF_K = 60;
+
+const DAYS_TO_TIME_RANGE = [[1, 'day'], [7, 'week'], [31, 'month'], [366, 'year']];
+
+/**
+ * 去掉协议 / 路径, 只保留小写 hostname
+ * @param {string} site 例如 https://www.example.com/docs
+ */
+const normalizeSite = (site = '') => String(site).trim().toLowerCase()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/^site:/, '')
+  .split(/[/?#]/)[0];
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(/[\s,]+/);
+  return [];
+};
+
+/**
+ * 兼容各 provider 的原始参数名 (num_results / days / include_domains ...)
+ * @param {Object} [options]
+ * @returns {{ max_results: number, topic: string, time_range: string|null, sites: string[] }}
+ */
+const normalizeSearchOptions = (options = {}) => {
+  const count = parseInt(options.max_results || options.num_results || options.count, 10);
+  const max_results = Math.min(MAX_RESULTS, count > 0 ? count : DEFAULT_MAX_RESULTS);
+
+  const topic = TOPICS.includes(options.topic) ? options.topic : 'general';
+
+  let time_range = TIME_RANGES.includes(options.time_range) ? options.time_range : null;
+  const days = parseInt(options.days, 10);
+  if (!time_range && days > 0) {
+    const match = DAYS_TO_TIME_RANGE.find(([limit]) => days <= limit);
+    time_range = match ? match[1] : null;
+  }
+
+  const sites = [...new Set(toList(options.sites || options.site || options.include_domains).map(normalizeSite).filter(Boolean))];
+  return { max_results, topic, time_range, sites };
+};
+
+/**
+ * provider 不支持的能力降级处理
+ * - site: 在查询中追加 site: 运算符, 结果再按 hostname 过滤
+ * - news / date_filter: 忽略
+ * @param {string} query
+ * @param {ReturnType<typeof normalizeSearchOptions>} options
+ * @param {{ news?: boolean, date_filter?: boolean, site?: boolean }} capabilities
+ */
+const applyCapabilities = (query, options, capabilities = {}) => {
+  const next = { ...options };
+  let q = String(query || '').trim();
+  if (!capabilities.news) next.topic = 'general';
+  if (!capabilities.date_filter) next.time_range = null;
+  if (!capabilities.site && next.sites.length > 0) {
+    const operators = next.sites.map(site => `site:${site}`);
+    q = `${q} ${operators.length > 1 ? `(${operators.join(' OR ')})` : operators[0]}`;
+    next.sites = [];
+  }
+  return { query: q, options: next };
+};
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * hostname 等于或是 site 的子域名
+ * @param {string} url
+ * @param {string[]} sites
+ */
+const matchesSites = (url, sites = []) => {
+  const host = hostnameOf(url);
+  if (!host) return false;
+  return sites.some(site => host === site || host.endsWith(`.${site}`));
+};
+
+/**
+ * 去重用的 URL: 忽略协议 / www / 锚点 / 跟踪参数 / 末尾斜杠
+ * @param {string} url
+ */
+const normalizeUrl = (url = '') => {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (e) {
+    return String(url).trim().toLowerCase();
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !/^(utm_\w+|gclid|fbclid|spm|from)$/i.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  return `${host}${parsed.port ? `:${parsed.port}` : ''}${pathname}${search}`;
+};
+
+/**
+ * @param {Object} item provider 返回的条目
+ * @param {string} [source] provider type
+ * @returns {{ url: string, title: string, content: string, published_at: string|null, source: string }}
+ */
+const normalizeResult = (item = {}, source = '') => ({
+  url: String(item.url || item.link || item.href || ''),
+  title: String(item.title || item.name || ''),
+  content: String(item.content || item.snippet || item.description || item.body || ''),
+  published_at: item.published_at || null,
+  source: item.source || source,
+});
+
+/**
+ * 合并多个 provider 的结果: 按规范化 URL 去重, Reciprocal Rank Fusion 重排
+ * 多个 provider 都返回的链接排名靠前; 同一链接保留内容最长的摘要
+ * @param {Array<{ source: string, results: Object[] }>} lists
+ * @param {{ max_results?: number }} [options]
+ */
+const mergeResults = (lists = [], { max_results = DEFAULT_MAX_RESULTS } = {}) => {
+  const merged = new Map();
+  let order = 0;
+  for (const { source, results = [] } of lists) {
+    results.forEach((raw, rank) => {
+      const item = normalizeResult(raw, source);
+      if (!item.url) return;
+      const key = normalizeUrl(item.url);
+      const score = 1 / (RRF_K + rank + 1);
+      const current = merged.get(key);
+      if (!current) {
+        merged.set(key, { ...item, sources: [item.source], score, order: order++ });
+        return;
+      }
+      current.score += score;
+      if (!current.sources.includes(item.source)) current.sources.push(item.source);
+      if (item.content.length > current.content.length) current.content = item.content;
+      if (!current.title) current.title = item.title;
+      if (!current.published_at) current.published_at = item.published_at;
+    });
+  }
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, max_results)
+    .map(({ order: _order, score, ...item }) => ({ ...item, score: Number(score.toFixed(6)) }));
+};
+
+/**
+ * 过滤黑名单站点 (UserSearchSetting.blacklist, 每行一个域名)
+ * @param {Object[]} results
+ * @param {string|string[]} blacklist
+ */
+const filterBlacklist = (results = [], blacklist = '') => {
+  const sites = toList(blacklist).map(normalizeSite).filter(Boolean);
+  if (sites.length === 0) return results;
+  return results.filter(item => !matchesSites(item.url, sites));
+};
+
+/**
+ * 缓存 key: provider + 影响结果的配置 (不含密钥) + 查询 + 归一化参数
+ * @param {string} type
+ * @param {Object} identity
+ * @param {string} query
+ * @param {Object} options
+ */
+const buildCacheKey = (type, identity, query, options) => {
+  const payload = JSON.stringify([type, identity || {}, String(query).trim().replace(/\s+/g, ' ').toLowerCase(), options]);
+  return crypto.createHash('sha1').update(payload).digest('hex');
+};
+
+module.exports = exports = {
+  TOPICS,
+  TIME_RANGES,
+  DEFAULT_MAX_RESULTS,
+  normalizeSite,
+  normalizeSearchOptions,
+  applyCapabilities,
+  matchesSites,
+  normalizeUrl,
+  normalizeResult,
+  mergeResults,
+  filterBlacklist,
+  buildCacheKey,
+};
@@ -0,0 +1,49 @@
+const { expect } = require('chai');
+
+const {
+  normalizeSearchOptions,
+  applyCapabilities,
+  normalizeUrl,
+  mergeResults,
+  filterBlacklist,
+  buildCacheKey,
+} = require('./search.util');
+
+describe('normalizeSearchOptions', () => {
+  it('should map provider specific options and degrade missing capabilities', () => {
+    const options = normalizeSearchOptions({ num_results: 3, topic: 'news', days: 5, include_domains: ['https://www.Example.com/docs', 'github.com'] });
+    expect(options).to.deep.equal({ max_results: 3, topic: 'news', time_range: 'week', sites: ['www.example.com', 'github.com'] });
+    expect(normalizeSearchOptions({}).max_results).to.equal(5);
+
+    expect(applyCapabilities('koa router', options, { news: true, date_filter: true, site: true })).to.deep.equal({ query: 'koa router', options });
+    expect(applyCapabilities('koa router', options, {})).to.deep.equal({
+      query: 'koa router (site:www.example.com OR site:github.com)',
+      options: { max_results: 3, topic: 'general', time_range: null, sites: [] },
+    });
+  });
+});
+
+describe('mergeResults', () => {
+  it('should dedup by url and rank links returned by several providers first', () => {
+    expect(normalizeUrl('https://www.example.com/a/?utm_source=x&b=1#top')).to.equal('example.com/a?b=1');
+    const merged = mergeResults([
+      { source: 'tavily', results: [{ url: 'https://a.com/1', title: 'A1', content: 'short' }, { url: 'https://b.com/', title: 'B', content: 'b' }] },
+      { source: 'brave', results: [{ url: 'http://www.b.com', title: 'B', content: 'b' }, { url: 'https://a.com/1?utm_medium=x', title: 'A1', content: 'a longer snippet' }] },
+      { source: 'searxng', results: [{ url: 'https://c.com', title: 'C', content: 'c' }] },
+    ], { max_results: 3 });
+    expect(merged.map(item => [item.url, item.sources])).to.deep.equal([
+      ['https://a.com/1', ['tavily', 'brave']],
+      ['https://b.com/', ['tavily', 'brave']],
+      ['https://c.com', ['searxng']],
+    ]);
+    expect(merged[0].content).to.equal('a longer snippet');
+    expect(filterBlacklist(merged, 'b.com\nexample.org').map(item => item.url)).to.deep.equal(['https://a.com/1', 'https://c.com']);
+  });
+});
+
+describe('buildCacheKey', () => {
+  it('should normalize the query', () => {
+    const key = buildCacheKey('tavily', {}, ' Koa  Router ', { max_results: 3 });
+    expect(key).to.equal(buildCacheKey('tavily', {}, 'koa router', { max_results: 3 }));
+  });
+});
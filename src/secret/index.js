@@ -0,0 +1,173 @@
+/**
+ * 加密存储的用户 secret
+ *
+ * - MCP 服务配置 (url / headers / env / args) 中以 ${secret:NAME} 引用, 连接时才解密替换
+ * - AES-256-GCM, 密钥来自 SECRET_KEY; 未设置时在数据目录生成 secret.key (不随数据库一起共享)
+ * - 数据库只保存密文, 列表接口只返回名称
+ */
+const crypto = require('crypto');
+
+const SECRET_REF = /\$\{secret:([A-Za-z0-9_.-]+)\}/g;
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,128}$/;
+const CIPHER_VERSION = 'v1';
+
+let cachedKey = null;
+
+const getEncryptionKey = () => {
+  if (cachedKey) return cachedKey;
+  if (process.env.SECRET_KEY) {
+    cachedKey = crypto.createHash('sha256').update(process.env.SECRET_KEY).digest();
+    return cachedKey;
+  }
+  const fs = require('fs');
+  const path = require('path');
+  const { getFilepath } = require('@src/utils/electron');
+  const filepath = getFilepath('data', 'secret.key');
+  if (!fs.existsSync(filepath)) {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    console.log(`[secret] Generated encryption key ${filepath}`);
+  }
+  cachedKey = Buffer.from(fs.readFileSync(filepath, 'utf8').trim(), 'base64');
+  return cachedKey;
+};
+
+/**
+ * @param {string} text
+ * @param {Buffer} [key] 32 字节
+ * @returns {string} v1:<iv>:<tag>:<data> (base64)
+ */
+const encrypt = (text, key = getEncryptionKey()) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [CIPHER_VERSION, iv.toString('base64'), tag.toString('base64'), data.toString('base64')].join(':');
+};
+
+/**
+ * @param {string} payload encrypt 的结果
+ * @param {Buffer} [key]
+ */
+const decrypt = (payload, key = getEncryptionKey()) => {
+  const [version, iv, tag, data] = String(payload || '').split(':');
+  if (version !== CIPHER_VERSION || !iv || !tag || data === undefined) {
+    throw new Error('Invalid encrypted secret');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+const isValidSecretName = (name) => NAME_PATTERN.test(String(name || ''));
+
+/**
+ * 配置中引用的 secret 名称 (字符串 / 数组 / 对象的值)
+ * @param {any} value
+ * @returns {string[]}
+ */
+const listSecretRefs = (value, names = new Set()) => {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(SECRET_REF)) names.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => listSecretRefs(item, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => listSecretRefs(item, names));
+  }
+  return [...names];
+};
+
+/**
+ * 替换 ${secret:NAME} 引用, 未定义的 secret 抛出错误
+ * @param {any} value
+ * @param {Object<string, string>} secrets 名称 => 明文
+ */
+const resolveSecretRefs = (value, secrets = {}) => {
+  if (typeof value === 'string') {
+    return value.replace(SECRET_REF, (ref, name) => {
+      if (!Object.prototype.hasOwnProperty.call(secrets, name)) {
+        throw new Error(`Secret ${name} is not defined`);
+      }
+      return secrets[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolveSecretRefs(item, secrets));
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = resolveSecretRefs(item, secrets);
+    }
+    return result;
+  }
+  return value;
+};
+
+/**
+ * @param {number|string} user_id
+ * @param {string} name
+ * @param {string} value 明文
+ * @param {{ kind?: string, description?: string }} [options]
+ */
+const setSecret = async (user_id, name, value, options = {}) => {
+  const Secret = require('@src/models/Secret');
+  const kind = options.kind || 'secret';
+  const data = { value: encrypt(value), update_at: new Date() };
+  if (options.description !== undefined) data.description = options.description;
+  const existing = await Secret.findOne({ where: { user_id, name, kind } });
+  if (existing) {
+    await existing.update(data);
+    return existing;
+  }
+  return Secret.create({ user_id, name, kind, ...data });
+};
+
+const getSecret = async (user_id, name, kind = 'secret') => {
+  const Secret = require('@src/models/Secret');
+  const secret = await Secret.findOne({ where: { user_id, name, kind } });
+  return secret ? decrypt(secret.value) : undefined;
+};
+
+const deleteSecret = async (user_id, name, kind = 'secret') => {
+  const Secret = require('@src/models/Secret');
+  return Secret.destroy({ where: { user_id, name, kind } });
+};
+
+// 不返回值
+const listSecrets = async (user_id) => {
+  const Secret = require('@src/models/Secret');
+  return Secret.findAll({
+    where: { user_id, kind: 'secret' },
+    attributes: ['id', 'name', 'description', 'create_at', 'update_at'],
+    order: [['name', 'ASC']],
+  });
+};
+
+/**
+ * 解密配置中引用的 secret 并替换
+ * @param {number|string} user_id
+ * @param {any} value
+ */
+const resolveSecrets = async (user_id, value) => {
+  const names = listSecretRefs(value);
+  if (names.length === 0) return value;
+  const Secret = require('@src/models/Secret');
+  const rows = await Secret.findAll({ where: { user_id, kind: 'secret', name: names } });
+  const secrets = {};
+  for (const row of rows) {
+    secrets[row.name] = decrypt(row.value);
+  }
+  return resolveSecretRefs(value, secrets);
+};
+
+module.exports = exports = {
+  encrypt,
+  decrypt,
+  isValidSecretName,
+  listSecretRefs,
+  resolveSecretRefs,
+  setSecret,
+  getSecret,
+  deleteSecret,
+  listSecrets,
+  resolveSecrets,
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+
+const { encrypt, decrypt, isValidSecretName, listSecretRefs, resolveSecretRefs } = require('./index');
+
+describe('secret', () => {
+  const key = crypto.randomBytes(32);
+
+  it('encrypts with a random iv and rejects tampered or foreign payloads', () => {
+    const payload = encrypt('ghp_token', key);
+    expect(payload).to.match(/^v1:/);
+    expect(payload).to.not.include('ghp_token');
+    expect(encrypt('ghp_token', key)).to.not.equal(payload);
+    expect(decrypt(payload, key)).to.equal('ghp_token');
+
+    const parts = payload.split(':');
+    parts[3] = Buffer.from('ghp_other').toString('base64');
+    expect(() => decrypt(parts.join(':'), key)).to.throw();
+    expect(() => decrypt(payload, crypto.randomBytes(32))).to.throw();
+    expect(() => decrypt('plain text', key)).to.throw('Invalid encrypted secret');
+  });
+
+  it('resolves ${secret:NAME} references in nested config', () => {
+    const config = {
+      url: 'https://mcp.example.com/sse?key=${secret:MAP_KEY}',
+      headers: { Authorization: 'Bearer ${secret:GITHUB_TOKEN}' },
+      args: ['--token', '${secret:GITHUB_TOKEN}'],
+      env: { DEBUG: '1' },
+    };
+    expect(listSecretRefs(config)).to.deep.equal(['MAP_KEY', 'GITHUB_TOKEN']);
+    expect(resolveSecretRefs(config, { MAP_KEY: 'k1', GITHUB_TOKEN: 't$1' })).to.deep.equal({
+      url: 'https://mcp.example.com/sse?key=k1',
+      headers: { Authorization: 'Bearer t$1' },
+      args: ['--token', 't$1'],
+      env: { DEBUG: '1' },
+    });
+    expect(() => resolveSecretRefs(config, { MAP_KEY: 'k1' })).to.throw('Secret GITHUB_TOKEN is not defined');
+  });
+
+  it('validates secret names', () => {
+    expect(isValidSecretName('GITHUB_TOKEN')).to.equal(true);
+    expect(isValidSecretName('team.slack-bot_1')).to.equal(true);
+    expect(isValidSecretName('has space')).to.equal(false);
+    expect(isValidSecretName('')).to.equal(false);
+  });
+});
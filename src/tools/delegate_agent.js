@@ -0,0 +1,48 @@
+/** @type {import('types/Tool').Tool} */
+const DelegateAgentTool = {
+  name: "delegate_agent",
+  description: "Delegate a self-contained sub-goal to another specialised agent (for example a SQL expert or a charting expert). The agent works in the same workspace with its own role, knowledge and MCP tools, and returns a summary of its result. Pass the agent id or exact name; an unknown agent returns the list of available agents.",
+  params: {
+    type: "object",
+    properties: {
+      agent: {
+        type: "string",
+        description: "Id or exact name of the agent to delegate to",
+      },
+      goal: {
+        type: "string",
+        description: "The sub-goal for the agent, with the expected output (files, format)",
+      },
+      context: {
+        type: "string",
+        description: "Optional. Facts, file paths or intermediate results the agent needs",
+      }
+    },
+    required: ["agent", "goal"],
+  },
+  memorized: true,
+
+  getActionDescription({ agent, goal }) {
+    return `Delegate to agent ${agent}: ${goal}`;
+  },
+
+  async execute(params = {}, uuid, context = {}) {
+    // delegate -> code-act -> tools 之间存在循环依赖, 延迟加载
+    const { delegateToAgent } = require('@src/agent/delegate/index');
+    const result = await delegateToAgent(params, context);
+    if (result.status !== 'success') {
+      throw new Error(result.content);
+    }
+    return {
+      uuid,
+      status: 'success',
+      content: result.content,
+      meta: {
+        action_type: 'delegate_agent',
+        json: { agent: result.agent, task_id: result.task_id },
+      }
+    };
+  }
+};
+
+module.exports = DelegateAgentTool;
@@ -0,0 +1,62 @@
+/** @type {import('types/Tool').Tool} */
+const DocumentQueryTool = {
+  name: "document_query",
+  description: "Search the files uploaded to this conversation (PDF, DOCX, XLSX, Markdown, code, text) and return the most relevant passages with citations (file, page, line or row numbers). Prefer this over read_file for large documents; cite the returned references in your answer.",
+  params: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "What to look for, as a precise question or keywords",
+      },
+      file: {
+        type: "string",
+        description: "Optional. Only search this uploaded file (file name or upload/ path)",
+      },
+      top_k: {
+        type: "number",
+        description: "Optional. Number of passages to return, default 5",
+      }
+    },
+    required: ["query"],
+  },
+  memorized: true,
+
+  getActionDescription({ query }) {
+    return query;
+  },
+
+  async execute(params = {}, uuid, context = {}) {
+    const { queryDocuments, DOCUMENT_TOP_K } = require('@src/document/index');
+    const query = String(params.query || '').trim();
+    if (!query) {
+      throw new Error('query is required');
+    }
+    const top_k = Math.min(Math.max(parseInt(params.top_k, 10) || DOCUMENT_TOP_K, 1), 20);
+    const { passages, skipped } = await queryDocuments({
+      conversation_id: context.conversation_id,
+      user_id: context.user_id,
+      query,
+      file: params.file,
+      top_k,
+    });
+
+    let content = passages.length > 0
+      ? passages.map((item, i) => `[${i + 1}] ${item.citation}\n${item.content}`).join('\n\n')
+      : 'No relevant passages found in the uploaded files.';
+    if (skipped.length > 0) {
+      content += `\n\nNot searchable: ${skipped.map(item => `${item.file} (${item.status})`).join(', ')}`;
+    }
+    return {
+      uuid,
+      status: 'success',
+      content,
+      meta: {
+        action_type: 'document_query',
+        json: passages.map(({ citation, score }) => ({ citation, score })),
+      }
+    };
+  }
+};
+
+module.exports = DocumentQueryTool;
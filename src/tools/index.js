@@ -10,8 +10,10 @@ const tools = {};
 const ignored = new Set(['browser_use']);
 
 const files = fs.readdirSync(__dirname);
+// registry.js 是工具注册中心, 不是工具定义
+const skipped = new Set([path.basename(__filename), 'registry.js']);
 const filterFn = file => {
-  return (file.indexOf('.') !== 0) && (file !== path.basename(__filename)) && (file.slice(-3) === '.js');
+  return (file.indexOf('.') !== 0) && !skipped.has(file) && (file.slice(-3) === '.js');
 }
 for (const file of files.filter(filterFn)) {
   try {
@@ -0,0 +1,393 @@
+/**
+ * 工具注册中心 (single source of truth)
+ *
+ * 统一驱动:
+ * - 提示词中的工具列表 (prompt/tool.js) 与 native function calling 的 tools 参数
+ * - XML 解析器的 action/字段定义 (xml/resolve.xml.optimize.js) 与工具名校验 (xml/index.js, code-act.js)
+ * - 运行时分发 (runtime execute_action 的 default 分支)
+ *
+ * 工具来源:
+ * - core: 由 runtime / code-act 直接处理的 action (没有独立的工具文件)
+ * - builtin: src/tools/*.js
+ * - plugin: 用户插件目录 (TOOL_PLUGIN_DIR, 默认 plugins/tools), 无需修改核心代码
+ *
+ * 每个 Agent 可通过 enabled_tools / disabled_tools 启用或禁用工具 (见 resolveAgentToolPolicy)
+ * OPT_IN_TOOLS 中的工具默认关闭, 只有出现在 enabled_tools 中才可用 (不影响其它工具的白名单)
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {import('types/Tool').Tool } Tool
+ * @typedef {{ name: string, fields: string[], source: 'core'|'builtin'|'plugin', definition?: Tool, prompt: boolean, control: boolean }} ToolEntry
+ * @typedef {{ enabled: string[]|null, disabled: string[], opt_in: string[] }} ToolPolicy
+ */
+
+// 由 runtime / code-act 直接处理的 action
+// finish now requires an explicit status (SUCCESS|FAILED) in addition to message
+const CORE_ACTIONS = [
+  ['finish', ['status', 'message']],
+  ['patch_code', ['path', 'diff']],
+  ['replace_code_block', ['path', 'code_block']],
+  ['write_file', ['path', 'content']],
+  ['revise_plan', ['mode', 'reason', 'tasks']],
+  ['read_url', ['url', 'offset', 'length']],
+  ['evaluation', ['status', 'comments']],
+  ['document_upload', ['file_path', 'conversation_id', 'file_name']],
+];
+
+// 内置工具的字段定义 (部分字段不在 params.properties 中, 例如 terminal_run.cwd)
+const BUILTIN_FIELDS = {
+  write_code: ['path', 'content'],
+  read_file: ['path'],
+  terminal_run: ['command', 'args'],
+  web_search: ['topic', 'query', 'num_results'],
+  browser: ['question'],
+  patch_complete: ['message'],
+  information: ['message'],
+  mcp_tool: ['name', 'arguments'],
+  mcp_resource: ['server', 'uri'],
+  document_query: ['query', 'file', 'top_k'],
+  delegate_agent: ['agent', 'goal', 'context'],
+};
+
+// 不加载工具模块的静态 action 定义, 注册中心初始化失败时 XML 解析器使用
+const STATIC_ACTION_SPECS = [...CORE_ACTIONS, ...Object.entries(BUILTIN_FIELDS)];
+
+// 不在 src/tools 目录中的内置工具
+const EXTRA_BUILTIN_TOOLS = {
+  mcp_tool: '@src/mcp/tool',
+  mcp_resource: '@src/mcp/tool.resource',
+};
+
+// 编排控制类 action: 不受 Agent 工具开关影响
+const CONTROL_ACTIONS = new Set([
+  'finish',
+  'revise_plan',
+  'evaluation',
+  'patch_complete',
+  'information',
+  'parse_error',
+  'pause_for_user_input',
+]);
+
+// 不在提示词工具列表中展示 (由其它流程触发)
+const PROMPT_HIDDEN = new Set(['web_search', 'browser', 'read_url']);
+
+// 默认关闭, 需要在 Agent.enabled_tools 中显式启用
+const OPT_IN_TOOLS = new Set(['delegate_agent']);
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/** @type {Map<string, ToolEntry>} */
+const registry = new Map();
+let pluginDirLoaded = '';
+
+const resolveFields = (tool = {}) => {
+  const properties = (tool.params && tool.params.properties) || {};
+  return Object.keys(properties);
+};
+
+const registerEntry = (entry) => {
+  registry.set(entry.name, entry);
+  return entry;
+};
+
+const registerCoreActions = () => {
+  for (const [name, fields] of CORE_ACTIONS) {
+    registerEntry({ name, fields, source: 'core', prompt: false, control: CONTROL_ACTIONS.has(name) });
+  }
+};
+
+const registerBuiltinTools = () => {
+  const builtin = Object.assign({}, require('./index'));
+  for (const [name, modPath] of Object.entries(EXTRA_BUILTIN_TOOLS)) {
+    try {
+      builtin[name] = require(modPath);
+    } catch (error) {
+      // 依赖缺失时仍保留 action 定义, 保证 XML 可以被解析
+      console.error(`[tools/registry] Failed to load builtin tool ${name}:`, error.message);
+      registerEntry({ name, fields: BUILTIN_FIELDS[name], source: 'core', prompt: false, control: false });
+    }
+  }
+  for (const [name, tool] of Object.entries(builtin)) {
+    const fields = BUILTIN_FIELDS[name] || resolveFields(tool);
+    registerEntry({
+      name,
+      fields,
+      source: 'builtin',
+      definition: tool,
+      prompt: !PROMPT_HIDDEN.has(name),
+      control: CONTROL_ACTIONS.has(name),
+    });
+  }
+};
+
+/**
+ * 校验工具定义, 返回错误信息 (合法时返回空字符串)
+ * @param {Tool} tool
+ */
+const validateToolDefinition = (tool) => {
+  if (!tool || typeof tool !== 'object') return 'tool definition must be an object';
+  if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name)) return `invalid tool name "${tool && tool.name}"`;
+  if (typeof tool.description !== 'string' || !tool.description.trim()) return `tool "${tool.name}" requires a description`;
+  if (!tool.params || tool.params.type !== 'object' || typeof tool.params.properties !== 'object') {
+    return `tool "${tool.name}" requires params as a JSON schema object`;
+  }
+  if (typeof tool.execute !== 'function') return `tool "${tool.name}" requires an execute(params, uuid, context) function`;
+  return '';
+};
+
+/**
+ * 注册插件工具
+ * - 不允许覆盖 core / builtin 工具
+ * @param {Tool} tool
+ * @returns {{ ok: boolean, error?: string }}
+ */
+const registerTool = (tool) => {
+  const error = validateToolDefinition(tool);
+  if (error) return { ok: false, error };
+  // 先注册 core / builtin, 否则首次调用前注册的插件可以占用内置工具名
+  ensureInitialized();
+  const existing = registry.get(tool.name);
+  if (existing && existing.source !== 'plugin') {
+    return { ok: false, error: `tool "${tool.name}" conflicts with a ${existing.source} tool` };
+  }
+  registerEntry({
+    name: tool.name,
+    fields: resolveFields(tool),
+    source: 'plugin',
+    definition: tool,
+    prompt: true,
+    control: false,
+  });
+  return { ok: true };
+};
+
+const unregisterTool = (name) => {
+  const entry = registry.get(name);
+  if (!entry || entry.source !== 'plugin') return false;
+  return registry.delete(name);
+};
+
+const resolvePluginDir = () => {
+  const { getDirpath } = require('@src/utils/electron');
+  return getDirpath(process.env.TOOL_PLUGIN_DIR || 'plugins/tools');
+};
+
+/**
+ * 加载插件目录中的工具
+ * - <dir>/*.js 或 <dir>/<name>/index.js
+ * - 单个文件可以导出一个工具或工具数组
+ * @param {string} [dir]
+ * @returns {{ loaded: string[], errors: Array<{ file: string, error: string }> }}
+ */
+const loadPlugins = (dir = resolvePluginDir()) => {
+  const loaded = [];
+  const errors = [];
+  // 重新加载时先移除旧插件
+  for (const entry of Array.from(registry.values())) {
+    if (entry.source === 'plugin') registry.delete(entry.name);
+  }
+  pluginDirLoaded = dir;
+  if (!dir || !fs.existsSync(dir)) return { loaded, errors };
+
+  const candidates = [];
+  for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (ent.name.startsWith('.')) continue;
+    if (ent.isFile() && ent.name.endsWith('.js')) {
+      candidates.push(path.join(dir, ent.name));
+    } else if (ent.isDirectory() && fs.existsSync(path.join(dir, ent.name, 'index.js'))) {
+      candidates.push(path.join(dir, ent.name, 'index.js'));
+    }
+  }
+
+  for (const file of candidates) {
+    try {
+      delete require.cache[require.resolve(file)];
+      const mod = require(file);
+      const defs = Array.isArray(mod) ? mod : [mod];
+      for (const def of defs) {
+        const result = registerTool(def);
+        if (result.ok) {
+          loaded.push(def.name);
+        } else {
+          errors.push({ file, error: result.error });
+        }
+      }
+    } catch (error) {
+      errors.push({ file, error: error.message });
+    }
+  }
+  for (const item of errors) {
+    console.error(`[tools/registry] Failed to load plugin ${item.file}: ${item.error}`);
+  }
+  if (loaded.length > 0) {
+    console.log(`[tools/registry] Loaded plugin tools from ${dir}: ${loaded.join(', ')}`);
+  }
+  return { loaded, errors };
+};
+
+let initialized = false;
+const ensureInitialized = () => {
+  if (initialized) return;
+  initialized = true;
+  registerCoreActions();
+  registerBuiltinTools();
+  try {
+    loadPlugins();
+  } catch (error) {
+    console.error('[tools/registry] Failed to load plugin directory:', error.message);
+  }
+};
+
+/**
+ * @param {string} name
+ * @returns {ToolEntry|undefined}
+ */
+const getEntry = (name) => {
+  ensureInitialized();
+  return registry.get(name);
+};
+
+/**
+ * 运行时分发使用的工具定义 (core action 没有定义)
+ * @param {string} name
+ * @returns {Tool|undefined}
+ */
+const getTool = (name) => {
+  const entry = getEntry(name);
+  return entry ? entry.definition : undefined;
+};
+
+const isKnownActionType = (name) => !!getEntry(String(name || '').trim());
+
+/**
+ * @returns {ToolEntry[]}
+ */
+const listEntries = () => {
+  ensureInitialized();
+  return Array.from(registry.values());
+};
+
+const getActionTypes = () => new Set(listEntries().map(entry => entry.name));
+
+/**
+ * XML 解析器的 action 定义: [[name, fields], ...]
+ */
+const getActionSpecs = () => {
+  try {
+    return listEntries().map(entry => [entry.name, entry.fields]);
+  } catch (error) {
+    console.error('[tools/registry] Failed to list actions:', error.message);
+    return STATIC_ACTION_SPECS;
+  }
+};
+
+/**
+ * 规范化 Agent 工具策略
+ * @param {{ enabled_tools?: string[]|null, disabled_tools?: string[]|null }} [raw]
+ * @returns {ToolPolicy}
+ */
+const normalizeToolPolicy = (raw = {}) => {
+  const clean = (list) => Array.isArray(list)
+    ? list.map(item => String(item || '').trim()).filter(Boolean)
+    : null;
+  const enabled = clean(raw && raw.enabled_tools);
+  const whitelist = enabled && enabled.filter(name => !OPT_IN_TOOLS.has(name));
+  return {
+    // null/空数组 => 不限制
+    enabled: whitelist && whitelist.length > 0 ? whitelist : null,
+    disabled: clean(raw && raw.disabled_tools) || [],
+    opt_in: enabled ? enabled.filter(name => OPT_IN_TOOLS.has(name)) : [],
+  };
+};
+
+/**
+ * @param {string} name
+ * @param {ToolPolicy} [policy]
+ */
+const isToolAllowed = (name, policy) => {
+  if (CONTROL_ACTIONS.has(name)) return true;
+  if (OPT_IN_TOOLS.has(name)) {
+    return !!(policy && (policy.opt_in || []).includes(name) && !(policy.disabled || []).includes(name));
+  }
+  if (!policy) return true;
+  if (policy.disabled && policy.disabled.includes(name)) return false;
+  if (policy.enabled && !policy.enabled.includes(name)) return false;
+  return true;
+};
+
+/**
+ * 提示词 / function calling 中展示的工具定义
+ * @param {ToolPolicy} [policy]
+ * @returns {Tool[]}
+ */
+const listPromptTools = (policy) => {
+  const list = [];
+  for (const entry of listEntries()) {
+    if (!entry.prompt || !entry.definition) continue;
+    if (!isToolAllowed(entry.name, policy)) continue;
+    const tool = entry.definition;
+    if (!tool.name || !tool.description || !tool.params) {
+      console.warn(`工具 ${entry.name} 定义不完整，跳过`);
+      continue;
+    }
+    list.push(tool);
+  }
+  return list;
+};
+
+/**
+ * 读取 Agent 的工具策略
+ * @param {number|string} agent_id
+ * @returns {Promise<ToolPolicy|undefined>}
+ */
+const resolveAgentToolPolicy = async (agent_id) => {
+  if (!agent_id) return undefined;
+  try {
+    const Agent = require('@src/models/Agent');
+    const agent = await Agent.findOne({ where: { id: agent_id } });
+    if (!agent) return undefined;
+    return normalizeToolPolicy(agent.dataValues);
+  } catch (error) {
+    console.error('[tools/registry] Failed to resolve agent tool policy:', error.message);
+    return undefined;
+  }
+};
+
+/**
+ * 工具列表 (供 API / UI 展示)
+ */
+const describeTools = () => listEntries()
+  .filter(entry => !entry.control)
+  .map(entry => ({
+    name: entry.name,
+    source: entry.source,
+    description: entry.definition ? entry.definition.description : '',
+    fields: entry.fields,
+    opt_in: OPT_IN_TOOLS.has(entry.name),
+  }));
+
+const reloadPlugins = () => {
+  ensureInitialized();
+  return loadPlugins(pluginDirLoaded || resolvePluginDir());
+};
+
+module.exports = exports = {
+  CONTROL_ACTIONS,
+  STATIC_ACTION_SPECS,
+  registerTool,
+  unregisterTool,
+  reloadPlugins,
+  getTool,
+  getEntry,
+  isKnownActionType,
+  getActionTypes,
+  getActionSpecs,
+  listPromptTools,
+  normalizeToolPolicy,
+  isToolAllowed,
+  resolveAgentToolPolicy,
+  describeTools,
+};
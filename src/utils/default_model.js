@@ -13,6 +13,9 @@ const _fetchDefaultModel = async (type = 'assistant') => {
   const model = await Model.findOne({ where: { id: defaultModelSetting.dataValues.model_id } });
   if (!model) return null;
   const model_name = model.dataValues.model_id;
+  const model_types = model.dataValues.model_types;
+  const tool_call_mode = model.dataValues.tool_call_mode || 'xml';
+  const { input_price, output_price, context_window } = model.dataValues;
   const platform = await Plantform.findOne({ where: { id: model.dataValues.platform_id } });
   if (!platform) return null;
 
@@ -24,7 +27,7 @@ const _fetchDefaultModel = async (type = 'assistant') => {
   }
   const platform_name = platform.dataValues.name;
 
-  return { model_name, model_types, platform_name, api_key, api_url, base_url: base_url, is_subscribe: false };
+  return { model_name, model_types, tool_call_mode, input_price, output_price, context_window, platform_name, api_key, api_url, base_url: base_url, is_subscribe: false };
 };
 
 /**
@@ -48,6 +51,8 @@ const getDefaultModel = async (conversation_id, model_type = 'assistant') => {
   if (!model) return null;
   const model_name = model.dataValues.model_id;
   const model_types = model.dataValues.model_types;
+  const tool_call_mode = model.dataValues.tool_call_mode || 'xml';
+  const { input_price, output_price, context_window } = model.dataValues;
   const platform = await Plantform.findOne({ where: { id: model.dataValues.platform_id } });
   if (!platform) return null;
 
@@ -57,7 +62,7 @@ const getDefaultModel = async (conversation_id, model_type = 'assistant') => {
   api_url = platform.dataValues.api_url + '/chat/completions';
   const platform_name = platform.dataValues.name;
 
-  return { model_name, model_types, platform_name, api_key, api_url, base_url: base_url, is_subscribe: platform.is_subscribe };
+  return { model_name, model_types, tool_call_mode, input_price, output_price, context_window, platform_name, api_key, api_url, base_url: base_url, is_subscribe: platform.is_subscribe };
 };
 
 const getCustomModel = async (model_id) => {
@@ -66,6 +71,8 @@ const getCustomModel = async (model_id) => {
   if (!model) return null;
   const model_name = model.dataValues.model_id;
   const model_types = model.dataValues.model_types;
+  const tool_call_mode = model.dataValues.tool_call_mode || 'xml';
+  const { input_price, output_price, context_window } = model.dataValues;
   const platform = await Plantform.findOne({ where: { id: model.dataValues.platform_id } });
   if (!platform) return null;
 
@@ -75,8 +82,114 @@ const getCustomModel = async (model_id) => {
   api_url = platform.dataValues.api_url + '/chat/completions';
   const platform_name = platform.dataValues.name;
 
-  return { model_name, model_types, platform_name, api_key, api_url, base_url: base_url, is_subscribe: false };
+  return { model_name, model_types, tool_call_mode, input_price, output_price, context_window, platform_name, platform_id: platform.dataValues.id, api_key, api_url, base_url: base_url, is_subscribe: false };
+
+};
+
+/**
+ * 按 Model.id 读取模型信息 (回退链使用), 带上 id / platform_id 用于去重和熔断
+ * @param {number|string} id
+ * @param {{ require_enabled?: boolean }} [options] 回退模型要求平台已启用
+ */
+const getModelById = async (id, options = {}) => {
+  if (id === undefined || id === null || id === '') return null;
+  const model = await Model.findOne({ where: { id } });
+  if (!model) return null;
+  const platform = await Plantform.findOne({ where: { id: model.dataValues.platform_id } });
+  if (!platform) return null;
+  if (options.require_enabled && platform.dataValues.is_enabled === false) return null;
+
+  const { input_price, output_price, context_window } = model.dataValues;
+  return {
+    id: model.dataValues.id,
+    platform_id: platform.dataValues.id,
+    model_name: model.dataValues.model_id,
+    model_types: model.dataValues.model_types,
+    tool_call_mode: model.dataValues.tool_call_mode || 'xml',
+    input_price,
+    output_price,
+    context_window,
+    platform_name: platform.dataValues.name,
+    api_key: platform.dataValues.api_key,
+    api_url: platform.dataValues.api_url + '/chat/completions',
+    base_url: platform.dataValues.api_url,
+    is_subscribe: platform.is_subscribe,
+  };
+};
+
+// 用途 => DefaultModelSetting.setting_type, 配置后使用单独的 (更便宜的) 模型
+const PURPOSE_SETTING_TYPES = {
+  'generate-title': 'topic-naming',
+  'intent-detection': 'intent-detection',
+  'auto-reply': 'auto-reply',
+};
+
+const toIdList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim()) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed;
+      // 单个 id, 例如 "6"
+      return typeof parsed === 'number' ? [parsed] : [];
+    } catch (error) {
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+  return [];
+};
+
+/**
+ * 模型回退链: [用途模型 -> 用途回退模型] -> 会话模型 -> 默认模型的回退模型 (secondary / tertiary ...) -> 默认模型
+ *
+ * @param {string} conversation_id
+ * @param {string} [model_type] 'assistant' | 'reasoning'
+ * @param {string} [purpose] 'generate-title' | 'intent-detection' | 'auto-reply'
+ * @returns {Promise<Object[]>} 去重后的 model_info 列表
+ */
+const getModelChain = async (conversation_id, model_type = 'assistant', purpose = '') => {
+  const chain = [];
+  const seen = new Set();
+  const push = async (id, options = {}) => {
+    if (id === undefined || id === null || id === '' || seen.has(String(id))) return;
+    seen.add(String(id));
+    const model_info = await getModelById(id, options);
+    if (model_info) chain.push(model_info);
+  };
+
+  const purposeType = PURPOSE_SETTING_TYPES[purpose];
+  if (purposeType) {
+    const setting = await DefaultModelSetting.findOne({ where: { setting_type: purposeType } });
+    if (setting) {
+      await push(setting.dataValues.model_id);
+      for (const id of toIdList(setting.dataValues.fallback_model_ids)) {
+        await push(id, { require_enabled: true });
+      }
+    }
+  }
 
+  const useReasoning = (model_type === 'reasoning');
+  const conversation = conversation_id ? await Conversation.findOne({ where: { conversation_id } }) : null;
+  const conversationModelId = conversation
+    ? (useReasoning ? (conversation.dataValues.reasoning_model_id || conversation.dataValues.model_id) : conversation.dataValues.model_id)
+    : null;
+  await push(conversationModelId);
+
+  // 推理模型未单独配置回退时使用默认模型的回退链
+  let setting = useReasoning ? await DefaultModelSetting.findOne({ where: { setting_type: 'reasoning' } }) : null;
+  if (!setting) {
+    setting = await DefaultModelSetting.findOne({ where: { setting_type: 'assistant' } });
+  }
+  if (setting) {
+    // 没有会话或会话未选择模型时, 默认模型作为首选
+    if (!conversationModelId) await push(setting.dataValues.model_id);
+    for (const id of toIdList(setting.dataValues.fallback_model_ids)) {
+      await push(id, { require_enabled: true });
+    }
+    // 否则作为最后的回退 (已在链中时忽略)
+    await push(setting.dataValues.model_id);
+  }
+  return chain;
 };
 
 const updateDefaultModel = async (type = 'assistant') => {
@@ -91,4 +204,7 @@ module.exports = {
   getDefaultModel,
   updateDefaultModel,
   getCustomModel,
+  getModelById,
+  getModelChain,
+  PURPOSE_SETTING_TYPES,
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+require('module-alias/register');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const DefaultModelSetting = require('@src/models/DefaultModelSetting');
+const Model = require('@src/models/Model');
+const Platform = require('@src/models/Platform');
+const Conversation = require('@src/models/Conversation');
+const { getModelChain } = require('@src/utils/default_model');
+
+const row = (dataValues) => (dataValues ? { dataValues } : null);
+
+// 模型 id => 平台 id, 平台 3 已停用
+const stubModels = ({ conversation, settings }) => {
+  sinon.stub(Conversation, 'findOne').resolves(row(conversation));
+  sinon.stub(DefaultModelSetting, 'findOne').callsFake(async ({ where }) => row(settings[where.setting_type]));
+  sinon.stub(Model, 'findOne').callsFake(async ({ where }) => row({ id: where.id, model_id: `model-${where.id}`, platform_id: where.id }));
+  sinon.stub(Platform, 'findOne').callsFake(async ({ where }) => row({ id: where.id, name: `platform-${where.id}`, api_url: 'http://llm', is_enabled: where.id !== 3 }));
+};
+
+const ids = (chain) => chain.map(model_info => model_info.id);
+
+describe('getModelChain', () => {
+  afterEach(() => sinon.restore());
+
+  const settings = { assistant: { model_id: 1, fallback_model_ids: '[2,3]' } };
+
+  it('should put the conversation model first and the default model last', async () => {
+    stubModels({ conversation: { model_id: 5 }, settings });
+    expect(ids(await getModelChain('c1'))).to.deep.equal([5, 2, 1]);
+  });
+
+  it('should start with the default model when the conversation has no model', async () => {
+    stubModels({ conversation: { model_id: null }, settings });
+    expect(ids(await getModelChain('c1'))).to.deep.equal([1, 2]);
+
+    sinon.restore();
+    stubModels({ conversation: null, settings });
+    expect(ids(await getModelChain(''))).to.deep.equal([1, 2]);
+  });
+
+  it('should use the purpose model before the conversation model', async () => {
+    stubModels({ conversation: { model_id: 2 }, settings: { ...settings, 'topic-naming': { model_id: 4, fallback_model_ids: '6' } } });
+    expect(ids(await getModelChain('c1', 'assistant', 'generate-title'))).to.deep.equal([4, 6, 2, 1]);
+  });
+});
@@ -11,6 +11,18 @@ class PauseRequiredError extends Error {
   }
 }
 
+/**
+ * 等待用户审批的错误类
+ * 审批超时或运行被中断时抛出, 任务以 pause_for_user_input 状态暂停, 之后可以继续
+ */
+class ApprovalRequiredError extends PauseRequiredError {
+  constructor(message, approval = {}) {
+    super(message);
+    this.requiresApproval = true;
+    this.approval = approval;
+  }
+}
+
 /**
  * 判断错误是否为需要暂停的错误类型
  * @param {Error} error - 要检查的错误对象
@@ -37,7 +49,18 @@ function isPauseRequiredError(error) {
   return false;
 }
 
+/**
+ * 判断错误是否为等待审批的错误类型
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isApprovalRequiredError(error) {
+  return !!(error && error.requiresApproval);
+}
+
 module.exports = {
   PauseRequiredError,
-  isPauseRequiredError
+  ApprovalRequiredError,
+  isPauseRequiredError,
+  isApprovalRequiredError
 };
@@ -1,7 +1,29 @@
 require('module-alias/register');
 require('dotenv').config();
 
-const tools = require("@src/tools/index");
+const toolRegistry = require("@src/tools/registry");
+const { convertToolCallToXml } = require("@src/xml");
+
+// finish 不在工具目录中, 与 prompt/tool.js 中的内联定义保持一致
+const FINISH_TOOL = {
+  name: 'finish',
+  description: 'Signal that a task goal is complete and explicitly declare whether it ended in SUCCESS or FAILED.',
+  params: {
+    type: 'object',
+    properties: {
+      status: {
+        description: 'Mandatory goal outcome. Use SUCCESS when the goal is achieved, FAILED when it is not achieved or impossible under constraints.',
+        type: 'string',
+        enum: ['SUCCESS', 'FAILED']
+      },
+      message: {
+        description: 'Explanation of the task completion result',
+        type: 'string'
+      }
+    },
+    required: ['status', 'message']
+  }
+}
 
 const convertTool = (tool) => {
   const fn = {
@@ -16,9 +38,56 @@ const convertTool = (tool) => {
 }
 
 const resolveFunctionCall = async () => {
-  const list = Object.values(tools);
+  const list = toolRegistry.listPromptTools();
   // @ts-ignore
   return list.map(convertTool);
 }
 
-module.exports = exports = resolveFunctionCall;
\ No newline at end of file
+/**
+ * native function calling 模式下传给模型的 tools 参数
+ * 与 prompt/tool.js 使用同一份注册中心工具列表
+ * @param {Object} [options]
+ * @param {boolean} [options.mcp] 是否暴露 mcp_tool (MCP 工具列表仍由 prompt 描述)
+ * @param {boolean} [options.mcp_resources] 是否暴露 mcp_resource (资源列表同样由 prompt 描述)
+ * @param {Object} [options.tool_policy] Agent 工具策略
+ * @returns {Array<Object>} OpenAI tools 格式
+ */
+const resolveNativeTools = (options = {}) => {
+  const list = toolRegistry.listPromptTools(options.tool_policy)
+    .filter(tool => tool.name !== 'mcp_tool' || options.mcp)
+    .filter(tool => tool.name !== 'mcp_resource' || options.mcp_resources);
+  list.push(FINISH_TOOL);
+  // @ts-ignore
+  return list.map(convertTool);
+}
+
+/**
+ * 将模型返回的 tool_calls 转换为 LemonAI 标准 XML
+ * - 下游 (memory / pruning / resolveActionsFromLLMOutput) 仍然只处理 XML
+ * - 未知工具转换为 evaluation failure, 由 code-act 反馈给模型
+ * @param {Array<Object>} tool_calls [{ id, function: { name, arguments } }]
+ * @returns {string}
+ */
+const toolCallsToXml = (tool_calls = []) => {
+  const blocks = [];
+  for (const call of tool_calls || []) {
+    if (!call) continue;
+    const fn = call.function || {};
+    const name = String(fn.name || call.name || '').trim();
+    const xml = convertToolCallToXml(name, fn.arguments !== undefined ? fn.arguments : call.arguments);
+    if (xml) {
+      blocks.push(xml);
+      continue;
+    }
+    blocks.push(convertToolCallToXml('evaluation', {
+      status: 'failure',
+      comments: `Invalid tool call: unknown tool "${name}". Only call the provided tools.`
+    }));
+  }
+  return blocks.join('\n');
+}
+
+module.exports = exports = resolveFunctionCall;
+exports.convertTool = convertTool;
+exports.resolveNativeTools = resolveNativeTools;
+exports.toolCallsToXml = toolCallsToXml;
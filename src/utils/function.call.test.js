@@ -0,0 +1,25 @@
+require('module-alias/register');
+const { expect } = require('chai');
+
+const { toolCallsToXml } = require('@src/utils/function.call');
+
+describe('toolCallsToXml', () => {
+  it('should convert tool calls to LemonAI XML in order', () => {
+    const xml = toolCallsToXml([
+      { id: '1', function: { name: 'read_file', arguments: '{"path":"a.txt"}' } },
+      { id: '2', function: { name: 'write_code', arguments: { path: 'x.py', content: 'print(1 < 2)' } } },
+      { id: '3', function: { name: 'terminal_run', arguments: '{"command":"python3 x.py"}' } },
+    ]);
+    expect(xml.split('\n')).to.deep.equal([
+      '<read_file><path>a.txt</path></read_file>',
+      '<write_code><path>x.py</path><content><![CDATA[print(1 < 2)]]></content></write_code>',
+      '<terminal_run><command>python3</command><args>x.py</args></terminal_run>',
+    ]);
+  });
+
+  it('should turn unknown tools into an evaluation failure', () => {
+    expect(toolCallsToXml([null, { function: { name: 'rm_rf', arguments: '{}' } }]))
+      .to.equal('<evaluation><status>failure</status><comments>Invalid tool call: unknown tool &quot;rm_rf&quot;. Only call the provided tools.</comments></evaluation>');
+    expect(toolCallsToXml()).to.equal('');
+  });
+});
@@ -1,32 +1,87 @@
-const { getDefaultModel } = require('@src/utils/default_model')
+const { getModelChain } = require('@src/utils/default_model')
 
 const createLLMInstance = require("@src/completion/llm.one.js");
+const { runWithFallback } = require("@src/completion/model.router.js");
 const parseJSON = require("./json.js");
 const { PauseRequiredError } = require("@src/utils/errors");
 
 const calcToken = require('@src/completion/calc.token.js')
 const Conversation = require('@src/models/Conversation.js')
+const { recordUsage, getModelOverride } = require('@src/agent/budget/index')
+const { getReplaySession } = require('@src/completion/replay.js')
 
 
 const defaultOnTokenStream = (ch) => {
   process.stdout.write(ch);
 }
 
+const formatFailoverNotice = (failed_model, next_model) => `\n\n[${failed_model} failed, switching to ${next_model}]\n\n`;
+
 const DEFAULT_MODEL_TYPE = "assistant";
 const REASONING_MODEL_TYPE = "reasoning";
 
 const LLM_LOGS = require('@src/models/LLMLogs.js');
 
+/**
+ * 回放模式: 返回录制的模型输出, 不调用模型也不计入用量
+ * 与 llm.base.js 一样把 prompt 追加到 messages, 调用方看到的 messages 与真实调用一致
+ */
+const replayCall = async (session, prompt, conversation_id, options, onTokenStream) => {
+  const { response_format, messages = [], on_tool_calls, task_id } = options;
+  if (prompt) {
+    messages.push({ role: 'user', content: prompt });
+  }
+  const { record } = session.next({ messages, task_id });
+  const content = record.content || '';
+  onTokenStream(content);
+
+  const tool_calls = record.json && Array.isArray(record.json.tool_calls) ? record.json.tool_calls : [];
+  if (tool_calls.length > 0 && typeof on_tool_calls === 'function') {
+    try {
+      on_tool_calls(tool_calls);
+    } catch (err) {
+      console.warn('[llm.replay] on_tool_calls callback failed:', err && err.message ? err.message : err);
+    }
+  }
+  if (content.startsWith('ERR_BAD_REQUEST')) {
+    throw new PauseRequiredError("LLM Call Failed");
+  }
+
+  // 回放会话同样记录日志, 可以再次回放
+  const model = `replay#${String(record.model || '').replace(/^(replay#)+/, '')}`;
+  if (response_format === 'json') {
+    const json = parseJSON(content);
+    // @ts-ignore
+    await LLM_LOGS.create({ model, prompt, messages, content, json, conversation_id });
+    return json;
+  }
+  // @ts-ignore
+  await LLM_LOGS.create({ model, prompt, messages, content, json: tool_calls.length > 0 ? { tool_calls } : null, conversation_id });
+  return content;
+}
+
 /**
  * @param {*} prompt 
  * @param {*} model_type 
- * @param {*} options 
+ * @param {*} options options.purpose: 'generate-title' | 'intent-detection' | 'auto-reply', 按用途选择模型
  * @param {*} onTokenStream 
  * @returns {Promise<Object>}
  */
 const call = async (prompt, conversation_id, model_type = DEFAULT_MODEL_TYPE, options = { temperature: 0 }, onTokenStream = defaultOnTokenStream) => {
-  const model_info = await getDefaultModel(conversation_id, model_type)
-  const model = `provider#${model_info.platform_name}#${model_info.model_name}`;
+  // on_tool_calls: native function calling 模式下, 回传模型返回的结构化 tool_calls
+  const { response_format, messages = [], on_tool_calls, purpose, ...restOptions } = options;
+
+  const replay = getReplaySession(conversation_id);
+  if (replay) {
+    return replayCall(replay, prompt, conversation_id, { response_format, messages, on_tool_calls, task_id: restOptions.task_id }, onTokenStream);
+  }
+
+  // 回退链: 首选模型不可用 (限流 / 超时 / 5xx) 时依次使用 secondary / tertiary
+  const chain = await getModelChain(conversation_id, model_type, purpose);
+  // 预算耗尽后 (on_exceed: downgrade) 使用更便宜的模型
+  const override = getModelOverride(conversation_id);
+  if (override) chain.unshift(override);
+  const primary_model_info = chain[0] || {};
 // Note: we will wrap `onTokenStream` below to add log boundaries for the real LLM output.
   //const llm = await createLLMInstance(model, onTokenStream, { model_info });
 
@@ -37,15 +92,12 @@ const call = async (prompt, conversation_id, model_type = DEFAULT_MODEL_TYPE, op
   //} else if (model_info.model_name === 'deepseek-v3-1-250821') {
   //  options.max_tokens = 32000;
   //}
-  
-  const { response_format, messages = [], ...restOptions } = options;
-  const context = { messages };
 
   // Inject /no_think when the *model configuration* has "reasoning" checked in UI.
   // This is independent from model_type (assistant vs reasoning_model_id per conversation).
-  const modelTypes = Array.isArray(model_info.model_types) ? model_info.model_types : [];
+  const modelTypes = Array.isArray(primary_model_info.model_types) ? primary_model_info.model_types : [];
   const isReasoningCheckedInUI = modelTypes.includes(REASONING_MODEL_TYPE);
-  const isQwen3 = (typeof model_info.model_name === 'string' && model_info.model_name.includes('qwen3'));
+  const isQwen3 = (typeof primary_model_info.model_name === 'string' && primary_model_info.model_name.includes('qwen3'));
   
   if (isReasoningCheckedInUI && isQwen3) {
     // User requirement: append "/no_think" at the end of the LAST message of the history.
@@ -83,11 +135,27 @@ const call = async (prompt, conversation_id, model_type = DEFAULT_MODEL_TYPE, op
     onTokenStream(ch);
   };
 
-  const llm = await createLLMInstance(model, wrappedOnTokenStream, { model_info });
-
-  let content;
+  // llm.base.js 会把 prompt 追加到 messages, 换模型重试前恢复
+  const baseLength = messages.length;
+  // 每个模型都实时输出; 已经输出部分内容的模型失败时, 先输出一行回退提示, 之后的输出来自回退模型
+  let streamed_model = null;
+  let result;
   try {
-    content = await llm.completion(prompt, context, restOptions);
+    result = await runWithFallback(chain, async (model_info, { has_next }) => {
+      messages.splice(baseLength);
+      if (streamed_model) {
+        wrappedOnTokenStream(formatFailoverNotice(streamed_model, model_info.model_name));
+        streamed_model = null;
+      }
+      const onAttemptToken = (ch) => {
+        streamed_model = model_info.model_name;
+        wrappedOnTokenStream(ch);
+      };
+      const llm = await createLLMInstance(`provider#${model_info.platform_name}#${model_info.model_name}`, onAttemptToken, { model_info });
+      llm.silent_errors = has_next;
+      const content = await llm.completion(prompt, { messages }, restOptions);
+      return { llm, content, error: llm.last_error };
+    });
   } finally {
     // Close the output tag even if the LLM call throws.
     // If the model produced no streamed token, still emit empty output boundaries.
@@ -97,6 +165,8 @@ const call = async (prompt, conversation_id, model_type = DEFAULT_MODEL_TYPE, op
     }
     process.stdout.write(`\n[/SORTIE LLM]\n`);
   }
+  const { llm, content, model_info } = result;
+  const model = `provider#${model_info.platform_name}#${model_info.model_name}`;
 
 
   // 处理 ERR_BAD_REQUEST 错误
@@ -104,10 +174,21 @@ const call = async (prompt, conversation_id, model_type = DEFAULT_MODEL_TYPE, op
     throw new PauseRequiredError("LLM Call Failed");
   }
 
+  // Native function calling: tool_calls are accumulated by llm.base.js while streaming.
+  const tool_calls = (Array.isArray(llm.tool_calls) ? llm.tool_calls : []).filter(Boolean);
+  if (tool_calls.length > 0 && typeof on_tool_calls === 'function') {
+    try {
+      on_tool_calls(tool_calls);
+    } catch (err) {
+      console.warn('[llm.call] on_tool_calls callback failed:', err && err.message ? err.message : err);
+    }
+  }
+
   //const inputPrompt = messages.map(item => item.content).join('\n') + '\n' + prompt;
   const inputPrompt = inputPromptForLog;
   const input_tokens = calcToken(inputPrompt)
-  const output_tokens = calcToken(content)
+  const output_tokens = calcToken(content) + (tool_calls.length > 0 ? calcToken(JSON.stringify(tool_calls)) : 0)
+  const cost = recordUsage({ conversation_id, task_id: restOptions.task_id, input_tokens, output_tokens, model_info })
   if (conversation_id) {
     const conversation = await Conversation.findOne({ where: { conversation_id: conversation_id } })
     if (conversation) {
@@ -115,6 +196,8 @@ const call = async (prompt, conversation_id, model_type = DEFAULT_MODEL_TYPE, op
       conversation.input_tokens = conversation.input_tokens + input_tokens
       // @ts-ignore
       conversation.output_tokens = conversation.output_tokens + output_tokens
+      // @ts-ignore
+      conversation.cost = (Number(conversation.cost) || 0) + cost
       await conversation.save()
     }
   }
@@ -125,6 +208,11 @@ const call = async (prompt, conversation_id, model_type = DEFAULT_MODEL_TYPE, op
     await LLM_LOGS.create({ model, prompt, messages, content, json, conversation_id });
     return json;
   }
+  if (tool_calls.length > 0) {
+    // @ts-ignore
+    await LLM_LOGS.create({ model, prompt, messages, content, json: { tool_calls }, conversation_id });
+    return content;
+  }
   // @ts-ignore
   await LLM_LOGS.create({ model, prompt, messages, content, conversation_id });
   //return content
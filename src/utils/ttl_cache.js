@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 带过期时间和条目上限的缓存 (搜索结果 / read_url 正文共用)
+ *
+ * - 不传 dir: 进程内 Map
+ * - 传入 dir: 每个 key 一个 JSON 文件, 重启后仍然有效
+ * 读取时检查过期; 超出上限时淘汰最久未使用的条目 (磁盘缓存按修改时间, 读取时更新)
+ *
+ * @param {{ ttl?: number, max_entries?: number, dir?: string, now?: () => number }} options ttl: 毫秒, 0 表示不缓存
+ */
+const createTtlCache = ({ ttl = 0, max_entries = 500, dir = '', now = Date.now } = {}) => {
+  const store = dir ? createFileStore(dir) : createMemoryStore();
+  return {
+    ttl,
+    max_entries,
+    dir,
+    get enabled() {
+      return this.ttl > 0 && this.max_entries > 0;
+    },
+    get size() {
+      return store.keys().length;
+    },
+    has(key) {
+      return this.get(key) !== undefined;
+    },
+    get(key) {
+      if (!this.enabled) return undefined;
+      const entry = store.read(key);
+      if (!entry) return undefined;
+      if (now() > entry.expiry) {
+        store.remove(key);
+        return undefined;
+      }
+      store.touch(key, entry, now());
+      return entry.value;
+    },
+    set(key, value) {
+      if (!this.enabled) return;
+      try {
+        store.write(key, { value, expiry: now() + this.ttl }, now());
+        this.prune();
+      } catch (error) {
+        console.error('[cache] Failed to write cache:', error.message);
+      }
+    },
+    remove(key) {
+      store.remove(key);
+    },
+    clear() {
+      store.keys().forEach(key => store.remove(key));
+    },
+    // 删除过期条目, 再按最近使用时间淘汰超出上限的条目
+    prune() {
+      const time = now();
+      const alive = [];
+      for (const key of store.keys()) {
+        const used = store.usedAt(key);
+        if (used === undefined) continue;
+        if (time - used > this.ttl) {
+          store.remove(key);
+        } else {
+          alive.push({ key, used });
+        }
+      }
+      alive.sort((a, b) => a.used - b.used);
+      while (alive.length > this.max_entries) {
+        store.remove(alive.shift().key);
+      }
+    },
+  };
+};
+
+// Map 的插入顺序即使用顺序
+const createMemoryStore = () => {
+  const map = new Map();
+  return {
+    keys: () => [...map.keys()],
+    read: key => map.get(key),
+    usedAt: key => (map.has(key) ? map.get(key).used_at : undefined),
+    write(key, entry, time) {
+      map.delete(key);
+      map.set(key, { ...entry, used_at: time });
+    },
+    touch(key, entry, time) {
+      this.write(key, entry, time);
+    },
+    remove: key => map.delete(key),
+  };
+};
+
+const createFileStore = (dir) => {
+  const filepath = key => path.join(dir, `${key}.json`);
+  const stat = (key) => {
+    try {
+      return fs.statSync(filepath(key));
+    } catch (e) {
+      return null;
+    }
+  };
+  return {
+    keys() {
+      try {
+        return fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+      } catch (e) {
+        return [];
+      }
+    },
+    read(key) {
+      try {
+        return JSON.parse(fs.readFileSync(filepath(key), 'utf8'));
+      } catch (e) {
+        return undefined;
+      }
+    },
+    usedAt(key) {
+      const info = stat(key);
+      return info ? info.mtimeMs : undefined;
+    },
+    write(key, entry, time) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filepath(key), JSON.stringify(entry));
+      this.touch(key, entry, time);
+    },
+    touch(key, entry, time) {
+      try {
+        fs.utimesSync(filepath(key), time / 1000, time / 1000);
+      } catch (e) {
+        // 并发删除
+      }
+    },
+    remove(key) {
+      fs.rmSync(filepath(key), { force: true });
+    },
+  };
+};
+
+module.exports = exports = {
+  createTtlCache,
+};
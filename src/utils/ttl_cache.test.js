@@ -0,0 +1,48 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createTtlCache } = require('./ttl_cache');
+
+describe('createTtlCache', () => {
+  it('should expire entries and evict the least recently used one', () => {
+    let now = 0;
+    const cache = createTtlCache({ ttl: 1000, max_entries: 2, now: () => now });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+    expect([cache.has('a'), cache.has('b'), cache.has('c')]).to.deep.equal([true, false, true]);
+    now = 1001;
+    expect(cache.get('a')).to.equal(undefined);
+    expect(createTtlCache({ ttl: 0 }).enabled).to.equal(false);
+  });
+
+  it('should store entries on disk, expire and evict them', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ttl-cache-'));
+    let time = 1000000;
+    const cache = createTtlCache({ dir, ttl: 100, max_entries: 2, now: () => time });
+    try {
+      cache.set('k', { content: 'hello' });
+      expect(cache.get('k')).to.deep.equal({ content: 'hello' });
+      expect(createTtlCache({ dir, ttl: 100, now: () => time }).get('k')).to.deep.equal({ content: 'hello' });
+
+      time += 10;
+      cache.set('a', 1);
+      time += 10;
+      cache.get('k');
+      time += 10;
+      cache.set('b', 2);
+      expect(fs.readdirSync(dir).sort()).to.deep.equal(['b.json', 'k.json']);
+
+      time += 101;
+      expect(cache.get('k')).to.equal(undefined);
+      cache.prune();
+      expect(fs.readdirSync(dir)).to.deep.equal([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
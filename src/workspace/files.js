@@ -0,0 +1,103 @@
+/**
+ * 遵循 .gitignore 的项目文件列表
+ *
+ * - git 仓库使用 git ls-files (包含未跟踪但未被忽略的文件)
+ * - 其它目录逐层读取 .gitignore, 子目录的规则优先
+ * - 依赖 / 缓存目录始终忽略, 符号链接不跟随
+ */
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const { createIgnore } = require('./ignore');
+
+const DEFAULT_IGNORES = ['.git/', 'node_modules/', '__pycache__/', '.venv/', 'venv/', '.cache/', '.DS_Store'];
+
+const defaultIgnore = createIgnore(DEFAULT_IGNORES);
+
+// git ls-files 只返回文件, 需要检查每一级父目录
+const isDefaultIgnored = (relative) => {
+  const parts = relative.split('/');
+  for (let i = 1; i < parts.length; i++) {
+    if (defaultIgnore.test(parts.slice(0, i).join('/'), true)) return true;
+  }
+  return defaultIgnore.test(relative, false) === true;
+};
+
+// 已删除的文件和符号链接不列出
+const isRegularFile = (filepath) => {
+  try {
+    return fs.lstatSync(filepath).isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+const gitLsFiles = (root) => new Promise((resolve) => {
+  execFile('git', ['ls-files', '-co', '--exclude-standard', '-z'], { cwd: root, timeout: 30 * 1000, maxBuffer: 50 * 1024 * 1024 }, (error, stdout) => {
+    if (error) return resolve(null);
+    resolve(stdout.toString().split('\0').filter(Boolean));
+  });
+});
+
+const walk = (root, limit) => {
+  const files = [];
+  let total = 0;
+  const visit = (dir, stack) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    const gitignore = entries.find(ent => ent.name === '.gitignore' && ent.isFile());
+    if (gitignore) {
+      stack = [...stack, { base: dir, ignore: createIgnore(fs.readFileSync(path.join(dir, '.gitignore'), 'utf8')) }];
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const ent of entries) {
+      if (ent.isSymbolicLink()) continue;
+      const filepath = path.join(dir, ent.name);
+      const is_dir = ent.isDirectory();
+      const relative = path.relative(root, filepath).split(path.sep).join('/');
+      if (defaultIgnore.test(relative, is_dir)) continue;
+      let ignored = null;
+      for (const { base, ignore } of stack) {
+        const result = ignore.test(path.relative(base, filepath).split(path.sep).join('/'), is_dir);
+        if (result !== null) ignored = result;
+      }
+      if (ignored) continue;
+      if (is_dir) {
+        visit(filepath, stack);
+      } else if (ent.isFile()) {
+        total += 1;
+        if (files.length < limit) files.push(relative);
+      }
+    }
+  };
+  visit(root, []);
+  return { files, total };
+};
+
+/**
+ * @param {string} root
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ files: string[], total: number, truncated: boolean }>} 相对 root 的路径, 使用 /
+ */
+const listProjectFiles = async (root, options = {}) => {
+  const limit = options.limit || Infinity;
+  if (fs.existsSync(path.join(root, '.git'))) {
+    const listed = await gitLsFiles(root);
+    if (listed) {
+      const files = listed.filter(file => !isDefaultIgnored(file) && isRegularFile(path.join(root, file))).sort();
+      return { files: files.slice(0, limit), total: files.length, truncated: files.length > limit };
+    }
+  }
+  const { files, total } = walk(root, limit);
+  return { files, total, truncated: total > files.length };
+};
+
+module.exports = exports = {
+  DEFAULT_IGNORES,
+  listProjectFiles,
+};
@@ -0,0 +1,110 @@
+/**
+ * .gitignore 规则匹配 (纯函数)
+ *
+ * 支持: 注释 / 空行, ! 取反, 结尾 / (只匹配目录), 含 / 的规则相对 .gitignore 所在目录, * ? [] 与 ** 通配
+ * 不支持的细节 (如 core.ignoreCase) 按大小写敏感处理
+ */
+
+const escapeRegExp = (ch) => /[\\^$.*+?()[\]{}|/]/.test(ch) ? `\\${ch}` : ch;
+
+// glob => 正则片段
+const globToRegExp = (glob) => {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          if (i + 2 === glob.length) {
+            // a/** => a 目录下的所有内容
+            source += '.*';
+          } else {
+            // **/ => 零或多级目录
+            source += '(?:.*/)?';
+            i += 1;
+          }
+          i += 1;
+          continue;
+        }
+      }
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, end);
+      if (body[0] === '!') body = '^' + body.slice(1);
+      source += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return source;
+};
+
+/**
+ * @param {string} line .gitignore 中的一行
+ * @returns {{ negate: boolean, dir_only: boolean, regexp: RegExp } | null}
+ */
+const parseRule = (line) => {
+  let text = String(line).replace(/\r$/, '');
+  // 未转义的行尾空格忽略
+  text = text.replace(/(^|[^\\])\s+$/, '$1');
+  if (!text || text.startsWith('#')) return null;
+  let negate = false;
+  if (text.startsWith('!')) {
+    negate = true;
+    text = text.slice(1);
+  } else if (text.startsWith('\\!') || text.startsWith('\\#')) {
+    text = text.slice(1);
+  }
+  let dir_only = false;
+  if (text.endsWith('/')) {
+    dir_only = true;
+    text = text.replace(/\/+$/, '');
+  }
+  if (!text) return null;
+  // 含 / 的规则相对 .gitignore 所在目录, 否则匹配任意层级
+  const anchored = text.includes('/');
+  text = text.replace(/^\//, '');
+  const body = globToRegExp(text);
+  const regexp = new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`);
+  return { negate, dir_only, regexp };
+};
+
+/**
+ * @param {string|string[]} content .gitignore 内容或规则列表
+ */
+const createIgnore = (content = '') => {
+  const lines = Array.isArray(content) ? content : String(content).split('\n');
+  const rules = lines.map(parseRule).filter(Boolean);
+  return {
+    rules,
+    /**
+     * @param {string} relative_path 相对 .gitignore 所在目录, 使用 /
+     * @param {boolean} [is_dir]
+     * @returns {boolean|null} true: 忽略, false: 被 ! 规则重新包含, null: 没有规则匹配
+     */
+    test(relative_path, is_dir = false) {
+      let result = null;
+      for (const rule of rules) {
+        if (rule.dir_only && !is_dir) continue;
+        if (rule.regexp.test(relative_path)) result = !rule.negate;
+      }
+      return result;
+    },
+  };
+};
+
+module.exports = exports = {
+  createIgnore,
+};
@@ -0,0 +1,34 @@
+const { expect } = require('chai');
+
+const { createIgnore } = require('./ignore');
+
+describe('createIgnore', () => {
+  it('matches basenames at any depth and directory-only rules', () => {
+    const ignore = createIgnore('# deps\nnode_modules/\n*.log\n\ndist\n');
+    expect(ignore.test('node_modules', true)).to.equal(true);
+    expect(ignore.test('packages/a/node_modules', true)).to.equal(true);
+    expect(ignore.test('node_modules', false)).to.equal(null);
+    expect(ignore.test('logs/server.log')).to.equal(true);
+    expect(ignore.test('dist', true)).to.equal(true);
+    expect(ignore.test('src/index.js')).to.equal(null);
+  });
+
+  it('anchors rules containing a slash and supports **', () => {
+    const ignore = createIgnore(['/build', 'docs/*.md', 'a/**/b', 'tmp/**']);
+    expect(ignore.test('build', true)).to.equal(true);
+    expect(ignore.test('src/build', true)).to.equal(null);
+    expect(ignore.test('docs/readme.md')).to.equal(true);
+    expect(ignore.test('docs/api/readme.md')).to.equal(null);
+    expect(ignore.test('a/b', true)).to.equal(true);
+    expect(ignore.test('a/x/y/b', true)).to.equal(true);
+    expect(ignore.test('tmp/cache/file.txt')).to.equal(true);
+  });
+
+  it('lets later negated rules re-include files', () => {
+    const ignore = createIgnore(['*.env', '!example.env', 'file[0-9].txt']);
+    expect(ignore.test('prod.env')).to.equal(true);
+    expect(ignore.test('example.env')).to.equal(false);
+    expect(ignore.test('file3.txt')).to.equal(true);
+    expect(ignore.test('fileA.txt')).to.equal(null);
+  });
+});
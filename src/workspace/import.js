@@ -0,0 +1,217 @@
+/**
+ * 导入已有项目作为会话工作区
+ *
+ * 来源:
+ * - path: 本地目录 (必须位于 IMPORT_ALLOWED_ROOTS 内), copy 复制到工作区, mount 将工作区链接到原目录 (直接修改原项目)
+ * - bundle: git bundle, clone 后复制工作区文件
+ * - archive: .zip / .tar / .tar.gz / .tgz, 解压后复制
+ *
+ * 复制时遵循 .gitignore, 不复制 .git 与符号链接; 导入结果记录在 Conversation.workspace_source
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const Conversation = require('@src/models/Conversation');
+const { resolveConversationDir } = require('@src/runtime/runtime.util');
+const { initWorkspaceRepo } = require('@src/agent/git/index');
+const { listProjectFiles } = require('./files');
+
+const IMPORT_MAX_FILES = parseInt(process.env.IMPORT_MAX_FILES || '20000', 10) || 20000;
+// 规划时列出的文件数量
+const PLANNING_FILE_LIMIT = 200;
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz'];
+
+const run = (command, args, cwd) => new Promise((resolve, reject) => {
+  execFile(command, args, { cwd, timeout: 5 * 60 * 1000, maxBuffer: 20 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      error.message = error.code === 'ENOENT'
+        ? `${command} is required to import this project`
+        : (stderr || error.message || '').toString().trim();
+      return reject(error);
+    }
+    resolve(stdout.toString());
+  });
+});
+
+const resolveAllowedRoots = () => String(process.env.IMPORT_ALLOWED_ROOTS || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean)
+  .map(item => path.resolve(item));
+
+/**
+ * 本地目录导入需要配置 IMPORT_ALLOWED_ROOTS, 避免通过接口读取服务器上的任意目录
+ * @param {string} source
+ */
+const assertPathAllowed = (source) => {
+  const roots = resolveAllowedRoots();
+  if (roots.length === 0) {
+    throw new Error('Importing local paths is disabled, set IMPORT_ALLOWED_ROOTS to enable it');
+  }
+  const real = fs.realpathSync(source);
+  const allowed = roots.some(root => real === root || real.startsWith(root + path.sep));
+  if (!allowed) {
+    throw new Error(`Path is outside IMPORT_ALLOWED_ROOTS: ${source}`);
+  }
+  return real;
+};
+
+// mount 需要运行时能直接访问宿主机目录
+const isMountSupported = () => {
+  const RUNTIME_TYPE = process.env.RUNTIME_TYPE || 'local-docker';
+  return (RUNTIME_TYPE === 'local' || RUNTIME_TYPE === 'local-docker') && !process.env.DOCKER_HOST_ADDR;
+};
+
+const detectArchiveType = (filename = '') => {
+  const name = filename.toLowerCase();
+  if (name.endsWith('.bundle')) return 'bundle';
+  return ARCHIVE_EXTENSIONS.some(ext => name.endsWith(ext)) ? 'archive' : null;
+};
+
+const copyProject = async (source, target) => {
+  const { files, total } = await listProjectFiles(source, { limit: IMPORT_MAX_FILES });
+  if (total > IMPORT_MAX_FILES) {
+    throw new Error(`Project has ${total} files, more than IMPORT_MAX_FILES (${IMPORT_MAX_FILES})`);
+  }
+  for (const file of files) {
+    const from = path.join(source, file);
+    const to = path.join(target, file);
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+  }
+  return files.length;
+};
+
+const extractArchive = async (filepath, filename, dir) => {
+  if (filename.toLowerCase().endsWith('.zip')) {
+    await run('unzip', ['-q', '-o', filepath, '-d', dir]);
+  } else {
+    await run('tar', ['-xf', filepath, '-C', dir]);
+  }
+  // 只有一个顶层目录时 (如 project-main/) 以它为项目根目录
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).filter(ent => ent.name !== '__MACOSX');
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return path.join(dir, entries[0].name);
+  }
+  return dir;
+};
+
+const prepareTarget = (target) => {
+  if (fs.existsSync(target)) {
+    const stat = fs.lstatSync(target);
+    if (stat.isSymbolicLink() || fs.readdirSync(target).length > 0) {
+      throw new Error('Conversation workspace is not empty, import into a new conversation');
+    }
+    fs.rmdirSync(target);
+  }
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+};
+
+const importInto = async (target, options) => {
+  const { conversation_id, user_id, file, mode = 'copy' } = options;
+  const workspace_source = { mode: 'copy', imported_at: new Date().toISOString() };
+  if (options.path) {
+    const source = assertPathAllowed(options.path);
+    if (!fs.statSync(source).isDirectory()) {
+      throw new Error(`Not a directory: ${options.path}`);
+    }
+    Object.assign(workspace_source, { type: 'path', source, name: path.basename(source) });
+    if (mode === 'mount') {
+      if (!isMountSupported()) {
+        throw new Error('mount is only supported by the local and local-docker runtimes, use copy instead');
+      }
+      fs.symlinkSync(source, target, 'dir');
+      workspace_source.mode = 'mount';
+      workspace_source.file_count = (await listProjectFiles(source)).total;
+    } else {
+      fs.mkdirSync(target, { recursive: true });
+      workspace_source.file_count = await copyProject(source, target);
+    }
+  } else if (file) {
+    const type = detectArchiveType(file.originalFilename);
+    if (!type) {
+      throw new Error(`Unsupported project file: ${file.originalFilename}, expected .bundle, ${ARCHIVE_EXTENSIONS.join(', ')}`);
+    }
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'lemon-import-'));
+    try {
+      let source = path.join(tmp, 'project');
+      if (type === 'bundle') {
+        await run('git', ['clone', '-q', file.filepath, source]);
+      } else {
+        fs.mkdirSync(source);
+        source = await extractArchive(file.filepath, file.originalFilename, source);
+      }
+      fs.mkdirSync(target, { recursive: true });
+      Object.assign(workspace_source, { type, source: file.originalFilename, name: file.originalFilename.replace(/(\.tar)?\.[^.]+$/, '') });
+      workspace_source.file_count = await copyProject(source, target);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  } else {
+    throw new Error('path or file is required');
+  }
+
+  await Conversation.update({ workspace_source }, { where: { conversation_id } });
+  // 导入的项目作为工作区的 step 0; mount 的原项目不自动提交
+  if (workspace_source.mode === 'copy') {
+    await initWorkspaceRepo({ conversation_id, user_id });
+  }
+  console.log(`[workspace] Imported ${workspace_source.type} ${workspace_source.name} (${workspace_source.file_count} files) into ${target}`);
+  return workspace_source;
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.conversation_id
+ * @param {number|string} options.user_id
+ * @param {string} [options.path] 本地目录
+ * @param {'copy'|'mount'} [options.mode] 本地目录的导入方式, 默认 copy
+ * @param {{ filepath: string, originalFilename: string }} [options.file] 上传的 git bundle / 压缩包
+ * @returns {Promise<Object>} Conversation.workspace_source
+ */
+const importWorkspace = async (options = {}) => {
+  const { conversation_id, user_id } = options;
+  const target = resolveConversationDir({ conversation_id, user_id });
+  prepareTarget(target);
+  try {
+    return await importInto(target, options);
+  } catch (error) {
+    // 导入失败时不保留不完整的工作区
+    fs.rmSync(target, { recursive: fs.existsSync(target) && !fs.lstatSync(target).isSymbolicLink(), force: true });
+    throw error;
+  }
+};
+
+/**
+ * 规划时描述导入的项目, 普通会话返回空字符串
+ * @param {string} conversation_id
+ */
+const describeWorkspace = async (conversation_id) => {
+  if (!conversation_id) return '';
+  try {
+    const conversation = await Conversation.findOne({ where: { conversation_id } });
+    const workspace_source = conversation && conversation.dataValues.workspace_source;
+    if (!workspace_source) return '';
+    const dir = resolveConversationDir({ conversation_id, user_id: conversation.dataValues.user_id });
+    const { files, total, truncated } = await listProjectFiles(dir, { limit: PLANNING_FILE_LIMIT });
+    let content = `Imported project "${workspace_source.name}" is the working directory (${total} files, .gitignore applied):\n`;
+    content += files.join('\n') + '\n';
+    if (truncated) {
+      content += `... and ${total - files.length} more files\n`;
+    }
+    return content;
+  } catch (error) {
+    console.error('[workspace] Failed to list imported project:', error.message);
+    return '';
+  }
+};
+
+module.exports = exports = {
+  importWorkspace,
+  describeWorkspace,
+  detectArchiveType,
+  isMountSupported,
+};
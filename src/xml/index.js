@@ -40,25 +40,14 @@ const unescapeXmlAttr = (s) =>
  * - If we can't confidently infer a tool name + arguments, we return the original content.
  * - If we produce XML, parseXML() remains the source of truth.
  */
-const TOOL_TYPES = new Set([
-  'finish',
-  'patch_code',
-  'write_code',
-  'replace_code_block',
-  'write_file',
-  'read_file',
-  'revise_plan',
-  'terminal_run',
-  'web_search',
-  'read_url',
-  'browser',
-  'mcp_tool',
-  'evaluation',
-  'document_query',
-  'document_upload',
-  'patch_complete', // local orchestrator action (appears in XML sometimes)
-  'information', // local orchestrator action (log-only, no runtime/sandbox)
-]);
+// Tool types and XML field definitions come from the tool registry (src/tools/registry.js),
+// so core actions, builtin tools and plugin tools are all recognized here.
+// The registry only loads tool modules on first use, so requiring it here is safe at XML-module load time.
+const toolRegistry = require('@src/tools/registry');
+
+const isToolType = (name) => toolRegistry.isKnownActionType(name);
+
+const resolveActionSpecs = () => toolRegistry.getActionSpecs();
 
 const escapeXmlText = (s) =>
   String(s)
@@ -249,7 +238,7 @@ const jsonArgsToXmlInner = (toolName, argsObj) => {
 const convertToolCallToXml = (toolName, rawArgs) => {
   const name = String(toolName || '').trim();
   if (!name) return null;
-  if (!TOOL_TYPES.has(name)) return null;
+  if (!isToolType(name)) return null;
 
   const argsObj = normalizeArgumentsObject(rawArgs);
 
@@ -339,7 +328,7 @@ const normalizeLLMToolOutputToXML = (raw) => {
   //
   // Here the JSON does NOT contain {name,arguments}; the tool name is in the wrapper.
   const channelToolJsonMatch = content.match(/<\|channel\|>\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\{/);
-  if (channelToolJsonMatch && channelToolJsonMatch[1] && TOOL_TYPES.has(channelToolJsonMatch[1])) {
+  if (channelToolJsonMatch && channelToolJsonMatch[1] && isToolType(channelToolJsonMatch[1])) {
     const toolName = channelToolJsonMatch[1];
     const jsonStr = extractBalancedJsonObject(content);
     if (jsonStr) {
@@ -367,7 +356,7 @@ const normalizeLLMToolOutputToXML = (raw) => {
       (channelToolMatch && channelToolMatch[1]) ? channelToolMatch[1] :
       null;
 
-    if (after.startsWith('<') && hintedTool && TOOL_TYPES.has(hintedTool)) {
+    if (after.startsWith('<') && hintedTool && isToolType(hintedTool)) {
       const toolName = hintedTool;
       const openTagRe = new RegExp(`^<\\s*${toolName}\\b`, 'i');
       if (!openTagRe.test(after)) {
@@ -390,7 +379,7 @@ const normalizeLLMToolOutputToXML = (raw) => {
       // and the JSON after <|message|> contains ONLY the params:
       //   <|channel|>commentary to=write_code code<|message|>{"path":"ttt.py","content":"..."}
       // In this case we must use the hinted tool name from the prefix.
-      if (hintedTool && TOOL_TYPES.has(hintedTool) && parsed) {
+      if (hintedTool && isToolType(hintedTool) && parsed) {
         const xml = convertToolCallToXml(hintedTool, parsed);
         if (xml) return xml;
       }
@@ -432,7 +421,7 @@ const normalizeLLMToolOutputToXML = (raw) => {
   // The XML is well-formed but does not contain <command>/<args> child tags, so downstream validation fails.
   // We extract the JSON from the body and convert it into canonical XML.
   const mBody = content.match(/^<\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*>\s*([\s\S]*?)\s*<\/\s*\1\s*>\s*$/);
-  if (mBody && mBody[1] && TOOL_TYPES.has(mBody[1])) {
+  if (mBody && mBody[1] && isToolType(mBody[1])) {
     const toolName = mBody[1];
     const body = (mBody[2] ?? '').trim();
 
@@ -457,7 +446,7 @@ const normalizeLLMToolOutputToXML = (raw) => {
   //
   // We convert JSON to canonical <terminal_run>...</terminal_run>.
   const m2 = content.match(/^<\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*>\s*/);
-  if (m2 && m2[1] && TOOL_TYPES.has(m2[1])) {
+  if (m2 && m2[1] && isToolType(m2[1])) {
     const toolName = m2[1];
     // Only attempt this repair if the close tag is absent (unterminated) AND we can find a JSON object.
     const closeTag = `</${toolName}>`;
@@ -596,7 +585,7 @@ const extractToolXmlBlocks = (raw) => {
     }
 
     // We only start blocks on known tool tags that are opening (not closing)
-    if (tag.isClosing || !TOOL_TYPES.has(tag.name)) {
+    if (tag.isClosing || !isToolType(tag.name)) {
       i = tag.tagEnd + 1;
       continue;
     }
@@ -912,7 +901,7 @@ const resolveXML = (content) => {
       );
     }
 
-    const result = parseXML(normalized, undefined, {}) || {};
+    const result = parseXML(normalized, resolveActionSpecs(), {}) || {};
     return result;
   } catch (error) {
     console.error('[xml/resolveXML] XML parse failed:', error.message);
@@ -1030,4 +1019,5 @@ module.exports = {
   resolveActions,
   resolveActionsFromLLMOutput,
   normalizeLLMToolOutputToXML,
+  convertToolCallToXml,
 };
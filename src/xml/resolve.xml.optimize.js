@@ -3,30 +3,13 @@
  * action 标签以及对应的 params 字段
  */
 
-const defaultActions = [
-  // finish now requires an explicit status (SUCCESS|FAILED) in addition to message
-  // so the runtime can decide whether to propagate === Error Feedback === to the next goal.
-  ['finish', ['status', 'message']],
-  ['patch_code', ['path', 'diff']],
-  ['write_code', ['path', 'content']],
-  ['replace_code_block', ['path', 'code_block']],
-  ['write_file', ['path', 'content']],
-  ['read_file', ['path']],
-  ['revise_plan', ['mode', 'reason', 'tasks']],
-  ['terminal_run', ['command', 'args']],
-  ['web_search', ['topic', 'query', 'num_results']],
-  ['read_url', ['url']],
-  ['browser', ['question']],
-  ['mcp_tool', ['name', 'arguments']],
-  ['evaluation', ['status', 'comments']],
-  ['document_query', ['query', 'conversation_id']],
-  ['document_upload', ['file_path', 'conversation_id', 'file_name']],
-  ['patch_complete', ['message']],
-  ['information', ['message']]
-];
+const toolRegistry = require('../tools/registry');
+
+// 默认使用工具注册中心的 action 定义 (core / builtin / plugin), 注册中心首次调用时才加载工具模块
+const resolveDefaultActions = () => toolRegistry.getActionSpecs();
 
 class StreamingXMLParser {
-  constructor(onChunk, actions = defaultActions, options = {}) {
+  constructor(onChunk, actions = resolveDefaultActions(), options = {}) {
     this.actions = new Map(actions.map(([name, fields]) => [name, new Set(fields)]));
     this.onChunk = onChunk;
     this.result = {};
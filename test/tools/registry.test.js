@@ -0,0 +1,60 @@
+require('module-alias/register');
+const { expect } = require('chai');
+
+const registry = require('@src/tools/registry');
+const { parseXML } = require('@src/xml/resolve.xml.optimize');
+
+const pluginTool = (overrides = {}) => ({
+  name: 'fetch_weather',
+  description: 'Fetch the weather for a city',
+  params: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+  execute: async ({ city }) => ({ content: `sunny in ${city}` }),
+  ...overrides,
+});
+
+describe('tools/registry', () => {
+  afterEach(() => {
+    registry.unregisterTool('fetch_weather');
+  });
+
+  it('should normalize agent tool lists and split out opt-in tools', () => {
+    expect(registry.normalizeToolPolicy()).to.deep.equal({ enabled: null, disabled: [], opt_in: [] });
+    expect(registry.normalizeToolPolicy({ enabled_tools: [], disabled_tools: null })).to.deep.equal({ enabled: null, disabled: [], opt_in: [] });
+    expect(registry.normalizeToolPolicy({ enabled_tools: [' read_file ', '', 'delegate_agent'], disabled_tools: ['terminal_run'] }))
+      .to.deep.equal({ enabled: ['read_file'], disabled: ['terminal_run'], opt_in: ['delegate_agent'] });
+    expect(registry.normalizeToolPolicy({ enabled_tools: ['delegate_agent'] }))
+      .to.deep.equal({ enabled: null, disabled: [], opt_in: ['delegate_agent'] });
+  });
+
+  it('should allow tools by whitelist, blacklist and opt-in', () => {
+    const policy = registry.normalizeToolPolicy({ enabled_tools: ['read_file', 'delegate_agent'], disabled_tools: ['read_file'] });
+    expect(registry.isToolAllowed('read_file', policy)).to.equal(false);
+    expect(registry.isToolAllowed('write_code', policy)).to.equal(false);
+    expect(registry.isToolAllowed('delegate_agent', policy)).to.equal(true);
+    // 编排控制类 action 不受开关影响
+    expect(registry.isToolAllowed('finish', policy)).to.equal(true);
+
+    expect(registry.isToolAllowed('write_code')).to.equal(true);
+    expect(registry.isToolAllowed('delegate_agent')).to.equal(false);
+    expect(registry.isToolAllowed('delegate_agent', registry.normalizeToolPolicy({ enabled_tools: ['delegate_agent'], disabled_tools: ['delegate_agent'] }))).to.equal(false);
+  });
+
+  it('should register plugin tools for prompts and XML parsing', () => {
+    expect(registry.registerTool(pluginTool({ name: 'bad name' }))).to.deep.equal({ ok: false, error: 'invalid tool name "bad name"' });
+    expect(registry.registerTool(pluginTool({ execute: null })).ok).to.equal(false);
+    expect(registry.registerTool(pluginTool({ name: 'read_file' }))).to.deep.equal({ ok: false, error: 'tool "read_file" conflicts with a builtin tool' });
+    expect(registry.registerTool(pluginTool({ name: 'finish' })).error).to.contain('core tool');
+
+    expect(registry.registerTool(pluginTool())).to.deep.equal({ ok: true });
+    // 插件之间可以覆盖 (重新加载)
+    expect(registry.registerTool(pluginTool({ description: 'v2' }))).to.deep.equal({ ok: true });
+    expect(registry.getTool('fetch_weather').description).to.equal('v2');
+    expect(registry.listPromptTools().map(tool => tool.name)).to.include('fetch_weather');
+    expect(registry.listPromptTools(registry.normalizeToolPolicy({ disabled_tools: ['fetch_weather'] })).map(tool => tool.name)).to.not.include('fetch_weather');
+    expect(parseXML('<fetch_weather><city>Paris</city></fetch_weather>')).to.deep.equal({ fetch_weather: { city: 'Paris' } });
+
+    expect(registry.unregisterTool('read_file')).to.equal(false);
+    expect(registry.unregisterTool('fetch_weather')).to.equal(true);
+    expect(registry.isKnownActionType('fetch_weather')).to.equal(false);
+  });
+});